@@ -8,6 +8,13 @@
  *
  * Usage: node gsd-tools.cjs <command> [args] [--raw]
  *
+ * Global Flags:
+ *   --cwd <path>                       Run against another project root
+ *   --wait[=<seconds>]                 How long to wait for a held .planning/
+ *                                      lock (default 30s; --wait=0 fails fast)
+ *   --dry-run                          Print planned creates/renames/deletes and
+ *                                      unified diffs instead of writing anything
+ *
  * Atomic Commands:
  *   state load                         Load project config + state
  *   state json                         Output STATE.md frontmatter as JSON
@@ -15,9 +22,14 @@
  *   state get [section]                Get STATE.md content or section
  *   state patch --field val ...        Batch update STATE.md fields
  *   resolve-model <agent-type>         Get model for agent based on profile
+ *     [--profile <name>] [--explain]   Resolve under another profile; show which
+ *                                      layer (override, project, user, built-in) chose it
  *   find-phase <phase>                 Find phase directory by number
  *   commit <message> [--files f1 f2]   Commit planning docs
  *   verify-summary <path>              Verify a SUMMARY.md file
+ *     [--thorough]                     Check every listed commit is on the branch
+ *                                      and its files match key-files/files_modified
+ *     [--format json|sarif|junit|tap]  SARIF 2.1.0, JUnit XML or TAP 13 report
  *   generate-slug <text>               Convert text to URL-safe slug
  *   current-timestamp [format]         Get timestamp (full|date|filename)
  *   list-todos [area]                  Count and enumerate pending todos
@@ -26,9 +38,43 @@
  *   history-digest                     Aggregate all SUMMARY.md data
  *   summary-extract <path> [--fields]  Extract structured data from SUMMARY.md
  *   state-snapshot                     Structured parse of STATE.md
- *   phase-plan-index <phase>           Index plans with waves and status
- *   websearch <query>                  Search web via Brave API (if configured)
- *     [--limit N] [--freshness day|week|month]
+ *   phase-plan-index <phase>           Index plans with waves and status; flags
+ *     [--auto-waves]                   depends_on/wave violations and same-wave
+ *                                      files_modified overlap (--auto-waves
+ *                                      derives waves from depends_on)
+ *   websearch <query>                  Search the web via the configured provider
+ *     [--limit N] [--freshness day|week|month|year]
+ *     [--provider brave|searxng|tavily|json|fixture] [--locale en-US]
+ *     [--no-cache]                     Skip cached results (.planning/research/.cache)
+ *
+ * Research Cache:
+ *   research cache put <url>           Store a page extract with fetch time + hash
+ *     --file <path> | --content <text> [--title T] [--query Q]
+ *   research cache get <url|id>        Print a cached page (--raw: content only)
+ *   research cache list [--query Q]    Cached pages and websearch results
+ *   research cite add <url> [--title T]
+ *                                      Number a source for [cite:N] in RESEARCH.md
+ *   research cite list                 Citations registry, with cache status
+ *
+ * Pause:
+ *   pause snapshot                     Write .pause-snapshot.json to the current
+ *     [--reason "..."] [--session <id>]  phase dir: position, incomplete plans,
+ *                                      uncommitted files, in-progress todo
+ *
+ * Metrics:
+ *   metrics start [--session <id|latest>]  Baseline the statusline session totals
+ *                                      at plan start (latest: this project's)
+ *   metrics record --phase N           Record token/cost usage for an agent run
+ *     [--plan M] [--agent A] [--model M] [--duration X]
+ *     [--input-tokens N] [--output-tokens N] [--cost USD] [--session <id|latest>]
+ *   metrics report                     Aggregate the ledger (--raw: table)
+ *     [--by phase|plan|agent|model|profile|milestone]
+ *     [--phase N] [--milestone vX.Y]
+ *
+ * Context:
+ *   context report                     Context consumed per plan from the opt-in
+ *     [--by plan|phase|session|status]   statusline history (--raw: table)
+ *     [--phase N] [--limit N]
  *
  * Phase Operations:
  *   phase next-decimal <phase>         Calculate next decimal phase number
@@ -41,6 +87,9 @@
  *   roadmap get-phase <phase>          Extract phase section from ROADMAP.md
  *   roadmap analyze                    Full roadmap parse with disk status
  *   roadmap update-plan-progress <N>   Update progress table row from disk (PLAN vs SUMMARY counts)
+ *   roadmap graph [--format json|mermaid|dot]
+ *                                      Phase dependency DAG: cycles, dangling
+ *                                      references, unblocked phases
  *
  * Requirements Operations:
  *   requirements mark-complete <ids>   Mark requirement IDs as complete in REQUIREMENTS.md
@@ -53,7 +102,13 @@
  *
  * Validation:
  *   validate consistency               Check phase numbering, disk/roadmap sync
+ *     [--format json|sarif|junit|tap]  SARIF 2.1.0, JUnit XML or TAP 13 report
  *   validate health [--repair]         Check .planning/ integrity, optionally repair
+ *     [--format json|sarif|junit|tap]  SARIF 2.1.0, JUnit XML or TAP 13 report
+ *   validate all [--strict]            Lint every planning file (frontmatter schema,
+ *                                      plan structure, references, consistency);
+ *                                      exits 1 on errors (--strict: on warnings too)
+ *     [--format json|sarif|junit|tap]  SARIF 2.1.0, JUnit XML or TAP 13 report
  *
  * Progress:
  *   progress [json|table|bar]          Render progress in various formats
@@ -61,6 +116,11 @@
  * Todos:
  *   todo complete <filename>           Move todo from pending to completed
  *
+ * Operation Journal:
+ *   journal list [--limit N]           List journaled operations, newest first
+ *   undo [--steps N] [--force]         Revert the last N operations from the
+ *                                      journal (--force overwrites later edits)
+ *
  * Scaffolding:
  *   scaffold context --phase <N>       Create CONTEXT.md template
  *   scaffold uat --phase <N>           Create UAT.md template
@@ -74,8 +134,9 @@
  *     --value jsonVal
  *   frontmatter merge <file>           Merge JSON into frontmatter
  *     --data '{json}'
- *   frontmatter validate <file>        Validate required fields
- *     --schema plan|summary|verification
+ *   frontmatter validate <file>        Validate against a JSON Schema
+ *     --schema plan|summary|verification|uat|context|research|debug|todo
+ *   schema export <type>               Print the JSON Schema for an artifact type
  *
  * Verification Suite:
  *   verify plan-structure <file>       Check PLAN.md structure + tasks
@@ -83,7 +144,16 @@
  *   verify references <file>           Check @-refs + paths resolve
  *   verify commits <h1> [h2] ...      Batch verify commit hashes
  *   verify artifacts <plan-file>       Check must_haves.artifacts
- *   verify key-links <plan-file>       Check must_haves.key_links
+ *   verify key-links <plan-file>       Check must_haves.key_links (JS/TS links
+ *     [--transitive] [--depth N]       must be real imports; --transitive accepts
+ *                                      import chains up to N links, default 5)
+ *   verify truths <plan-file>          Run must_haves.truths `check:` commands in a
+ *                                      sandboxed child process, pass/fail per truth
+ *   verify scope <plan-file>           Files changed since a ref (committed or not)
+ *     [--since <ref>]                  vs files_modified: out-of-scope edits and
+ *                                      untouched declared files (default: HEAD)
+ *     [--format json|sarif|junit|tap]  Report format for artifacts, key-links,
+ *                                      truths, scope
  *
  * Template Fill:
  *   template fill summary --phase N    Create pre-filled SUMMARY.md
@@ -94,12 +164,19 @@
  *     [--wave N] [--fields '{json}']
  *   template fill verification         Create pre-filled VERIFICATION.md
  *     --phase N [--fields '{json}']
+ *   template fill continue-here        Create .continue-here.md handoff in the
+ *     --phase N [--plan M] [--note "..."]  phase directory (never overwrites)
+ *     [--fields '{json}']
  *
  * State Progression:
  *   state advance-plan                 Increment plan counter
  *   state record-metric --phase N      Record execution metrics
  *     --plan M --duration Xmin
  *     [--tasks N] [--files N]
+ *     [--agent A] [--model M]          Token/cost usage, also kept in the
+ *     [--input-tokens N] [--output-tokens N]  .planning/metrics.json ledger
+ *     [--cache-read-tokens N] [--cache-write-tokens N]
+ *     [--cost USD] [--session <id|latest>]    (usage from the statusline bridge)
  *   state update-progress              Recalculate progress bar
  *   state add-decision --summary "..."  Add decision to STATE.md
  *     [--phase N] [--rationale "..."]
@@ -139,9 +216,46 @@ const milestone = require('./lib/milestone.cjs');
 const commands = require('./lib/commands.cjs');
 const init = require('./lib/init.cjs');
 const frontmatter = require('./lib/frontmatter.cjs');
+const schema = require('./lib/schema.cjs');
+const lock = require('./lib/lock.cjs');
+const journal = require('./lib/journal.cjs');
+const research = require('./lib/research.cjs');
+const metrics = require('./lib/metrics.cjs');
+const context = require('./lib/context.cjs');
+const pause = require('./lib/pause.cjs');
+const transaction = require('./lib/transaction.cjs');
+const report = require('./lib/report.cjs');
 
 // ─── CLI Router ───────────────────────────────────────────────────────────────
 
+/** Token/cost flags shared by `state record-metric` and `metrics record`. */
+function usageFlags(args) {
+  const flags = {
+    agent: '--agent', model: '--model', session: '--session', cost: '--cost',
+    input_tokens: '--input-tokens', output_tokens: '--output-tokens',
+    cache_read_tokens: '--cache-read-tokens', cache_write_tokens: '--cache-write-tokens',
+  };
+  const usage = {};
+  for (const [key, flag] of Object.entries(flags)) {
+    const idx = args.indexOf(flag);
+    if (idx === -1) continue;
+    const value = args[idx + 1];
+    if (value === undefined || value.startsWith('--')) error(`Missing value for ${flag}`);
+    usage[key] = value;
+  }
+  return usage;
+}
+
+/** `--format <json|sarif|junit|tap>` for verify/validate reports, or null. */
+function reportFormat(args) {
+  const idx = args.indexOf('--format');
+  if (idx === -1) return null;
+  const format = args[idx + 1];
+  if (!format || format.startsWith('--')) error('Missing value for --format');
+  report.assertReportFormat(format);
+  return format;
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -169,8 +283,30 @@ async function main() {
   const raw = rawIndex !== -1;
   if (rawIndex !== -1) args.splice(rawIndex, 1);
 
+  // How long to wait for the .planning/ write lock (default 30s)
+  const waitArg = args.find(arg => arg === '--wait' || arg.startsWith('--wait='));
+  if (waitArg) {
+    const seconds = waitArg === '--wait' ? lock.DEFAULT_WAIT_SECONDS : Number(waitArg.slice('--wait='.length));
+    if (!Number.isFinite(seconds) || seconds < 0) error(`Invalid ${waitArg}: expected a number of seconds`);
+    args.splice(args.indexOf(waitArg), 1);
+    lock.configureLock({ waitSeconds: seconds });
+  }
+
+  // Preview mode: transactions print their plan instead of committing
+  const dryRunIndex = args.indexOf('--dry-run');
+  if (dryRunIndex !== -1) {
+    args.splice(dryRunIndex, 1);
+    if (args[0] === 'commit') error('commit does not support --dry-run');
+    transaction.enableDryRun({ cwd });
+  }
+
   const command = args[0];
 
+  // Every transaction committed by this command becomes one journal entry
+  if (command && command !== 'undo' && command !== 'journal') {
+    journal.beginOperation(cwd, args.join(' '));
+  }
+
   if (!command) {
     error('Usage: gsd-tools <command> [args] [--raw] [--cwd <path>]\nCommands: state, resolve-model, find-phase, commit, verify-summary, verify, frontmatter, template, generate-slug, current-timestamp, list-todos, verify-path-exists, config-ensure-section, init');
   }
@@ -208,6 +344,7 @@ async function main() {
           duration: durationIdx !== -1 ? args[durationIdx + 1] : null,
           tasks: tasksIdx !== -1 ? args[tasksIdx + 1] : null,
           files: filesIdx !== -1 ? args[filesIdx + 1] : null,
+          ...usageFlags(args),
         }, raw);
       } else if (subcommand === 'update-progress') {
         state.cmdStateUpdateProgress(cwd, raw);
@@ -248,7 +385,10 @@ async function main() {
     }
 
     case 'resolve-model': {
-      commands.cmdResolveModel(cwd, args[1], raw);
+      const profileIdx = args.indexOf('--profile');
+      const profile = profileIdx !== -1 ? args[profileIdx + 1] : null;
+      if (profileIdx !== -1 && (!profile || profile.startsWith('--'))) error('Missing value for --profile');
+      commands.cmdResolveModel(cwd, args[1], raw, { explain: args.includes('--explain'), profile });
       break;
     }
 
@@ -271,7 +411,10 @@ async function main() {
       const summaryPath = args[1];
       const countIndex = args.indexOf('--check-count');
       const checkCount = countIndex !== -1 ? parseInt(args[countIndex + 1], 10) : 2;
-      verify.cmdVerifySummary(cwd, summaryPath, checkCount, raw);
+      verify.cmdVerifySummary(cwd, summaryPath, checkCount, raw, {
+        format: reportFormat(args),
+        thorough: args.includes('--thorough'),
+      });
       break;
     }
 
@@ -287,6 +430,7 @@ async function main() {
         const typeIdx = args.indexOf('--type');
         const waveIdx = args.indexOf('--wave');
         const fieldsIdx = args.indexOf('--fields');
+        const noteIdx = args.indexOf('--note');
         template.cmdTemplateFill(cwd, templateType, {
           phase: phaseIdx !== -1 ? args[phaseIdx + 1] : null,
           plan: planIdx !== -1 ? args[planIdx + 1] : null,
@@ -294,6 +438,7 @@ async function main() {
           type: typeIdx !== -1 ? args[typeIdx + 1] : 'execute',
           wave: waveIdx !== -1 ? args[waveIdx + 1] : '1',
           fields: fieldsIdx !== -1 ? JSON.parse(args[fieldsIdx + 1]) : {},
+          note: noteIdx !== -1 ? args[noteIdx + 1] : null,
         }, raw);
       } else {
         error('Unknown template subcommand. Available: select, fill');
@@ -323,6 +468,16 @@ async function main() {
       break;
     }
 
+    case 'schema': {
+      const subcommand = args[1];
+      if (subcommand === 'export') {
+        schema.cmdSchemaExport(cwd, args[2], raw);
+      } else {
+        error('Unknown schema subcommand. Available: export');
+      }
+      break;
+    }
+
     case 'verify': {
       const subcommand = args[1];
       if (subcommand === 'plan-structure') {
@@ -334,11 +489,25 @@ async function main() {
       } else if (subcommand === 'commits') {
         verify.cmdVerifyCommits(cwd, args.slice(2), raw);
       } else if (subcommand === 'artifacts') {
-        verify.cmdVerifyArtifacts(cwd, args[2], raw);
+        verify.cmdVerifyArtifacts(cwd, args[2], raw, reportFormat(args));
       } else if (subcommand === 'key-links') {
-        verify.cmdVerifyKeyLinks(cwd, args[2], raw);
+        const depthIdx = args.indexOf('--depth');
+        const depth = depthIdx !== -1 ? Number(args[depthIdx + 1]) : null;
+        if (depth !== null && !(Number.isInteger(depth) && depth > 0)) error('--depth must be a positive integer');
+        verify.cmdVerifyKeyLinks(cwd, args[2], raw, {
+          format: reportFormat(args),
+          transitive: args.includes('--transitive'),
+          depth,
+        });
+      } else if (subcommand === 'truths') {
+        await verify.cmdVerifyTruths(cwd, args[2], raw, { format: reportFormat(args) });
+      } else if (subcommand === 'scope') {
+        const sinceIdx = args.indexOf('--since');
+        const since = sinceIdx !== -1 ? args[sinceIdx + 1] : null;
+        if (sinceIdx !== -1 && (!since || since.startsWith('--'))) error('Missing value for --since');
+        verify.cmdVerifyScope(cwd, args[2], raw, { format: reportFormat(args), since });
       } else {
-        error('Unknown verify subcommand. Available: plan-structure, phase-completeness, references, commits, artifacts, key-links');
+        error('Unknown verify subcommand. Available: plan-structure, phase-completeness, references, commits, artifacts, key-links, truths, scope');
       }
       break;
     }
@@ -408,8 +577,11 @@ async function main() {
         roadmap.cmdRoadmapAnalyze(cwd, raw);
       } else if (subcommand === 'update-plan-progress') {
         roadmap.cmdRoadmapUpdatePlanProgress(cwd, args[2], raw);
+      } else if (subcommand === 'graph') {
+        const formatIdx = args.indexOf('--format');
+        roadmap.cmdRoadmapGraph(cwd, formatIdx !== -1 ? args[formatIdx + 1] : null, raw);
       } else {
-        error('Unknown roadmap subcommand. Available: get-phase, analyze, update-plan-progress');
+        error('Unknown roadmap subcommand. Available: get-phase, analyze, update-plan-progress, graph');
       }
       break;
     }
@@ -468,12 +640,14 @@ async function main() {
     case 'validate': {
       const subcommand = args[1];
       if (subcommand === 'consistency') {
-        verify.cmdValidateConsistency(cwd, raw);
+        verify.cmdValidateConsistency(cwd, raw, reportFormat(args));
       } else if (subcommand === 'health') {
         const repairFlag = args.includes('--repair');
-        verify.cmdValidateHealth(cwd, { repair: repairFlag }, raw);
+        verify.cmdValidateHealth(cwd, { repair: repairFlag, format: reportFormat(args) }, raw);
+      } else if (subcommand === 'all') {
+        verify.cmdValidateAll(cwd, { strict: args.includes('--strict'), format: reportFormat(args) }, raw);
       } else {
-        error('Unknown validate subcommand. Available: consistency, health');
+        error('Unknown validate subcommand. Available: consistency, health, all');
       }
       break;
     }
@@ -494,6 +668,101 @@ async function main() {
       break;
     }
 
+    case 'research': {
+      const subcommand = args[1];
+      const action = args[2];
+      const flag = name => {
+        const idx = args.indexOf(name);
+        return idx !== -1 ? args[idx + 1] : undefined;
+      };
+      if (subcommand === 'cache' && action === 'put') {
+        research.cmdResearchCachePut(cwd, args[3], {
+          file: flag('--file'), content: flag('--content'), title: flag('--title'), query: flag('--query'),
+        }, raw);
+      } else if (subcommand === 'cache' && action === 'get') {
+        research.cmdResearchCacheGet(cwd, args[3], raw);
+      } else if (subcommand === 'cache' && action === 'list') {
+        research.cmdResearchCacheList(cwd, { query: flag('--query') }, raw);
+      } else if (subcommand === 'cite' && action === 'add') {
+        research.cmdResearchCiteAdd(cwd, args[3], { title: flag('--title') }, raw);
+      } else if (subcommand === 'cite' && action === 'list') {
+        research.cmdResearchCiteList(cwd, raw);
+      } else {
+        error('Unknown research subcommand. Available: cache put|get|list, cite add|list');
+      }
+      break;
+    }
+
+    case 'pause': {
+      const subcommand = args[1];
+      if (subcommand === 'snapshot') {
+        const reasonIdx = args.indexOf('--reason');
+        const sessionIdx = args.indexOf('--session');
+        pause.cmdPauseSnapshot(cwd, {
+          reason: reasonIdx !== -1 ? args[reasonIdx + 1] : null,
+          session: sessionIdx !== -1 ? args[sessionIdx + 1] : null,
+        }, raw);
+      } else {
+        error('Unknown pause subcommand. Available: snapshot');
+      }
+      break;
+    }
+
+    case 'metrics': {
+      const subcommand = args[1];
+      const flag = name => {
+        const idx = args.indexOf(name);
+        return idx !== -1 ? args[idx + 1] : undefined;
+      };
+      if (subcommand === 'record') {
+        metrics.cmdMetricsRecord(cwd, {
+          phase: flag('--phase'), plan: flag('--plan'), duration: flag('--duration'),
+          tasks: flag('--tasks'), files: flag('--files'), ...usageFlags(args),
+        }, raw);
+      } else if (subcommand === 'start') {
+        metrics.cmdMetricsStart(cwd, { session: flag('--session') }, raw);
+      } else if (subcommand === 'report') {
+        metrics.cmdMetricsReport(cwd, { by: flag('--by'), phase: flag('--phase'), milestone: flag('--milestone') }, raw);
+      } else {
+        error('Unknown metrics subcommand. Available: start, record, report');
+      }
+      break;
+    }
+
+    case 'context': {
+      const subcommand = args[1];
+      const flag = name => {
+        const idx = args.indexOf(name);
+        return idx !== -1 ? args[idx + 1] : undefined;
+      };
+      if (subcommand === 'report') {
+        context.cmdContextReport(cwd, { by: flag('--by'), phase: flag('--phase'), limit: flag('--limit') }, raw);
+      } else {
+        error('Unknown context subcommand. Available: report');
+      }
+      break;
+    }
+
+    case 'journal': {
+      const subcommand = args[1];
+      if (subcommand === 'list') {
+        const limitIdx = args.indexOf('--limit');
+        journal.cmdJournalList(cwd, { limit: limitIdx !== -1 ? args[limitIdx + 1] : null }, raw);
+      } else {
+        error('Unknown journal subcommand. Available: list');
+      }
+      break;
+    }
+
+    case 'undo': {
+      const stepsIdx = args.indexOf('--steps');
+      journal.cmdUndo(cwd, {
+        steps: stepsIdx !== -1 ? args[stepsIdx + 1] : undefined,
+        force: args.includes('--force'),
+      }, raw);
+      break;
+    }
+
     case 'scaffold': {
       const scaffoldType = args[1];
       const phaseIndex = args.indexOf('--phase');
@@ -552,7 +821,7 @@ async function main() {
     }
 
     case 'phase-plan-index': {
-      phase.cmdPhasePlanIndex(cwd, args[1], raw);
+      phase.cmdPhasePlanIndex(cwd, args[1], raw, { autoWaves: args.includes('--auto-waves') });
       break;
     }
 
@@ -573,9 +842,14 @@ async function main() {
       const query = args[1];
       const limitIdx = args.indexOf('--limit');
       const freshnessIdx = args.indexOf('--freshness');
-      await commands.cmdWebsearch(query, {
+      const providerIdx = args.indexOf('--provider');
+      const localeIdx = args.indexOf('--locale');
+      await commands.cmdWebsearch(cwd, query, {
         limit: limitIdx !== -1 ? parseInt(args[limitIdx + 1], 10) : 10,
         freshness: freshnessIdx !== -1 ? args[freshnessIdx + 1] : null,
+        provider: providerIdx !== -1 ? args[providerIdx + 1] : null,
+        locale: localeIdx !== -1 ? args[localeIdx + 1] : null,
+        noCache: args.includes('--no-cache'),
       }, raw);
       break;
     }
@@ -4,8 +4,10 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { safeReadFile, loadConfig, isGitIgnored, execGit, normalizePhaseName, comparePhaseNum, getArchivedPhaseDirs, generateSlugInternal, getMilestoneInfo, resolveModelInternal, MODEL_PROFILES, output, error, findPhaseInternal } = require('./core.cjs');
+const { safeReadFile, loadConfig, isGitIgnored, execGit, normalizePhaseName, comparePhaseNum, getArchivedPhaseDirs, generateSlugInternal, getMilestoneInfo, explainModelInternal, output, error, findPhaseInternal } = require('./core.cjs');
 const { extractFrontmatter } = require('./frontmatter.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { resolveSearchSettings, search } = require('./websearch.cjs');
 
 function cmdGenerateSlug(text, raw) {
   if (!text) {
@@ -135,7 +137,7 @@ function cmdHistoryDigest(cwd, raw) {
       for (const summary of summaries) {
         try {
           const content = fs.readFileSync(path.join(dirPath, summary), 'utf-8');
-          const fm = extractFrontmatter(content);
+          const fm = extractFrontmatter(content, path.join(dir, summary));
 
           const phaseNum = fm.phase || dir.split('-')[0];
 
@@ -197,20 +199,35 @@ function cmdHistoryDigest(cwd, raw) {
   }
 }
 
-function cmdResolveModel(cwd, agentType, raw) {
+/**
+ * Model for an agent. options.profile resolves under another profile;
+ * options.explain adds the layer that chose the model and the lookup chain.
+ */
+function cmdResolveModel(cwd, agentType, raw, options = {}) {
   if (!agentType) {
     error('agent-type required');
   }
 
-  const config = loadConfig(cwd);
-  const profile = config.model_profile || 'balanced';
-  const model = resolveModelInternal(cwd, agentType);
-
-  const agentModels = MODEL_PROFILES[agentType];
-  const result = agentModels
+  const explained = explainModelInternal(cwd, agentType, options.profile);
+  const { model, profile } = explained;
+  const result = explained.known_agent
     ? { model, profile }
     : { model, profile, unknown_agent: true };
-  output(result, raw, model);
+
+  if (!options.explain) {
+    output(result, raw, model);
+    return;
+  }
+
+  const { chosen_by: chosenBy, chain, issues } = explained;
+  const via = chosenBy.layer === 'model_overrides'
+    ? 'model_overrides'
+    : chosenBy.layer === 'default' ? 'default' : `${chosenBy.layer} profile ${chosenBy.profile}`;
+  const tier = explained.tier === model ? '' : ` (${explained.tier})`;
+  const lines = [`${agentType}: ${model}${tier} via ${via}`];
+  if (chain.length > 0) lines.push(`chain: ${chain.map(c => `${c.layer}:${c.profile}`).join(' → ')}`);
+  for (const issue of issues) lines.push(`issue: ${issue}`);
+  output({ ...result, tier: explained.tier, chosen_by: chosenBy, chain, issues }, raw, lines.join('\n'));
 }
 
 function cmdCommit(cwd, message, files, raw, amend) {
@@ -274,7 +291,7 @@ function cmdSummaryExtract(cwd, summaryPath, fields, raw) {
   }
 
   const content = fs.readFileSync(fullPath, 'utf-8');
-  const fm = extractFrontmatter(content);
+  const fm = extractFrontmatter(content, summaryPath);
 
   // Parse key-decisions into structured format
   const parseDecisions = (decisionsList) => {
@@ -317,66 +334,31 @@ function cmdSummaryExtract(cwd, summaryPath, fields, raw) {
   output(fullResult, raw);
 }
 
-async function cmdWebsearch(query, options, raw) {
-  const apiKey = process.env.BRAVE_API_KEY;
-
-  if (!apiKey) {
-    // No key = silent skip, agent falls back to built-in WebSearch
-    output({ available: false, reason: 'BRAVE_API_KEY not set' }, raw, '');
-    return;
-  }
+async function cmdWebsearch(cwd, query, options, raw) {
+  const settings = resolveSearchSettings(loadConfig(cwd), { provider: options.provider, locale: options.locale });
 
   if (!query) {
-    output({ available: false, error: 'Query required' }, raw, '');
+    output({ available: false, provider: settings.provider, error: 'Query required' }, raw, '');
     return;
   }
 
-  const params = new URLSearchParams({
-    q: query,
-    count: String(options.limit || 10),
-    country: 'us',
-    search_lang: 'en',
-    text_decorations: 'false'
-  });
-
-  if (options.freshness) {
-    params.set('freshness', options.freshness);
+  const found = await search(cwd, query, options, settings);
+  if (!found.available) {
+    // Unavailable provider = silent skip, agent falls back to built-in WebSearch
+    output(found, raw, '');
+    return;
   }
 
-  try {
-    const response = await fetch(
-      `https://api.search.brave.com/res/v1/web/search?${params}`,
-      {
-        headers: {
-          'Accept': 'application/json',
-          'X-Subscription-Token': apiKey
-        }
-      }
-    );
-
-    if (!response.ok) {
-      output({ available: false, error: `API error: ${response.status}` }, raw, '');
-      return;
-    }
-
-    const data = await response.json();
-
-    const results = (data.web?.results || []).map(r => ({
-      title: r.title,
-      url: r.url,
-      description: r.description,
-      age: r.age || null
-    }));
-
-    output({
-      available: true,
-      query,
-      count: results.length,
-      results
-    }, raw, results.map(r => `${r.title}\n${r.url}\n${r.description}`).join('\n\n'));
-  } catch (err) {
-    output({ available: false, error: err.message }, raw, '');
-  }
+  const { results } = found;
+  output({
+    available: true,
+    provider: found.provider,
+    query,
+    count: results.length,
+    cached: found.cached,
+    fetched_at: found.fetched_at,
+    results,
+  }, raw, results.map(r => `${r.title}\n${r.url}\n${r.description}`).join('\n\n'));
 }
 
 function cmdProgressRender(cwd, format, raw) {
@@ -460,16 +442,16 @@ function cmdTodoComplete(cwd, filename, raw) {
     error(`Todo not found: ${filename}`);
   }
 
-  // Ensure completed directory exists
-  fs.mkdirSync(completedDir, { recursive: true });
-
   // Read, add completion timestamp, move
   let content = fs.readFileSync(sourcePath, 'utf-8');
   const today = new Date().toISOString().split('T')[0];
   content = `completed: ${today}\n` + content;
 
-  fs.writeFileSync(path.join(completedDir, filename), content, 'utf-8');
-  fs.unlinkSync(sourcePath);
+  const tx = createTransaction();
+  tx.mkdir(completedDir);
+  tx.write(path.join(completedDir, filename), content);
+  tx.remove(sourcePath);
+  commitTransaction(tx);
 
   output({ completed: true, file: filename, date: today }, raw, 'completed');
 }
@@ -512,9 +494,8 @@ function cmdScaffold(cwd, type, options, raw) {
       const slug = generateSlugInternal(name);
       const dirName = `${padded}-${slug}`;
       const phasesParent = path.join(cwd, '.planning', 'phases');
-      fs.mkdirSync(phasesParent, { recursive: true });
       const dirPath = path.join(phasesParent, dirName);
-      fs.mkdirSync(dirPath, { recursive: true });
+      commitTransaction(createTransaction().mkdir(dirPath));
       output({ created: true, directory: `.planning/phases/${dirName}`, path: dirPath }, raw, dirPath);
       return;
     }
@@ -527,7 +508,7 @@ function cmdScaffold(cwd, type, options, raw) {
     return;
   }
 
-  fs.writeFileSync(filePath, content, 'utf-8');
+  commitTransaction(createTransaction().write(filePath, content));
   const relPath = path.relative(cwd, filePath);
   output({ created: true, path: relPath }, raw, relPath);
 }
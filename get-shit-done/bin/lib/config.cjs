@@ -5,6 +5,7 @@
 const fs = require('fs');
 const path = require('path');
 const { output, error } = require('./core.cjs');
+const { createTransaction } = require('./transaction.cjs');
 
 function cmdConfigEnsureSection(cwd, raw) {
   const configPath = path.join(cwd, '.planning', 'config.json');
@@ -13,7 +14,7 @@ function cmdConfigEnsureSection(cwd, raw) {
   // Ensure .planning directory exists
   try {
     if (!fs.existsSync(planningDir)) {
-      fs.mkdirSync(planningDir, { recursive: true });
+      createTransaction().mkdir(planningDir).commit();
     }
   } catch (err) {
     error('Failed to create .planning directory: ' + err.message);
@@ -66,7 +67,7 @@ function cmdConfigEnsureSection(cwd, raw) {
   };
 
   try {
-    fs.writeFileSync(configPath, JSON.stringify(defaults, null, 2), 'utf-8');
+    createTransaction().write(configPath, JSON.stringify(defaults, null, 2)).commit();
     const result = { created: true, path: '.planning/config.json' };
     output(result, raw, 'created');
   } catch (err) {
@@ -111,7 +112,7 @@ function cmdConfigSet(cwd, keyPath, value, raw) {
 
   // Write back
   try {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf-8');
+    createTransaction().write(configPath, JSON.stringify(config, null, 2)).commit();
     const result = { updated: true, key: keyPath, value: parsedValue };
     output(result, raw, `${keyPath}=${parsedValue}`);
   } catch (err) {
@@ -0,0 +1,102 @@
+/**
+ * Context — Context window usage history per session, phase and plan
+ *
+ * With `context_history.enabled` in config.json (or ~/.gsd/defaults.json),
+ * the statusline hook appends a sample to .planning/.context/history.jsonl
+ * whenever context usage or the STATE.md position changes. `context report`
+ * turns those samples into the context each plan, phase, session or STATE.md
+ * status consumed, so oversized plans can be split.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { output, error } = require('./core.cjs');
+
+const HISTORY_FILE = path.join('.planning', '.context', 'history.jsonl');
+const GROUP_KEYS = ['plan', 'phase', 'session', 'status'];
+// A drop this large within one session is a compaction or /clear, not noise
+const COMPACTION_DROP = 10;
+
+/** Samples from the history log, oldest first; unparseable lines are skipped. */
+function loadContextHistory(cwd) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(cwd, HISTORY_FILE), 'utf-8');
+  } catch {
+    return [];
+  }
+  const samples = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const sample = JSON.parse(line);
+      if (sample && sample.session && typeof sample.used === 'number') samples.push(sample);
+    } catch {}
+  }
+  return samples;
+}
+
+function groupKey(sample, by) {
+  if (by === 'plan') {
+    if (!sample.phase) return '(none)';
+    return sample.plan ? `${sample.phase}-${sample.plan}` : `${sample.phase}`;
+  }
+  return sample[by] === null || sample[by] === undefined ? '(none)' : String(sample[by]);
+}
+
+function formatReport(report) {
+  const header = [report.by, 'sessions', 'consumed_pct', 'peak_pct', 'compactions'];
+  const rows = [header, ...report.groups.map(g => [g.key, g.sessions, g.consumed_pct, g.peak_pct, g.compactions])];
+  const widths = header.map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Context consumed per group, most first. Each rise in usage between two
+ * samples of a session counts toward the group active at the later sample;
+ * large drops count as compactions.
+ */
+function cmdContextReport(cwd, options, raw) {
+  const by = options.by || 'plan';
+  if (!GROUP_KEYS.includes(by)) { error(`Invalid --by: ${by}. Use ${GROUP_KEYS.join(', ')}`); }
+  const limit = options.limit ? parseInt(options.limit, 10) : null;
+
+  const groups = new Map();
+  const last = new Map();
+  for (const sample of loadContextHistory(cwd)) {
+    const previous = last.get(sample.session);
+    last.set(sample.session, sample);
+    if (options.phase && String(sample.phase) !== String(options.phase)) continue;
+
+    const key = groupKey(sample, by);
+    if (!groups.has(key)) groups.set(key, { key, sessions: new Set(), samples: 0, consumed_pct: 0, peak_pct: 0, compactions: 0 });
+    const group = groups.get(key);
+    group.sessions.add(sample.session);
+    group.samples++;
+    group.peak_pct = Math.max(group.peak_pct, sample.used);
+    if (previous) {
+      const delta = sample.used - previous.used;
+      if (delta > 0) group.consumed_pct += delta;
+      else if (delta <= -COMPACTION_DROP) group.compactions++;
+    }
+  }
+
+  let list = [...groups.values()]
+    .map(g => ({ ...g, sessions: g.sessions.size, consumed_pct: Math.round(g.consumed_pct * 10) / 10 }))
+    .sort((a, b) => b.consumed_pct - a.consumed_pct || b.peak_pct - a.peak_pct);
+  if (limit && limit > 0) list = list.slice(0, limit);
+
+  const report = {
+    by,
+    filters: { phase: options.phase || null },
+    sessions: last.size,
+    groups: list,
+  };
+  output(report, raw, formatReport(report));
+}
+
+module.exports = {
+  HISTORY_FILE,
+  loadContextHistory,
+  cmdContextReport,
+};
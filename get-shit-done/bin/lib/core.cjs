@@ -29,9 +29,29 @@ const MODEL_PROFILES = {
   'gsd-integration-checker':  { quality: 'sonnet', balanced: 'sonnet', budget: 'haiku' },
 };
 
+const BUILTIN_PROFILES = ['quality', 'balanced', 'budget'];
+const MODEL_ALIASES = ['opus', 'sonnet', 'haiku', 'inherit'];
+
 // ─── Output helpers ───────────────────────────────────────────────────────────
 
-function output(result, raw, rawValue) {
+let outputOverride = null;
+
+/**
+ * Replace what output() prints: `fn()` returns { result, rawValue } to print
+ * instead of the command's own, or null to keep it. Dry runs use this to
+ * print every planned change once, when the command finishes.
+ */
+function setOutputOverride(fn) {
+  outputOverride = fn;
+}
+
+/**
+ * Print a command result and exit. Commands that report failures as data
+ * (e.g. validate all) pass a non-zero exitCode.
+ */
+function output(result, raw, rawValue, exitCode = 0) {
+  const override = outputOverride && outputOverride();
+  if (override) ({ result, rawValue } = override);
   if (raw && rawValue !== undefined) {
     process.stdout.write(String(rawValue));
   } else {
@@ -46,7 +66,7 @@ function output(result, raw, rawValue) {
       process.stdout.write(json);
     }
   }
-  process.exit(0);
+  process.exit(exitCode);
 }
 
 function error(message) {
@@ -54,6 +74,11 @@ function error(message) {
   process.exit(1);
 }
 
+/** Report a recoverable problem on stderr without touching the command's output. */
+function warn(message) {
+  process.stderr.write('Warning: ' + message + '\n');
+}
+
 // ─── File & Config utilities ──────────────────────────────────────────────────
 
 function safeReadFile(filePath) {
@@ -114,6 +139,9 @@ function loadConfig(cwd) {
       parallelization,
       brave_search: get('brave_search') ?? defaults.brave_search,
       model_overrides: parsed.model_overrides || null,
+      model_profiles: parsed.model_profiles || null,
+      websearch: parsed.websearch || null,
+      metrics: parsed.metrics || null,
     };
   } catch {
     return defaults;
@@ -124,7 +152,10 @@ function loadConfig(cwd) {
 
 function isGitIgnored(cwd, targetPath) {
   try {
-    execSync('git check-ignore -q -- ' + targetPath.replace(/[^a-zA-Z0-9._\-/]/g, ''), {
+    // Without --no-index, check-ignore never reports tracked paths, so a
+    // .planning/ that was committed before being gitignored would still be
+    // committed by `commit`
+    execSync('git check-ignore -q --no-index -- ' + targetPath.replace(/[^a-zA-Z0-9._\-/]/g, ''), {
       cwd,
       stdio: 'pipe',
     });
@@ -351,21 +382,144 @@ function getRoadmapPhaseInternal(cwd, phaseNum) {
   }
 }
 
+// ─── Model profile resolution ─────────────────────────────────────────────────
+//
+// Custom profiles live under `model_profiles` in .planning/config.json or
+// ~/.gsd/defaults.json: { "nightly": { "extends": "budget", "gsd-executor": "haiku" } }.
+// A profile is looked up project → user → built-in; each layer only sets the
+// agents it names, and `extends` continues the lookup in another profile.
+
+function readUserDefaults() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(require('os').homedir(), '.gsd', 'defaults.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/** Custom profile definitions, highest precedence first. */
+function modelProfileLayers(config) {
+  const layers = [];
+  const add = (layer, source, profiles) => {
+    if (profiles && typeof profiles === 'object' && !Array.isArray(profiles)) layers.push({ layer, source, profiles });
+  };
+  add('project', '.planning/config.json', config.model_profiles);
+  add('user', '~/.gsd/defaults.json', readUserDefaults().model_profiles);
+  return layers;
+}
+
+/** Every definition of a profile, highest precedence first, then its parent's. */
+function profileChain(layers, profile, issues) {
+  const chain = [];
+  const visited = [];
+  let name = profile;
+  while (name) {
+    if (visited.includes(name)) {
+      issues.push(`Model profile cycle: ${[...visited, name].join(' → ')}`);
+      break;
+    }
+    visited.push(name);
+    let parent = null;
+    for (const { layer, source, profiles } of layers) {
+      const def = profiles[name];
+      if (!def || typeof def !== 'object') continue;
+      chain.push({ layer, source, profile: name, definition: def });
+      if (!parent && typeof def.extends === 'string') parent = def.extends;
+    }
+    if (BUILTIN_PROFILES.includes(name)) {
+      chain.push({ layer: 'builtin', source: 'MODEL_PROFILES', profile: name, definition: null });
+    }
+    if (!chain.some(c => c.profile === name)) {
+      issues.push(visited.length === 1 ? `Unknown model profile: ${name}` : `Profile ${visited[visited.length - 2]} extends unknown profile ${name}`);
+      break;
+    }
+    name = parent;
+  }
+  return chain;
+}
+
+/**
+ * Model for an agent with the layer that chose it.
+ * @returns {{ agent: string, model: string, tier: string, profile: string, known_agent: boolean,
+ *   chosen_by: { layer: string, profile?: string, source?: string }, chain: object[], issues: string[] }}
+ */
+function explainModelInternal(cwd, agentType, profileOverride) {
+  const config = loadConfig(cwd);
+  const profile = profileOverride || config.model_profile || 'balanced';
+  const knownAgent = !!MODEL_PROFILES[agentType];
+  const issues = [];
+  const done = (tier, chosenBy, chain) => ({
+    agent: agentType,
+    model: tier === 'opus' ? 'inherit' : tier,
+    tier,
+    profile,
+    known_agent: knownAgent,
+    chosen_by: chosenBy,
+    chain: chain.map(({ layer, source, profile: name }) => ({ layer, source, profile: name })),
+    issues,
+  });
+
+  // Per-agent override first
+  const override = config.model_overrides?.[agentType];
+  if (override && !profileOverride) {
+    return done(override, { layer: 'model_overrides', source: '.planning/config.json' }, []);
+  }
+
+  let chain = profileChain(modelProfileLayers(config), profile, issues);
+  if (chain.length === 0) {
+    // Unknown profile: fall back to balanced, as before custom profiles existed
+    chain = [{ layer: 'builtin', source: 'MODEL_PROFILES', profile: 'balanced', definition: null }];
+  }
+  for (const entry of chain) {
+    const tier = entry.definition ? entry.definition[agentType] : MODEL_PROFILES[agentType]?.[entry.profile];
+    if (typeof tier === 'string') {
+      return done(tier, { layer: entry.layer, profile: entry.profile, source: entry.source }, chain);
+    }
+  }
+  return done(MODEL_PROFILES[agentType]?.balanced || 'sonnet', { layer: 'default' }, chain);
+}
+
 function resolveModelInternal(cwd, agentType) {
+  return explainModelInternal(cwd, agentType).model;
+}
+
+/** Problems in custom profiles and overrides: unknown agents, models, parents and cycles. */
+function modelProfileIssues(cwd) {
   const config = loadConfig(cwd);
+  const issues = [];
+  const checkAgents = (where, map, allowed = []) => {
+    for (const [key, value] of Object.entries(map || {})) {
+      if (allowed.includes(key)) continue;
+      if (!MODEL_PROFILES[key]) issues.push(`${where}: unknown agent "${key}"`);
+      else if (!MODEL_ALIASES.includes(value)) issues.push(`${where}: invalid model "${value}" for ${key}`);
+    }
+  };
 
-  // Check per-agent override first
-  const override = config.model_overrides?.[agentType];
-  if (override) {
-    return override === 'opus' ? 'inherit' : override;
+  checkAgents('model_overrides', config.model_overrides);
+  const layers = modelProfileLayers(config);
+  for (const { source, profiles } of layers) {
+    for (const [name, def] of Object.entries(profiles)) {
+      if (!def || typeof def !== 'object') {
+        issues.push(`${source} model_profiles.${name}: must be an object`);
+        continue;
+      }
+      checkAgents(`${source} model_profiles.${name}`, def, ['extends', 'description']);
+      const chainIssues = [];
+      profileChain(layers, name, chainIssues);
+      for (const issue of chainIssues) issues.push(`${source} model_profiles.${name}: ${issue}`);
+    }
   }
+  const profileIssues = [];
+  profileChain(layers, config.model_profile || 'balanced', profileIssues);
+  issues.push(...profileIssues.filter(i => i.startsWith('Unknown model profile')).map(i => `model_profile: ${i}`));
+  return [...new Set(issues)];
+}
 
-  // Fall back to profile lookup
-  const profile = config.model_profile || 'balanced';
-  const agentModels = MODEL_PROFILES[agentType];
-  if (!agentModels) return 'sonnet';
-  const resolved = agentModels[profile] || agentModels['balanced'] || 'sonnet';
-  return resolved === 'opus' ? 'inherit' : resolved;
+/** Built-in and custom profile names. */
+function listModelProfiles(cwd) {
+  const names = new Set(BUILTIN_PROFILES);
+  for (const { profiles } of modelProfileLayers(loadConfig(cwd))) Object.keys(profiles).forEach(n => names.add(n));
+  return [...names];
 }
 
 // ─── Misc utilities ───────────────────────────────────────────────────────────
@@ -412,7 +566,9 @@ function getMilestoneInfo(cwd) {
 module.exports = {
   MODEL_PROFILES,
   output,
+  setOutputOverride,
   error,
+  warn,
   safeReadFile,
   loadConfig,
   isGitIgnored,
@@ -425,6 +581,9 @@ module.exports = {
   getArchivedPhaseDirs,
   getRoadmapPhaseInternal,
   resolveModelInternal,
+  explainModelInternal,
+  modelProfileIssues,
+  listModelProfiles,
   pathExistsInternal,
   generateSlugInternal,
   getMilestoneInfo,
@@ -0,0 +1,152 @@
+/**
+ * Diff — Line-based unified diff (Myers algorithm), no dependencies
+ */
+
+// Beyond this many edits the changed block is shown as a whole replacement;
+// the Myers trace grows with the square of the edit distance
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Lines of a text. A last line without a trailing newline keeps a '\n'
+ * suffix, which no split line can contain, so it never matches the same
+ * line with a newline and can be marked in the diff.
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += '\n';
+  return lines;
+}
+
+/** Myers shortest edit script, or null when it needs more than maxD edits. */
+function myers(a, b, maxD) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-d..d] as it was before step d
+  const trace = [];
+
+  let last = -1;
+  for (let d = 0; d <= Math.min(max, maxD) && last < 0; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { last = d; break; }
+    }
+  }
+  if (last < 0) return null;
+
+  // Walk the trace backwards to recover the edit script
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = last; d >= 0; d--) {
+    const prev = trace[d];
+    const at = key => prev[key + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d > 0 ? at(prevK) : 0;
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[x - 1] });
+      x--; y--;
+    }
+    if (d > 0) {
+      if (x === prevX) edits.push({ type: '+', line: b[y - 1] });
+      else edits.push({ type: '-', line: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return edits.reverse();
+}
+
+/**
+ * Shortest edit script between two line arrays as a list of
+ * { type: ' '|'-'|'+', line } entries. Past MAX_EDIT_DISTANCE edits the
+ * block between the common prefix and suffix is replaced wholesale.
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = myers(midA, midB, MAX_EDIT_DISTANCE) || [
+    ...midA.map(line => ({ type: '-', line })),
+    ...midB.map(line => ({ type: '+', line })),
+  ];
+  return [
+    ...a.slice(0, start).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: ' ', line })),
+  ];
+}
+
+/**
+ * Unified diff of two texts. Returns '' when they are identical.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  if (oldText === newText) return '';
+  const context = options.context === undefined ? 3 : options.context;
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+  edits.forEach((edit, i) => {
+    if (edit.type !== ' ') {
+      const start = Math.max(0, i - context);
+      if (current && start <= current.end) {
+        current.end = i + context + 1;
+      } else {
+        current = { start, end: i + context + 1 };
+        hunks.push(current);
+      }
+    }
+  });
+
+  const out = [`--- ${options.fromFile || 'a'}`, `+++ ${options.toFile || 'b'}`];
+  let cursor = 0;
+  for (const hunk of hunks) {
+    const end = Math.min(hunk.end, edits.length);
+    for (; cursor < hunk.start; cursor++) {
+      if (edits[cursor].type !== '+') oldLine++;
+      if (edits[cursor].type !== '-') newLine++;
+    }
+    const body = edits.slice(hunk.start, end);
+    const oldCount = body.filter(e => e.type !== '+').length;
+    const newCount = body.filter(e => e.type !== '-').length;
+    out.push(`@@ -${oldCount ? oldLine + 1 : oldLine},${oldCount} +${newCount ? newLine + 1 : newLine},${newCount} @@`);
+    for (const e of body) {
+      if (e.line.endsWith('\n')) out.push(e.type + e.line.slice(0, -1), '\\ No newline at end of file');
+      else out.push(e.type + e.line);
+    }
+    for (; cursor < end; cursor++) {
+      if (edits[cursor].type !== '+') oldLine++;
+      if (edits[cursor].type !== '-') newLine++;
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+};
@@ -0,0 +1,638 @@
+/**
+ * Exports — Checks that an artifact really exports what a plan promises
+ *
+ * JS/TS files are tokenized (comments, strings, templates and regex literals
+ * are skipped) and their ESM and CommonJS exports collected with function
+ * parameters and class members. Other languages go through a regex checker
+ * that only confirms a definition outside comments. Further languages can be
+ * added with registerExportChecker().
+ *
+ * Expected exports are written as:
+ *   name            named export exists ("default" for the default export)
+ *   name(a, b)      exported function (or class constructor) with these parameters
+ *   Name.member     exported class (or object) has this member
+ *   Name.member(a)  ...and the member is a method with these parameters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  tokenize, is, isOpen, skipGroup, skipAngles, skipExpression, skipType,
+} = require('./js-tokens.cjs');
+const { escapeRegex } = require('./core.cjs');
+const { JS_EXTENSIONS, resolveImport } = require('./imports.cjs');
+
+// ─── Parameters ───────────────────────────────────────────────────────────────
+
+const PARAM_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+
+/** Normalized parameter name: `a`, `...rest`, `{}` or `[]` for patterns. */
+function paramName(segment) {
+  const toks = segment.filter(tok => !(tok.type === 'ident' && PARAM_MODIFIERS.has(tok.value) && segment.length > 1));
+  const first = toks[0];
+  if (!first) return null;
+  if (is(first, '...')) return toks[1] ? `...${toks[1].value}` : '...';
+  if (is(first, '{')) return '{}';
+  if (is(first, '[')) return '[]';
+  return first.value;
+}
+
+/** Parameters of the list opened by '(' at t[i]. */
+function parseParams(t, i) {
+  const end = skipGroup(t, i) - 1;
+  const params = [];
+  let segment = [];
+  let angle = 0;
+  for (let j = i + 1; j < end; j++) {
+    const tok = t[j];
+    if (isOpen(tok)) {
+      const next = skipGroup(t, j);
+      segment.push(...t.slice(j, next));
+      j = next - 1;
+      continue;
+    }
+    if (is(tok, '<')) angle++;
+    else if (is(tok, '>') && angle > 0) angle--;
+    if (is(tok, ',') && angle === 0) {
+      params.push(paramName(segment));
+      segment = [];
+    } else {
+      segment.push(tok);
+    }
+  }
+  if (segment.length) params.push(paramName(segment));
+  return { params: params.filter(p => p && p !== 'this'), next: end + 1 };
+}
+
+// ─── Declarations ─────────────────────────────────────────────────────────────
+
+/** Skip a return type and body after a parameter list. */
+function skipFunctionRest(t, j) {
+  if (is(t[j], ':')) j = skipType(t, j + 1, ['{', ';', '=>']);
+  if (is(t[j], '=>')) j++;
+  if (is(t[j], '{')) return skipGroup(t, j);
+  return skipExpression(t, j);
+}
+
+/** `[async] function [*] [name] [<T>] (params) [: R] { ... }` at t[i]. */
+function parseFunction(t, i) {
+  let j = i;
+  if (is(t[j], 'async')) j++;
+  j++; // function
+  if (is(t[j], '*')) j++;
+  let name = null;
+  if (t[j] && t[j].type === 'ident') name = t[j++].value;
+  if (is(t[j], '<')) j = skipAngles(t, j);
+  if (!is(t[j], '(')) return { info: { kind: 'function', name, params: [] }, next: j };
+  const { params, next } = parseParams(t, j);
+  return { info: { kind: 'function', name, params }, next: skipFunctionRest(t, next) };
+}
+
+const MEMBER_MODIFIERS = new Set([
+  'static', 'async', 'get', 'set', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'accessor',
+]);
+
+/** Skip a decorator starting with '@' at t[i]. */
+function skipDecorator(t, i) {
+  let j = i + 1;
+  while (t[j] && (t[j].type === 'ident' || is(t[j], '.'))) j++;
+  if (is(t[j], '(')) j = skipGroup(t, j);
+  return j;
+}
+
+/** Members of a class body opened by '{' at t[i]. */
+function parseClassBody(t, i) {
+  const end = skipGroup(t, i) - 1;
+  const members = new Map();
+  let j = i + 1;
+  while (j < end) {
+    const tok = t[j];
+    if (is(tok, ';') || is(tok, '*')) { j++; continue; }
+    if (is(tok, '@')) { j = skipDecorator(t, j); continue; }
+
+    const next = t[j + 1];
+    if (is(tok, 'static') && is(next, '{')) { j = skipGroup(t, j + 1); continue; }
+    if (tok.type === 'ident' && MEMBER_MODIFIERS.has(tok.value) && next && j + 1 < end &&
+        (next.type === 'ident' || next.type === 'string' || is(next, '[') || is(next, '*'))) {
+      j++;
+      continue;
+    }
+    if (is(tok, '[')) {
+      j = skipGroup(t, j);
+      if (is(t[j], '(')) j = skipFunctionRest(t, parseParams(t, j).next);
+      else j = skipExpression(t, j);
+      continue;
+    }
+    if (tok.type !== 'ident' && tok.type !== 'string' && tok.type !== 'number') { j++; continue; }
+
+    let k = j + 1;
+    if (is(t[k], '?') || is(t[k], '!')) k++;
+    if (is(t[k], '<')) k = skipAngles(t, k);
+    if (is(t[k], '(')) {
+      const { params, next: after } = parseParams(t, k);
+      members.set(tok.value, { kind: 'method', params });
+      j = Math.min(skipFunctionRest(t, after), end);
+    } else {
+      members.set(tok.value, { kind: 'field' });
+      if (is(t[k], ':')) k = skipType(t, k + 1, ['=', ';', '}']);
+      j = is(t[k], '=') ? skipExpression(t, k + 1) : k;
+      // A field ends at ';' or a new line; never step past the class body
+      if (is(t[j], ',')) j++;
+      j = Math.min(j, end);
+    }
+  }
+  return { members, next: end + 1 };
+}
+
+/** `class [Name] [extends X] [implements Y] { ... }` at t[i]. */
+function parseClass(t, i) {
+  let j = i + 1;
+  let name = null;
+  if (t[j] && t[j].type === 'ident' && !['extends', 'implements'].includes(t[j].value)) name = t[j++].value;
+  while (j < t.length && !is(t[j], '{')) {
+    j = is(t[j], '(') || is(t[j], '[') ? skipGroup(t, j) : is(t[j], '<') ? skipAngles(t, j) : j + 1;
+  }
+  if (j >= t.length) return { info: { kind: 'class', name, members: new Map() }, next: j };
+  const { members, next } = parseClassBody(t, j);
+  return { info: { kind: 'class', name, members }, next };
+}
+
+/** Keys of an object literal opened by '{' at t[i]. */
+function parseObjectKeys(t, i) {
+  const end = skipGroup(t, i) - 1;
+  const keys = new Map();
+  let j = i + 1;
+  while (j < end) {
+    if (is(t[j], ',')) { j++; continue; }
+    if (is(t[j], '...')) { j = skipExpression(t, j + 1); continue; }
+    const next = t[j + 1];
+    if (['async', 'get', 'set'].includes(t[j].value) && t[j].type === 'ident' && next &&
+        (next.type === 'ident' || next.type === 'string' || is(next, '['))) {
+      j++;
+      continue;
+    }
+    if (is(t[j], '*')) { j++; continue; }
+    if (is(t[j], '[')) { j = skipExpression(t, skipGroup(t, j)); continue; }
+
+    const key = t[j].value;
+    const after = t[j + 1];
+    if (is(after, ':')) {
+      keys.set(key, parseValue(t, j + 2));
+      j = skipExpression(t, j + 2);
+    } else if (is(after, '(')) {
+      const { params, next: rest } = parseParams(t, j + 1);
+      keys.set(key, { kind: 'function', params });
+      j = skipFunctionRest(t, rest);
+    } else {
+      keys.set(key, { ref: key });
+      j = skipExpression(t, j + 1);
+    }
+  }
+  return { keys, next: end + 1 };
+}
+
+/** What the expression at t[i] evaluates to, as far as exports are concerned. */
+function parseValue(t, i) {
+  const tok = t[i];
+  if (!tok) return { kind: 'value' };
+  if (is(tok, 'function') || (is(tok, 'async') && is(t[i + 1], 'function'))) return parseFunction(t, i).info;
+  if (is(tok, 'class')) return parseClass(t, i).info;
+  if (is(tok, '{')) return { kind: 'object', keys: parseObjectKeys(t, i).keys };
+
+  // Arrow functions: [async] [<T>] (params) [: R] => ... or x => ...
+  let j = i;
+  if (is(t[j], 'async') && (is(t[j + 1], '(') || is(t[j + 1], '<') || (t[j + 1] && t[j + 1].type === 'ident' && is(t[j + 2], '=>')))) j++;
+  if (is(t[j], '<')) j = skipAngles(t, j);
+  if (is(t[j], '(')) {
+    const { params, next } = parseParams(t, j);
+    const arrow = is(t[next], ':') ? skipType(t, next + 1, ['=>', ';', ',']) : next;
+    if (is(t[arrow], '=>')) return { kind: 'function', params };
+  }
+  if (t[j] && t[j].type === 'ident' && is(t[j + 1], '=>')) return { kind: 'function', params: [t[j].value] };
+
+  if (tok.type === 'ident') {
+    const end = skipExpression(t, i);
+    if (end === i + 1) return { ref: tok.value };
+  }
+  return { kind: 'value' };
+}
+
+/** Binding names in a destructuring pattern opened at t[i]. */
+function patternNames(t, i) {
+  const end = skipGroup(t, i);
+  const names = [];
+  for (let j = i + 1; j < end; j++) {
+    const tok = t[j];
+    if (tok.type !== 'ident') continue;
+    const before = t[j - 1];
+    const after = t[j + 1];
+    if (['{', '[', ',', ':', '...'].some(v => is(before, v)) && [',', '}', ']', '='].some(v => is(after, v))) {
+      names.push(tok.value);
+    }
+  }
+  return names;
+}
+
+/** `const|let|var a = ..., { b } = ...` at t[i]; calls record(name, info). */
+function parseDeclarators(t, i, record) {
+  let j = i + 1;
+  for (;;) {
+    const tok = t[j];
+    if (!tok) return j;
+    if (is(tok, '{') || is(tok, '[')) {
+      const names = patternNames(t, j);
+      for (const name of names) record(name, { kind: 'value' });
+      j = skipGroup(t, j);
+    } else if (tok.type === 'ident') {
+      j++;
+      if (is(t[j], '!')) j++;
+      if (is(t[j], ':')) j = skipType(t, j + 1, ['=', ',', ';']);
+      record(tok.value, is(t[j], '=') ? parseValue(t, j + 1) : { kind: 'value' });
+    } else {
+      return j;
+    }
+    if (is(t[j], ':')) j = skipType(t, j + 1, ['=', ',', ';']);
+    if (is(t[j], '=')) j = skipExpression(t, j + 1);
+    if (!is(t[j], ',')) return j;
+    j++;
+  }
+}
+
+// ─── Module scan ──────────────────────────────────────────────────────────────
+
+/** `{ a, b as c, default as d, type E }` opened at t[i]. */
+function parseSpecifiers(t, i) {
+  const end = skipGroup(t, i) - 1;
+  const specs = [];
+  let j = i + 1;
+  while (j < end) {
+    if (is(t[j], ',')) { j++; continue; }
+    if (is(t[j], 'type') && t[j + 1] && t[j + 1].type !== 'punct' && j + 1 < end) j++;
+    const local = t[j].value;
+    let exported = local;
+    if (is(t[j + 1], 'as')) {
+      exported = t[j + 2].value;
+      j += 3;
+    } else {
+      j++;
+    }
+    specs.push({ local, exported });
+  }
+  return { specs, next: end + 1 };
+}
+
+/**
+ * Scan JS/TS source for its exports.
+ * @returns {{ named: Map<string, object>, default: object|null, stars: string[] }}
+ *   Export entries are { kind, params?, members?, keys? }, { ref } for local
+ *   names that could not be resolved, or { from, imported } for re-exports.
+ */
+function scanJsExports(source) {
+  const t = tokenize(source);
+  const locals = new Map();
+  const named = new Map();
+  const stars = [];
+  let defaultExport = null;
+
+  const declare = (info, exportAs) => {
+    if (info.name) locals.set(info.name, info);
+    if (exportAs === 'default') defaultExport = info;
+    else if (exportAs) named.set(exportAs, info);
+  };
+
+  const parseExport = (i) => {
+    let j = i;
+    while (is(t[j], 'declare') || is(t[j], 'abstract')) j++;
+    const tok = t[j];
+    if (!tok) return j;
+
+    if (is(tok, 'default')) {
+      j++;
+      if (is(t[j], 'abstract')) j++;
+      if (is(t[j], 'function') || (is(t[j], 'async') && is(t[j + 1], 'function'))) {
+        const { info, next } = parseFunction(t, j);
+        declare(info, 'default');
+        return next;
+      }
+      if (is(t[j], 'class')) {
+        const { info, next } = parseClass(t, j);
+        declare(info, 'default');
+        return next;
+      }
+      defaultExport = parseValue(t, j);
+      return skipExpression(t, j);
+    }
+    if (is(tok, '=')) {
+      defaultExport = parseValue(t, j + 1);
+      return skipExpression(t, j + 1);
+    }
+    if (is(tok, '*')) {
+      if (is(t[j + 1], 'as')) {
+        named.set(t[j + 2].value, { kind: 'namespace' });
+        return j + 3;
+      }
+      if (is(t[j + 1], 'from') && t[j + 2]) stars.push(t[j + 2].value);
+      return j + 3;
+    }
+    if (is(tok, 'type') && is(t[j + 1], '{')) j++;
+    if (is(t[j], '{')) {
+      const { specs, next } = parseSpecifiers(t, j);
+      const from = is(t[next], 'from') && t[next + 1] ? t[next + 1].value : null;
+      for (const spec of specs) {
+        const entry = from ? { from, imported: spec.local } : { ref: spec.local };
+        if (spec.exported === 'default') defaultExport = entry;
+        else named.set(spec.exported, entry);
+      }
+      return from ? next + 2 : next;
+    }
+    if (is(tok, 'function') || is(tok, 'async')) {
+      const { info, next } = parseFunction(t, j);
+      declare(info, info.name);
+      return next;
+    }
+    if (is(tok, 'class')) {
+      const { info, next } = parseClass(t, j);
+      declare(info, info.name);
+      return next;
+    }
+    if (is(tok, 'const') && is(t[j + 1], 'enum')) {
+      j++;
+    } else if (is(tok, 'const') || is(tok, 'let') || is(tok, 'var')) {
+      return parseDeclarators(t, j, (name, info) => {
+        locals.set(name, info);
+        named.set(name, info);
+      });
+    }
+    if (['type', 'interface', 'enum', 'namespace', 'module'].includes(t[j].value) && t[j + 1] && t[j + 1].type === 'ident') {
+      const kind = t[j].value === 'interface' ? 'type' : t[j].value === 'module' ? 'namespace' : t[j].value;
+      named.set(t[j + 1].value, { kind });
+      let k = j + 2;
+      while (k < t.length && !is(t[k], '{') && !is(t[k], '=') && !is(t[k], ';')) k++;
+      if (is(t[k], '{')) return skipGroup(t, k);
+      return skipExpression(t, k + 1);
+    }
+    if (is(tok, 'import') && t[j + 1] && is(t[j + 2], '=')) {
+      named.set(t[j + 1].value, { kind: 'value' });
+      return skipExpression(t, j + 3);
+    }
+    return j;
+  };
+
+  /** module.exports = ..., module.exports.x = ..., exports.x = ... */
+  const parseCommonJs = (j) => {
+    if (is(t[j], '=')) {
+      const value = parseValue(t, j + 1);
+      defaultExport = value;
+      if (value.kind === 'object') {
+        for (const [key, info] of value.keys) named.set(key, info);
+      }
+      return skipExpression(t, j + 1);
+    }
+    if (is(t[j], '.') && t[j + 1] && t[j + 1].type === 'ident' && is(t[j + 2], '=')) {
+      const value = parseValue(t, j + 3);
+      if (t[j + 1].value === 'default') defaultExport = value;
+      else named.set(t[j + 1].value, value);
+      return skipExpression(t, j + 3);
+    }
+    return j;
+  };
+
+  let i = 0;
+  while (i < t.length) {
+    const tok = t[i];
+    if (isOpen(tok)) { i = skipGroup(t, i); continue; }
+    const member = is(t[i - 1], '.');
+    if (tok.type !== 'ident' || member) { i++; continue; }
+
+    if (tok.value === 'export') {
+      const next = parseExport(i + 1);
+      i = next > i + 1 ? next : i + 1;
+    } else if (tok.value === 'function' || (tok.value === 'async' && is(t[i + 1], 'function'))) {
+      const { info, next } = parseFunction(t, i);
+      declare(info, null);
+      i = next;
+    } else if (tok.value === 'class') {
+      const { info, next } = parseClass(t, i);
+      declare(info, null);
+      i = next;
+    } else if (['const', 'let', 'var'].includes(tok.value)) {
+      i = parseDeclarators(t, i, (name, info) => locals.set(name, info));
+    } else if (tok.value === 'module' && is(t[i + 1], '.') && is(t[i + 2], 'exports')) {
+      i = parseCommonJs(i + 3);
+    } else if (tok.value === 'exports' && is(t[i + 1], '.')) {
+      i = parseCommonJs(i + 1);
+    } else {
+      i++;
+    }
+  }
+
+  const resolve = (entry, seen = new Set()) => {
+    if (!entry || !entry.ref || seen.has(entry.ref)) return entry;
+    seen.add(entry.ref);
+    const local = locals.get(entry.ref);
+    return local ? resolve(local, seen) : { kind: 'value' };
+  };
+  for (const [name, entry] of named) named.set(name, resolve(entry));
+  defaultExport = resolve(defaultExport);
+  // module.exports = localObject exports the object's keys as well
+  if (defaultExport && defaultExport.kind === 'object') {
+    for (const [key, info] of defaultExport.keys) {
+      if (!named.has(key)) named.set(key, resolve(info));
+    }
+  }
+
+  return { named, default: defaultExport, stars };
+}
+
+// ─── JS/TS checker ────────────────────────────────────────────────────────────
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('([{<'.includes(ch)) depth++;
+    else if (')]}>'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/** Parse an expected export like `Store.get(key, fallback)`. */
+function parseExpectation(spec) {
+  const raw = String(spec).trim();
+  const m = raw.match(/^([\w$]+)(?:\.([\w$#]+))?\s*(?:\(([\s\S]*)\))?$/);
+  if (!m) return { raw, name: raw, member: null, params: null };
+  const params = m[3] === undefined ? null : splitTopLevel(m[3]).map(p => {
+    if (p.startsWith('...')) return `...${p.slice(3).match(/^[\w$]*/)[0]}`;
+    if (p.startsWith('{')) return '{}';
+    if (p.startsWith('[')) return '[]';
+    return p.match(/^[\w$]+/) ? p.match(/^[\w$]+/)[0] : p;
+  });
+  return { raw, name: m[1], member: m[2] || null, params };
+}
+
+/**
+ * Look up an export by name, following re-exports and `export *` into
+ * project modules. Returns undefined when absent; entries re-exported from
+ * packages resolve to { kind: 'external' }.
+ */
+function lookupExport(filePath, mod, name, seen = new Set()) {
+  if (seen.has(filePath)) return undefined;
+  seen.add(filePath);
+
+  let entry = name === 'default' ? mod.default : mod.named.get(name);
+  if (entry && entry.from) {
+    const target = resolveImport(filePath, entry.from);
+    if (!target) return { kind: 'external' };
+    const targetMod = scanFile(target);
+    return (targetMod && lookupExport(target, targetMod, entry.imported, seen)) || { kind: 'external' };
+  }
+  if (entry || name === 'default') return entry || undefined;
+
+  for (const star of mod.stars) {
+    const target = resolveImport(filePath, star);
+    if (!target) continue;
+    const targetMod = scanFile(target);
+    entry = targetMod && lookupExport(target, targetMod, name, seen);
+    if (entry) return entry;
+  }
+  return undefined;
+}
+
+function scanFile(filePath) {
+  try {
+    return scanJsExports(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function formatSignature(label, params) {
+  return `${label}(${params.join(', ')})`;
+}
+
+function checkJsExports(content, expected, { filePath }) {
+  const mod = scanJsExports(content);
+  const issues = [];
+
+  for (const spec of expected) {
+    const exp = parseExpectation(spec);
+    const entry = lookupExport(filePath, mod, exp.name);
+    if (!entry) {
+      issues.push(`Missing export: ${exp.raw}`);
+      continue;
+    }
+    // Re-exported from a package: presence is all that can be confirmed
+    if (entry.kind === 'external') continue;
+
+    let target = entry;
+    let label = exp.name;
+    if (exp.member) {
+      label = `${exp.name}.${exp.member}`;
+      const members = entry.kind === 'class' ? entry.members : entry.kind === 'object' ? entry.keys : null;
+      if (!members) {
+        issues.push(`Export ${exp.name} is not a class or object (expected member ${exp.member})`);
+        continue;
+      }
+      target = members.get(exp.member);
+      if (!target) {
+        issues.push(`Missing member: ${label}`);
+        continue;
+      }
+    }
+
+    if (exp.params) {
+      let actual = null;
+      if (target.kind === 'function' || target.kind === 'method') actual = target.params;
+      else if (target.kind === 'class') actual = (target.members.get('constructor') || { params: [] }).params;
+      if (!actual) {
+        issues.push(`${label} is not a function`);
+      } else if (actual.join(',') !== exp.params.join(',')) {
+        issues.push(`Signature mismatch: expected ${formatSignature(label, exp.params)}, found ${formatSignature(label, actual)}`);
+      }
+    }
+  }
+  return issues;
+}
+
+// ─── Regex fallback ───────────────────────────────────────────────────────────
+
+const HASH_COMMENT_EXTENSIONS = ['.py', '.rb', '.sh', '.bash', '.zsh', '.pl', '.r', '.yaml', '.yml', '.toml', '.ex', '.exs'];
+
+const DEFINITION_PATTERNS = {
+  '.py': name => [new RegExp(`^(?:async\\s+)?(?:def|class)\\s+${name}\\b`, 'm'), new RegExp(`^${name}\\s*(?::[^=\\n]*)?=`, 'm')],
+  '.go': name => [new RegExp(`^func\\s+(?:\\([^)]*\\)\\s*)?${name}\\b`, 'm'), new RegExp(`^(?:type|var|const)\\s+${name}\\b`, 'm')],
+  '.rs': name => [new RegExp(`\\bpub(?:\\([^)]*\\))?\\s+(?:async\\s+)?(?:fn|struct|enum|trait|type|const|static|mod)\\s+${name}\\b`), new RegExp(`\\bpub\\s+use\\b[^;]*\\b${name}\\b`)],
+};
+
+function stripComments(content, ext) {
+  if (HASH_COMMENT_EXTENSIONS.includes(ext)) return content.replace(/(^|\s)#.*$/gm, '$1');
+  if (['.sql', '.lua', '.hs'].includes(ext)) return content.replace(/--.*$/gm, '');
+  return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Fallback for languages without a parser: the name must appear outside
+ * comments, as a definition where the language is known.
+ */
+function checkRegexExports(content, expected, { filePath }) {
+  const ext = path.extname(filePath).toLowerCase();
+  const code = stripComments(content, ext);
+  const issues = [];
+  for (const spec of expected) {
+    const exp = parseExpectation(spec);
+    const names = exp.member ? [exp.name, exp.member] : [exp.name];
+    const found = names.every(name => {
+      const escaped = escapeRegex(name);
+      const patterns = DEFINITION_PATTERNS[ext] ? DEFINITION_PATTERNS[ext](escaped) : [new RegExp(`(^|[^\\w$])${escaped}($|[^\\w$])`)];
+      return patterns.some(p => p.test(code));
+    });
+    if (!found) issues.push(`Missing export: ${exp.raw}`);
+  }
+  return issues;
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+const checkers = [];
+
+/**
+ * Register an export checker for file extensions. Later registrations take
+ * precedence. `check(content, expected, { filePath })` returns issue strings.
+ */
+function registerExportChecker(name, extensions, check) {
+  checkers.unshift({ name, extensions: extensions.map(e => e.toLowerCase()), check });
+}
+
+registerExportChecker('js', JS_EXTENSIONS, checkJsExports);
+
+/**
+ * Check that the file exports everything in `expected`.
+ * @returns {{ checker: string, issues: string[] }}
+ */
+function checkExports(filePath, content, expected) {
+  const ext = path.extname(filePath).toLowerCase();
+  const checker = checkers.find(c => c.extensions.includes(ext));
+  if (checker) {
+    try {
+      return { checker: checker.name, issues: checker.check(content, expected, { filePath }) };
+    } catch {
+      // Unparseable source: fall back to the regex checker below
+    }
+  }
+  return { checker: 'regex', issues: checkRegexExports(content, expected, { filePath }) };
+}
+
+module.exports = {
+  scanJsExports,
+  parseExpectation,
+  checkExports,
+  registerExportChecker,
+};
@@ -4,238 +4,88 @@
 
 const fs = require('fs');
 const path = require('path');
-const { safeReadFile, output, error } = require('./core.cjs');
+const { safeReadFile, output, error, warn } = require('./core.cjs');
+const { parseYamlDocument, stringifyYaml } = require('./yaml.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { SCHEMA_TYPES, loadSchema, validateSchema } = require('./schema.cjs');
 
 // ─── Parsing engine ───────────────────────────────────────────────────────────
 
-function extractFrontmatter(content) {
-  const frontmatter = {};
-  const match = content.match(/^---\n([\s\S]+?)\n---/);
-  if (!match) return frontmatter;
+const FRONTMATTER_PATTERN = /^---\n([\s\S]+?)\n---/;
 
-  const yaml = match[1];
-  const lines = yaml.split('\n');
-
-  // Stack to track nested objects: [{obj, key, indent}]
-  // obj = object to write to, key = current key collecting array items, indent = indentation level
-  let stack = [{ obj: frontmatter, key: null, indent: -1 }];
-
-  for (const line of lines) {
-    // Skip empty lines
-    if (line.trim() === '') continue;
-
-    // Calculate indentation (number of leading spaces)
-    const indentMatch = line.match(/^(\s*)/);
-    const indent = indentMatch ? indentMatch[1].length : 0;
-
-    // Pop stack back to appropriate level
-    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
-      stack.pop();
-    }
-
-    const current = stack[stack.length - 1];
-
-    // Check for key: value pattern
-    const keyMatch = line.match(/^(\s*)([a-zA-Z0-9_-]+):\s*(.*)/);
-    if (keyMatch) {
-      const key = keyMatch[2];
-      const value = keyMatch[3].trim();
-
-      if (value === '' || value === '[') {
-        // Key with no value or opening bracket — could be nested object or array
-        // We'll determine based on next lines, for now create placeholder
-        current.obj[key] = value === '[' ? [] : {};
-        current.key = null;
-        // Push new context for potential nested content
-        stack.push({ obj: current.obj[key], key: null, indent });
-      } else if (value.startsWith('[') && value.endsWith(']')) {
-        // Inline array: key: [a, b, c]
-        current.obj[key] = value.slice(1, -1).split(',').map(s => s.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
-        current.key = null;
-      } else {
-        // Simple key: value
-        current.obj[key] = value.replace(/^["']|["']$/g, '');
-        current.key = null;
-      }
-    } else if (line.trim().startsWith('- ')) {
-      // Array item
-      const itemValue = line.trim().slice(2).replace(/^["']|["']$/g, '');
-
-      // If current context is an empty object, convert to array
-      if (typeof current.obj === 'object' && !Array.isArray(current.obj) && Object.keys(current.obj).length === 0) {
-        // Find the key in parent that points to this object and convert it
-        const parent = stack.length > 1 ? stack[stack.length - 2] : null;
-        if (parent) {
-          for (const k of Object.keys(parent.obj)) {
-            if (parent.obj[k] === current.obj) {
-              parent.obj[k] = [itemValue];
-              current.obj = parent.obj[k];
-              break;
-            }
-          }
-        }
-      } else if (Array.isArray(current.obj)) {
-        current.obj.push(itemValue);
-      }
-    }
+/**
+ * Parse the frontmatter block into { data, comments } (see yaml.cjs).
+ * Throws on malformed YAML; returns null when the content has no frontmatter.
+ */
+function parseFrontmatterDocument(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) return null;
+  const { value, comments } = parseYamlDocument(match[1]);
+  if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new Error('frontmatter must be a mapping');
   }
-
-  return frontmatter;
+  return { data: value || {}, comments };
 }
 
-function reconstructFrontmatter(obj) {
-  const lines = [];
-  for (const [key, value] of Object.entries(obj)) {
-    if (value === null || value === undefined) continue;
-    if (Array.isArray(value)) {
-      if (value.length === 0) {
-        lines.push(`${key}: []`);
-      } else if (value.every(v => typeof v === 'string') && value.length <= 3 && value.join(', ').length < 60) {
-        lines.push(`${key}: [${value.join(', ')}]`);
-      } else {
-        lines.push(`${key}:`);
-        for (const item of value) {
-          lines.push(`  - ${typeof item === 'string' && (item.includes(':') || item.includes('#')) ? `"${item}"` : item}`);
-        }
-      }
-    } else if (typeof value === 'object') {
-      lines.push(`${key}:`);
-      for (const [subkey, subval] of Object.entries(value)) {
-        if (subval === null || subval === undefined) continue;
-        if (Array.isArray(subval)) {
-          if (subval.length === 0) {
-            lines.push(`  ${subkey}: []`);
-          } else if (subval.every(v => typeof v === 'string') && subval.length <= 3 && subval.join(', ').length < 60) {
-            lines.push(`  ${subkey}: [${subval.join(', ')}]`);
-          } else {
-            lines.push(`  ${subkey}:`);
-            for (const item of subval) {
-              lines.push(`    - ${typeof item === 'string' && (item.includes(':') || item.includes('#')) ? `"${item}"` : item}`);
-            }
-          }
-        } else if (typeof subval === 'object') {
-          lines.push(`  ${subkey}:`);
-          for (const [subsubkey, subsubval] of Object.entries(subval)) {
-            if (subsubval === null || subsubval === undefined) continue;
-            if (Array.isArray(subsubval)) {
-              if (subsubval.length === 0) {
-                lines.push(`    ${subsubkey}: []`);
-              } else {
-                lines.push(`    ${subsubkey}:`);
-                for (const item of subsubval) {
-                  lines.push(`      - ${item}`);
-                }
-              }
-            } else {
-              lines.push(`    ${subsubkey}: ${subsubval}`);
-            }
-          }
-        } else {
-          const sv = String(subval);
-          lines.push(`  ${subkey}: ${sv.includes(':') || sv.includes('#') ? `"${sv}"` : sv}`);
-        }
-      }
-    } else {
-      const sv = String(value);
-      if (sv.includes(':') || sv.includes('#') || sv.startsWith('[') || sv.startsWith('{')) {
-        lines.push(`${key}: "${sv}"`);
-      } else {
-        lines.push(`${key}: ${sv}`);
-      }
-    }
+/**
+ * Frontmatter fields for read paths. A block that does not parse yields {}
+ * with a warning naming `source`, so a broken plan is never silently read
+ * as having no wave, depends_on or must_haves.
+ */
+function extractFrontmatter(content, source) {
+  try {
+    const doc = parseFrontmatterDocument(content);
+    return doc ? doc.data : {};
+  } catch (e) {
+    warn(`Cannot parse frontmatter${source ? ` in ${source}` : ''}: ${e.message}; its fields are ignored`);
+    return {};
   }
-  return lines.join('\n');
+}
+
+function reconstructFrontmatter(obj, comments) {
+  return stringifyYaml(obj, { comments });
 }
 
 function spliceFrontmatter(content, newObj) {
-  const yamlStr = reconstructFrontmatter(newObj);
-  const match = content.match(/^---\n[\s\S]+?\n---/);
+  const match = content.match(FRONTMATTER_PATTERN);
   if (match) {
-    return `---\n${yamlStr}\n---` + content.slice(match[0].length);
+    // Keep the comments and blank-line grouping of the block being replaced
+    let comments = null;
+    try { comments = parseYamlDocument(match[1]).comments; } catch {}
+    return `---\n${reconstructFrontmatter(newObj, comments)}\n---` + content.slice(match[0].length);
   }
-  return `---\n${yamlStr}\n---\n\n` + content;
+  return `---\n${reconstructFrontmatter(newObj)}\n---\n\n` + content;
 }
 
-function parseMustHavesBlock(content, blockName) {
-  // Extract a specific block from must_haves in raw frontmatter YAML
-  // Handles 3-level nesting: must_haves > artifacts/key_links > [{path, provides, ...}]
-  const fmMatch = content.match(/^---\n([\s\S]+?)\n---/);
-  if (!fmMatch) return [];
-
-  const yaml = fmMatch[1];
-  // Find the block (e.g., "truths:", "artifacts:", "key_links:")
-  const blockPattern = new RegExp(`^\\s{4}${blockName}:\\s*$`, 'm');
-  const blockStart = yaml.search(blockPattern);
-  if (blockStart === -1) return [];
-
-  const afterBlock = yaml.slice(blockStart);
-  const blockLines = afterBlock.split('\n').slice(1); // skip the header line
+function parseMustHavesBlock(content, blockName, source) {
+  // Extract a specific block from must_haves (e.g. truths, artifacts, key_links)
+  const mustHaves = extractFrontmatter(content, source).must_haves;
+  if (!mustHaves || typeof mustHaves !== 'object') return [];
+  const block = mustHaves[blockName];
+  return Array.isArray(block) ? block : [];
+}
 
-  const items = [];
-  let current = null;
+// ─── Frontmatter CRUD commands ────────────────────────────────────────────────
 
-  for (const line of blockLines) {
-    // Stop at same or lower indent level (non-continuation)
-    if (line.trim() === '') continue;
-    const indent = line.match(/^(\s*)/)[1].length;
-    if (indent <= 4 && line.trim() !== '') break; // back to must_haves level or higher
+// JSON Schemas from get-shit-done/schemas/, keyed by artifact type
+const FRONTMATTER_SCHEMAS = Object.fromEntries(SCHEMA_TYPES.map(type => [type, loadSchema(type)]));
 
-    if (line.match(/^\s{6}-\s+/)) {
-      // New list item at 6-space indent
-      if (current) items.push(current);
-      current = {};
-      // Check if it's a simple string item
-      const simpleMatch = line.match(/^\s{6}-\s+"?([^"]+)"?\s*$/);
-      if (simpleMatch && !line.includes(':')) {
-        current = simpleMatch[1];
-      } else {
-        // Key-value on same line as dash: "- path: value"
-        const kvMatch = line.match(/^\s{6}-\s+(\w+):\s*"?([^"]*)"?\s*$/);
-        if (kvMatch) {
-          current = {};
-          current[kvMatch[1]] = kvMatch[2];
-        }
-      }
-    } else if (current && typeof current === 'object') {
-      // Continuation key-value at 8+ space indent
-      const kvMatch = line.match(/^\s{8,}(\w+):\s*"?([^"]*)"?\s*$/);
-      if (kvMatch) {
-        const val = kvMatch[2];
-        // Try to parse as number
-        current[kvMatch[1]] = /^\d+$/.test(val) ? parseInt(val, 10) : val;
-      }
-      // Array items under a key
-      const arrMatch = line.match(/^\s{10,}-\s+"?([^"]+)"?\s*$/);
-      if (arrMatch) {
-        // Find the last key added and convert to array
-        const keys = Object.keys(current);
-        const lastKey = keys[keys.length - 1];
-        if (lastKey && !Array.isArray(current[lastKey])) {
-          current[lastKey] = current[lastKey] ? [current[lastKey]] : [];
-        }
-        if (lastKey) current[lastKey].push(arrMatch[1]);
-      }
-    }
+/** Parse frontmatter for a rewrite, refusing to clobber a block that failed to parse. */
+function readFrontmatterForEdit(content, filePath) {
+  try {
+    const doc = parseFrontmatterDocument(content);
+    return doc ? doc.data : {};
+  } catch (e) {
+    error(`Cannot parse frontmatter in ${filePath}: ${e.message}`);
   }
-  if (current) items.push(current);
-
-  return items;
 }
 
-// ─── Frontmatter CRUD commands ────────────────────────────────────────────────
-
-const FRONTMATTER_SCHEMAS = {
-  plan: { required: ['phase', 'plan', 'type', 'wave', 'depends_on', 'files_modified', 'autonomous', 'must_haves'] },
-  summary: { required: ['phase', 'plan', 'subsystem', 'tags', 'duration', 'completed'] },
-  verification: { required: ['phase', 'verified', 'status', 'score'] },
-};
-
 function cmdFrontmatterGet(cwd, filePath, field, raw) {
   if (!filePath) { error('file path required'); }
   const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
   const content = safeReadFile(fullPath);
   if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
-  const fm = extractFrontmatter(content);
+  const fm = extractFrontmatter(content, filePath);
   if (field) {
     const value = fm[field];
     if (value === undefined) { output({ error: 'Field not found', field }, raw); return; }
@@ -250,12 +100,12 @@ function cmdFrontmatterSet(cwd, filePath, field, value, raw) {
   const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
   if (!fs.existsSync(fullPath)) { output({ error: 'File not found', path: filePath }, raw); return; }
   const content = fs.readFileSync(fullPath, 'utf-8');
-  const fm = extractFrontmatter(content);
+  const fm = readFrontmatterForEdit(content, filePath);
   let parsedValue;
   try { parsedValue = JSON.parse(value); } catch { parsedValue = value; }
   fm[field] = parsedValue;
   const newContent = spliceFrontmatter(content, fm);
-  fs.writeFileSync(fullPath, newContent, 'utf-8');
+  commitTransaction(createTransaction().write(fullPath, newContent));
   output({ updated: true, field, value: parsedValue }, raw, 'true');
 }
 
@@ -264,15 +114,36 @@ function cmdFrontmatterMerge(cwd, filePath, data, raw) {
   const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
   if (!fs.existsSync(fullPath)) { output({ error: 'File not found', path: filePath }, raw); return; }
   const content = fs.readFileSync(fullPath, 'utf-8');
-  const fm = extractFrontmatter(content);
+  const fm = readFrontmatterForEdit(content, filePath);
   let mergeData;
   try { mergeData = JSON.parse(data); } catch { error('Invalid JSON for --data'); return; }
   Object.assign(fm, mergeData);
   const newContent = spliceFrontmatter(content, fm);
-  fs.writeFileSync(fullPath, newContent, 'utf-8');
+  commitTransaction(createTransaction().write(fullPath, newContent));
   output({ merged: true, fields: Object.keys(mergeData) }, raw, 'true');
 }
 
+/**
+ * Check frontmatter against an artifact schema. `missing` lists absent
+ * required keys; `errors` covers type, enum and nested shape problems;
+ * `parseError` is set when the YAML block itself does not parse.
+ */
+function checkFrontmatter(content, schema) {
+  let fm = {};
+  let parseError = null;
+  try {
+    const doc = parseFrontmatterDocument(content);
+    fm = doc ? doc.data : {};
+  } catch (err) {
+    parseError = err.message;
+  }
+  const required = schema.required || [];
+  const missing = required.filter(f => fm[f] === undefined);
+  const present = required.filter(f => fm[f] !== undefined);
+  const errors = parseError ? [] : validateSchema(fm, schema).filter(e => !missing.includes(e.path));
+  return { fm, missing, present, errors, parseError };
+}
+
 function cmdFrontmatterValidate(cwd, filePath, schemaName, raw) {
   if (!filePath || !schemaName) { error('file and schema required'); }
   const schema = FRONTMATTER_SCHEMAS[schemaName];
@@ -280,18 +151,19 @@ function cmdFrontmatterValidate(cwd, filePath, schemaName, raw) {
   const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
   const content = safeReadFile(fullPath);
   if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
-  const fm = extractFrontmatter(content);
-  const missing = schema.required.filter(f => fm[f] === undefined);
-  const present = schema.required.filter(f => fm[f] !== undefined);
-  output({ valid: missing.length === 0, missing, present, schema: schemaName }, raw, missing.length === 0 ? 'valid' : 'invalid');
+  const { missing, present, errors } = checkFrontmatter(content, schema);
+  const valid = missing.length === 0 && errors.length === 0;
+  output({ valid, missing, present, errors, schema: schemaName }, raw, valid ? 'valid' : 'invalid');
 }
 
 module.exports = {
+  parseFrontmatterDocument,
   extractFrontmatter,
   reconstructFrontmatter,
   spliceFrontmatter,
   parseMustHavesBlock,
   FRONTMATTER_SCHEMAS,
+  checkFrontmatter,
   cmdFrontmatterGet,
   cmdFrontmatterSet,
   cmdFrontmatterMerge,
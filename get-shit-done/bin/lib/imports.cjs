@@ -0,0 +1,226 @@
+/**
+ * Imports — Resolve JS/TS import statements to files and walk the import graph
+ *
+ * Specifiers resolve like a bundler would for project code: relative paths
+ * with implied extensions and index files, `.js` imports of `.ts` sources,
+ * and tsconfig/jsconfig `paths` aliases and `baseUrl`. Package imports do
+ * not resolve.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, is } = require('./js-tokens.cjs');
+
+const JS_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx'];
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const DEFAULT_MAX_DEPTH = 5;
+
+function isFile(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/** The file a module path refers to: as is, with an extension, or its index file. */
+function resolveFile(base) {
+  const candidates = [
+    base,
+    ...JS_EXTENSIONS.map(ext => base + ext),
+    // TS sources import './x.js' for './x.ts'
+    ...(/\.[cm]?js$/.test(base) ? ['.ts', '.tsx', '.mts', '.cts'].map(ext => base.replace(/\.[cm]?js$/, '') + ext) : []),
+    ...JS_EXTENSIONS.map(ext => path.join(base, 'index' + ext)),
+  ];
+  return candidates.find(isFile) || null;
+}
+
+function isJsFile(filePath) {
+  return JS_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// ─── tsconfig paths ───────────────────────────────────────────────────────────
+
+/** JSON with comments and trailing commas, as tsconfig.json allows. */
+function parseJsonc(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      out += text.slice(i, j + 1);
+      i = j;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * compilerOptions baseUrl and paths from a tsconfig, following relative
+ * `extends`. Paths resolve against baseUrl, or the config that declares them.
+ */
+function loadPathConfig(configPath, depth = 0) {
+  let config;
+  try {
+    config = parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+  } catch {
+    return { baseUrl: null, paths: null, pathsBase: null };
+  }
+
+  let inherited = { baseUrl: null, paths: null, pathsBase: null };
+  if (typeof config.extends === 'string' && config.extends.startsWith('.') && depth < 5) {
+    let parent = path.resolve(path.dirname(configPath), config.extends);
+    if (!parent.endsWith('.json')) parent += '.json';
+    inherited = loadPathConfig(parent, depth + 1);
+  }
+
+  const options = config.compilerOptions || {};
+  const dir = path.dirname(configPath);
+  const baseUrl = options.baseUrl !== undefined ? path.resolve(dir, options.baseUrl) : inherited.baseUrl;
+  const paths = options.paths || inherited.paths;
+  const pathsBase = baseUrl || (options.paths ? dir : inherited.pathsBase);
+  return { baseUrl, paths, pathsBase };
+}
+
+const pathConfigCache = new Map();
+
+/** Path config of the nearest tsconfig.json/jsconfig.json above a directory. */
+function findPathConfig(dir) {
+  if (pathConfigCache.has(dir)) return pathConfigCache.get(dir);
+  let result = null;
+  const config = CONFIG_FILES.map(name => path.join(dir, name)).find(isFile);
+  if (config) {
+    result = loadPathConfig(config);
+  } else {
+    const parent = path.dirname(dir);
+    if (parent !== dir && path.basename(dir) !== 'node_modules') result = findPathConfig(parent);
+  }
+  pathConfigCache.set(dir, result);
+  return result;
+}
+
+function resolveAlias(specifier, config) {
+  if (config.paths) {
+    // Most specific pattern first, as TypeScript does
+    const patterns = Object.keys(config.paths).sort((a, b) => b.split('*')[0].length - a.split('*')[0].length);
+    for (const pattern of patterns) {
+      let star = null;
+      if (pattern.includes('*')) {
+        const [prefix, suffix] = pattern.split('*');
+        if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) ||
+            specifier.length < prefix.length + suffix.length) continue;
+        star = specifier.slice(prefix.length, specifier.length - suffix.length);
+      } else if (pattern !== specifier) {
+        continue;
+      }
+      for (const target of [].concat(config.paths[pattern])) {
+        const mapped = star === null ? target : target.replace('*', star);
+        const file = resolveFile(path.resolve(config.pathsBase, mapped));
+        if (file) return file;
+      }
+    }
+  }
+  if (config.baseUrl) return resolveFile(path.resolve(config.baseUrl, specifier));
+  return null;
+}
+
+/**
+ * Absolute path of the file an import specifier refers to, or null for
+ * packages and anything that does not resolve.
+ */
+function resolveImport(fromFile, specifier) {
+  if (!specifier) return null;
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+  const config = findPathConfig(path.dirname(path.resolve(fromFile)));
+  return config ? resolveAlias(specifier, config) : null;
+}
+
+// ─── Import scan ──────────────────────────────────────────────────────────────
+
+/**
+ * Module specifiers a JS/TS source imports: static and side-effect imports,
+ * `export ... from`, require(), dynamic import() and `import x = require()`.
+ */
+function scanImports(source) {
+  const t = tokenize(source);
+  const specifiers = [];
+  for (let i = 0; i < t.length; i++) {
+    const tok = t[i];
+    if (tok.type !== 'string') continue;
+    const prev = t[i - 1];
+    const member = is(t[i - 3], '.');
+    if (is(prev, 'from') || (is(prev, 'import') && !is(t[i - 2], '.'))) {
+      specifiers.push(tok.value);
+    } else if (is(prev, '(') && is(t[i + 1], ')') && !member &&
+        (is(t[i - 2], 'require') || is(t[i - 2], 'import'))) {
+      specifiers.push(tok.value);
+    }
+  }
+  return [...new Set(specifiers)];
+}
+
+const importCache = new Map();
+
+/** Resolved project files a file imports (cached per process). */
+function fileImports(filePath) {
+  if (importCache.has(filePath)) return importCache.get(filePath);
+  let files = [];
+  try {
+    const source = fs.readFileSync(filePath, 'utf-8');
+    files = [...new Set(scanImports(source).map(spec => resolveImport(filePath, spec)).filter(Boolean))];
+  } catch {}
+  importCache.set(filePath, files);
+  return files;
+}
+
+/**
+ * Shortest import chain from one file to another, breadth-first through
+ * project files up to maxDepth imports long.
+ * @returns {string[]|null} absolute paths from `fromFile` to `toFile`
+ */
+function findImportChain(fromFile, toFile, maxDepth = DEFAULT_MAX_DEPTH) {
+  const from = path.resolve(fromFile);
+  const to = path.resolve(toFile);
+  const previous = new Map([[from, null]]);
+  let frontier = [from];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const file of frontier) {
+      for (const imported of fileImports(file)) {
+        if (previous.has(imported)) continue;
+        previous.set(imported, file);
+        if (imported === to) {
+          const chain = [to];
+          for (let step = file; step; step = previous.get(step)) chain.unshift(step);
+          return chain;
+        }
+        if (isJsFile(imported) && !imported.split(path.sep).includes('node_modules')) next.push(imported);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+module.exports = {
+  JS_EXTENSIONS,
+  DEFAULT_MAX_DEPTH,
+  resolveFile,
+  resolveImport,
+  parseJsonc,
+  scanImports,
+  findImportChain,
+  isJsFile,
+};
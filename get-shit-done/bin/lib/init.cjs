@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const { loadConfig, resolveModelInternal, findPhaseInternal, getRoadmapPhaseInternal, pathExistsInternal, generateSlugInternal, getMilestoneInfo, normalizePhaseName, toPosixPath, output, error } = require('./core.cjs');
+const { findPauseSnapshot } = require('./pause.cjs');
 
 function cmdInitExecutePhase(cwd, phase, raw) {
   if (!phase) {
@@ -159,6 +160,12 @@ function cmdInitPlanPhase(cwd, phase, raw) {
   output(result, raw);
 }
 
+/** Configured websearch provider, or 'brave' for the legacy brave_search flag. */
+function websearchProvider(config) {
+  if (config.websearch && config.websearch.provider) return config.websearch.provider;
+  return config.brave_search ? 'brave' : null;
+}
+
 function cmdInitNewProject(cwd, raw) {
   const config = loadConfig(cwd);
 
@@ -210,6 +217,7 @@ function cmdInitNewProject(cwd, raw) {
 
     // Enhanced search
     brave_search_available: hasBraveSearch,
+    websearch_provider: websearchProvider(config),
 
     // File paths
     project_path: '.planning/PROJECT.md',
@@ -325,6 +333,9 @@ function cmdInitResume(cwd, raw) {
     has_interrupted_agent: !!interruptedAgentId,
     interrupted_agent_id: interruptedAgentId,
 
+    // Automatic snapshot from `pause snapshot` (context monitor), newest first
+    pause_snapshot: findPauseSnapshot(cwd),
+
     // Config
     commit_docs: config.commit_docs,
   };
@@ -390,6 +401,7 @@ function cmdInitPhaseOp(cwd, phase, raw) {
     // Config
     commit_docs: config.commit_docs,
     brave_search: config.brave_search,
+    websearch_provider: websearchProvider(config),
 
     // Phase info
     phase_found: !!phaseInfo,
@@ -0,0 +1,243 @@
+/**
+ * Journal — Operation journal with before-images, `journal list` and `undo`
+ *
+ * main() opens an operation for every mutating command; each committed
+ * transaction appends its CommitRecords (before-images of written files,
+ * snapshots of removed trees, renames, created dirs) to one entry file in
+ * .planning/.journal/. `undo` replays the inverse of the newest entries as
+ * a single transaction, refusing when files changed since unless --force.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath, output, error } = require('./core.cjs');
+const { createTransaction, setCommitObserver, hashContent, decodeContent, isDryRun } = require('./transaction.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+
+const JOURNAL_DIR = '.journal';
+const JOURNAL_LIMIT = 50;
+
+function journalDir(cwd) {
+  return path.join(cwd, '.planning', JOURNAL_DIR);
+}
+
+function readEntries(cwd) {
+  const dir = journalDir(cwd);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d+\.json$/.test(f))
+    .map(f => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id);
+}
+
+function entryPath(cwd, id) {
+  return path.join(journalDir(cwd), `${String(id).padStart(6, '0')}.json`);
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+function toJournalRecord(cwd, record) {
+  const rel = p => toPosixPath(path.relative(cwd, p));
+  if (record.op === 'rename') return { ...record, from: rel(record.from), to: rel(record.to) };
+  return { ...record, path: rel(record.path) };
+}
+
+/**
+ * Claim the next entry id by creating its file exclusively. Commands that
+ * skip the planning lock can journal at the same time; a writer that loses
+ * the race for an id moves on to the next one.
+ */
+function reserveEntry(cwd, fields) {
+  const ids = fs.readdirSync(journalDir(cwd)).map(f => f.match(/^(\d+)\.json$/)).filter(Boolean).map(m => parseInt(m[1], 10));
+  for (let id = ids.length > 0 ? Math.max(...ids) + 1 : 1; ; id++) {
+    const entry = { id, ...fields };
+    try {
+      fs.writeFileSync(entryPath(cwd, id), JSON.stringify(entry, null, 2), { encoding: 'utf-8', flag: 'wx' });
+      return entry;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+}
+
+/**
+ * Start journaling this process's commits as one entry for `command`.
+ * Nothing is written until a transaction commits, so read-only commands
+ * leave no entry.
+ */
+function beginOperation(cwd, command) {
+  let entry = null;
+  setCommitObserver(records => {
+    if (!fs.existsSync(path.join(cwd, '.planning'))) return;
+    const dir = journalDir(cwd);
+    if (!entry) {
+      fs.mkdirSync(dir, { recursive: true });
+      // The journal is local history, never committed with planning docs
+      const ignorePath = path.join(dir, '.gitignore');
+      if (!fs.existsSync(ignorePath)) fs.writeFileSync(ignorePath, '*\n', 'utf-8');
+
+      const existing = readEntries(cwd);
+      for (const old of existing.slice(0, Math.max(0, existing.length - JOURNAL_LIMIT + 1))) {
+        fs.rmSync(entryPath(cwd, old.id), { force: true });
+      }
+      entry = reserveEntry(cwd, { command: command.slice(0, 200), timestamp: new Date().toISOString(), records: [] });
+    }
+    entry.records.push(...records.map(r => toJournalRecord(cwd, r)));
+    fs.writeFileSync(entryPath(cwd, entry.id), JSON.stringify(entry, null, 2), 'utf-8');
+  });
+}
+
+function entryFiles(entry) {
+  const files = new Set();
+  for (const r of entry.records) {
+    if (r.op === 'rename') {
+      files.add(r.from);
+      files.add(r.to);
+    } else {
+      files.add(r.path);
+    }
+  }
+  return [...files];
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+function cmdJournalList(cwd, options, raw) {
+  const limit = options.limit ? parseInt(options.limit, 10) : null;
+  let entries = readEntries(cwd).reverse();
+  if (limit && limit > 0) entries = entries.slice(0, limit);
+
+  const list = entries.map(e => ({
+    id: e.id,
+    command: e.command,
+    timestamp: e.timestamp,
+    files: entryFiles(e),
+  }));
+  const rawText = list.map(e => `#${e.id}  ${e.timestamp}  ${e.command}  (${e.files.length} paths)`).join('\n');
+  output({ entries: list, count: list.length }, raw, rawText);
+}
+
+/**
+ * Stage the inverse of `entries` (newest first) on a transaction. A virtual
+ * view tracks paths already reverted so older entries are checked against
+ * the state the newer undo steps will leave, not the current disk.
+ * Returns conflicts found where disk no longer matches the recorded after-state.
+ */
+function stageUndo(cwd, entries, tx) {
+  const virtual = new Map();
+  const abs = p => path.resolve(cwd, p);
+  const exists = p => (virtual.has(p) ? virtual.get(p) !== null : fs.existsSync(p));
+  const currentHash = p => {
+    if (virtual.has(p)) return virtual.get(p) === null ? null : hashContent(virtual.get(p));
+    return fs.existsSync(p) && fs.statSync(p).isFile() ? hashContent(fs.readFileSync(p)) : null;
+  };
+  const conflicts = [];
+
+  for (const entry of entries) {
+    for (const record of [...entry.records].reverse()) {
+      const where = `#${entry.id} (${entry.command})`;
+      switch (record.op) {
+        case 'write': {
+          const p = abs(record.path);
+          if (currentHash(p) !== record.after_hash) conflicts.push(`${record.path} changed since ${where}`);
+          const before = record.before === null ? null : decodeContent(record.before, record.encoding);
+          if (before === null) tx.remove(p);
+          else tx.write(p, before);
+          virtual.set(p, before);
+          break;
+        }
+        case 'mkdir': {
+          const p = abs(record.path);
+          tx.rmdir(p);
+          virtual.set(p, null);
+          break;
+        }
+        case 'rename': {
+          const from = abs(record.from);
+          const to = abs(record.to);
+          if (!exists(to) || exists(from)) conflicts.push(`${record.to} moved since ${where}`);
+          tx.rename(to, from);
+          virtual.set(from, virtual.has(to) ? virtual.get(to) : '');
+          virtual.set(to, null);
+          break;
+        }
+        case 'remove': {
+          const p = abs(record.path);
+          if (exists(p)) conflicts.push(`${record.path} recreated since ${where}`);
+          if (!record.snapshot) {
+            conflicts.push(`${record.path} has no before-image in ${where}`);
+            break;
+          }
+          if (record.snapshot.type === 'file') {
+            const content = decodeContent(record.snapshot.content, record.snapshot.encoding);
+            tx.write(p, content);
+            virtual.set(p, content);
+          } else {
+            tx.mkdir(p);
+            for (const item of record.snapshot.entries) {
+              if (item.dir) tx.mkdir(path.join(p, item.path));
+              else tx.write(path.join(p, item.path), decodeContent(item.content, item.encoding));
+            }
+            virtual.set(p, '');
+          }
+          break;
+        }
+      }
+    }
+  }
+  return conflicts;
+}
+
+function cmdUndo(cwd, options, raw) {
+  const steps = options.steps !== undefined ? parseInt(options.steps, 10) : 1;
+  if (!Number.isInteger(steps) || steps < 1) {
+    error('--steps must be a positive integer');
+  }
+
+  acquirePlanningLock(cwd);
+  const all = readEntries(cwd);
+  if (all.length === 0) {
+    error('Nothing to undo: the operation journal is empty');
+  }
+  const entries = all.slice(-steps).reverse();
+
+  const tx = createTransaction();
+  const conflicts = stageUndo(cwd, entries, tx);
+  if (conflicts.length > 0 && !options.force) {
+    error(`Cannot undo safely:\n  ${conflicts.join('\n  ')}\nRe-run with --force to overwrite these changes.`);
+  }
+
+  // Reverting is not itself journaled
+  setCommitObserver(null);
+  try {
+    tx.commit();
+  } catch (err) {
+    error(`Undo failed: ${err.message}`);
+  }
+  // A dry run previews the undo and keeps the entries
+  if (!isDryRun()) {
+    for (const entry of entries) fs.rmSync(entryPath(cwd, entry.id), { force: true });
+  }
+
+  const undone = entries.map(e => ({ id: e.id, command: e.command, timestamp: e.timestamp }));
+  output({
+    undone,
+    files: [...new Set(entries.flatMap(entryFiles))],
+    forced: conflicts.length > 0,
+    remaining: all.length - entries.length,
+  }, raw, undone.map(e => `#${e.id} ${e.command}`).join('\n'));
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  beginOperation,
+  cmdJournalList,
+  cmdUndo,
+};
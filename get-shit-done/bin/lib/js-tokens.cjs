@@ -0,0 +1,238 @@
+/**
+ * JS Tokens — Minimal JS/TS tokenizer and token-walking helpers
+ *
+ * Enough to find declarations, exports and imports without a parser
+ * dependency: comments are dropped and string, template and regex literals
+ * become single tokens, so code-like text inside them is never matched.
+ */
+
+// ─── Tokenizer ────────────────────────────────────────────────────────────────
+
+// '>' stays a single token so nested generics (Map<A, B<C>>) balance
+const MULTI_PUNCT = ['...', '===', '!==', '=>', '==', '!=', '<=', '&&', '||', '??', '?.', '++', '--', '**'];
+
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+const CONTINUATION_KEYWORDS = new Set(['instanceof', 'in', 'of', 'as', 'satisfies', 'extends', 'implements']);
+
+function isIdentStart(ch) {
+  return /[A-Za-z_$\u0080-\uffff]/.test(ch);
+}
+
+function isIdentPart(ch) {
+  return /[\w$\u0080-\uffff]/.test(ch);
+}
+
+/**
+ * Split JS/TS source into tokens { type, value, nl } where nl marks a line
+ * break before the token. Comments are dropped; string, template and regex
+ * literals become single tokens.
+ */
+function tokenize(source) {
+  const tokens = [];
+  const braces = []; // 'brace' | 'template' for each open { or ${
+  let i = source.startsWith('#!') ? source.indexOf('\n') : 0;
+  if (i < 0) i = source.length;
+  let nl = false;
+
+  const push = (type, value) => {
+    tokens.push({ type, value, nl });
+    nl = false;
+  };
+
+  const readTemplate = () => {
+    // Called just after ` or the } closing a ${ } expression
+    while (i < source.length) {
+      const ch = source[i];
+      if (ch === '\\') { i += 2; continue; }
+      if (ch === '`') { i++; push('template', '`'); return; }
+      if (ch === '$' && source[i + 1] === '{') {
+        i += 2;
+        braces.push('template');
+        push('template', '`');
+        return;
+      }
+      i++;
+    }
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '\n') { nl = true; i++; continue; }
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      if (source.slice(i, stop).includes('\n')) nl = true;
+      i = stop;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      push('string', source.slice(i + 1, j));
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === '`') {
+      i++;
+      readTemplate();
+      continue;
+    }
+
+    if (ch === '/') {
+      const prev = tokens[tokens.length - 1];
+      // `</` closes a JSX element, never a regex
+      const regexAllowed = !prev ||
+        (prev.type === 'punct' && ![')', ']', '}', '<'].includes(prev.value)) ||
+        (prev.type === 'ident' && REGEX_AFTER_KEYWORDS.has(prev.value));
+      if (regexAllowed) {
+        let j = i + 1;
+        let inClass = false;
+        while (j < source.length && source[j] !== '\n') {
+          if (source[j] === '\\') { j += 2; continue; }
+          if (source[j] === '[') inClass = true;
+          else if (source[j] === ']') inClass = false;
+          else if (source[j] === '/' && !inClass) break;
+          j++;
+        }
+        j++;
+        while (j < source.length && isIdentPart(source[j])) j++;
+        push('regex', source.slice(i, j));
+        i = j;
+        continue;
+      }
+    }
+
+    if (isIdentStart(ch) || (ch === '#' && isIdentStart(source[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < source.length && isIdentPart(source[j])) j++;
+      push('ident', source.slice(i, j));
+      i = j;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < source.length && /[\w.]/.test(source[j])) j++;
+      push('number', source.slice(i, j));
+      i = j;
+      continue;
+    }
+
+    if (ch === '{') { braces.push('brace'); push('punct', '{'); i++; continue; }
+    if (ch === '}') {
+      if (braces.pop() === 'template') {
+        i++;
+        readTemplate();
+      } else {
+        push('punct', '}');
+        i++;
+      }
+      continue;
+    }
+
+    const multi = MULTI_PUNCT.find(p => source.startsWith(p, i));
+    push('punct', multi || ch);
+    i += multi ? multi.length : 1;
+  }
+  return tokens;
+}
+
+// ─── Token helpers ────────────────────────────────────────────────────────────
+
+function is(tok, value) {
+  return !!tok && (tok.type === 'punct' || tok.type === 'ident') && tok.value === value;
+}
+
+function isOpen(tok) {
+  return !!tok && tok.type === 'punct' && (tok.value === '(' || tok.value === '[' || tok.value === '{');
+}
+
+function isClose(tok) {
+  return !!tok && tok.type === 'punct' && (tok.value === ')' || tok.value === ']' || tok.value === '}');
+}
+
+/** Index just past the group opened at t[i]. */
+function skipGroup(t, i) {
+  let depth = 0;
+  for (let j = i; j < t.length; j++) {
+    if (isOpen(t[j])) depth++;
+    else if (isClose(t[j]) && --depth === 0) return j + 1;
+  }
+  return t.length;
+}
+
+/** Index just past a <...> type argument list opened at t[i]. */
+function skipAngles(t, i) {
+  let depth = 0;
+  for (let j = i; j < t.length; j++) {
+    if (isOpen(t[j])) { j = skipGroup(t, j) - 1; continue; }
+    if (is(t[j], '<')) depth++;
+    else if (is(t[j], '>') && --depth === 0) return j + 1;
+    else if (is(t[j], ';')) return j;
+  }
+  return t.length;
+}
+
+/** True when a line break between t[j-1] and t[j] ends a statement. */
+function isStatementBreak(t, j) {
+  const prev = t[j - 1];
+  const tok = t[j];
+  if (!tok.nl || !prev) return false;
+  const prevEnds = prev.type !== 'punct' || [')', ']', '}'].includes(prev.value) || prev.value === '++' || prev.value === '--';
+  const nextStarts = (tok.type !== 'punct' && !CONTINUATION_KEYWORDS.has(tok.value)) ||
+    ['{', '!', '~', '@', '#', '...'].includes(tok.value);
+  return prevEnds && nextStarts && !(prev.type === 'ident' && REGEX_AFTER_KEYWORDS.has(prev.value));
+}
+
+/**
+ * Index of the token ending the expression starting at t[i]: a ',' or ';'
+ * at this level, a closing bracket of the enclosing group, or a line break
+ * that starts a new statement.
+ */
+function skipExpression(t, i) {
+  let j = i;
+  while (j < t.length) {
+    const tok = t[j];
+    if (j > i && isStatementBreak(t, j)) return j;
+    if (is(tok, ',') || is(tok, ';') || isClose(tok)) return j;
+    j = isOpen(tok) ? skipGroup(t, j) : j + 1;
+  }
+  return j;
+}
+
+/** Skip a type annotation up to one of the stop tokens or the end of the statement. */
+function skipType(t, i, stops) {
+  let j = i;
+  while (j < t.length && !stops.some(s => is(t[j], s)) && !(j > i && isStatementBreak(t, j))) {
+    if (is(t[j], '<')) j = skipAngles(t, j);
+    else if (isOpen(t[j])) j = skipGroup(t, j);
+    else j++;
+  }
+  return j;
+}
+
+module.exports = {
+  tokenize,
+  is,
+  isOpen,
+  isClose,
+  skipGroup,
+  skipAngles,
+  isStatementBreak,
+  skipExpression,
+  skipType,
+};
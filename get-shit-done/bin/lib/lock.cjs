@@ -0,0 +1,155 @@
+/**
+ * Lock — Advisory lock serializing .planning/ mutations across processes
+ *
+ * Parallel executors call state/roadmap/phase write commands at the same
+ * time; each read-modify-write must hold `.planning/.lock` (PID, host,
+ * command, timestamp). A held lock is waited for, 30s by default. Commands
+ * exit through output()/error(), so the lock is held until process exit and
+ * released by an exit handler.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { error } = require('./core.cjs');
+const { isDryRun } = require('./transaction.cjs');
+
+const LOCK_FILE = '.lock';
+const STALE_MS = 5 * 60 * 1000;
+const POLL_MS = 50;
+const DEFAULT_WAIT_SECONDS = 30;
+
+const lockOptions = { waitMs: DEFAULT_WAIT_SECONDS * 1000 };
+let heldPath = null;
+let exitHookInstalled = false;
+
+/**
+ * Set how long acquirePlanningLock waits for a held lock (main() wires
+ * this to --wait=<seconds>; the default is DEFAULT_WAIT_SECONDS). Zero
+ * fails immediately.
+ */
+function configureLock({ waitSeconds }) {
+  lockOptions.waitMs = Math.max(0, Math.round((waitSeconds || 0) * 1000));
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A lock is stale when its process is gone (same host) or it is too old.
+ * An unreadable lock may still be mid-write, so it only counts after a grace period.
+ */
+function isStale(info, lockPath) {
+  if (!info || !Number.isInteger(info.pid)) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > 1000;
+    } catch {
+      return true;
+    }
+  }
+  const age = Date.now() - Date.parse(info.acquired);
+  if (!(age < STALE_MS)) return true;
+  return info.host === os.hostname() && !isProcessAlive(info.pid);
+}
+
+function describeHolder(info) {
+  if (!info) return 'another process';
+  return `PID ${info.pid}${info.command ? ` (${info.command})` : ''} since ${info.acquired}`;
+}
+
+function tryCreate(lockPath) {
+  const info = {
+    pid: process.pid,
+    host: os.hostname(),
+    command: process.argv.slice(2).filter(a => !a.startsWith('--')).slice(0, 2).join(' '),
+    acquired: new Date().toISOString(),
+  };
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify(info, null, 2), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+}
+
+function releasePlanningLock() {
+  if (!heldPath) return;
+  const info = readLock(heldPath);
+  if (info && info.pid === process.pid) {
+    try { fs.unlinkSync(heldPath); } catch {}
+  }
+  heldPath = null;
+}
+
+/**
+ * Take the .planning/ lock for the rest of this process. Re-entrant; a
+ * no-op when .planning/ does not exist or in dry-run mode. Stale locks are
+ * replaced. Exits through error() when the lock stays held past the
+ * configured wait.
+ */
+function acquirePlanningLock(cwd) {
+  const planningDir = path.join(cwd, '.planning');
+  const lockPath = path.join(planningDir, LOCK_FILE);
+  if (heldPath === lockPath) return;
+  // A dry run only reads, so it neither needs nor creates the lock file
+  if (isDryRun() || !fs.existsSync(planningDir)) return;
+
+  const deadline = Date.now() + lockOptions.waitMs;
+  for (;;) {
+    if (tryCreate(lockPath)) break;
+
+    const info = readLock(lockPath);
+    if (isStale(info, lockPath)) {
+      // Only remove the lock we judged stale, not one that replaced it meanwhile
+      const current = readLock(lockPath);
+      if (JSON.stringify(current) !== JSON.stringify(info)) continue;
+      try {
+        fs.unlinkSync(lockPath);
+        continue;
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      if (lockOptions.waitMs > 0) {
+        error(`Timed out after ${lockOptions.waitMs / 1000}s waiting for .planning/ lock held by ${describeHolder(info)}`);
+      }
+      error(`.planning/ is locked by ${describeHolder(info)}. Re-run with --wait=<seconds> to wait for it, or delete .planning/${LOCK_FILE} if that process is gone.`);
+    }
+    sleep(POLL_MS);
+  }
+
+  if (!exitHookInstalled) {
+    process.on('exit', releasePlanningLock);
+    exitHookInstalled = true;
+  }
+  heldPath = lockPath;
+}
+
+module.exports = {
+  LOCK_FILE,
+  DEFAULT_WAIT_SECONDS,
+  configureLock,
+  acquirePlanningLock,
+  releasePlanningLock,
+};
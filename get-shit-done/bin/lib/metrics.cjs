@@ -0,0 +1,340 @@
+/**
+ * Metrics — Token and cost ledger per phase, plan, agent and model
+ *
+ * Every `state record-metric` and `metrics record` call appends a record to
+ * .planning/metrics.json with duration, tokens and cost. Usage comes from
+ * flags or from the statusline bridge file (/tmp/claude-ctx-<session>.json),
+ * which carries cumulative session totals; the ledger stores the delta since
+ * the session's baseline (`metrics start`) or previous record. Costs the host
+ * did not report are estimated from config.json `metrics.prices` (USD per
+ * million tokens).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getMilestoneInfo, explainModelInternal, output, error } = require('./core.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+
+const METRICS_FILE = path.join('.planning', 'metrics.json');
+const TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_write_tokens'];
+const GROUP_KEYS = ['phase', 'plan', 'agent', 'model', 'profile', 'milestone'];
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+/** The ledger file: records plus the last seen totals per statusline session. */
+function loadLedger(cwd) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(cwd, METRICS_FILE), 'utf-8'));
+    return {
+      records: Array.isArray(data.records) ? data.records : [],
+      sessions: data.sessions && typeof data.sessions === 'object' ? data.sessions : {},
+    };
+  } catch {
+    return { records: [], sessions: {} };
+  }
+}
+
+function loadMetrics(cwd) {
+  return loadLedger(cwd).records;
+}
+
+function stageLedger(cwd, ledger, tx) {
+  tx.write(path.join(cwd, METRICS_FILE), JSON.stringify(ledger, null, 2) + '\n');
+}
+
+/** "12min", "90s", "1.5h" or a bare number of minutes as minutes, or null. */
+function parseDurationMinutes(value) {
+  if (value === null || value === undefined) return null;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|sec|secs|m|min|mins|h|hr|hrs)?$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  const unit = (m[2] || 'min').toLowerCase();
+  if (unit.startsWith('s')) return Math.round(n / 60 * 100) / 100;
+  if (unit.startsWith('h')) return n * 60;
+  return n;
+}
+
+/** Whether a bridge file was written by a statusline running inside the project at cwd. */
+function bridgeInProject(bridge, cwd) {
+  if (!bridge || typeof bridge.cwd !== 'string') return false;
+  const root = path.resolve(cwd);
+  const dir = path.resolve(bridge.cwd);
+  return dir === root || dir.startsWith(root + path.sep);
+}
+
+/**
+ * Statusline bridge data for a session id. "latest" is the newest bridge file
+ * written from inside this project, so other Claude sessions on the machine
+ * are never charged to it.
+ */
+function readBridge(session, cwd) {
+  const dir = os.tmpdir();
+  if (session !== 'latest') {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, `claude-ctx-${session}.json`), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  let newest = null;
+  try {
+    for (const name of fs.readdirSync(dir)) {
+      if (!/^claude-ctx-.+\.json$/.test(name) || name.endsWith('-warned.json')) continue;
+      const file = path.join(dir, name);
+      try {
+        const mtime = fs.statSync(file).mtimeMs;
+        if (newest && mtime <= newest.mtime) continue;
+        const bridge = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (bridgeInProject(bridge, cwd)) newest = { bridge, mtime };
+      } catch {}
+    }
+  } catch {}
+  return newest ? newest.bridge : null;
+}
+
+/** Cumulative session totals carried by a bridge file. */
+function bridgeTotals(bridge, session) {
+  const totals = {
+    id: bridge.session_id || session,
+    input_tokens: bridge.input_tokens,
+    output_tokens: bridge.output_tokens,
+    cost_usd: bridge.cost_usd,
+  };
+  return Object.fromEntries(Object.entries(totals).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Usage since the session's baseline or previous record (the totals after a
+ * reset). Null when the session has neither: its totals include work done
+ * before this plan started, so nothing can be attributed to it.
+ */
+function sessionDelta(ledger, totals) {
+  const previous = ledger.sessions[totals.id]
+    || [...ledger.records].reverse().map(r => r.session).find(s => s && s.id === totals.id);
+  if (!previous) return null;
+  const delta = {};
+  for (const key of [...TOKEN_FIELDS, 'cost_usd']) {
+    if (typeof totals[key] !== 'number') continue;
+    const before = typeof previous[key] === 'number' ? previous[key] : 0;
+    delta[key] = totals[key] >= before ? totals[key] - before : totals[key];
+  }
+  return delta;
+}
+
+function priceFor(prices, model) {
+  if (!prices || !model) return null;
+  if (prices[model]) return prices[model];
+  const tier = ['opus', 'sonnet', 'haiku'].find(t => model.includes(t));
+  return tier && prices[tier] ? prices[tier] : null;
+}
+
+/** Cost in USD from token counts and a { input, output, cache_read, cache_write } per-MTok price. */
+function estimateCost(record, price) {
+  if (!price) return null;
+  const rates = { input_tokens: 'input', output_tokens: 'output', cache_read_tokens: 'cache_read', cache_write_tokens: 'cache_write' };
+  let cost = 0;
+  let any = false;
+  for (const [field, rate] of Object.entries(rates)) {
+    if (typeof record[field] === 'number' && typeof price[rate] === 'number') {
+      cost += record[field] * price[rate] / 1e6;
+      any = true;
+    }
+  }
+  return any ? Math.round(cost * 1e6) / 1e6 : null;
+}
+
+/**
+ * Build a ledger record from command options. Numbers arrive as strings from
+ * the CLI; an invalid one is an error.
+ */
+function buildRecord(cwd, options, ledger) {
+  const config = loadConfig(cwd);
+  const number = name => {
+    const value = options[name];
+    if (value === undefined || value === null) return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) error(`Invalid --${name.replace(/_/g, '-')}: ${value}`);
+    return n;
+  };
+
+  const record = {
+    recorded_at: new Date().toISOString(),
+    milestone: getMilestoneInfo(cwd).version,
+    phase: options.phase ? String(options.phase) : null,
+    plan: options.plan ? String(options.plan) : null,
+    agent: options.agent || null,
+    model: options.model || null,
+    profile: config.model_profile || 'balanced',
+    duration_min: parseDurationMinutes(options.duration),
+    tasks: number('tasks'),
+    files: number('files'),
+  };
+  for (const field of TOKEN_FIELDS) record[field] = number(field);
+  record.cost_usd = number('cost');
+  record.cost_source = record.cost_usd !== null ? 'reported' : null;
+
+  // "latest" is best-effort: without the GSD statusline there is no bridge file
+  const bridge = options.session ? readBridge(options.session, cwd) : null;
+  if (options.session && !bridge && options.session !== 'latest') {
+    error(`No statusline data for session: ${options.session}`);
+  }
+  if (bridge) {
+    const totals = bridgeTotals(bridge, options.session);
+    const delta = sessionDelta(ledger, totals) || {};
+    for (const field of TOKEN_FIELDS) if (record[field] === null && field in delta) record[field] = delta[field];
+    if (record.cost_usd === null && 'cost_usd' in delta) {
+      record.cost_usd = Math.round(delta.cost_usd * 1e6) / 1e6;
+      record.cost_source = 'reported';
+    }
+    if (!record.model && bridge.model_id) record.model = bridge.model_id;
+    record.session = totals;
+  }
+
+  if (!record.model && record.agent) record.model = explainModelInternal(cwd, record.agent).tier;
+  if (record.cost_usd === null) {
+    record.cost_usd = estimateCost(record, priceFor(config.metrics?.prices, record.model));
+    if (record.cost_usd !== null) record.cost_source = 'estimated';
+  }
+  return record;
+}
+
+/** Whether options carry usage beyond the plain duration/tasks/files row. */
+function hasUsage(options) {
+  return ['agent', 'model', 'cost', 'session', ...TOKEN_FIELDS].some(k => options[k] !== undefined && options[k] !== null);
+}
+
+/**
+ * Stage a ledger record into a transaction. Callers hold the planning lock.
+ * @returns {object} the record
+ */
+function stageRecord(cwd, options, tx) {
+  const ledger = loadLedger(cwd);
+  const record = buildRecord(cwd, options, ledger);
+  if (record.session) ledger.sessions[record.session.id] = { ...record.session, at: record.recorded_at };
+  stageLedger(cwd, { records: [...ledger.records, record], sessions: ledger.sessions }, tx);
+  return record;
+}
+
+function cmdMetricsRecord(cwd, options, raw) {
+  if (!options.phase) { error('--phase required for metrics record'); }
+  if (!hasUsage(options) && !options.duration) { error('Nothing to record: pass tokens, --cost, --session or --duration'); }
+  acquirePlanningLock(cwd);
+  const tx = createTransaction();
+  const record = stageRecord(cwd, options, tx);
+  commitTransaction(tx);
+  output({ recorded: true, record }, raw, 'true');
+}
+
+/**
+ * Store the session's current totals as the baseline for the next record, so
+ * a plan is charged only for usage after it started.
+ */
+function cmdMetricsStart(cwd, options, raw) {
+  const session = options.session || 'latest';
+  const bridge = readBridge(session, cwd);
+  if (!bridge) {
+    if (session !== 'latest') { error(`No statusline data for session: ${session}`); }
+    output({ started: false, reason: 'No statusline data for this project' }, raw, 'false');
+    return;
+  }
+  acquirePlanningLock(cwd);
+  const ledger = loadLedger(cwd);
+  const totals = bridgeTotals(bridge, session);
+  ledger.sessions[totals.id] = { ...totals, at: new Date().toISOString() };
+  const tx = createTransaction();
+  stageLedger(cwd, ledger, tx);
+  commitTransaction(tx);
+  output({ started: true, baseline: ledger.sessions[totals.id] }, raw, 'true');
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+function emptyTotals() {
+  const totals = { records: 0, plans: 0, duration_min: 0, tasks: 0, files: 0 };
+  for (const field of TOKEN_FIELDS) totals[field] = 0;
+  totals.cost_usd = 0;
+  totals.estimated_cost_usd = 0;
+  return totals;
+}
+
+function addRecord(totals, record, plans) {
+  totals.records++;
+  if (record.plan) plans.add(`${record.phase}-${record.plan}`);
+  totals.plans = plans.size;
+  for (const field of ['duration_min', 'tasks', 'files', ...TOKEN_FIELDS]) {
+    if (typeof record[field] === 'number') totals[field] += record[field];
+  }
+  if (typeof record.cost_usd === 'number') {
+    totals.cost_usd += record.cost_usd;
+    if (record.cost_source === 'estimated') totals.estimated_cost_usd += record.cost_usd;
+  }
+}
+
+function roundTotals(totals) {
+  for (const key of ['duration_min', 'cost_usd', 'estimated_cost_usd']) {
+    totals[key] = Math.round(totals[key] * (key === 'duration_min' ? 100 : 1e4)) / (key === 'duration_min' ? 100 : 1e4);
+  }
+  return totals;
+}
+
+function groupKey(record, by) {
+  if (by === 'plan') return record.plan ? `${record.phase}-${record.plan}` : `${record.phase}`;
+  return record[by] === null || record[by] === undefined ? '(none)' : String(record[by]);
+}
+
+function formatReport(report) {
+  const header = [report.by, 'plans', 'minutes', 'input', 'output', 'cost_usd'];
+  const row = (key, t) => [key, t.plans, t.duration_min, t.input_tokens, t.output_tokens,
+    t.cost_usd.toFixed(4) + (t.estimated_cost_usd > 0 ? '*' : '')];
+  const rows = [header, ...report.groups.map(g => row(g.key, g)), row('total', report.totals)];
+  const widths = header.map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  const lines = rows.map(r => r.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd());
+  if (report.totals.estimated_cost_usd > 0) lines.push('* includes costs estimated from metrics.prices');
+  return lines.join('\n');
+}
+
+/** Aggregate the ledger by phase, plan, agent, model, profile or milestone. */
+function cmdMetricsReport(cwd, options, raw) {
+  const by = options.by || 'phase';
+  if (!GROUP_KEYS.includes(by)) { error(`Invalid --by: ${by}. Use ${GROUP_KEYS.join(', ')}`); }
+
+  let records = loadMetrics(cwd);
+  if (options.phase) records = records.filter(r => r.phase === String(options.phase));
+  if (options.milestone) {
+    const version = options.milestone.startsWith('v') ? options.milestone : 'v' + options.milestone;
+    records = records.filter(r => r.milestone === version);
+  }
+
+  const groups = new Map();
+  const totals = emptyTotals();
+  const allPlans = new Set();
+  for (const record of records) {
+    const key = groupKey(record, by);
+    if (!groups.has(key)) groups.set(key, { totals: emptyTotals(), plans: new Set() });
+    const group = groups.get(key);
+    addRecord(group.totals, record, group.plans);
+    addRecord(totals, record, allPlans);
+  }
+
+  const report = {
+    by,
+    filters: { phase: options.phase || null, milestone: options.milestone || null },
+    totals: roundTotals(totals),
+    groups: [...groups.entries()].map(([key, g]) => ({ key, ...roundTotals(g.totals) })),
+  };
+  output(report, raw, formatReport(report));
+}
+
+module.exports = {
+  METRICS_FILE,
+  loadMetrics,
+  parseDurationMinutes,
+  hasUsage,
+  stageRecord,
+  cmdMetricsRecord,
+  cmdMetricsStart,
+  cmdMetricsReport,
+};
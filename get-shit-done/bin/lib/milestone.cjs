@@ -7,6 +7,7 @@ const path = require('path');
 const { output, error } = require('./core.cjs');
 const { extractFrontmatter } = require('./frontmatter.cjs');
 const { writeStateMd } = require('./state.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
 
 function cmdRequirementsMarkComplete(cwd, reqIdsRaw, raw) {
   if (!reqIdsRaw || reqIdsRaw.length === 0) {
@@ -64,7 +65,7 @@ function cmdRequirementsMarkComplete(cwd, reqIdsRaw, raw) {
   }
 
   if (updated.length > 0) {
-    fs.writeFileSync(reqPath, reqContent, 'utf-8');
+    commitTransaction(createTransaction().write(reqPath, reqContent));
   }
 
   output({
@@ -89,8 +90,11 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
   const today = new Date().toISOString().split('T')[0];
   const milestoneName = options.name || version;
 
+  // Archive files, MILESTONES.md, STATE.md and phase moves commit together
+  const tx = createTransaction();
+
   // Ensure archive directory exists
-  fs.mkdirSync(archiveDir, { recursive: true });
+  tx.mkdir(archiveDir);
 
   // Extract milestone phase numbers from ROADMAP.md to scope stats.
   // Only phases listed in the current ROADMAP are counted — phases from
@@ -152,7 +156,7 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
       for (const s of summaries) {
         try {
           const content = fs.readFileSync(path.join(phasesDir, dir, s), 'utf-8');
-          const fm = extractFrontmatter(content);
+          const fm = extractFrontmatter(content, path.join(dir, s));
           if (fm['one-liner']) {
             accomplishments.push(fm['one-liner']);
           }
@@ -167,20 +171,20 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
   // Archive ROADMAP.md
   if (fs.existsSync(roadmapPath)) {
     const roadmapContent = fs.readFileSync(roadmapPath, 'utf-8');
-    fs.writeFileSync(path.join(archiveDir, `${version}-ROADMAP.md`), roadmapContent, 'utf-8');
+    tx.write(path.join(archiveDir, `${version}-ROADMAP.md`), roadmapContent);
   }
 
   // Archive REQUIREMENTS.md
   if (fs.existsSync(reqPath)) {
     const reqContent = fs.readFileSync(reqPath, 'utf-8');
     const archiveHeader = `# Requirements Archive: ${version} ${milestoneName}\n\n**Archived:** ${today}\n**Status:** SHIPPED\n\nFor current requirements, see \`.planning/REQUIREMENTS.md\`.\n\n---\n\n`;
-    fs.writeFileSync(path.join(archiveDir, `${version}-REQUIREMENTS.md`), archiveHeader + reqContent, 'utf-8');
+    tx.write(path.join(archiveDir, `${version}-REQUIREMENTS.md`), archiveHeader + reqContent);
   }
 
   // Archive audit file if exists
   const auditFile = path.join(cwd, '.planning', `${version}-MILESTONE-AUDIT.md`);
   if (fs.existsSync(auditFile)) {
-    fs.renameSync(auditFile, path.join(archiveDir, `${version}-MILESTONE-AUDIT.md`));
+    tx.rename(auditFile, path.join(archiveDir, `${version}-MILESTONE-AUDIT.md`));
   }
 
   // Create/append MILESTONES.md entry
@@ -194,13 +198,13 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
     if (headerMatch) {
       const header = headerMatch[1];
       const rest = existing.slice(header.length);
-      fs.writeFileSync(milestonesPath, header + milestoneEntry + rest, 'utf-8');
+      tx.write(milestonesPath, header + milestoneEntry + rest);
     } else {
       // No recognizable header — prepend the entry
-      fs.writeFileSync(milestonesPath, milestoneEntry + existing, 'utf-8');
+      tx.write(milestonesPath, milestoneEntry + existing);
     }
   } else {
-    fs.writeFileSync(milestonesPath, `# Milestones\n\n${milestoneEntry}`, 'utf-8');
+    tx.write(milestonesPath, `# Milestones\n\n${milestoneEntry}`);
   }
 
   // Update STATE.md
@@ -218,7 +222,7 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
       /(\*\*Last Activity Description:\*\*\s*).*/,
       `$1${version} milestone completed and archived`
     );
-    writeStateMd(statePath, stateContent, cwd);
+    writeStateMd(statePath, stateContent, cwd, tx);
   }
 
   // Archive phase directories if requested
@@ -226,20 +230,22 @@ function cmdMilestoneComplete(cwd, version, options, raw) {
   if (options.archivePhases) {
     try {
       const phaseArchiveDir = path.join(archiveDir, `${version}-phases`);
-      fs.mkdirSync(phaseArchiveDir, { recursive: true });
+      tx.mkdir(phaseArchiveDir);
 
       const phaseEntries = fs.readdirSync(phasesDir, { withFileTypes: true });
       const phaseDirNames = phaseEntries.filter(e => e.isDirectory()).map(e => e.name);
       let archivedCount = 0;
       for (const dir of phaseDirNames) {
         if (!isDirInMilestone(dir)) continue;
-        fs.renameSync(path.join(phasesDir, dir), path.join(phaseArchiveDir, dir));
+        tx.rename(path.join(phasesDir, dir), path.join(phaseArchiveDir, dir));
         archivedCount++;
       }
       phasesArchived = archivedCount > 0;
     } catch {}
   }
 
+  commitTransaction(tx);
+
   const result = {
     version,
     name: milestoneName,
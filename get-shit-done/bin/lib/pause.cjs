@@ -0,0 +1,114 @@
+/**
+ * Pause — Deterministic execution snapshot for interrupted sessions
+ *
+ * `pause snapshot` records where execution stopped without relying on the
+ * agent: position from STATE.md, incomplete plans of the current phase,
+ * uncommitted files and the in-progress Claude todo. The snapshot is written
+ * to <phase dir>/.pause-snapshot.json (or .planning/ when no phase is
+ * current) and surfaced by `init resume`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execGit, findPhaseInternal, toPosixPath, output } = require('./core.cjs');
+const { readPosition } = require('./position.cjs');
+const { phasePlanIndexInternal } = require('./phase.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+
+const SNAPSHOT_FILE = '.pause-snapshot.json';
+// gsd-tools' own lock and journal are not work in progress
+const TRANSIENT = ['.planning/.lock', '.planning/.journal/'];
+
+/** Branch, HEAD and `git status --porcelain` entries, sorted by path. */
+function readGitState(cwd) {
+  const head = execGit(cwd, ['rev-parse', '--short', 'HEAD']);
+  if (head.exitCode !== 0) return null;
+  const branch = execGit(cwd, ['rev-parse', '--abbrev-ref', 'HEAD']).stdout;
+  const status = execGit(cwd, ['status', '--porcelain', '--untracked-files=all']);
+  // execGit trims output, so the first line may have lost its leading space
+  const uncommitted = status.stdout.split('\n').map(line => line.match(/^([ MADRCU?!]{1,2}) (.+)$/)).filter(Boolean)
+    .map(m => ({ status: m[1].trim(), path: m[2].replace(/^"|"$/g, '') }))
+    .filter(e => !TRANSIENT.some(prefix => e.path.startsWith(prefix)));
+  uncommitted.sort((a, b) => a.path.localeCompare(b.path));
+  return { branch, head: head.stdout, uncommitted };
+}
+
+/** In-progress item of the newest Claude todo list (for a session, if given). */
+function readActiveTodo(session) {
+  const todosDir = path.join(os.homedir(), '.claude', 'todos');
+  let files;
+  try {
+    files = fs.readdirSync(todosDir)
+      .filter(f => f.endsWith('.json') && (!session || f.startsWith(session)))
+      .map(f => ({ name: f, mtime: fs.statSync(path.join(todosDir, f)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+  } catch {
+    return null;
+  }
+  for (const file of files) {
+    try {
+      const todos = JSON.parse(fs.readFileSync(path.join(todosDir, file.name), 'utf-8'));
+      const active = Array.isArray(todos) && todos.find(t => t.status === 'in_progress');
+      if (active) return { content: active.content || null, active_form: active.activeForm || null, file: file.name };
+    } catch {}
+  }
+  return null;
+}
+
+function cmdPauseSnapshot(cwd, options, raw) {
+  acquirePlanningLock(cwd);
+  const position = readPosition(cwd);
+  const phaseInfo = position && position.phase ? findPhaseInternal(cwd, position.phase) : null;
+
+  let incomplete = [];
+  if (phaseInfo && phaseInfo.found) {
+    const index = phasePlanIndexInternal(cwd, position.phase);
+    incomplete = index.plans.filter(p => !p.has_summary).map(p => ({
+      id: p.id, wave: p.wave, objective: p.objective, task_count: p.task_count,
+    }));
+  }
+
+  const snapshot = {
+    created_at: new Date().toISOString(),
+    reason: options.reason || null,
+    session_id: options.session || null,
+    position,
+    phase_dir: phaseInfo && phaseInfo.found ? toPosixPath(phaseInfo.directory) : null,
+    incomplete_plans: incomplete,
+    git: readGitState(cwd),
+    todo: readActiveTodo(options.session),
+  };
+
+  const relPath = path.join(snapshot.phase_dir || '.planning', SNAPSHOT_FILE);
+  commitTransaction(createTransaction().write(path.join(cwd, relPath), JSON.stringify(snapshot, null, 2) + '\n'));
+  output({ written: true, path: toPosixPath(relPath), snapshot }, raw, toPosixPath(relPath));
+}
+
+/** Newest pause snapshot in .planning/ or any phase directory, or null. */
+function findPauseSnapshot(cwd) {
+  const candidates = [path.join('.planning', SNAPSHOT_FILE)];
+  try {
+    for (const entry of fs.readdirSync(path.join(cwd, '.planning', 'phases'), { withFileTypes: true })) {
+      if (entry.isDirectory()) candidates.push(path.join('.planning', 'phases', entry.name, SNAPSHOT_FILE));
+    }
+  } catch {}
+
+  let newest = null;
+  for (const rel of candidates) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(cwd, rel), 'utf-8'));
+      if (!newest || String(snapshot.created_at) > String(newest.snapshot.created_at)) {
+        newest = { path: toPosixPath(rel), snapshot };
+      }
+    } catch {}
+  }
+  return newest;
+}
+
+module.exports = {
+  SNAPSHOT_FILE,
+  findPauseSnapshot,
+  cmdPauseSnapshot,
+};
@@ -7,6 +7,8 @@ const path = require('path');
 const { escapeRegex, normalizePhaseName, comparePhaseNum, findPhaseInternal, getArchivedPhaseDirs, generateSlugInternal, output, error } = require('./core.cjs');
 const { extractFrontmatter } = require('./frontmatter.cjs');
 const { writeStateMd } = require('./state.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
 
 function cmdPhasesList(cwd, options, raw) {
   const phasesDir = path.join(cwd, '.planning', 'phases');
@@ -198,11 +200,124 @@ function extractObjective(content) {
   return m ? m[1].trim() : null;
 }
 
-function cmdPhasePlanIndex(cwd, phase, raw) {
-  if (!phase) {
-    error('phase required for phase-plan-index');
+/**
+ * Resolve a plan's depends_on entry ("01", "03-01", "03-01-PLAN.md") to a
+ * plan ID in this phase. Returns undefined for references to other phases
+ * and null when no plan matches.
+ */
+function resolvePlanDependency(ref, plans, phase) {
+  const id = ref.replace(/(-PLAN)?\.md$/i, '');
+  const exact = plans.find(p => p.id === id);
+  if (exact) return exact.id;
+
+  const planNumber = planId => {
+    const m = planId.match(/(?:^|-)(\d+)$/);
+    return m ? parseInt(m[1], 10) : NaN;
+  };
+  const full = id.match(/^(\d+[A-Z]?(?:\.\d+)*)-\d+$/i);
+  if (full && normalizePhaseName(full[1]) !== phase) return undefined;
+  if (!full && !/^\d+$/.test(id)) return null;
+
+  const match = plans.find(p => planNumber(p.id) === planNumber(id));
+  return match ? match.id : null;
+}
+
+/**
+ * Check depends_on against waves and files_modified overlap within a wave.
+ * With autoWaves, each plan's wave is recomputed as one past its deepest
+ * dependency (the declared value is kept as declared_wave).
+ */
+function validatePlanWaves(plans, phase, autoWaves) {
+  const issues = [];
+  const byId = new Map(plans.map(p => [p.id, p]));
+  const deps = new Map();
+
+  for (const plan of plans) {
+    const resolved = [];
+    for (const ref of plan.depends_on) {
+      const id = resolvePlanDependency(ref, plans, phase);
+      if (id === null) {
+        issues.push({ type: 'unknown_dependency', plans: [plan.id], message: `${plan.id} depends on unknown plan "${ref}"` });
+      } else if (id !== undefined && !resolved.includes(id)) {
+        resolved.push(id);
+      }
+    }
+    deps.set(plan.id, resolved);
+  }
+
+  // Dependency depth; plans on a cycle keep their declared wave
+  const computed = new Map();
+  const visiting = new Set();
+  const cyclic = new Set();
+  const depthOf = (id, trail) => {
+    if (computed.has(id)) return computed.get(id);
+    if (visiting.has(id)) {
+      const cycle = trail.slice(trail.indexOf(id));
+      if (!cycle.some(c => cyclic.has(c))) {
+        issues.push({ type: 'dependency_cycle', plans: cycle, message: `Dependency cycle: ${[...cycle, id].join(' -> ')}` });
+      }
+      cycle.forEach(c => cyclic.add(c));
+      return null;
+    }
+    visiting.add(id);
+    let wave = 1;
+    for (const dep of deps.get(id)) {
+      const depWave = depthOf(dep, [...trail, id]);
+      if (depWave === null) { wave = null; break; }
+      wave = Math.max(wave, depWave + 1);
+    }
+    visiting.delete(id);
+    computed.set(id, wave);
+    return wave;
+  };
+  for (const plan of plans) depthOf(plan.id, []);
+
+  if (autoWaves) {
+    for (const plan of plans) {
+      plan.declared_wave = plan.wave;
+      if (computed.get(plan.id) !== null) plan.wave = computed.get(plan.id);
+    }
+  }
+
+  for (const plan of plans) {
+    for (const dep of deps.get(plan.id)) {
+      const depWave = byId.get(dep).wave;
+      if (depWave >= plan.wave && !(cyclic.has(plan.id) && cyclic.has(dep))) {
+        issues.push({
+          type: 'dependency_wave',
+          plans: [plan.id, dep],
+          message: `${plan.id} (wave ${plan.wave}) depends on ${dep} (wave ${depWave}); dependencies must be in an earlier wave`,
+        });
+      }
+    }
+  }
+
+  // Same-wave plans run in parallel, so shared files mean merge conflicts
+  const owners = new Map();
+  for (const plan of plans) {
+    for (const file of plan.files_modified) {
+      const key = `${plan.wave}\0${String(file).trim().replace(/\\/g, '/').replace(/^\.\//, '')}`;
+      if (!owners.has(key)) owners.set(key, []);
+      if (!owners.get(key).includes(plan.id)) owners.get(key).push(plan.id);
+    }
+  }
+  for (const [key, ids] of owners) {
+    if (ids.length < 2) continue;
+    const [wave, file] = key.split('\0');
+    issues.push({
+      type: 'file_conflict',
+      wave: parseInt(wave, 10),
+      file,
+      plans: ids,
+      message: `${file} is modified by ${ids.join(' and ')} in wave ${wave}`,
+    });
   }
 
+  return issues;
+}
+
+/** Plans of a phase with waves, completion and wave/dependency issues. */
+function phasePlanIndexInternal(cwd, phase, options = {}) {
   const phasesDir = path.join(cwd, '.planning', 'phases');
   const normalized = normalizePhaseName(phase);
 
@@ -222,8 +337,7 @@ function cmdPhasePlanIndex(cwd, phase, raw) {
   }
 
   if (!phaseDir) {
-    output({ phase: normalized, error: 'Phase not found', plans: [], waves: {}, incomplete: [], has_checkpoints: false }, raw);
-    return;
+    return { phase: normalized, error: 'Phase not found', plans: [], waves: {}, incomplete: [], has_checkpoints: false, valid: true, issues: [] };
   }
 
   // Get all files in phase directory
@@ -245,7 +359,7 @@ function cmdPhasePlanIndex(cwd, phase, raw) {
     const planId = planFile.replace('-PLAN.md', '').replace('PLAN.md', '');
     const planPath = path.join(phaseDir, planFile);
     const content = fs.readFileSync(planPath, 'utf-8');
-    const fm = extractFrontmatter(content);
+    const fm = extractFrontmatter(content, planFile);
 
     // Count tasks: XML <task> tags (canonical) or ## Task N markdown (legacy)
     const xmlTasks = content.match(/<task[\s>]/gi) || [];
@@ -277,9 +391,14 @@ function cmdPhasePlanIndex(cwd, phase, raw) {
       incomplete.push(planId);
     }
 
+    let dependsOn = fm.depends_on || fm['depends-on'] || [];
+    if (!Array.isArray(dependsOn)) dependsOn = String(dependsOn).split(',');
+    dependsOn = dependsOn.map(d => String(d).trim()).filter(Boolean);
+
     const plan = {
       id: planId,
       wave,
+      depends_on: dependsOn,
       autonomous,
       objective: extractObjective(content) || fm.objective || null,
       files_modified: filesModified,
@@ -288,24 +407,35 @@ function cmdPhasePlanIndex(cwd, phase, raw) {
     };
 
     plans.push(plan);
+  }
 
-    // Group by wave
-    const waveKey = String(wave);
+  const issues = validatePlanWaves(plans, normalized, options.autoWaves);
+
+  // Group by wave (after --auto-waves may have reassigned them)
+  for (const plan of plans) {
+    const waveKey = String(plan.wave);
     if (!waves[waveKey]) {
       waves[waveKey] = [];
     }
-    waves[waveKey].push(planId);
+    waves[waveKey].push(plan.id);
   }
 
-  const result = {
+  return {
     phase: normalized,
     plans,
     waves,
     incomplete,
     has_checkpoints: hasCheckpoints,
+    valid: issues.length === 0,
+    issues,
   };
+}
 
-  output(result, raw);
+function cmdPhasePlanIndex(cwd, phase, raw, options = {}) {
+  if (!phase) {
+    error('phase required for phase-plan-index');
+  }
+  output(phasePlanIndexInternal(cwd, phase, options), raw);
 }
 
 function cmdPhaseAdd(cwd, description, raw) {
@@ -314,6 +444,7 @@ function cmdPhaseAdd(cwd, description, raw) {
   }
 
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(roadmapPath)) {
     error('ROADMAP.md not found');
   }
@@ -334,10 +465,11 @@ function cmdPhaseAdd(cwd, description, raw) {
   const paddedNum = String(newPhaseNum).padStart(2, '0');
   const dirName = `${paddedNum}-${slug}`;
   const dirPath = path.join(cwd, '.planning', 'phases', dirName);
+  const tx = createTransaction();
 
   // Create directory with .gitkeep so git tracks empty folders
-  fs.mkdirSync(dirPath, { recursive: true });
-  fs.writeFileSync(path.join(dirPath, '.gitkeep'), '');
+  tx.mkdir(dirPath);
+  tx.write(path.join(dirPath, '.gitkeep'), '');
 
   // Build phase entry
   const phaseEntry = `\n### Phase ${newPhaseNum}: ${description}\n\n**Goal:** [To be planned]\n**Requirements**: TBD\n**Depends on:** Phase ${maxPhase}\n**Plans:** 0 plans\n\nPlans:\n- [ ] TBD (run /gsd:plan-phase ${newPhaseNum} to break down)\n`;
@@ -351,7 +483,8 @@ function cmdPhaseAdd(cwd, description, raw) {
     updatedContent = content + phaseEntry;
   }
 
-  fs.writeFileSync(roadmapPath, updatedContent, 'utf-8');
+  tx.write(roadmapPath, updatedContent);
+  commitTransaction(tx);
 
   const result = {
     phase_number: newPhaseNum,
@@ -370,6 +503,7 @@ function cmdPhaseInsert(cwd, afterPhase, description, raw) {
   }
 
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(roadmapPath)) {
     error('ROADMAP.md not found');
   }
@@ -405,10 +539,11 @@ function cmdPhaseInsert(cwd, afterPhase, description, raw) {
   const decimalPhase = `${normalizedBase}.${nextDecimal}`;
   const dirName = `${decimalPhase}-${slug}`;
   const dirPath = path.join(cwd, '.planning', 'phases', dirName);
+  const tx = createTransaction();
 
   // Create directory with .gitkeep so git tracks empty folders
-  fs.mkdirSync(dirPath, { recursive: true });
-  fs.writeFileSync(path.join(dirPath, '.gitkeep'), '');
+  tx.mkdir(dirPath);
+  tx.write(path.join(dirPath, '.gitkeep'), '');
 
   // Build phase entry
   const phaseEntry = `\n### Phase ${decimalPhase}: ${description} (INSERTED)\n\n**Goal:** [Urgent work - to be planned]\n**Requirements**: TBD\n**Depends on:** Phase ${afterPhase}\n**Plans:** 0 plans\n\nPlans:\n- [ ] TBD (run /gsd:plan-phase ${decimalPhase} to break down)\n`;
@@ -432,7 +567,8 @@ function cmdPhaseInsert(cwd, afterPhase, description, raw) {
   }
 
   const updatedContent = content.slice(0, insertIdx) + phaseEntry + content.slice(insertIdx);
-  fs.writeFileSync(roadmapPath, updatedContent, 'utf-8');
+  tx.write(roadmapPath, updatedContent);
+  commitTransaction(tx);
 
   const result = {
     phase_number: decimalPhase,
@@ -451,6 +587,7 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
   }
 
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  acquirePlanningLock(cwd);
   const phasesDir = path.join(cwd, '.planning', 'phases');
   const force = options.force || false;
 
@@ -480,9 +617,12 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
     }
   }
 
+  // All directory, ROADMAP and STATE changes are staged and committed together
+  const tx = createTransaction();
+
   // Delete target directory
   if (targetDir) {
-    fs.rmSync(path.join(phasesDir, targetDir), { recursive: true, force: true });
+    tx.remove(path.join(phasesDir, targetDir));
   }
 
   // Renumber subsequent phases
@@ -497,7 +637,7 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
 
     try {
       const entries = fs.readdirSync(phasesDir, { withFileTypes: true });
-      const dirs = entries.filter(e => e.isDirectory()).map(e => e.name).sort((a, b) => comparePhaseNum(a, b));
+      const dirs = entries.filter(e => e.isDirectory() && e.name !== targetDir).map(e => e.name).sort((a, b) => comparePhaseNum(a, b));
 
       // Find sibling decimals with higher numbers
       const decPattern = new RegExp(`^${baseInt}\\.(\\d+)-(.+)$`);
@@ -518,17 +658,17 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
         const newPhaseId = `${baseInt}.${newDecimal}`;
         const newDirName = `${baseInt}.${newDecimal}-${item.slug}`;
 
-        // Rename directory
-        fs.renameSync(path.join(phasesDir, item.dir), path.join(phasesDir, newDirName));
+        // Rename directory (list its files first; the rename is only staged)
+        const dirFiles = fs.readdirSync(path.join(phasesDir, item.dir));
+        tx.rename(path.join(phasesDir, item.dir), path.join(phasesDir, newDirName));
         renamedDirs.push({ from: item.dir, to: newDirName });
 
         // Rename files inside
-        const dirFiles = fs.readdirSync(path.join(phasesDir, newDirName));
         for (const f of dirFiles) {
           // Files may have phase prefix like "06.2-01-PLAN.md"
           if (f.includes(oldPhaseId)) {
             const newFileName = f.replace(oldPhaseId, newPhaseId);
-            fs.renameSync(
+            tx.rename(
               path.join(phasesDir, newDirName, f),
               path.join(phasesDir, newDirName, newFileName)
             );
@@ -544,7 +684,7 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
 
     try {
       const entries = fs.readdirSync(phasesDir, { withFileTypes: true });
-      const dirs = entries.filter(e => e.isDirectory()).map(e => e.name).sort((a, b) => comparePhaseNum(a, b));
+      const dirs = entries.filter(e => e.isDirectory() && e.name !== targetDir).map(e => e.name).sort((a, b) => comparePhaseNum(a, b));
 
       // Collect directories that need renumbering (integer phases > removed, and their decimals/letters)
       const toRename = [];
@@ -579,16 +719,16 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
         const newPrefix = `${newPadded}${letterSuffix}${decimalSuffix}`;
         const newDirName = `${newPrefix}-${item.slug}`;
 
-        // Rename directory
-        fs.renameSync(path.join(phasesDir, item.dir), path.join(phasesDir, newDirName));
+        // Rename directory (list its files first; the rename is only staged)
+        const dirFiles = fs.readdirSync(path.join(phasesDir, item.dir));
+        tx.rename(path.join(phasesDir, item.dir), path.join(phasesDir, newDirName));
         renamedDirs.push({ from: item.dir, to: newDirName });
 
         // Rename files inside
-        const dirFiles = fs.readdirSync(path.join(phasesDir, newDirName));
         for (const f of dirFiles) {
           if (f.startsWith(oldPrefix)) {
             const newFileName = newPrefix + f.slice(oldPrefix.length);
-            fs.renameSync(
+            tx.rename(
               path.join(phasesDir, newDirName, f),
               path.join(phasesDir, newDirName, newFileName)
             );
@@ -663,7 +803,7 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
     }
   }
 
-  fs.writeFileSync(roadmapPath, roadmapContent, 'utf-8');
+  tx.write(roadmapPath, roadmapContent);
 
   // Update STATE.md phase count
   const statePath = path.join(cwd, '.planning', 'STATE.md');
@@ -683,9 +823,11 @@ function cmdPhaseRemove(cwd, targetPhase, options, raw) {
       const oldTotal = parseInt(ofMatch[2], 10);
       stateContent = stateContent.replace(ofPattern, `$1${oldTotal - 1}$3`);
     }
-    writeStateMd(statePath, stateContent, cwd);
+    writeStateMd(statePath, stateContent, cwd, tx);
   }
 
+  commitTransaction(tx);
+
   const result = {
     removed: targetPhase,
     directory_deleted: targetDir || null,
@@ -704,6 +846,7 @@ function cmdPhaseComplete(cwd, phaseNum, raw) {
   }
 
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  acquirePlanningLock(cwd);
   const statePath = path.join(cwd, '.planning', 'STATE.md');
   const phasesDir = path.join(cwd, '.planning', 'phases');
   const normalized = normalizePhaseName(phaseNum);
@@ -718,6 +861,9 @@ function cmdPhaseComplete(cwd, phaseNum, raw) {
   const planCount = phaseInfo.plans.length;
   const summaryCount = phaseInfo.summaries.length;
 
+  // ROADMAP, REQUIREMENTS and STATE are committed together or not at all
+  const tx = createTransaction();
+
   // Update ROADMAP.md: mark phase complete
   if (fs.existsSync(roadmapPath)) {
     let roadmapContent = fs.readFileSync(roadmapPath, 'utf-8');
@@ -750,7 +896,7 @@ function cmdPhaseComplete(cwd, phaseNum, raw) {
       `$1${summaryCount}/${planCount} plans complete`
     );
 
-    fs.writeFileSync(roadmapPath, roadmapContent, 'utf-8');
+    tx.write(roadmapPath, roadmapContent);
 
     // Update REQUIREMENTS.md traceability for this phase's requirements
     const reqPath = path.join(cwd, '.planning', 'REQUIREMENTS.md');
@@ -778,7 +924,7 @@ function cmdPhaseComplete(cwd, phaseNum, raw) {
           );
         }
 
-        fs.writeFileSync(reqPath, reqContent, 'utf-8');
+        tx.write(reqPath, reqContent);
       }
     }
   }
@@ -848,9 +994,11 @@ function cmdPhaseComplete(cwd, phaseNum, raw) {
       `$1Phase ${phaseNum} complete${nextPhaseNum ? `, transitioned to Phase ${nextPhaseNum}` : ''}`
     );
 
-    writeStateMd(statePath, stateContent, cwd);
+    writeStateMd(statePath, stateContent, cwd, tx);
   }
 
+  commitTransaction(tx);
+
   const result = {
     completed_phase: phaseNum,
     phase_name: phaseInfo.phase_name,
@@ -871,6 +1019,7 @@ module.exports = {
   cmdPhaseNextDecimal,
   cmdFindPhase,
   cmdPhasePlanIndex,
+  phasePlanIndexInternal,
   cmdPhaseAdd,
   cmdPhaseInsert,
   cmdPhaseRemove,
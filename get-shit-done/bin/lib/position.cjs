@@ -0,0 +1,144 @@
+/**
+ * Position — Current milestone, phase, plan and open blockers from STATE.md
+ *
+ * Shared by gsd-tools (`pause snapshot`) and the hooks, which require this
+ * file from the installed get-shit-done/bin/lib. It runs on every statusline
+ * render, so it depends only on Node built-ins and state-document.cjs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseStateDocument, getField, findStateSection, getListItems } = require('./state-document.cjs');
+
+/** Parsed JSON file, or null when missing or invalid. */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/** Nearest directory at or above dir that contains .planning/, or null. */
+function findProjectRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (fs.existsSync(path.join(current, '.planning'))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function frontmatterFields(frontmatter) {
+  const fields = {};
+  for (const line of (frontmatter || '').split('\n')) {
+    const m = line.match(/^([a-z_]+):\s*"?([^"]*?)"?\s*$/);
+    if (m && m[2]) fields[m[1]] = m[2];
+  }
+  return fields;
+}
+
+/**
+ * Position from STATE.md content, in either field style the templates use
+ * (`**Current Phase:** 3` or `Phase: 3 of 5 (API)`), with the milestone
+ * falling back to ROADMAP.md.
+ * @returns {{ milestone: string|null, phase: string|null, phase_name: string|null, plan: string|null, total_plans: string|null, status: string|null, blockers: number }}
+ */
+function parsePosition(stateContent, roadmapContent) {
+  const doc = parseStateDocument(stateContent);
+  const fm = frontmatterFields(doc.frontmatter);
+  const position = {
+    milestone: fm.milestone || null,
+    phase: fm.current_phase || getField(doc, 'Current Phase') || null,
+    phase_name: fm.current_phase_name || getField(doc, 'Current Phase Name') || null,
+    plan: fm.current_plan || getField(doc, 'Current Plan') || null,
+    total_plans: getField(doc, 'Total Plans in Phase') || null,
+    status: getField(doc, 'Status') || null,
+    blockers: 0,
+  };
+
+  // Template style: "Phase: 3 of 5 (API)" and "Plan: 2 of 4 in current phase"
+  const phaseLine = !position.phase && getField(doc, 'Phase');
+  const phaseMatch = phaseLine && phaseLine.match(/^(\d+(?:\.\d+)?)(?:\s+of\s+\d+)?(?:\s*\(([^)]+)\))?/);
+  if (phaseMatch) {
+    position.phase = phaseMatch[1];
+    position.phase_name = position.phase_name || phaseMatch[2] || null;
+  }
+  const planLine = getField(doc, 'Plan');
+  const planMatch = planLine && planLine.match(/^(\d+)(?:\s+of\s+(\d+))?/);
+  if (planMatch) {
+    position.plan = position.plan || planMatch[1];
+    position.total_plans = position.total_plans || planMatch[2] || null;
+  }
+
+  // Open blockers, minus template hints like "[Issues that affect future work]" and struck-out items
+  const blockers = findStateSection(doc, 'blockers');
+  if (blockers) {
+    position.blockers = getListItems(blockers).filter(text => !/^\[[^\]]*\]\.?$/.test(text.trim()) && !/~~/.test(text)).length;
+  }
+
+  if (!position.milestone && roadmapContent) {
+    const cleaned = roadmapContent.replace(/<details>[\s\S]*?<\/details>/gi, '');
+    const m = cleaned.match(/## .*v(\d+\.\d+)[:\s]+/) || cleaned.match(/v(\d+\.\d+)/);
+    if (m) position.milestone = 'v' + m[1];
+  }
+  return position;
+}
+
+/** Position of the project at cwd, or null without a readable STATE.md. */
+function readPosition(cwd) {
+  let state;
+  try {
+    state = fs.readFileSync(path.join(cwd, '.planning', 'STATE.md'), 'utf8');
+  } catch {
+    return null;
+  }
+  let roadmap = null;
+  try { roadmap = fs.readFileSync(path.join(cwd, '.planning', 'ROADMAP.md'), 'utf8'); } catch {}
+  return parsePosition(state, roadmap);
+}
+
+function mtimeOf(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function positionCachePath(projectRoot) {
+  const key = crypto.createHash('sha1').update(path.resolve(projectRoot)).digest('hex').slice(0, 12);
+  return path.join(os.tmpdir(), `gsd-position-${key}.json`);
+}
+
+/**
+ * readPosition for hooks: cached in tmp and reused until STATE.md or
+ * ROADMAP.md changes, so a render costs two stats instead of a parse.
+ */
+function readCachedPosition(projectRoot) {
+  const stateMtime = mtimeOf(path.join(projectRoot, '.planning', 'STATE.md'));
+  if (stateMtime === null) return null;
+  const roadmapMtime = mtimeOf(path.join(projectRoot, '.planning', 'ROADMAP.md'));
+
+  const cachePath = positionCachePath(projectRoot);
+  const cached = readJson(cachePath);
+  if (cached && cached.stateMtime === stateMtime && cached.roadmapMtime === roadmapMtime) return cached.position;
+
+  const position = readPosition(projectRoot);
+  try {
+    fs.writeFileSync(cachePath, JSON.stringify({ stateMtime, roadmapMtime, position }));
+  } catch {}
+  return position;
+}
+
+module.exports = {
+  readJson,
+  findProjectRoot,
+  parsePosition,
+  readPosition,
+  positionCachePath,
+  readCachedPosition,
+};
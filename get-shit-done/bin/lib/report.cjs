@@ -0,0 +1,158 @@
+/**
+ * Report — SARIF 2.1.0, JUnit XML and TAP 13 renderings of verify/validate results
+ *
+ * Commands describe their outcome as a list of checks:
+ *   { id, name, passed, level: 'error'|'warning'|'note', message, file, rule }
+ * Passing checks need only id and name; `rule` optionally describes the id.
+ * Only failed error-level checks count as failures; warnings and notes are
+ * reported without failing the run.
+ */
+
+const { output, error } = require('./core.cjs');
+
+const REPORT_FORMATS = ['json', 'sarif', 'junit', 'tap'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+function isFailure(check) {
+  return !check.passed && (check.level || 'error') === 'error';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ─── SARIF ────────────────────────────────────────────────────────────────────
+
+function renderSarif(suite, checks) {
+  const rules = [];
+  const seen = new Set();
+  for (const check of checks) {
+    if (seen.has(check.id)) continue;
+    seen.add(check.id);
+    rules.push(check.rule ? { id: check.id, shortDescription: { text: check.rule } } : { id: check.id });
+  }
+
+  const results = checks.filter(c => !c.passed).map(check => {
+    const result = {
+      ruleId: check.id,
+      level: check.level || 'error',
+      message: { text: check.message || check.name },
+    };
+    if (check.file) {
+      result.locations = [{ physicalLocation: { artifactLocation: { uri: check.file } } }];
+    }
+    return result;
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'gsd-tools', rules } },
+      automationDetails: { id: suite },
+      results,
+    }],
+  };
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+// ─── JUnit ────────────────────────────────────────────────────────────────────
+
+function renderJunit(suite, checks) {
+  const failures = checks.filter(isFailure).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="gsd-tools" tests="${checks.length}" failures="${failures}">`,
+    `  <testsuite name="${escapeXml(suite)}" tests="${checks.length}" failures="${failures}" errors="0" skipped="0">`,
+  ];
+  for (const check of checks) {
+    const attrs = `classname="${escapeXml(suite)}" name="${escapeXml(check.name)}"` +
+      (check.file ? ` file="${escapeXml(check.file)}"` : '');
+    if (check.passed) {
+      lines.push(`    <testcase ${attrs}/>`);
+    } else if (isFailure(check)) {
+      lines.push(`    <testcase ${attrs}>`);
+      lines.push(`      <failure type="${escapeXml(check.id)}" message="${escapeXml(check.message || check.name)}"/>`);
+      lines.push('    </testcase>');
+    } else {
+      // JUnit has no warning outcome; keep the case passing and attach the message
+      lines.push(`    <testcase ${attrs}>`);
+      lines.push(`      <system-out>${escapeXml(`${check.level} ${check.id}: ${check.message || check.name}`)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+  }
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// ─── TAP ──────────────────────────────────────────────────────────────────────
+
+function yamlScalar(value) {
+  return JSON.stringify(String(value));
+}
+
+function renderTap(suite, checks) {
+  const lines = ['TAP version 13', `# ${suite}`, `1..${checks.length}`];
+  checks.forEach((check, i) => {
+    const description = check.name.replace(/#/g, '\\#');
+    lines.push(`${isFailure(check) ? 'not ok' : 'ok'} ${i + 1} - ${description}`);
+    if (!check.passed) {
+      lines.push('  ---');
+      lines.push(`  code: ${yamlScalar(check.id)}`);
+      lines.push(`  severity: ${check.level || 'error'}`);
+      lines.push(`  message: ${yamlScalar(check.message || check.name)}`);
+      if (check.file) lines.push(`  file: ${yamlScalar(check.file)}`);
+      lines.push('  ...');
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ─── Entry points ─────────────────────────────────────────────────────────────
+
+const RENDERERS = { sarif: renderSarif, junit: renderJunit, tap: renderTap };
+
+/**
+ * Render checks in a report format.
+ * @param {'sarif'|'junit'|'tap'} format
+ * @param {string} suite - command name, e.g. "validate health"
+ * @param {object[]} checks
+ */
+function renderReport(format, suite, checks) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown report format: ${format}`);
+  return render(suite, checks);
+}
+
+/** Exit through error() unless format is empty or one of REPORT_FORMATS. */
+function assertReportFormat(format) {
+  if (format && !REPORT_FORMATS.includes(format)) {
+    error(`Unknown format: ${format}. Available: ${REPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Finish a verify/validate command: the usual JSON (or raw value) by
+ * default, otherwise the rendered report in place of it.
+ */
+function outputReport(format, suite, checks, result, raw, rawValue, exitCode = 0) {
+  if (!format || format === 'json') {
+    output(result, raw, rawValue, exitCode);
+    return;
+  }
+  output(result, true, renderReport(format, suite, checks), exitCode);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  renderReport,
+  assertReportFormat,
+  outputReport,
+  escapeXml,
+};
@@ -0,0 +1,198 @@
+/**
+ * Research — Offline cache of fetched sources and the citations registry
+ *
+ * Page extracts live in .planning/research/.cache/pages/<id>.json (id is
+ * derived from the URL) with URL, fetch time and content hash; websearch
+ * results live next to them in .cache/websearch/. RESEARCH.md files cite
+ * sources as [cite:N], numbered in .planning/research/citations.json, so
+ * references resolve without network access. The .cache/ directory carries
+ * a `*` .gitignore so `commit` never stages cached pages or results.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { output, error } = require('./core.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+
+const RESEARCH_DIR = path.join('.planning', 'research');
+const CACHE_DIR = path.join(RESEARCH_DIR, '.cache');
+const PAGE_CACHE_DIR = path.join(CACHE_DIR, 'pages');
+const SEARCH_CACHE_DIR = path.join(CACHE_DIR, 'websearch');
+const CITATIONS_FILE = path.join(RESEARCH_DIR, 'citations.json');
+const CITE_PATTERN = /\[cite:(\d+)\]/g;
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/** .gitignore that keeps the cache out of planning commits; writers create it when missing. */
+function cacheIgnorePath(cwd) {
+  return path.join(cwd, CACHE_DIR, '.gitignore');
+}
+
+function readJsonDir(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files.map(f => ({ id: f.slice(0, -5), entry: readJson(path.join(dir, f)) })).filter(e => e.entry);
+}
+
+// ─── Page cache ───────────────────────────────────────────────────────────────
+
+function pageId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+function contentHash(content) {
+  return 'sha256:' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/** Cached page for a URL or page id, or null. */
+function getCachedPage(cwd, key) {
+  if (!key) return null;
+  const id = /^[0-9a-f]{16}$/.test(key) ? key : pageId(key);
+  return readJson(path.join(cwd, PAGE_CACHE_DIR, id + '.json'));
+}
+
+function cmdResearchCachePut(cwd, url, options, raw) {
+  if (!url) { error('url required for research cache put'); }
+  if (!/^https?:\/\//i.test(url)) { error(`Not an http(s) URL: ${url}`); }
+
+  let content = options.content;
+  if (options.file) {
+    const filePath = path.isAbsolute(options.file) ? options.file : path.join(cwd, options.file);
+    try {
+      content = fs.readFileSync(filePath, 'utf-8');
+    } catch {
+      error(`File not found: ${options.file}`);
+    }
+  }
+  if (content === undefined || content === null) { error('--file or --content required'); }
+
+  const id = pageId(url);
+  const hash = contentHash(content);
+  const previous = getCachedPage(cwd, id);
+  if (previous && previous.hash === hash) {
+    output({ stored: false, reason: 'unchanged', id, url, hash, fetched_at: previous.fetched_at }, raw, id);
+    return;
+  }
+
+  const entry = {
+    url,
+    title: options.title || (previous && previous.title) || null,
+    query: options.query || (previous && previous.query) || null,
+    fetched_at: new Date().toISOString(),
+    hash,
+    bytes: Buffer.byteLength(content),
+    content,
+  };
+  const tx = createTransaction();
+  tx.write(path.join(cwd, PAGE_CACHE_DIR, id + '.json'), JSON.stringify(entry, null, 2) + '\n');
+  if (!fs.existsSync(cacheIgnorePath(cwd))) tx.write(cacheIgnorePath(cwd), '*\n');
+  commitTransaction(tx);
+
+  output({ stored: true, id, url, hash, fetched_at: entry.fetched_at, replaced: !!previous }, raw, id);
+}
+
+function cmdResearchCacheGet(cwd, key, raw) {
+  if (!key) { error('url or id required for research cache get'); }
+  const entry = getCachedPage(cwd, key);
+  if (!entry) {
+    output({ found: false, key }, raw, '');
+    return;
+  }
+  output({ found: true, id: pageId(entry.url), ...entry }, raw, entry.content);
+}
+
+/** Cached pages and websearch results, newest first, optionally filtered by text. */
+function cmdResearchCacheList(cwd, options, raw) {
+  const pages = readJsonDir(path.join(cwd, PAGE_CACHE_DIR)).map(({ id, entry }) => ({
+    kind: 'page', id, url: entry.url, title: entry.title || null, query: entry.query || null,
+    fetched_at: entry.fetched_at, hash: entry.hash, bytes: entry.bytes,
+  }));
+  const searches = readJsonDir(path.join(cwd, SEARCH_CACHE_DIR)).map(({ id, entry }) => ({
+    kind: 'search', id, provider: entry.provider, query: entry.query,
+    fetched_at: entry.fetched_at, count: Array.isArray(entry.results) ? entry.results.length : 0,
+  }));
+
+  let entries = [...pages, ...searches];
+  if (options.query) {
+    const needle = options.query.toLowerCase();
+    entries = entries.filter(e => [e.query, e.title, e.url].some(v => v && v.toLowerCase().includes(needle)));
+  }
+  entries.sort((a, b) => String(b.fetched_at).localeCompare(String(a.fetched_at)));
+
+  output({ count: entries.length, entries }, raw, entries.map(e => `${e.kind}\t${e.id}\t${e.url || e.query}`).join('\n'));
+}
+
+// ─── Citations ────────────────────────────────────────────────────────────────
+
+function loadCitations(cwd) {
+  const data = readJson(path.join(cwd, CITATIONS_FILE));
+  return data && Array.isArray(data.citations) ? data.citations : [];
+}
+
+/** Citation ids used in a document, in order of first use. */
+function findCitations(content) {
+  const ids = [];
+  for (const m of content.matchAll(CITE_PATTERN)) {
+    const id = parseInt(m[1], 10);
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+function cmdResearchCiteAdd(cwd, url, options, raw) {
+  if (!url) { error('url required for research cite add'); }
+  acquirePlanningLock(cwd);
+
+  const citations = loadCitations(cwd);
+  const existing = citations.find(c => c.url === url);
+  if (existing) {
+    output({ added: false, ...existing, cite: `[cite:${existing.id}]` }, raw, `[cite:${existing.id}]`);
+    return;
+  }
+
+  const cached = getCachedPage(cwd, url);
+  const citation = {
+    id: citations.reduce((max, c) => Math.max(max, c.id), 0) + 1,
+    url,
+    title: options.title || (cached && cached.title) || null,
+    accessed: cached ? cached.fetched_at : new Date().toISOString(),
+    hash: cached ? cached.hash : null,
+  };
+  const tx = createTransaction();
+  tx.write(path.join(cwd, CITATIONS_FILE), JSON.stringify({ citations: [...citations, citation] }, null, 2) + '\n');
+  commitTransaction(tx);
+
+  output({ added: true, ...citation, cite: `[cite:${citation.id}]` }, raw, `[cite:${citation.id}]`);
+}
+
+function cmdResearchCiteList(cwd, raw) {
+  const citations = loadCitations(cwd).map(c => ({ ...c, cached: !!getCachedPage(cwd, c.url) }));
+  output({ count: citations.length, citations }, raw,
+    citations.map(c => `[cite:${c.id}] ${c.title ? c.title + ' — ' : ''}${c.url}`).join('\n'));
+}
+
+module.exports = {
+  SEARCH_CACHE_DIR,
+  cacheIgnorePath,
+  CITATIONS_FILE,
+  getCachedPage,
+  loadCitations,
+  findCitations,
+  cmdResearchCachePut,
+  cmdResearchCacheGet,
+  cmdResearchCacheList,
+  cmdResearchCiteAdd,
+  cmdResearchCiteList,
+};
@@ -4,7 +4,76 @@
 
 const fs = require('fs');
 const path = require('path');
-const { escapeRegex, normalizePhaseName, output, error, findPhaseInternal } = require('./core.cjs');
+const { escapeRegex, normalizePhaseName, comparePhaseNum, output, error, findPhaseInternal } = require('./core.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+
+// ─── Roadmap parsing helpers ────────────────────────────────────────────────
+
+/**
+ * Split ROADMAP.md into phase detail sections (`## Phase N: Name` through
+ * the next phase heading).
+ */
+function extractPhaseSections(content) {
+  const phasePattern = /#{2,4}\s*Phase\s+(\d+[A-Z]?(?:\.\d+)*)\s*:\s*([^\n]+)/gi;
+  const sections = [];
+  let match;
+
+  while ((match = phasePattern.exec(content)) !== null) {
+    const sectionStart = match.index;
+    const restOfContent = content.slice(sectionStart);
+    const nextHeader = restOfContent.match(/\n#{2,4}\s+Phase\s+\d/i);
+    const sectionEnd = nextHeader ? sectionStart + nextHeader.index : content.length;
+
+    sections.push({
+      number: match[1],
+      name: match[2].replace(/\(INSERTED\)/i, '').trim(),
+      section: content.slice(sectionStart, sectionEnd),
+    });
+  }
+  return sections;
+}
+
+/** Raw `**Depends on:**` / `**Depends on**:` value of a phase section, or null. */
+function extractDependsOn(section) {
+  const match = section.match(/\*\*Depends on(?::\*\*|\*\*:)\s*([^\n]+)/i);
+  return match ? match[1].trim() : null;
+}
+
+function isRoadmapChecked(content, phaseNum) {
+  const checkboxPattern = new RegExp(`-\\s*\\[(x| )\\]\\s*.*Phase\\s+${escapeRegex(phaseNum)}`, 'i');
+  const checkboxMatch = content.match(checkboxPattern);
+  return checkboxMatch ? checkboxMatch[1] === 'x' : false;
+}
+
+/** Plan/summary counts and derived status of a phase directory. */
+function getPhaseDiskInfo(phasesDir, phaseNum) {
+  const normalized = normalizePhaseName(phaseNum);
+  const info = { diskStatus: 'no_directory', planCount: 0, summaryCount: 0, hasContext: false, hasResearch: false };
+
+  try {
+    const entries = fs.readdirSync(phasesDir, { withFileTypes: true });
+    const dirs = entries.filter(e => e.isDirectory()).map(e => e.name);
+    const dirMatch = dirs.find(d => d.startsWith(normalized + '-') || d === normalized);
+
+    if (dirMatch) {
+      const phaseFiles = fs.readdirSync(path.join(phasesDir, dirMatch));
+      info.planCount = phaseFiles.filter(f => f.endsWith('-PLAN.md') || f === 'PLAN.md').length;
+      info.summaryCount = phaseFiles.filter(f => f.endsWith('-SUMMARY.md') || f === 'SUMMARY.md').length;
+      info.hasContext = phaseFiles.some(f => f.endsWith('-CONTEXT.md') || f === 'CONTEXT.md');
+      info.hasResearch = phaseFiles.some(f => f.endsWith('-RESEARCH.md') || f === 'RESEARCH.md');
+
+      if (info.summaryCount >= info.planCount && info.planCount > 0) info.diskStatus = 'complete';
+      else if (info.summaryCount > 0) info.diskStatus = 'partial';
+      else if (info.planCount > 0) info.diskStatus = 'planned';
+      else if (info.hasResearch) info.diskStatus = 'researched';
+      else if (info.hasContext) info.diskStatus = 'discussed';
+      else info.diskStatus = 'empty';
+    }
+  } catch {}
+
+  return info;
+}
 
 function cmdRoadmapGetPhase(cwd, phaseNum, raw) {
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
@@ -101,61 +170,18 @@ function cmdRoadmapAnalyze(cwd, raw) {
   const content = fs.readFileSync(roadmapPath, 'utf-8');
   const phasesDir = path.join(cwd, '.planning', 'phases');
 
-  // Extract all phase headings: ## Phase N: Name or ### Phase N: Name
-  const phasePattern = /#{2,4}\s*Phase\s+(\d+[A-Z]?(?:\.\d+)*)\s*:\s*([^\n]+)/gi;
   const phases = [];
-  let match;
-
-  while ((match = phasePattern.exec(content)) !== null) {
-    const phaseNum = match[1];
-    const phaseName = match[2].replace(/\(INSERTED\)/i, '').trim();
-
-    // Extract goal from the section
-    const sectionStart = match.index;
-    const restOfContent = content.slice(sectionStart);
-    const nextHeader = restOfContent.match(/\n#{2,4}\s+Phase\s+\d/i);
-    const sectionEnd = nextHeader ? sectionStart + nextHeader.index : content.length;
-    const section = content.slice(sectionStart, sectionEnd);
 
+  for (const { number: phaseNum, name: phaseName, section } of extractPhaseSections(content)) {
     const goalMatch = section.match(/\*\*Goal:\*\*\s*([^\n]+)/i);
     const goal = goalMatch ? goalMatch[1].trim() : null;
 
-    const dependsMatch = section.match(/\*\*Depends on:\*\*\s*([^\n]+)/i);
-    const depends_on = dependsMatch ? dependsMatch[1].trim() : null;
+    const depends_on = extractDependsOn(section);
 
     // Check completion on disk
-    const normalized = normalizePhaseName(phaseNum);
-    let diskStatus = 'no_directory';
-    let planCount = 0;
-    let summaryCount = 0;
-    let hasContext = false;
-    let hasResearch = false;
-
-    try {
-      const entries = fs.readdirSync(phasesDir, { withFileTypes: true });
-      const dirs = entries.filter(e => e.isDirectory()).map(e => e.name);
-      const dirMatch = dirs.find(d => d.startsWith(normalized + '-') || d === normalized);
-
-      if (dirMatch) {
-        const phaseFiles = fs.readdirSync(path.join(phasesDir, dirMatch));
-        planCount = phaseFiles.filter(f => f.endsWith('-PLAN.md') || f === 'PLAN.md').length;
-        summaryCount = phaseFiles.filter(f => f.endsWith('-SUMMARY.md') || f === 'SUMMARY.md').length;
-        hasContext = phaseFiles.some(f => f.endsWith('-CONTEXT.md') || f === 'CONTEXT.md');
-        hasResearch = phaseFiles.some(f => f.endsWith('-RESEARCH.md') || f === 'RESEARCH.md');
-
-        if (summaryCount >= planCount && planCount > 0) diskStatus = 'complete';
-        else if (summaryCount > 0) diskStatus = 'partial';
-        else if (planCount > 0) diskStatus = 'planned';
-        else if (hasResearch) diskStatus = 'researched';
-        else if (hasContext) diskStatus = 'discussed';
-        else diskStatus = 'empty';
-      }
-    } catch {}
+    const { diskStatus, planCount, summaryCount, hasContext, hasResearch } = getPhaseDiskInfo(phasesDir, phaseNum);
 
-    // Check ROADMAP checkbox status
-    const checkboxPattern = new RegExp(`-\\s*\\[(x| )\\]\\s*.*Phase\\s+${escapeRegex(phaseNum)}`, 'i');
-    const checkboxMatch = content.match(checkboxPattern);
-    const roadmapComplete = checkboxMatch ? checkboxMatch[1] === 'x' : false;
+    const roadmapComplete = isRoadmapChecked(content, phaseNum);
 
     phases.push({
       number: phaseNum,
@@ -223,6 +249,7 @@ function cmdRoadmapUpdatePlanProgress(cwd, phaseNum, raw) {
   }
 
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  acquirePlanningLock(cwd);
 
   const phaseInfo = findPhaseInternal(cwd, phaseNum);
   if (!phaseInfo) {
@@ -279,7 +306,7 @@ function cmdRoadmapUpdatePlanProgress(cwd, phaseNum, raw) {
     roadmapContent = roadmapContent.replace(checkboxPattern, `$1x$2 (completed ${today})`);
   }
 
-  fs.writeFileSync(roadmapPath, roadmapContent, 'utf-8');
+  commitTransaction(createTransaction().write(roadmapPath, roadmapContent));
 
   output({
     updated: true,
@@ -291,8 +318,293 @@ function cmdRoadmapUpdatePlanProgress(cwd, phaseNum, raw) {
   }, raw, `${summaryCount}/${planCount} ${status}`);
 }
 
+// ─── Phase dependency graph ─────────────────────────────────────────────────
+
+const GRAPH_FORMATS = ['json', 'mermaid', 'dot'];
+
+/**
+ * Phase numbers referenced by a `Depends on` value. Understands "Phase 1",
+ * "Phases 1, 2 and 3", "1-3" and "Phase 2.1 (auth)"; "Nothing"/"None" is empty.
+ */
+function parseDependsOn(value) {
+  if (!value) return [];
+  const text = value.replace(/\([^)]*\)/g, ' ');
+  if (/^\s*(nothing|none|n\/a)\b/i.test(text)) return [];
+
+  const refs = [];
+  const refPattern = /\b(\d+[A-Z]?(?:\.\d+)*)\b(?:\s*[-–]\s*(\d+)\b(?![.\d]))?/g;
+  let match;
+  while ((match = refPattern.exec(text)) !== null) {
+    if (match[2] && /^\d+$/.test(match[1])) {
+      for (let n = parseInt(match[1], 10); n <= parseInt(match[2], 10); n++) refs.push(String(n));
+    } else {
+      refs.push(match[1]);
+    }
+  }
+  return [...new Set(refs)];
+}
+
+/**
+ * Strongly connected components that form cycles (Tarjan), each returned as
+ * a closed path starting at its lowest phase: ['1', '2', '1'].
+ */
+function findCycles(numbers, successors) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  function strongConnect(v) {
+    index.set(v, counter);
+    low.set(v, counter);
+    counter++;
+    stack.push(v);
+    onStack.add(v);
+    for (const w of successors.get(v)) {
+      if (!index.has(w)) {
+        strongConnect(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), index.get(w)));
+      }
+    }
+    if (low.get(v) === index.get(v)) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+      } while (w !== v);
+      if (component.length > 1 || successors.get(v).includes(v)) components.push(component);
+    }
+  }
+
+  for (const v of numbers) {
+    if (!index.has(v)) strongConnect(v);
+  }
+
+  // Shortest path from the lowest member back to itself, for readable output
+  return components.map(component => {
+    const members = new Set(component);
+    const start = component.slice().sort(comparePhaseNum)[0];
+    const parent = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const v = queue.shift();
+      if (successors.get(v).includes(start)) {
+        const cycle = [start];
+        for (let n = v; n !== start; n = parent.get(n)) cycle.splice(1, 0, n);
+        cycle.push(start);
+        return cycle;
+      }
+      for (const w of successors.get(v)) {
+        if (members.has(w) && !parent.has(w)) {
+          parent.set(w, v);
+          queue.push(w);
+        }
+      }
+    }
+    return [start, start];
+  }).sort((a, b) => comparePhaseNum(a[0], b[0]));
+}
+
+/**
+ * Build the phase dependency DAG from ROADMAP.md plus disk status. Edges run
+ * from a dependency to the phase that needs it.
+ */
+function buildPhaseGraph(cwd) {
+  const content = fs.readFileSync(path.join(cwd, '.planning', 'ROADMAP.md'), 'utf-8');
+  const phasesDir = path.join(cwd, '.planning', 'phases');
+
+  const nodes = [];
+  const byNormalized = new Map();
+  for (const { number, name, section } of extractPhaseSections(content)) {
+    if (byNormalized.has(normalizePhaseName(number))) continue;
+    const { diskStatus } = getPhaseDiskInfo(phasesDir, number);
+    let status = 'pending';
+    if (diskStatus === 'complete' || isRoadmapChecked(content, number)) status = 'complete';
+    else if (diskStatus === 'planned' || diskStatus === 'partial') status = 'in_progress';
+
+    const node = { number, name, status, references: parseDependsOn(extractDependsOn(section)) };
+    nodes.push(node);
+    byNormalized.set(normalizePhaseName(number), node);
+  }
+
+  const dangling = [];
+  const successors = new Map(nodes.map(n => [n.number, []]));
+  const edges = [];
+  for (const node of nodes) {
+    node.depends_on = [];
+    node.missing = [];
+    for (const ref of node.references) {
+      const target = byNormalized.get(normalizePhaseName(ref));
+      if (!target) {
+        node.missing.push(ref);
+        dangling.push({ phase: node.number, reference: ref });
+      } else if (!node.depends_on.includes(target.number)) {
+        node.depends_on.push(target.number);
+        successors.get(target.number).push(node.number);
+        edges.push({ from: target.number, to: node.number });
+      }
+    }
+  }
+
+  const numbers = nodes.map(n => n.number);
+  const cycles = findCycles(numbers, successors);
+  const inCycle = new Set(cycles.flat());
+
+  // Kahn's algorithm, lowest phase first; cycle members and their
+  // dependents never reach in-degree zero and stay unordered
+  const inDegree = new Map(nodes.map(n => [n.number, n.depends_on.length]));
+  const layerOf = new Map();
+  const ready = numbers.filter(n => inDegree.get(n) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    ready.sort(comparePhaseNum);
+    const v = ready.shift();
+    order.push(v);
+    const node = byNormalized.get(normalizePhaseName(v));
+    layerOf.set(v, node.depends_on.reduce((max, d) => Math.max(max, layerOf.get(d) + 1), 0));
+    for (const w of successors.get(v)) {
+      inDegree.set(w, inDegree.get(w) - 1);
+      if (inDegree.get(w) === 0) ready.push(w);
+    }
+  }
+  const layers = [];
+  for (const v of order) {
+    (layers[layerOf.get(v)] = layers[layerOf.get(v)] || []).push(v);
+  }
+
+  const statusOf = new Map(nodes.map(n => [n.number, n.status]));
+  const phases = nodes.map(node => {
+    const blockedBy = node.depends_on.filter(d => statusOf.get(d) !== 'complete');
+    const unblocked = node.status !== 'complete' && blockedBy.length === 0 &&
+      node.missing.length === 0 && !inCycle.has(node.number);
+    return {
+      number: node.number,
+      name: node.name,
+      status: node.status,
+      depends_on: node.depends_on,
+      dependents: successors.get(node.number).slice().sort(comparePhaseNum),
+      missing_dependencies: node.missing,
+      in_cycle: inCycle.has(node.number),
+      blocked_by: blockedBy,
+      unblocked,
+    };
+  });
+
+  return {
+    phases,
+    edges,
+    order,
+    unordered: numbers.filter(n => !order.includes(n)),
+    layers,
+    unblocked: phases.filter(p => p.unblocked).map(p => p.number),
+    cycles,
+    dangling,
+    valid: cycles.length === 0 && dangling.length === 0,
+  };
+}
+
+function graphNodeState(phase) {
+  if (phase.status === 'complete') return 'complete';
+  return phase.unblocked ? 'unblocked' : 'blocked';
+}
+
+function isCycleEdge(graph, from, to) {
+  return graph.cycles.some(cycle => cycle.some((n, i) => n === from && cycle[i + 1] === to));
+}
+
+function renderMermaid(graph) {
+  const id = number => 'P' + number.replace(/\./g, '_');
+  const label = text => text.replace(/"/g, '#quot;');
+  const lines = ['graph LR'];
+
+  for (const p of graph.phases) {
+    lines.push(`  ${id(p.number)}["${label(`${p.number}: ${p.name}`)}"]:::${graphNodeState(p)}`);
+  }
+  for (const ref of [...new Set(graph.dangling.map(d => d.reference))]) {
+    lines.push(`  missing_${id(ref)}["${label(`${ref} (missing)`)}"]:::missing`);
+  }
+
+  const cycleLinks = [];
+  let link = 0;
+  for (const e of graph.edges) {
+    if (isCycleEdge(graph, e.from, e.to)) cycleLinks.push(link);
+    lines.push(`  ${id(e.from)} --> ${id(e.to)}`);
+    link++;
+  }
+  for (const d of graph.dangling) {
+    lines.push(`  missing_${id(d.reference)} -.-> ${id(d.phase)}`);
+  }
+
+  lines.push('  classDef complete fill:#d4edda,stroke:#28a745');
+  lines.push('  classDef unblocked fill:#fff3cd,stroke:#ffc107');
+  lines.push('  classDef blocked fill:#e2e3e5,stroke:#6c757d');
+  lines.push('  classDef missing fill:#fff,stroke:#dc3545,stroke-dasharray:4');
+  if (cycleLinks.length > 0) {
+    lines.push(`  linkStyle ${cycleLinks.join(',')} stroke:#dc3545,stroke-width:2px`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderDot(graph) {
+  const quote = text => '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  const fill = { complete: '#d4edda', unblocked: '#fff3cd', blocked: '#e2e3e5' };
+  const lines = [
+    'digraph roadmap {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled"];',
+  ];
+
+  for (const p of graph.phases) {
+    lines.push(`  ${quote(p.number)} [label=${quote(`${p.number}: ${p.name}`)}, fillcolor="${fill[graphNodeState(p)]}"];`);
+  }
+  for (const ref of [...new Set(graph.dangling.map(d => d.reference))]) {
+    lines.push(`  ${quote('missing:' + ref)} [label=${quote(`${ref} (missing)`)}, style="dashed", color="#dc3545"];`);
+  }
+  for (const e of graph.edges) {
+    const attrs = isCycleEdge(graph, e.from, e.to) ? ' [color="#dc3545", penwidth=2]' : '';
+    lines.push(`  ${quote(e.from)} -> ${quote(e.to)}${attrs};`);
+  }
+  for (const d of graph.dangling) {
+    lines.push(`  ${quote('missing:' + d.reference)} -> ${quote(d.phase)} [style="dashed", color="#dc3545"];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function cmdRoadmapGraph(cwd, format, raw) {
+  const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
+  format = format || 'json';
+  if (!GRAPH_FORMATS.includes(format)) {
+    error(`Unknown graph format: ${format}. Available: ${GRAPH_FORMATS.join(', ')}`);
+  }
+  if (!fs.existsSync(roadmapPath)) {
+    error('ROADMAP.md not found');
+  }
+
+  const graph = buildPhaseGraph(cwd);
+
+  if (format === 'mermaid') {
+    const rendered = renderMermaid(graph);
+    output({ format, rendered }, raw, rendered);
+  } else if (format === 'dot') {
+    const rendered = renderDot(graph);
+    output({ format, rendered }, raw, rendered);
+  } else {
+    output(graph, raw, graph.unblocked.join('\n'));
+  }
+}
+
 module.exports = {
   cmdRoadmapGetPhase,
   cmdRoadmapAnalyze,
   cmdRoadmapUpdatePlanProgress,
+  cmdRoadmapGraph,
+  buildPhaseGraph,
+  parseDependsOn,
 };
@@ -0,0 +1,106 @@
+/**
+ * Sandbox — Run a shell command in an isolated child process
+ *
+ * The child gets no stdin, a scrubbed environment (no API keys or tokens
+ * from the caller), a hard timeout and capped output. On POSIX it runs in
+ * its own process group, which is killed on timeout and after exit so
+ * background processes it started do not outlive it. This isolates checks
+ * from the caller; it is not a security boundary.
+ */
+
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const MAX_TIMEOUT_SECONDS = 600;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Variables a shell and common toolchains need; everything else is dropped
+const PASSTHROUGH_ENV = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ',
+  'TMPDIR', 'TMP', 'TEMP', 'SystemRoot', 'SYSTEMROOT', 'ComSpec', 'PATHEXT', 'WINDIR', 'USERPROFILE',
+];
+
+/** Scrubbed environment for a sandboxed command, plus explicit extras. */
+function sandboxEnv(extra = {}) {
+  const env = {};
+  for (const key of PASSTHROUGH_ENV) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+  env.CI = 'true';
+  for (const [key, value] of Object.entries(extra)) env[key] = String(value);
+  return env;
+}
+
+function killGroup(child) {
+  try {
+    if (process.platform === 'win32') child.kill('SIGKILL');
+    else process.kill(-child.pid, 'SIGKILL');
+  } catch {}
+}
+
+/**
+ * Run a shell command.
+ * @param {string} command
+ * @param {{ cwd: string, env?: object, timeoutSeconds?: number, maxOutputBytes?: number }} options
+ * @returns {Promise<{ exitCode: number|null, signal: string|null, stdout: string, stderr: string,
+ *   truncated: boolean, timedOut: boolean, durationMs: number, error: string|null }>}
+ */
+function runSandboxed(command, options) {
+  const timeoutSeconds = Math.min(options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS);
+  const maxOutputBytes = options.maxOutputBytes || MAX_OUTPUT_BYTES;
+  const started = Date.now();
+
+  return new Promise(resolve => {
+    const result = {
+      exitCode: null, signal: null, stdout: '', stderr: '',
+      truncated: false, timedOut: false, durationMs: 0, error: null,
+    };
+    let child;
+    try {
+      child = spawn(command, {
+        cwd: options.cwd,
+        env: options.env || sandboxEnv(),
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32',
+        windowsHide: true,
+      });
+    } catch (err) {
+      resolve({ ...result, error: err.message });
+      return;
+    }
+
+    const collect = key => chunk => {
+      const room = maxOutputBytes - Buffer.byteLength(result[key]);
+      if (room <= 0) { result.truncated = true; return; }
+      const text = chunk.toString('utf-8');
+      if (Buffer.byteLength(text) > room) result.truncated = true;
+      result[key] += Buffer.from(text).subarray(0, room).toString('utf-8');
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    const timer = setTimeout(() => {
+      result.timedOut = true;
+      killGroup(child);
+    }, timeoutSeconds * 1000);
+
+    child.on('error', err => { result.error = err.message; });
+    // Reap anything the command left running in its process group
+    child.on('exit', () => killGroup(child));
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      result.exitCode = code;
+      result.signal = signal;
+      result.durationMs = Date.now() - started;
+      resolve(result);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_SECONDS,
+  MAX_TIMEOUT_SECONDS,
+  sandboxEnv,
+  runSandboxed,
+};
@@ -0,0 +1,155 @@
+/**
+ * Schema — JSON Schemas for planning artifact frontmatter and a small validator
+ *
+ * The schemas live in get-shit-done/schemas/<type>.schema.json so editors can
+ * use them directly. The validator covers the draft 2020-12 keywords those
+ * files use: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, minLength, minimum, maximum, pattern, anyOf, oneOf and
+ * local $ref.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { output, error } = require('./core.cjs');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+const SCHEMA_TYPES = ['plan', 'summary', 'verification', 'uat', 'context', 'research', 'debug', 'todo'];
+
+const schemaCache = new Map();
+
+/** Parsed JSON Schema for an artifact type, or null if unknown. */
+function loadSchema(type) {
+  if (!SCHEMA_TYPES.includes(type)) return null;
+  if (!schemaCache.has(type)) {
+    schemaCache.set(type, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${type}.schema.json`), 'utf-8')));
+  }
+  return schemaCache.get(type);
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+function joinPath(base, key) {
+  return typeof key === 'number' ? `${base}[${key}]` : (base ? `${base}.${key}` : key);
+}
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) throw new Error(`Unresolved $ref: ${schema.$ref}`);
+    validateNode(value, target, root, at, errors);
+  }
+
+  const where = at || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: where, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push({ path: where, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push({ path: where, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(sub => collectErrors(value, sub, root, at).length === 0);
+    if (!matched) errors.push({ path: where, message: 'does not match any allowed shape' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => collectErrors(value, sub, root, at).length === 0).length;
+    if (matches !== 1) errors.push({ path: where, message: `must match exactly one allowed shape (matched ${matches})` });
+  }
+
+  const kind = typeOf(value);
+  if (kind === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: where, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: where, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (kind === 'integer' || kind === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (kind === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: where, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, root, joinPath(at, i), errors));
+    }
+  }
+  if (kind === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: joinPath(at, key), message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        validateNode(child, props[key], root, joinPath(at, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(at, key), message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, joinPath(at, key), errors);
+      }
+    }
+  }
+}
+
+function collectErrors(value, schema, root, at) {
+  const errors = [];
+  validateNode(value, schema, root, at, errors);
+  return errors;
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @returns {{ path: string, message: string }[]} empty when valid
+ */
+function validateSchema(value, schema) {
+  return collectErrors(value, schema, schema, '');
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+function cmdSchemaExport(cwd, type, raw) {
+  if (!type) { error(`schema type required. Available: ${SCHEMA_TYPES.join(', ')}`); }
+  const schema = loadSchema(type);
+  if (!schema) { error(`Unknown schema: ${type}. Available: ${SCHEMA_TYPES.join(', ')}`); }
+  output(schema, raw, JSON.stringify(schema, null, 2) + '\n');
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  SCHEMA_TYPES,
+  loadSchema,
+  validateSchema,
+  cmdSchemaExport,
+};
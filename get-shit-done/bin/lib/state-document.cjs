@@ -0,0 +1,408 @@
+/**
+ * State Document — Parsed model of STATE.md with a typed read/write API
+ *
+ * STATE.md is split into a heading tree of sections, each holding blocks:
+ *   field  `**Name:** value` (or template-style `Name: value`) lines
+ *   list   consecutive `- item` lines with their continuation lines
+ *   table  `| a | b |` rows under a header and separator line
+ *   text   everything else (prose, blank lines, fenced code)
+ *
+ * Blocks keep their original lines and are only re-rendered when edited, so
+ * unknown sections and formatting survive a parse/serialize round-trip.
+ */
+
+/**
+ * @typedef {{ type: 'field', name: string, value: string, prefix: string, style: 'bold'|'plain' }} StateField
+ * @typedef {{ marker: string, text: string, continuation: string[], field: StateField|null }} StateListItem
+ * @typedef {{ type: 'list', items: StateListItem[] }} StateList
+ * @typedef {{ cells: string[], line: string|null }} StateTableRow
+ * @typedef {{ type: 'table', header: string[], headerLine: string, separatorLine: string, rows: StateTableRow[] }} StateTable
+ * @typedef {{ type: 'text', lines: string[] }} StateText
+ * @typedef {StateField|StateList|StateTable|StateText} StateBlock
+ * @typedef {{ title: string|null, level: number, headingLine: string|null, blocks: StateBlock[], sections: StateSection[] }} StateSection
+ * @typedef {{ frontmatter: string|null, root: StateSection }} StateDocument
+ */
+
+const BOLD_FIELD = /^(\s*\*\*([^*\n]+?):\*\*[ \t]*)(.*)$/;
+const PLAIN_FIELD = /^([A-Z][A-Za-z0-9 /()'-]{0,40}?:[ \t]+)(\S.*)$/;
+const LIST_ITEM = /^([-*+][ \t]+)(.*)$/;
+const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const TABLE_SEPARATOR = /^\|?[\s:|-]+\|?\s*$/;
+const PLACEHOLDER = /^(?:None|None yet|No \w+ yet)\.?$/i;
+
+/** Headings that hold each kind of state, most specific first. */
+const STATE_SECTIONS = {
+  decisions: ['Decisions', 'Decisions Made', /^Accumulated.*Decisions/i, /decision/i],
+  blockers: ['Blockers', 'Blockers/Concerns', 'Concerns', /blocker|concern/i],
+  metrics: ['Performance Metrics', /metrics/i],
+  session: ['Session Continuity', 'Session', /session/i],
+  position: ['Current Position', /position/i],
+};
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+function parseField(line) {
+  const bold = line.match(BOLD_FIELD);
+  if (bold) return { type: 'field', name: bold[2].trim(), value: bold[3].trim(), prefix: bold[1], style: 'bold' };
+  const plain = line.match(PLAIN_FIELD);
+  if (plain) return { type: 'field', name: plain[1].replace(/:[ \t]+$/, '').trim(), value: plain[2].trim(), prefix: plain[1], style: 'plain' };
+  return null;
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+}
+
+/**
+ * Parse STATE.md content into a StateDocument.
+ * @param {string} content
+ * @returns {StateDocument}
+ */
+function parseStateDocument(content) {
+  const fmMatch = content.match(/^---\n[\s\S]*?\n---\n*/);
+  const frontmatter = fmMatch ? fmMatch[0] : null;
+  const body = fmMatch ? content.slice(fmMatch[0].length) : content;
+  const lines = body.split('\n');
+
+  const root = { title: null, level: 0, headingLine: null, blocks: [], sections: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const pushText = (line) => {
+    const blocks = current().blocks;
+    const last = blocks[blocks.length - 1];
+    if (last && last.type === 'text') last.lines.push(line);
+    else blocks.push({ type: 'text', lines: [line] });
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code is opaque text
+    if (/^\s*(```|~~~)/.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      pushText(line);
+      while (++i < lines.length) {
+        pushText(lines[i]);
+        if (lines[i].trim().startsWith(fence)) break;
+      }
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      while (stack.length > 1 && current().level >= level) stack.pop();
+      const section = { title: heading[2], level, headingLine: line, blocks: [], sections: [] };
+      current().sections.push(section);
+      stack.push(section);
+      continue;
+    }
+
+    if (line.trim().startsWith('|') && lines[i + 1] !== undefined && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const table = { type: 'table', header: splitTableRow(line), headerLine: line, separatorLine: lines[i + 1], rows: [] };
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        table.rows.push({ cells: splitTableRow(lines[i]), line: lines[i] });
+        i++;
+      }
+      // A bare "None yet" under an empty table is its placeholder row
+      if (table.rows.length === 0 && i < lines.length && PLACEHOLDER.test(lines[i].trim())) {
+        table.rows.push({ cells: [lines[i].trim()], line: lines[i] });
+        i++;
+      }
+      i--;
+      current().blocks.push(table);
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const blocks = current().blocks;
+      let list = blocks[blocks.length - 1];
+      if (!list || list.type !== 'list') {
+        list = { type: 'list', items: [] };
+        blocks.push(list);
+      }
+      const entry = { marker: item[1], text: item[2], continuation: [], field: null };
+      const bold = item[2].match(BOLD_FIELD);
+      if (bold) entry.field = { type: 'field', name: bold[2].trim(), value: bold[3].trim(), prefix: bold[1], style: 'bold' };
+      while (i + 1 < lines.length && /^[ \t]+\S/.test(lines[i + 1]) && !HEADING.test(lines[i + 1])) {
+        entry.continuation.push(lines[++i]);
+      }
+      list.items.push(entry);
+      continue;
+    }
+
+    const field = parseField(line);
+    if (field) {
+      current().blocks.push(field);
+      continue;
+    }
+
+    pushText(line);
+  }
+
+  return { frontmatter, root };
+}
+
+// ─── Serialization ────────────────────────────────────────────────────────────
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'field':
+      return [block.prefix + block.value];
+    case 'list':
+      return block.items.flatMap(item => [
+        item.marker + (item.field ? item.field.prefix + item.field.value : item.text),
+        ...item.continuation,
+      ]);
+    case 'table':
+      return [
+        block.headerLine,
+        block.separatorLine,
+        ...block.rows.map(row => row.line !== null ? row.line : `| ${row.cells.join(' | ')} |`),
+      ];
+    default:
+      return block.lines;
+  }
+}
+
+function renderSection(section) {
+  const lines = section.headingLine !== null ? [section.headingLine] : [];
+  for (const block of section.blocks) lines.push(...renderBlock(block));
+  for (const child of section.sections) lines.push(...renderSection(child));
+  return lines;
+}
+
+/**
+ * Serialize the document, including its original frontmatter block
+ * (writeStateMd regenerates that block from the body on write).
+ * @param {StateDocument} doc
+ * @returns {string}
+ */
+function serializeStateDocument(doc) {
+  return (doc.frontmatter || '') + renderSection(doc.root).join('\n');
+}
+
+/** Text of a section's own blocks (not its subsections), trimmed. */
+function sectionText(section) {
+  return section.blocks.flatMap(renderBlock).join('\n').trim();
+}
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+function* walkSections(section) {
+  yield section;
+  for (const child of section.sections) yield* walkSections(child);
+}
+
+function* walkFields(section) {
+  for (const s of walkSections(section)) {
+    for (const block of s.blocks) {
+      if (block.type === 'field') yield block;
+      if (block.type === 'list') {
+        for (const item of block.items) if (item.field) yield item.field;
+      }
+    }
+  }
+}
+
+/** Find a field by name (case-insensitive); bold fields win over plain ones. */
+function findField(doc, name, scope) {
+  const wanted = name.toLowerCase();
+  let plain = null;
+  for (const field of walkFields(scope || doc.root)) {
+    if (field.name.toLowerCase() !== wanted) continue;
+    if (field.style === 'bold') return field;
+    if (!plain) plain = field;
+  }
+  return plain;
+}
+
+/**
+ * @param {StateDocument} doc
+ * @param {string} name
+ * @param {StateSection} [scope] - limit the search to one section subtree
+ * @returns {string|null}
+ */
+function getField(doc, name, scope) {
+  const field = findField(doc, name, scope);
+  return field ? field.value : null;
+}
+
+/**
+ * Set a field's value in place. Returns false when the field does not exist.
+ * @returns {boolean}
+ */
+function setField(doc, name, value, scope) {
+  const field = findField(doc, name, scope);
+  if (!field) return false;
+  field.value = String(value);
+  if (!/\s$/.test(field.prefix) && field.value) field.prefix += ' ';
+  return true;
+}
+
+/**
+ * Find a section by title. A string matches exactly (case-insensitive), then
+ * as a prefix; a RegExp is tested against the title; an array tries each
+ * matcher in order across the whole document before moving on.
+ * @param {StateDocument} doc
+ * @param {string|RegExp|Array<string|RegExp>} matcher
+ * @returns {StateSection|null}
+ */
+function findSection(doc, matcher) {
+  const matchers = Array.isArray(matcher) ? matcher : [matcher];
+  const sections = [...walkSections(doc.root)].filter(s => s.title !== null);
+  for (const m of matchers) {
+    if (m instanceof RegExp) {
+      const found = sections.find(s => m.test(s.title));
+      if (found) return found;
+      continue;
+    }
+    const wanted = m.toLowerCase();
+    const exact = sections.find(s => s.title.toLowerCase() === wanted);
+    if (exact) return exact;
+    const prefix = sections.find(s => s.title.toLowerCase().startsWith(wanted));
+    if (prefix) return prefix;
+  }
+  return null;
+}
+
+/**
+ * Find one of the well-known STATE.md sections, tolerating renamed headings.
+ * @param {StateDocument} doc
+ * @param {'decisions'|'blockers'|'metrics'|'session'|'position'} kind
+ */
+function findStateSection(doc, kind) {
+  return findSection(doc, STATE_SECTIONS[kind]);
+}
+
+/** List items in a section (own blocks only), excluding placeholders. */
+function getListItems(section) {
+  return section.blocks
+    .filter(b => b.type === 'list')
+    .flatMap(b => b.items)
+    .map(item => item.field ? item.field.prefix.trim() + ' ' + item.field.value : item.text)
+    .filter(text => !PLACEHOLDER.test(text.trim()));
+}
+
+/** First table in a section or its subsections. */
+function getTable(section) {
+  for (const s of walkSections(section)) {
+    const table = s.blocks.find(b => b.type === 'table');
+    if (table) return table;
+  }
+  return null;
+}
+
+// ─── Mutations ────────────────────────────────────────────────────────────────
+
+/** Index just past the last block with visible content (before trailing blank lines). */
+function contentEnd(section) {
+  for (let i = section.blocks.length - 1; i >= 0; i--) {
+    const block = section.blocks[i];
+    if (block.type !== 'text' || block.lines.some(l => l.trim() !== '')) return i + 1;
+  }
+  return 0;
+}
+
+/** Remove placeholder lines such as "None yet." from a section's text blocks. */
+function removePlaceholders(section) {
+  for (const block of section.blocks) {
+    if (block.type === 'text') block.lines = block.lines.filter(l => !PLACEHOLDER.test(l.trim()));
+    if (block.type === 'list') block.items = block.items.filter(item => !PLACEHOLDER.test(item.text.trim()));
+  }
+  section.blocks = section.blocks.filter(b => !(b.type === 'text' && b.lines.length === 0) && !(b.type === 'list' && b.items.length === 0));
+}
+
+/**
+ * Append `- text` to the section's last list, creating one after the
+ * section's content when needed. Placeholder lines are dropped.
+ */
+function appendListItem(section, text) {
+  const item = { marker: '- ', text, continuation: [], field: null };
+  // The first item takes the place of a "None yet." line
+  const hasItems = getListItems(section).length > 0;
+  for (let b = 0; b < section.blocks.length && !hasItems; b++) {
+    const block = section.blocks[b];
+    if (block.type !== 'text') continue;
+    const idx = block.lines.findIndex(l => PLACEHOLDER.test(l.trim()));
+    if (idx === -1) continue;
+    const after = block.lines.splice(idx).slice(1);
+    section.blocks.splice(b + 1, 0, { type: 'list', items: [item] }, ...(after.length ? [{ type: 'text', lines: after }] : []));
+    removePlaceholders(section);
+    return;
+  }
+  removePlaceholders(section);
+  const lists = section.blocks.filter(b => b.type === 'list');
+  if (lists.length > 0) {
+    lists[lists.length - 1].items.push(item);
+    return;
+  }
+  const at = contentEnd(section);
+  const block = section.blocks[at - 1];
+  // Split a text block so the list lands directly after its last content line
+  if (block && block.type === 'text') {
+    let last = block.lines.length;
+    while (last > 0 && block.lines[last - 1].trim() === '') last--;
+    const trailing = block.lines.splice(last);
+    section.blocks.splice(at, 0, { type: 'list', items: [item] }, ...(trailing.length ? [{ type: 'text', lines: trailing }] : []));
+    return;
+  }
+  section.blocks.splice(at, 0, { type: 'list', items: [item] });
+}
+
+/**
+ * Remove list items for which `predicate(text)` is true. When no items
+ * remain, a `placeholder` line is left in their place.
+ * @returns {number} number of removed items
+ */
+function removeListItems(section, predicate, placeholder) {
+  let removed = 0;
+  for (const block of section.blocks) {
+    if (block.type !== 'list') continue;
+    const before = block.items.length;
+    block.items = block.items.filter(item => !predicate(item.text));
+    removed += before - block.items.length;
+  }
+  section.blocks = section.blocks.filter(b => !(b.type === 'list' && b.items.length === 0));
+  if (placeholder && getListItems(section).length === 0) {
+    removePlaceholders(section);
+    const at = contentEnd(section);
+    section.blocks.splice(at, 0, { type: 'text', lines: [placeholder] });
+  }
+  return removed;
+}
+
+/** Row with a placeholder cell ("None yet") and nothing else but blanks or dashes. */
+function isPlaceholderRow(row) {
+  const filled = row.cells.map(c => c.trim()).filter(c => c !== '' && !/^[-—–]$/.test(c));
+  return filled.length > 0 && filled.every(c => PLACEHOLDER.test(c));
+}
+
+/**
+ * Append a row to a table. Placeholder rows ("None yet") are replaced; real
+ * rows are kept even when one of their cells reads "None".
+ * @param {StateTable} table
+ * @param {string[]} cells
+ */
+function appendTableRow(table, cells) {
+  table.rows = table.rows.filter(row => row.cells.some(c => c !== '') && !isPlaceholderRow(row));
+  table.rows.push({ cells, line: null });
+}
+
+module.exports = {
+  STATE_SECTIONS,
+  parseStateDocument,
+  serializeStateDocument,
+  sectionText,
+  getField,
+  setField,
+  findSection,
+  findStateSection,
+  getListItems,
+  getTable,
+  appendListItem,
+  removeListItems,
+  appendTableRow,
+};
@@ -6,6 +6,23 @@ const fs = require('fs');
 const path = require('path');
 const { loadConfig, getMilestoneInfo, output, error } = require('./core.cjs');
 const { extractFrontmatter, reconstructFrontmatter } = require('./frontmatter.cjs');
+const {
+  parseStateDocument,
+  serializeStateDocument,
+  sectionText,
+  getField,
+  setField,
+  findSection,
+  findStateSection,
+  getListItems,
+  getTable,
+  appendListItem,
+  removeListItems,
+  appendTableRow,
+} = require('./state-document.cjs');
+const { acquirePlanningLock } = require('./lock.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
+const { stageRecord, hasUsage } = require('./metrics.cjs');
 
 function cmdStateLoad(cwd, raw) {
   const config = loadConfig(cwd);
@@ -62,22 +79,20 @@ function cmdStateGet(cwd, section, raw) {
       return;
     }
 
-    // Try to find markdown section or field
-    const fieldEscaped = section.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const doc = parseStateDocument(content);
 
     // Check for **field:** value
-    const fieldPattern = new RegExp(`\\*\\*${fieldEscaped}:\\*\\*\\s*(.*)`, 'i');
-    const fieldMatch = content.match(fieldPattern);
-    if (fieldMatch) {
-      output({ [section]: fieldMatch[1].trim() }, raw, fieldMatch[1].trim());
+    const fieldValue = getField(doc, section);
+    if (fieldValue !== null) {
+      output({ [section]: fieldValue }, raw, fieldValue);
       return;
     }
 
     // Check for ## Section
-    const sectionPattern = new RegExp(`##\\s*${fieldEscaped}\\s*\n([\\s\\S]*?)(?=\\n##|$)`, 'i');
-    const sectionMatch = content.match(sectionPattern);
-    if (sectionMatch) {
-      output({ [section]: sectionMatch[1].trim() }, raw, sectionMatch[1].trim());
+    const found = findSection(doc, section);
+    if (found) {
+      const text = sectionText(found);
+      output({ [section]: text }, raw, text);
       return;
     }
 
@@ -100,16 +115,13 @@ function readTextArgOrFile(cwd, value, filePath, label) {
 
 function cmdStatePatch(cwd, patches, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   try {
-    let content = fs.readFileSync(statePath, 'utf-8');
+    const doc = readStateDocument(statePath);
     const results = { updated: [], failed: [] };
 
     for (const [field, value] of Object.entries(patches)) {
-      const fieldEscaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const pattern = new RegExp(`(\\*\\*${fieldEscaped}:\\*\\*\\s*)(.*)`, 'i');
-
-      if (pattern.test(content)) {
-        content = content.replace(pattern, (_match, prefix) => `${prefix}${value}`);
+      if (setField(doc, field, value)) {
         results.updated.push(field);
       } else {
         results.failed.push(field);
@@ -117,7 +129,7 @@ function cmdStatePatch(cwd, patches, raw) {
     }
 
     if (results.updated.length > 0) {
-      writeStateMd(statePath, content, cwd);
+      writeStateDocument(statePath, doc, cwd);
     }
 
     output(results, raw, results.updated.length > 0 ? 'true' : 'false');
@@ -132,47 +144,49 @@ function cmdStateUpdate(cwd, field, value) {
   }
 
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
+  let doc;
   try {
-    let content = fs.readFileSync(statePath, 'utf-8');
-    const fieldEscaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const pattern = new RegExp(`(\\*\\*${fieldEscaped}:\\*\\*\\s*)(.*)`, 'i');
-    if (pattern.test(content)) {
-      content = content.replace(pattern, (_match, prefix) => `${prefix}${value}`);
-      writeStateMd(statePath, content, cwd);
-      output({ updated: true });
-    } else {
-      output({ updated: false, reason: `Field "${field}" not found in STATE.md` });
-    }
+    doc = readStateDocument(statePath);
   } catch {
     output({ updated: false, reason: 'STATE.md not found' });
+    return;
+  }
+  if (setField(doc, field, value)) {
+    writeStateDocument(statePath, doc, cwd);
+    output({ updated: true });
+  } else {
+    output({ updated: false, reason: `Field "${field}" not found in STATE.md` });
   }
 }
 
 // ─── State Progression Engine ────────────────────────────────────────────────
 
 function stateExtractField(content, fieldName) {
-  const escaped = fieldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const pattern = new RegExp(`\\*\\*${escaped}:\\*\\*\\s*(.+)`, 'i');
-  const match = content.match(pattern);
-  return match ? match[1].trim() : null;
+  return getField(parseStateDocument(content), fieldName);
 }
 
 function stateReplaceField(content, fieldName, newValue) {
-  const escaped = fieldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const pattern = new RegExp(`(\\*\\*${escaped}:\\*\\*\\s*)(.*)`, 'i');
-  if (pattern.test(content)) {
-    return content.replace(pattern, (_match, prefix) => `${prefix}${newValue}`);
-  }
-  return null;
+  const doc = parseStateDocument(content);
+  return setField(doc, fieldName, newValue) ? serializeStateDocument(doc) : null;
+}
+
+function readStateDocument(statePath) {
+  return parseStateDocument(fs.readFileSync(statePath, 'utf-8'));
+}
+
+function writeStateDocument(statePath, doc, cwd) {
+  writeStateMd(statePath, serializeStateDocument(doc), cwd);
 }
 
 function cmdStateAdvancePlan(cwd, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
-  const currentPlan = parseInt(stateExtractField(content, 'Current Plan'), 10);
-  const totalPlans = parseInt(stateExtractField(content, 'Total Plans in Phase'), 10);
+  const doc = readStateDocument(statePath);
+  const currentPlan = parseInt(getField(doc, 'Current Plan'), 10);
+  const totalPlans = parseInt(getField(doc, 'Total Plans in Phase'), 10);
   const today = new Date().toISOString().split('T')[0];
 
   if (isNaN(currentPlan) || isNaN(totalPlans)) {
@@ -181,25 +195,26 @@ function cmdStateAdvancePlan(cwd, raw) {
   }
 
   if (currentPlan >= totalPlans) {
-    content = stateReplaceField(content, 'Status', 'Phase complete — ready for verification') || content;
-    content = stateReplaceField(content, 'Last Activity', today) || content;
-    writeStateMd(statePath, content, cwd);
+    setField(doc, 'Status', 'Phase complete — ready for verification');
+    setField(doc, 'Last Activity', today);
+    writeStateDocument(statePath, doc, cwd);
     output({ advanced: false, reason: 'last_plan', current_plan: currentPlan, total_plans: totalPlans, status: 'ready_for_verification' }, raw, 'false');
   } else {
     const newPlan = currentPlan + 1;
-    content = stateReplaceField(content, 'Current Plan', String(newPlan)) || content;
-    content = stateReplaceField(content, 'Status', 'Ready to execute') || content;
-    content = stateReplaceField(content, 'Last Activity', today) || content;
-    writeStateMd(statePath, content, cwd);
+    setField(doc, 'Current Plan', String(newPlan));
+    setField(doc, 'Status', 'Ready to execute');
+    setField(doc, 'Last Activity', today);
+    writeStateDocument(statePath, doc, cwd);
     output({ advanced: true, previous_plan: currentPlan, current_plan: newPlan, total_plans: totalPlans }, raw, 'true');
   }
 }
 
 function cmdStateRecordMetric(cwd, options, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
+  const doc = readStateDocument(statePath);
   const { phase, plan, duration, tasks, files } = options;
 
   if (!phase || !plan || !duration) {
@@ -207,33 +222,34 @@ function cmdStateRecordMetric(cwd, options, raw) {
     return;
   }
 
-  // Find Performance Metrics section and its table
-  const metricsPattern = /(##\s*Performance Metrics[\s\S]*?\n\|[^\n]+\n\|[-|\s]+\n)([\s\S]*?)(?=\n##|\n$|$)/i;
-  const metricsMatch = content.match(metricsPattern);
-
-  if (metricsMatch) {
-    let tableBody = metricsMatch[2].trimEnd();
-    const newRow = `| Phase ${phase} P${plan} | ${duration} | ${tasks || '-'} tasks | ${files || '-'} files |`;
-
-    if (tableBody.trim() === '' || tableBody.includes('None yet')) {
-      tableBody = newRow;
-    } else {
-      tableBody = tableBody + '\n' + newRow;
-    }
-
-    content = content.replace(metricsPattern, (_match, header) => `${header}${tableBody}\n`);
-    writeStateMd(statePath, content, cwd);
-    output({ recorded: true, phase, plan, duration }, raw, 'true');
+  // First table in the Performance Metrics section (or its subsections)
+  const section = findStateSection(doc, 'metrics');
+  const table = section ? getTable(section) : null;
+
+  // Every metric also lands in the token/cost ledger read by `metrics report`
+  const tx = createTransaction();
+  const record = stageRecord(cwd, options, tx);
+  const usage = hasUsage(options)
+    ? { tokens: { input: record.input_tokens, output: record.output_tokens }, cost_usd: record.cost_usd }
+    : {};
+
+  if (table) {
+    appendTableRow(table, [`Phase ${phase} P${plan}`, duration, `${tasks || '-'} tasks`, `${files || '-'} files`]);
+    writeStateMd(statePath, serializeStateDocument(doc), cwd, tx);
+    commitTransaction(tx);
+    output({ recorded: true, phase, plan, duration, ...usage }, raw, 'true');
   } else {
-    output({ recorded: false, reason: 'Performance Metrics section not found in STATE.md' }, raw, 'false');
+    commitTransaction(tx);
+    output({ recorded: false, reason: 'Performance Metrics section not found in STATE.md', ledger: true }, raw, 'false');
   }
 }
 
 function cmdStateUpdateProgress(cwd, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
+  const doc = readStateDocument(statePath);
 
   // Count summaries across all phases
   const phasesDir = path.join(cwd, '.planning', 'phases');
@@ -256,10 +272,8 @@ function cmdStateUpdateProgress(cwd, raw) {
   const bar = '\u2588'.repeat(filled) + '\u2591'.repeat(barWidth - filled);
   const progressStr = `[${bar}] ${percent}%`;
 
-  const progressPattern = /(\*\*Progress:\*\*\s*).*/i;
-  if (progressPattern.test(content)) {
-    content = content.replace(progressPattern, (_match, prefix) => `${prefix}${progressStr}`);
-    writeStateMd(statePath, content, cwd);
+  if (setField(doc, 'Progress', progressStr)) {
+    writeStateDocument(statePath, doc, cwd);
     output({ updated: true, percent, completed: totalSummaries, total: totalPlans, bar: progressStr }, raw, progressStr);
   } else {
     output({ updated: false, reason: 'Progress field not found in STATE.md' }, raw, 'false');
@@ -268,6 +282,7 @@ function cmdStateUpdateProgress(cwd, raw) {
 
 function cmdStateAddDecision(cwd, options, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
 
   const { phase, summary, summary_file, rationale, rationale_file } = options;
@@ -284,21 +299,16 @@ function cmdStateAddDecision(cwd, options, raw) {
 
   if (!summaryText) { output({ error: 'summary required' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
-  const entry = `- [Phase ${phase || '?'}]: ${summaryText}${rationaleText ? ` — ${rationaleText}` : ''}`;
-
-  // Find Decisions section (various heading patterns)
-  const sectionPattern = /(###?\s*(?:Decisions|Decisions Made|Accumulated.*Decisions)\s*\n)([\s\S]*?)(?=\n###?|\n##[^#]|$)/i;
-  const match = content.match(sectionPattern);
-
-  if (match) {
-    let sectionBody = match[2];
-    // Remove placeholders
-    sectionBody = sectionBody.replace(/None yet\.?\s*\n?/gi, '').replace(/No decisions yet\.?\s*\n?/gi, '');
-    sectionBody = sectionBody.trimEnd() + '\n' + entry + '\n';
-    content = content.replace(sectionPattern, (_match, header) => `${header}${sectionBody}`);
-    writeStateMd(statePath, content, cwd);
-    output({ added: true, decision: entry }, raw, 'true');
+  const doc = readStateDocument(statePath);
+  const entryText = `[Phase ${phase || '?'}]: ${summaryText}${rationaleText ? ` — ${rationaleText}` : ''}`;
+
+  // Decisions section under any of its usual (or renamed) headings
+  const section = findStateSection(doc, 'decisions');
+
+  if (section) {
+    appendListItem(section, entryText);
+    writeStateDocument(statePath, doc, cwd);
+    output({ added: true, decision: `- ${entryText}` }, raw, 'true');
   } else {
     output({ added: false, reason: 'Decisions section not found in STATE.md' }, raw, 'false');
   }
@@ -306,6 +316,7 @@ function cmdStateAddDecision(cwd, options, raw) {
 
 function cmdStateAddBlocker(cwd, text, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
   const blockerOptions = typeof text === 'object' && text !== null ? text : { text };
   let blockerText = null;
@@ -319,18 +330,12 @@ function cmdStateAddBlocker(cwd, text, raw) {
 
   if (!blockerText) { output({ error: 'text required' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
-  const entry = `- ${blockerText}`;
+  const doc = readStateDocument(statePath);
+  const section = findStateSection(doc, 'blockers');
 
-  const sectionPattern = /(###?\s*(?:Blockers|Blockers\/Concerns|Concerns)\s*\n)([\s\S]*?)(?=\n###?|\n##[^#]|$)/i;
-  const match = content.match(sectionPattern);
-
-  if (match) {
-    let sectionBody = match[2];
-    sectionBody = sectionBody.replace(/None\.?\s*\n?/gi, '').replace(/None yet\.?\s*\n?/gi, '');
-    sectionBody = sectionBody.trimEnd() + '\n' + entry + '\n';
-    content = content.replace(sectionPattern, (_match, header) => `${header}${sectionBody}`);
-    writeStateMd(statePath, content, cwd);
+  if (section) {
+    appendListItem(section, blockerText);
+    writeStateDocument(statePath, doc, cwd);
     output({ added: true, blocker: blockerText }, raw, 'true');
   } else {
     output({ added: false, reason: 'Blockers section not found in STATE.md' }, raw, 'false');
@@ -339,30 +344,18 @@ function cmdStateAddBlocker(cwd, text, raw) {
 
 function cmdStateResolveBlocker(cwd, text, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
   if (!text) { output({ error: 'text required' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
-
-  const sectionPattern = /(###?\s*(?:Blockers|Blockers\/Concerns|Concerns)\s*\n)([\s\S]*?)(?=\n###?|\n##[^#]|$)/i;
-  const match = content.match(sectionPattern);
-
-  if (match) {
-    const sectionBody = match[2];
-    const lines = sectionBody.split('\n');
-    const filtered = lines.filter(line => {
-      if (!line.startsWith('- ')) return true;
-      return !line.toLowerCase().includes(text.toLowerCase());
-    });
-
-    let newBody = filtered.join('\n');
-    // If section is now empty, add placeholder
-    if (!newBody.trim() || !newBody.includes('- ')) {
-      newBody = 'None\n';
-    }
+  const doc = readStateDocument(statePath);
+  const section = findStateSection(doc, 'blockers');
 
-    content = content.replace(sectionPattern, (_match, header) => `${header}${newBody}`);
-    writeStateMd(statePath, content, cwd);
+  if (section) {
+    const needle = text.toLowerCase();
+    // An emptied section keeps a "None" placeholder
+    removeListItems(section, item => item.toLowerCase().includes(needle), 'None');
+    writeStateDocument(statePath, doc, cwd);
     output({ resolved: true, blocker: text }, raw, 'true');
   } else {
     output({ resolved: false, reason: 'Blockers section not found in STATE.md' }, raw, 'false');
@@ -371,33 +364,27 @@ function cmdStateResolveBlocker(cwd, text, raw) {
 
 function cmdStateRecordSession(cwd, options, raw) {
   const statePath = path.join(cwd, '.planning', 'STATE.md');
+  acquirePlanningLock(cwd);
   if (!fs.existsSync(statePath)) { output({ error: 'STATE.md not found' }, raw); return; }
 
-  let content = fs.readFileSync(statePath, 'utf-8');
+  const doc = readStateDocument(statePath);
   const now = new Date().toISOString();
   const updated = [];
 
   // Update Last session / Last Date
-  let result = stateReplaceField(content, 'Last session', now);
-  if (result) { content = result; updated.push('Last session'); }
-  result = stateReplaceField(content, 'Last Date', now);
-  if (result) { content = result; updated.push('Last Date'); }
+  if (setField(doc, 'Last session', now)) updated.push('Last session');
+  if (setField(doc, 'Last Date', now)) updated.push('Last Date');
 
   // Update Stopped at
-  if (options.stopped_at) {
-    result = stateReplaceField(content, 'Stopped At', options.stopped_at);
-    if (!result) result = stateReplaceField(content, 'Stopped at', options.stopped_at);
-    if (result) { content = result; updated.push('Stopped At'); }
+  if (options.stopped_at && setField(doc, 'Stopped At', options.stopped_at)) {
+    updated.push('Stopped At');
   }
 
   // Update Resume file
-  const resumeFile = options.resume_file || 'None';
-  result = stateReplaceField(content, 'Resume File', resumeFile);
-  if (!result) result = stateReplaceField(content, 'Resume file', resumeFile);
-  if (result) { content = result; updated.push('Resume File'); }
+  if (setField(doc, 'Resume File', options.resume_file || 'None')) updated.push('Resume File');
 
   if (updated.length > 0) {
-    writeStateMd(statePath, content, cwd);
+    writeStateDocument(statePath, doc, cwd);
     output({ recorded: true, updated }, raw, 'true');
   } else {
     output({ recorded: false, reason: 'No session fields found in STATE.md' }, raw, 'false');
@@ -412,14 +399,8 @@ function cmdStateSnapshot(cwd, raw) {
     return;
   }
 
-  const content = fs.readFileSync(statePath, 'utf-8');
-
-  // Helper to extract **Field:** value patterns
-  const extractField = (fieldName) => {
-    const pattern = new RegExp(`\\*\\*${fieldName}:\\*\\*\\s*(.+)`, 'i');
-    const match = content.match(pattern);
-    return match ? match[1].trim() : null;
-  };
+  const doc = readStateDocument(statePath);
+  const extractField = (fieldName) => getField(doc, fieldName);
 
   // Extract basic fields
   const currentPhase = extractField('Current Phase');
@@ -438,14 +419,13 @@ function cmdStateSnapshot(cwd, raw) {
   const totalPlansInPhase = totalPlansRaw ? parseInt(totalPlansRaw, 10) : null;
   const progressPercent = progressRaw ? parseInt(progressRaw.replace('%', ''), 10) : null;
 
-  // Extract decisions table
+  // Extract decisions: table rows and `- [Phase X]: summary — rationale` entries
   const decisions = [];
-  const decisionsMatch = content.match(/##\s*Decisions Made[\s\S]*?\n\|[^\n]+\n\|[-|\s]+\n([\s\S]*?)(?=\n##|\n$|$)/i);
-  if (decisionsMatch) {
-    const tableBody = decisionsMatch[1];
-    const rows = tableBody.trim().split('\n').filter(r => r.includes('|'));
-    for (const row of rows) {
-      const cells = row.split('|').map(c => c.trim()).filter(Boolean);
+  const decisionsSection = findStateSection(doc, 'decisions');
+  if (decisionsSection) {
+    const table = getTable(decisionsSection);
+    for (const row of table ? table.rows : []) {
+      const cells = row.cells.filter(Boolean);
       if (cells.length >= 3) {
         decisions.push({
           phase: cells[0],
@@ -454,18 +434,17 @@ function cmdStateSnapshot(cwd, raw) {
         });
       }
     }
+    for (const item of getListItems(decisionsSection)) {
+      const entryMatch = item.match(/^\[Phase ([^\]]+)\]:\s*(.*?)(?:\s+—\s+(.*))?$/);
+      if (entryMatch) {
+        decisions.push({ phase: entryMatch[1], summary: entryMatch[2], rationale: entryMatch[3] || null });
+      }
+    }
   }
 
   // Extract blockers list
-  const blockers = [];
-  const blockersMatch = content.match(/##\s*Blockers\s*\n([\s\S]*?)(?=\n##|$)/i);
-  if (blockersMatch) {
-    const blockersSection = blockersMatch[1];
-    const items = blockersSection.match(/^-\s+(.+)$/gm) || [];
-    for (const item of items) {
-      blockers.push(item.replace(/^-\s+/, '').trim());
-    }
-  }
+  const blockersSection = findStateSection(doc, 'blockers');
+  const blockers = blockersSection ? getListItems(blockersSection).map(b => b.trim()) : [];
 
   // Extract session info
   const session = {
@@ -474,16 +453,11 @@ function cmdStateSnapshot(cwd, raw) {
     resume_file: null,
   };
 
-  const sessionMatch = content.match(/##\s*Session\s*\n([\s\S]*?)(?=\n##|$)/i);
-  if (sessionMatch) {
-    const sessionSection = sessionMatch[1];
-    const lastDateMatch = sessionSection.match(/\*\*Last Date:\*\*\s*(.+)/i);
-    const stoppedAtMatch = sessionSection.match(/\*\*Stopped At:\*\*\s*(.+)/i);
-    const resumeFileMatch = sessionSection.match(/\*\*Resume File:\*\*\s*(.+)/i);
-
-    if (lastDateMatch) session.last_date = lastDateMatch[1].trim();
-    if (stoppedAtMatch) session.stopped_at = stoppedAtMatch[1].trim();
-    if (resumeFileMatch) session.resume_file = resumeFileMatch[1].trim();
+  const sessionSection = findStateSection(doc, 'session');
+  if (sessionSection) {
+    session.last_date = getField(doc, 'Last Date', sessionSection) || getField(doc, 'Last session', sessionSection);
+    session.stopped_at = getField(doc, 'Stopped At', sessionSection);
+    session.resume_file = getField(doc, 'Resume File', sessionSection);
   }
 
   const result = {
@@ -513,11 +487,8 @@ function cmdStateSnapshot(cwd, raw) {
  * reliably via `state json` instead of fragile regex parsing.
  */
 function buildStateFrontmatter(bodyContent, cwd) {
-  const extractField = (fieldName) => {
-    const pattern = new RegExp(`\\*\\*${fieldName}:\\*\\*\\s*(.+)`, 'i');
-    const match = bodyContent.match(pattern);
-    return match ? match[1].trim() : null;
-  };
+  const doc = parseStateDocument(bodyContent);
+  const extractField = (fieldName) => getField(doc, fieldName) || null;
 
   const currentPhase = extractField('Current Phase');
   const currentPhaseName = extractField('Current Phase Name');
@@ -527,7 +498,7 @@ function buildStateFrontmatter(bodyContent, cwd) {
   const status = extractField('Status');
   const progressRaw = extractField('Progress');
   const lastActivity = extractField('Last Activity');
-  const stoppedAt = extractField('Stopped At') || extractField('Stopped at');
+  const stoppedAt = extractField('Stopped At');
   const pausedAt = extractField('Paused At');
 
   let milestone = null;
@@ -550,7 +521,7 @@ function buildStateFrontmatter(bodyContent, cwd) {
       const phasesDir = path.join(cwd, '.planning', 'phases');
       if (fs.existsSync(phasesDir)) {
         const phaseDirs = fs.readdirSync(phasesDir, { withFileTypes: true })
-          .filter(e => e.isDirectory()).map(e => e.name);
+          .filter(e => e.isDirectory() && !e.name.startsWith('.')).map(e => e.name);
         let diskTotalPlans = 0;
         let diskTotalSummaries = 0;
         let diskCompletedPhases = 0;
@@ -634,10 +605,16 @@ function syncStateFrontmatter(content, cwd) {
 /**
  * Write STATE.md with synchronized YAML frontmatter.
  * All STATE.md writes should use this instead of raw writeFileSync.
+ * With a transaction, the write is staged and the frontmatter is built at
+ * commit time, after the transaction's earlier changes are on disk.
  */
-function writeStateMd(statePath, content, cwd) {
-  const synced = syncStateFrontmatter(content, cwd);
-  fs.writeFileSync(statePath, synced, 'utf-8');
+function writeStateMd(statePath, content, cwd, tx) {
+  if (cwd) acquirePlanningLock(cwd);
+  if (tx) {
+    tx.write(statePath, () => syncStateFrontmatter(content, cwd));
+    return;
+  }
+  commitTransaction(createTransaction().write(statePath, syncStateFrontmatter(content, cwd)));
 }
 
 function cmdStateJson(cwd, raw) {
@@ -648,7 +625,7 @@ function cmdStateJson(cwd, raw) {
   }
 
   const content = fs.readFileSync(statePath, 'utf-8');
-  const fm = extractFrontmatter(content);
+  const fm = extractFrontmatter(content, '.planning/STATE.md');
 
   if (!fm || Object.keys(fm).length === 0) {
     const body = stripFrontmatter(content);
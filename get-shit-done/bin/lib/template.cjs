@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const { normalizePhaseName, findPhaseInternal, generateSlugInternal, output, error } = require('./core.cjs');
 const { reconstructFrontmatter } = require('./frontmatter.cjs');
+const { createTransaction, commitTransaction } = require('./transaction.cjs');
 
 function cmdTemplateSelect(cwd, planPath, raw) {
   if (!planPath) {
@@ -54,7 +55,7 @@ function cmdTemplateSelect(cwd, planPath, raw) {
 }
 
 function cmdTemplateFill(cwd, templateType, options, raw) {
-  if (!templateType) { error('template type required: summary, plan, or verification'); }
+  if (!templateType) { error('template type required: summary, plan, verification, or continue-here'); }
   if (!options.phase) { error('--phase required'); }
 
   const phaseInfo = findPhaseInternal(cwd, options.phase);
@@ -201,8 +202,50 @@ function cmdTemplateFill(cwd, templateType, options, raw) {
       fileName = `${padded}-VERIFICATION.md`;
       break;
     }
+    case 'continue-here': {
+      frontmatter = {
+        phase: phaseId,
+        ...(options.plan ? { plan: planNum } : {}),
+        task: '[N]',
+        total_tasks: '[N]',
+        status: 'in_progress',
+        last_updated: new Date().toISOString(),
+        ...fields,
+      };
+      body = [
+        '<current_state>',
+        options.note || '[Where exactly are we? What\'s the immediate context?]',
+        '</current_state>',
+        '',
+        '<completed_work>',
+        '- Task 1: [name] - Done',
+        '</completed_work>',
+        '',
+        '<remaining_work>',
+        '- Task [N]: [name] - [what\'s left to do]',
+        '</remaining_work>',
+        '',
+        '<decisions_made>',
+        '- Decided to use [X] because [reason]',
+        '</decisions_made>',
+        '',
+        '<blockers>',
+        '- None',
+        '</blockers>',
+        '',
+        '<context>',
+        '[Mental state, anything that helps resume smoothly]',
+        '</context>',
+        '',
+        '<next_action>',
+        'Start with: [specific action]',
+        '</next_action>',
+      ].join('\n');
+      fileName = '.continue-here.md';
+      break;
+    }
     default:
-      error(`Unknown template type: ${templateType}. Available: summary, plan, verification`);
+      error(`Unknown template type: ${templateType}. Available: summary, plan, verification, continue-here`);
       return;
   }
 
@@ -214,7 +257,7 @@ function cmdTemplateFill(cwd, templateType, options, raw) {
     return;
   }
 
-  fs.writeFileSync(outPath, fullContent, 'utf-8');
+  commitTransaction(createTransaction().write(outPath, fullContent));
   const relPath = path.relative(cwd, outPath);
   output({ created: true, path: relPath, template: templateType }, raw, relPath);
 }
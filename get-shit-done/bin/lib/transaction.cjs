@@ -0,0 +1,417 @@
+/**
+ * Transaction — Staged multi-file updates with atomic writes and rollback
+ *
+ * Commands that touch several planning files stage every change on a
+ * transaction and commit once. Nothing reaches disk until commit(); commit
+ * applies operations in order (writes go through a temp file + rename) and,
+ * if any step throws, undoes the steps already applied in reverse order.
+ *
+ * Each applied operation also yields a record with its before-image; a
+ * commit observer (the operation journal) receives them after success.
+ *
+ * In dry-run mode (global --dry-run) commit() touches nothing: the staged
+ * operations of every commit are collected, and when the command outputs its
+ * result the planned creates/renames/deletes with unified diffs are printed
+ * instead.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath, setOutputOverride, error } = require('./core.cjs');
+const { unifiedDiff } = require('./diff.cjs');
+
+/**
+ * @typedef {{ type: 'write', path: string, content: string|Buffer|(() => string) }
+ *   | { type: 'mkdir', path: string }
+ *   | { type: 'rename', from: string, to: string }
+ *   | { type: 'remove', path: string }
+ *   | { type: 'rmdir', path: string }} TransactionOp
+ *
+ * @typedef {{ type: 'file', content: string, encoding?: 'base64' }
+ *   | { type: 'dir', entries: Array<{ path: string, content?: string, encoding?: 'base64', dir?: boolean }> }} PathSnapshot
+ * @typedef {{ op: 'write', path: string, before: string|null, encoding?: 'base64', after_hash: string }
+ *   | { op: 'mkdir', path: string }
+ *   | { op: 'rename', from: string, to: string }
+ *   | { op: 'remove', path: string, snapshot: PathSnapshot|null }} CommitRecord
+ */
+
+let commitObserver = null;
+let dryRun = null;
+
+/**
+ * Register a function called with the CommitRecord[] of every successful
+ * commit in this process (null to unregister).
+ */
+function setCommitObserver(fn) {
+  commitObserver = fn;
+}
+
+/**
+ * Switch every transaction in this process to preview mode. `cwd` makes
+ * paths relative in the plan. Once anything was committed, output() prints
+ * the combined plan of all commits instead of the command result.
+ */
+function enableDryRun({ cwd }) {
+  dryRun = { cwd, ops: [], commits: 0 };
+  setOutputOverride(() => {
+    if (dryRun.commits === 0) return null;
+    const plan = planOps(dryRun.ops, dryRun.cwd);
+    return { result: { dry_run: true, ...plan }, rawValue: renderPlan(plan) };
+  });
+}
+
+function isDryRun() {
+  return dryRun !== null;
+}
+
+// ─── Apply / undo primitives ──────────────────────────────────────────────────
+
+function atomicWrite(filePath, content) {
+  const tmpPath = `${filePath}.gsd-tmp-${process.pid}`;
+  try {
+    fs.writeFileSync(tmpPath, content, 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.rmSync(tmpPath, { force: true }); } catch {}
+    throw err;
+  }
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * File bytes as recorded content: the UTF-8 text when it round-trips
+ * losslessly, otherwise base64 with `encoding: 'base64'`.
+ */
+function encodeContent(buffer) {
+  const text = buffer.toString('utf-8');
+  if (Buffer.from(text, 'utf-8').equals(buffer)) return { content: text };
+  return { content: buffer.toString('base64'), encoding: 'base64' };
+}
+
+/** Inverse of encodeContent: a string for text, a Buffer for binary content. */
+function decodeContent(content, encoding) {
+  return encoding === 'base64' ? Buffer.from(content, 'base64') : content;
+}
+
+/** `before` (and `encoding`) fields of a write record for the previous bytes. */
+function beforeImage(buffer) {
+  if (buffer === null) return { before: null };
+  const { content, encoding } = encodeContent(buffer);
+  return encoding ? { before: content, encoding } : { before: content };
+}
+
+/** Capture a file or directory tree so a removal can be undone later. */
+function snapshotPath(targetPath) {
+  const stat = fs.statSync(targetPath);
+  if (!stat.isDirectory()) return { type: 'file', ...encodeContent(fs.readFileSync(targetPath)) };
+  const entries = [];
+  const walk = (dir, rel) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        entries.push({ path: entryRel, dir: true });
+        walk(path.join(dir, entry.name), entryRel);
+      } else {
+        entries.push({ path: entryRel, ...encodeContent(fs.readFileSync(path.join(dir, entry.name))) });
+      }
+    }
+  };
+  walk(targetPath, '');
+  return { type: 'dir', entries };
+}
+
+/**
+ * True when a directory tree holds no files (empty subdirectories allowed).
+ * Paths in `ignore` (this commit's moved-aside removals) do not count.
+ */
+function isEmptyTree(dirPath, ignore) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).every(entry => {
+    const entryPath = path.join(dirPath, entry.name);
+    return ignore.includes(entryPath) || (entry.isDirectory() && isEmptyTree(entryPath, ignore));
+  });
+}
+
+function moveAside(targetPath, trash) {
+  const aside = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.gsd-removed-${process.pid}-${trash.length}`);
+  fs.renameSync(targetPath, aside);
+  trash.push(aside);
+  return () => {
+    fs.renameSync(aside, targetPath);
+    trash.splice(trash.indexOf(aside), 1);
+  };
+}
+
+/** Deepest ancestor of dirPath (inclusive) that does not exist yet, or null. */
+function firstMissingDir(dirPath) {
+  let missing = null;
+  let current = path.resolve(dirPath);
+  while (!fs.existsSync(current)) {
+    missing = current;
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  return missing;
+}
+
+/**
+ * Apply one operation. Returns the function that reverts it and the
+ * CommitRecords describing what changed (implicit parent mkdirs included).
+ * Removed paths are moved aside rather than deleted so they can be restored.
+ */
+function applyOp(op, trash) {
+  switch (op.type) {
+    case 'write': {
+      const content = typeof op.content === 'function' ? op.content() : op.content;
+      const before = fs.existsSync(op.path) ? fs.readFileSync(op.path) : null;
+      const createdDir = firstMissingDir(path.dirname(op.path));
+      if (createdDir) fs.mkdirSync(path.dirname(op.path), { recursive: true });
+      atomicWrite(op.path, content);
+      return {
+        undo: () => {
+          if (before !== null) atomicWrite(op.path, before);
+          else fs.rmSync(op.path, { force: true });
+          if (createdDir) fs.rmSync(createdDir, { recursive: true, force: true });
+        },
+        records: [
+          ...(createdDir ? [{ op: 'mkdir', path: createdDir }] : []),
+          { op: 'write', path: op.path, ...beforeImage(before), after_hash: hashContent(content) },
+        ],
+      };
+    }
+    case 'mkdir': {
+      const createdDir = firstMissingDir(op.path);
+      if (!createdDir) return { undo: () => {}, records: [] };
+      fs.mkdirSync(op.path, { recursive: true });
+      return {
+        undo: () => fs.rmSync(createdDir, { recursive: true, force: true }),
+        records: [{ op: 'mkdir', path: createdDir }],
+      };
+    }
+    case 'rename': {
+      const createdDir = firstMissingDir(path.dirname(op.to));
+      if (createdDir) fs.mkdirSync(path.dirname(op.to), { recursive: true });
+      fs.renameSync(op.from, op.to);
+      return {
+        undo: () => {
+          fs.renameSync(op.to, op.from);
+          if (createdDir) fs.rmSync(createdDir, { recursive: true, force: true });
+        },
+        records: [
+          ...(createdDir ? [{ op: 'mkdir', path: createdDir }] : []),
+          { op: 'rename', from: op.from, to: op.to },
+        ],
+      };
+    }
+    case 'remove': {
+      if (!fs.existsSync(op.path)) return { undo: () => {}, records: [] };
+      const snapshot = commitObserver ? snapshotPath(op.path) : null;
+      return {
+        undo: moveAside(op.path, trash),
+        records: [{ op: 'remove', path: op.path, snapshot }],
+      };
+    }
+    case 'rmdir': {
+      if (!fs.existsSync(op.path) || !isEmptyTree(op.path, trash)) return { undo: () => {}, records: [] };
+      const dirs = snapshotPath(op.path).entries.filter(entry => entry.dir);
+      return {
+        undo: moveAside(op.path, trash),
+        records: [{ op: 'remove', path: op.path, snapshot: { type: 'dir', entries: dirs } }],
+      };
+    }
+    default:
+      throw new Error(`Unknown transaction operation: ${op.type}`);
+  }
+}
+
+// ─── Dry-run planning ─────────────────────────────────────────────────────────
+
+const DIR = Symbol('dir');
+
+/**
+ * Simulate staged operations against a virtual view of disk and describe
+ * them: planned actions in order plus a unified diff for each text edit.
+ */
+function planOps(ops, cwd) {
+  const rel = p => toPosixPath(path.relative(cwd, p));
+  const virtual = new Map();
+  const renames = [];
+  // Map a path through staged renames back to where it lives on disk today
+  const onDisk = p => {
+    for (let i = renames.length - 1; i >= 0; i--) {
+      const { from, to } = renames[i];
+      if (p === to || p.startsWith(to + path.sep)) p = from + p.slice(to.length);
+    }
+    return p;
+  };
+  const exists = p => (virtual.has(p) ? virtual.get(p) !== null : fs.existsSync(onDisk(p)));
+  const contentOf = p => {
+    if (virtual.has(p)) return typeof virtual.get(p) === 'string' ? virtual.get(p) : null;
+    const diskPath = onDisk(p);
+    return fs.existsSync(diskPath) && fs.statSync(diskPath).isFile() ? fs.readFileSync(diskPath, 'utf-8') : null;
+  };
+
+  const operations = [];
+  const diffs = [];
+  for (const op of ops) {
+    switch (op.type) {
+      case 'write': {
+        const before = contentOf(op.path);
+        const content = typeof op.content === 'function' ? op.content() : op.content;
+        virtual.set(op.path, content);
+        if (before === content) break;
+        const file = rel(op.path);
+        operations.push({ action: before === null ? 'create' : 'modify', path: file });
+        // Binary content (restored by undo) has no text diff
+        if (Buffer.isBuffer(content)) break;
+        const diff = unifiedDiff(before || '', content, {
+          fromFile: before === null ? '/dev/null' : `a/${file}`,
+          toFile: `b/${file}`,
+        });
+        if (diff) diffs.push(diff);
+        break;
+      }
+      case 'mkdir':
+        if (!exists(op.path)) operations.push({ action: 'mkdir', path: rel(op.path) });
+        virtual.set(op.path, DIR);
+        break;
+      case 'rename':
+        operations.push({ action: 'rename', from: rel(op.from), to: rel(op.to) });
+        renames.push({ from: op.from, to: op.to });
+        break;
+      case 'remove':
+      case 'rmdir':
+        if (exists(op.path)) operations.push({ action: 'delete', path: rel(op.path) });
+        virtual.set(op.path, null);
+        break;
+    }
+  }
+  return { operations, diff: diffs.join('') };
+}
+
+function renderPlan(plan) {
+  const lines = plan.operations.map(op => (op.action === 'rename'
+    ? `rename  ${op.from} -> ${op.to}`
+    : `${op.action.padEnd(7)} ${op.path}`));
+  if (lines.length === 0) lines.push('no changes');
+  return lines.join('\n') + '\n' + (plan.diff ? '\n' + plan.diff : '');
+}
+
+// ─── Transaction ──────────────────────────────────────────────────────────────
+
+/**
+ * Create a transaction. Stage changes with write/mkdir/rename/remove/rmdir, then
+ * call commit(). `write` accepts a function for content that depends on the
+ * disk state left by earlier operations (e.g. STATE.md frontmatter).
+ */
+function createTransaction() {
+  /** @type {TransactionOp[]} */
+  const ops = [];
+
+  const tx = {
+    ops,
+
+    write(filePath, content) {
+      ops.push({ type: 'write', path: filePath, content });
+      return tx;
+    },
+
+    mkdir(dirPath) {
+      ops.push({ type: 'mkdir', path: dirPath });
+      return tx;
+    },
+
+    rename(from, to) {
+      ops.push({ type: 'rename', from, to });
+      return tx;
+    },
+
+    remove(targetPath) {
+      ops.push({ type: 'remove', path: targetPath });
+      return tx;
+    },
+
+    /** Remove a directory only if no files remain in it. */
+    rmdir(dirPath) {
+      ops.push({ type: 'rmdir', path: dirPath });
+      return tx;
+    },
+
+    /** Latest staged string content for a file, falling back to disk. */
+    read(filePath) {
+      for (let i = ops.length - 1; i >= 0; i--) {
+        const op = ops[i];
+        if (op.type === 'write' && op.path === filePath && typeof op.content === 'string') return op.content;
+        if (op.type === 'remove' && op.path === filePath) return null;
+      }
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+    },
+
+    /**
+     * Apply all staged operations. On failure every applied operation is
+     * reverted and the original error is rethrown with a rollback note.
+     * In dry-run mode the operations are only collected for the plan.
+     */
+    commit() {
+      if (dryRun) {
+        dryRun.ops.push(...ops);
+        dryRun.commits++;
+        ops.length = 0;
+        return [];
+      }
+
+      const undo = [];
+      const records = [];
+      const trash = [];
+      try {
+        for (const op of ops) {
+          const applied = applyOp(op, trash);
+          undo.push(applied.undo);
+          records.push(...applied.records);
+        }
+      } catch (err) {
+        const rollbackErrors = [];
+        for (let i = undo.length - 1; i >= 0; i--) {
+          try { undo[i](); } catch (e) { rollbackErrors.push(e.message); }
+        }
+        const note = rollbackErrors.length > 0
+          ? `rollback incomplete: ${rollbackErrors.join('; ')}`
+          : 'all changes rolled back';
+        const wrapped = new Error(`${err.message} (${note})`);
+        wrapped.cause = err;
+        throw wrapped;
+      }
+      for (const aside of trash) {
+        try { fs.rmSync(aside, { recursive: true, force: true }); } catch {}
+      }
+      ops.length = 0;
+      if (commitObserver && records.length > 0) commitObserver(records);
+      return records;
+    },
+  };
+
+  return tx;
+}
+
+/** Commit a transaction, exiting through error() if it fails. */
+function commitTransaction(tx) {
+  try {
+    tx.commit();
+  } catch (err) {
+    error(`Update failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  createTransaction,
+  commitTransaction,
+  setCommitObserver,
+  enableDryRun,
+  isDryRun,
+  hashContent,
+  decodeContent,
+};
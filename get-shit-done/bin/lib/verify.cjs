@@ -4,11 +4,115 @@
 
 const fs = require('fs');
 const path = require('path');
-const { safeReadFile, normalizePhaseName, execGit, findPhaseInternal, getMilestoneInfo, output, error } = require('./core.cjs');
-const { extractFrontmatter, parseMustHavesBlock } = require('./frontmatter.cjs');
+const { safeReadFile, toPosixPath, normalizePhaseName, execGit, findPhaseInternal, getMilestoneInfo, modelProfileIssues, listModelProfiles, output, error } = require('./core.cjs');
+const { extractFrontmatter, parseMustHavesBlock, checkFrontmatter, FRONTMATTER_SCHEMAS } = require('./frontmatter.cjs');
 const { writeStateMd } = require('./state.cjs');
+const { createTransaction, isDryRun } = require('./transaction.cjs');
+const { outputReport } = require('./report.cjs');
+const { loadCitations, findCitations, getCachedPage } = require('./research.cjs');
+const { checkExports } = require('./exports.cjs');
+const { DEFAULT_MAX_DEPTH, resolveFile, resolveImport, findImportChain, isJsFile } = require('./imports.cjs');
+const { DEFAULT_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS, sandboxEnv, runSandboxed } = require('./sandbox.cjs');
+
+// ─── verify-summary ───────────────────────────────────────────────────────────
+
+/** Paths as git prints them, relative to the repo root, mapped to cwd-relative posix paths. */
+function repoPathsToCwd(cwd, files) {
+  const top = execGit(cwd, ['rev-parse', '--show-toplevel']);
+  if (top.exitCode !== 0) return files;
+  return files.map(f => toPosixPath(path.relative(cwd, path.join(top.stdout, f))));
+}
+
+function normalizeListedPath(file) {
+  return toPosixPath(String(file).trim()).replace(/^\.\//, '');
+}
+
+/**
+ * Commit-trail check for `verify-summary --thorough`: every commit in the
+ * SUMMARY `commits` list must exist on the current branch, and the files
+ * those commits touched must match SUMMARY key-files plus the sibling PLAN's
+ * files_modified. Planning docs are ignored on both sides.
+ */
+function checkCommitTrail(cwd, summaryPath, content) {
+  const fm = extractFrontmatter(content, summaryPath);
+  const listed = Array.isArray(fm.commits) ? fm.commits : [];
+  const commits = [];
+  const touched = new Set();
+
+  for (const item of listed) {
+    const hash = String(item && typeof item === 'object' ? item.hash : item).trim();
+    const entry = { hash, task: item && typeof item === 'object' && item.task ? String(item.task) : null };
+    // Only hex abbreviations reach git; anything else would be read as a ref or revision expression
+    const type = /^[0-9a-f]{4,40}$/i.test(hash) ? execGit(cwd, ['cat-file', '-t', hash]) : null;
+    entry.exists = !!type && type.exitCode === 0 && type.stdout === 'commit';
+    entry.on_branch = entry.exists && execGit(cwd, ['merge-base', '--is-ancestor', hash, 'HEAD']).exitCode === 0;
+    entry.files = [];
+    if (entry.exists) {
+      const diff = execGit(cwd, ['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', hash]);
+      entry.files = repoPathsToCwd(cwd, diff.stdout ? diff.stdout.split('\n') : []);
+      for (const file of entry.files) touched.add(file);
+    }
+    commits.push(entry);
+  }
+
+  const expected = new Set();
+  const keyFiles = fm['key-files'] && typeof fm['key-files'] === 'object' ? fm['key-files'] : {};
+  for (const file of [...(keyFiles.created || []), ...(keyFiles.modified || [])]) expected.add(normalizeListedPath(file));
+  const planPath = summaryPath.replace(/SUMMARY\.md$/i, 'PLAN.md');
+  let planFound = false;
+  if (planPath !== summaryPath) {
+    const plan = safeReadFile(path.join(cwd, planPath));
+    if (plan) {
+      planFound = true;
+      const planFiles = extractFrontmatter(plan, planPath).files_modified;
+      for (const file of Array.isArray(planFiles) ? planFiles : []) expected.add(normalizeListedPath(file));
+    }
+  }
+
+  const isPlanningDoc = file => file === '.planning' || file.startsWith('.planning/');
+  const filesTouched = [...touched].filter(f => !isPlanningDoc(f)).sort();
+  const filesExpected = [...expected].filter(f => f && !isPlanningDoc(f)).sort();
+  return {
+    commits,
+    plan: planFound ? planPath : null,
+    files_touched: filesTouched,
+    files_expected: filesExpected,
+    unexplained: filesTouched.filter(f => !expected.has(f)),
+    missing: filesExpected.filter(f => !touched.has(f)),
+  };
+}
 
-function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
+function commitTrailReportChecks(trail, summaryPath) {
+  const checks = [];
+  if (trail.commits.length === 0) {
+    checks.push({
+      id: 'summary-commit-trail', name: 'SUMMARY lists its commits', passed: false,
+      level: 'error', message: 'No commits list in SUMMARY frontmatter', file: summaryPath,
+    });
+  }
+  for (const c of trail.commits) {
+    checks.push({
+      id: 'summary-commit', name: `Commit ${c.hash} is on the current branch`, passed: c.on_branch, level: 'error',
+      message: c.exists ? `Commit ${c.hash} is not an ancestor of HEAD` : `Commit ${c.hash} not found`, file: summaryPath,
+    });
+  }
+  for (const file of trail.missing) {
+    checks.push({
+      id: 'summary-file-untouched', name: `Declared file changed: ${file}`, passed: false,
+      level: 'error', message: `${file} is declared but no listed commit touches it`, file: summaryPath,
+    });
+  }
+  for (const file of trail.unexplained) {
+    checks.push({
+      id: 'summary-file-unexplained', name: `Changed file declared: ${file}`, passed: false,
+      level: 'warning', message: `${file} was changed by a listed commit but is not in key-files or the plan's files_modified`, file: summaryPath,
+    });
+  }
+  return checks;
+}
+
+function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw, options = {}) {
+  const { format, thorough } = options;
   if (!summaryPath) {
     error('summary-path required');
   }
@@ -28,14 +132,16 @@ function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
       },
       errors: ['SUMMARY.md not found'],
     };
-    output(result, raw, 'failed');
+    const reportChecks = [{ id: 'summary-exists', name: 'SUMMARY.md exists', passed: false, level: 'error', message: 'SUMMARY.md not found', file: summaryPath }];
+    outputReport(format, 'verify-summary', reportChecks, result, raw, 'failed');
     return;
   }
 
   const content = fs.readFileSync(fullPath, 'utf-8');
   const errors = [];
 
-  // Check 2: Spot-check files mentioned in summary
+  // Check 2: Spot-check files mentioned in summary (frontmatter lists are not prose)
+  const body = content.replace(/^---\n[\s\S]*?\n---\n*/, '');
   const mentionedFiles = new Set();
   const patterns = [
     /`([^`]+\.[a-zA-Z]+)`/g,
@@ -44,7 +150,7 @@ function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
 
   for (const pattern of patterns) {
     let m;
-    while ((m = pattern.exec(content)) !== null) {
+    while ((m = pattern.exec(body)) !== null) {
       const filePath = m[1];
       if (filePath && !filePath.startsWith('http') && filePath.includes('/')) {
         mentionedFiles.add(filePath);
@@ -52,7 +158,7 @@ function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
     }
   }
 
-  const filesToCheck = Array.from(mentionedFiles).slice(0, checkCount);
+  const filesToCheck = thorough ? Array.from(mentionedFiles) : Array.from(mentionedFiles).slice(0, checkCount);
   const missing = [];
   for (const file of filesToCheck) {
     if (!fs.existsSync(path.join(cwd, file))) {
@@ -88,9 +194,20 @@ function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
     }
   }
 
+  // Check 5 (--thorough): full commit trail from frontmatter
+  const trail = thorough ? checkCommitTrail(cwd, summaryPath, content) : null;
+  const trailBroken = trail && (trail.commits.length === 0 || trail.missing.length > 0 ||
+    trail.commits.some(c => !c.on_branch));
+
   if (missing.length > 0) errors.push('Missing files: ' + missing.join(', '));
   if (!commitsExist && hashes.length > 0) errors.push('Referenced commit hashes not found in git history');
   if (selfCheck === 'failed') errors.push('Self-check section indicates failure');
+  if (trail) {
+    if (trail.commits.length === 0) errors.push('No commits list in SUMMARY frontmatter');
+    const lost = trail.commits.filter(c => !c.on_branch).map(c => c.hash);
+    if (lost.length > 0) errors.push('Commits not on current branch: ' + lost.join(', '));
+    if (trail.missing.length > 0) errors.push('Declared files not touched by any listed commit: ' + trail.missing.join(', '));
+  }
 
   const checks = {
     summary_exists: true,
@@ -98,28 +215,52 @@ function cmdVerifySummary(cwd, summaryPath, checkFileCount, raw) {
     commits_exist: commitsExist,
     self_check: selfCheck,
   };
+  if (trail) checks.commit_trail = trail;
 
-  const passed = missing.length === 0 && selfCheck !== 'failed';
+  const passed = missing.length === 0 && selfCheck !== 'failed' && !trailBroken;
   const result = { passed, checks, errors };
-  output(result, raw, passed ? 'passed' : 'failed');
+  if (trail && trail.unexplained.length > 0) {
+    result.warnings = ['Changed files not declared in key-files or files_modified: ' + trail.unexplained.join(', ')];
+  }
+
+  const reportChecks = [{ id: 'summary-exists', name: 'SUMMARY.md exists', passed: true, file: summaryPath }];
+  for (const file of filesToCheck) {
+    reportChecks.push({
+      id: 'summary-file', name: `Mentioned file exists: ${file}`, passed: !missing.includes(file),
+      level: 'error', message: `${file} is mentioned in the summary but does not exist`, file: summaryPath,
+    });
+  }
+  if (trail) {
+    reportChecks.push(...commitTrailReportChecks(trail, summaryPath));
+  } else if (hashes.length > 0) {
+    // Informational only: commit lookups do not affect `passed`
+    reportChecks.push({
+      id: 'summary-commits', name: 'Referenced commits exist', passed: commitsExist,
+      level: 'warning', message: 'Referenced commit hashes not found in git history', file: summaryPath,
+    });
+  }
+  if (selfCheck !== 'not_found') {
+    reportChecks.push({
+      id: 'summary-self-check', name: 'Self-check passed', passed: selfCheck !== 'failed',
+      level: 'error', message: 'Self-check section indicates failure', file: summaryPath,
+    });
+  }
+  outputReport(format, 'verify-summary', reportChecks, result, raw, passed ? 'passed' : 'failed');
 }
 
-function cmdVerifyPlanStructure(cwd, filePath, raw) {
-  if (!filePath) { error('file path required'); }
-  const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
-  const content = safeReadFile(fullPath);
-  if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
+/** Report check for a plan that cannot be verified at all. */
+function planProblemCheck(id, message, planFilePath) {
+  return { id, name: message, passed: false, level: 'error', message, file: planFilePath };
+}
 
-  const fm = extractFrontmatter(content);
+/**
+ * Task and checkpoint checks for a PLAN.md body (required frontmatter keys
+ * are left to the caller). Issues carry `validate all` codes.
+ */
+function checkPlanStructure(content, fm) {
   const errors = [];
   const warnings = [];
 
-  // Check required frontmatter fields
-  const required = ['phase', 'plan', 'type', 'wave', 'depends_on', 'files_modified', 'autonomous', 'must_haves'];
-  for (const field of required) {
-    if (fm[field] === undefined) errors.push(`Missing required frontmatter field: ${field}`);
-  }
-
   // Parse and check task elements
   const taskPattern = /<task[^>]*>([\s\S]*?)<\/task>/g;
   const tasks = [];
@@ -133,34 +274,56 @@ function cmdVerifyPlanStructure(cwd, filePath, raw) {
     const hasVerify = /<verify>/.test(taskContent);
     const hasDone = /<done>/.test(taskContent);
 
-    if (!nameMatch) errors.push('Task missing <name> element');
-    if (!hasAction) errors.push(`Task '${taskName}' missing <action>`);
-    if (!hasVerify) warnings.push(`Task '${taskName}' missing <verify>`);
-    if (!hasDone) warnings.push(`Task '${taskName}' missing <done>`);
-    if (!hasFiles) warnings.push(`Task '${taskName}' missing <files>`);
+    if (!nameMatch) errors.push({ code: 'E111', message: 'Task missing <name> element' });
+    if (!hasAction) errors.push({ code: 'E112', message: `Task '${taskName}' missing <action>` });
+    if (!hasVerify) warnings.push({ code: 'W111', message: `Task '${taskName}' missing <verify>` });
+    if (!hasDone) warnings.push({ code: 'W112', message: `Task '${taskName}' missing <done>` });
+    if (!hasFiles) warnings.push({ code: 'W113', message: `Task '${taskName}' missing <files>` });
 
     tasks.push({ name: taskName, hasFiles, hasAction, hasVerify, hasDone });
   }
 
-  if (tasks.length === 0) warnings.push('No <task> elements found');
+  if (tasks.length === 0) warnings.push({ code: 'W114', message: 'No <task> elements found' });
 
   // Wave/depends_on consistency
   if (fm.wave && parseInt(fm.wave) > 1 && (!fm.depends_on || (Array.isArray(fm.depends_on) && fm.depends_on.length === 0))) {
-    warnings.push('Wave > 1 but depends_on is empty');
+    warnings.push({ code: 'W115', message: 'Wave > 1 but depends_on is empty' });
   }
 
   // Autonomous/checkpoint consistency
   const hasCheckpoints = /<task\s+type=["']?checkpoint/.test(content);
   if (hasCheckpoints && fm.autonomous !== 'false' && fm.autonomous !== false) {
-    errors.push('Has checkpoint tasks but autonomous is not false');
+    errors.push({ code: 'E113', message: 'Has checkpoint tasks but autonomous is not false' });
   }
 
+  return { errors, warnings, tasks };
+}
+
+function cmdVerifyPlanStructure(cwd, filePath, raw) {
+  if (!filePath) { error('file path required'); }
+  const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
+  const content = safeReadFile(fullPath);
+  if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
+
+  const fm = extractFrontmatter(content, filePath);
+  const errors = [];
+
+  // Check required frontmatter fields
+  const required = ['phase', 'plan', 'type', 'wave', 'depends_on', 'files_modified', 'autonomous', 'must_haves'];
+  for (const field of required) {
+    if (fm[field] === undefined) errors.push(`Missing required frontmatter field: ${field}`);
+  }
+
+  const structure = checkPlanStructure(content, fm);
+  errors.push(...structure.errors.map(e => e.message));
+  const warnings = structure.warnings.map(w => w.message);
+
   output({
     valid: errors.length === 0,
     errors,
     warnings,
-    task_count: tasks.length,
-    tasks,
+    task_count: structure.tasks.length,
+    tasks: structure.tasks,
     frontmatter_fields: Object.keys(fm),
   }, raw, errors.length === 0 ? 'valid' : 'invalid');
 }
@@ -212,14 +375,14 @@ function cmdVerifyPhaseCompleteness(cwd, phase, raw) {
   }, raw, errors.length === 0 ? 'complete' : 'incomplete');
 }
 
-function cmdVerifyReferences(cwd, filePath, raw) {
-  if (!filePath) { error('file path required'); }
-  const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
-  const content = safeReadFile(fullPath);
-  if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
-
+/**
+ * Resolve @-references (@path/to/file) and backtick paths in a document.
+ * @returns {{ found: string[], missing: { ref: string, kind: 'at'|'backtick' }[] }}
+ */
+function checkReferences(cwd, content) {
   const found = [];
   const missing = [];
+  const seen = new Set();
 
   // Find @-references: @path/to/file (must contain / to be a file path)
   const atRefs = content.match(/@([^\s\n,)]+\/[^\s\n,)]+)/g) || [];
@@ -228,10 +391,11 @@ function cmdVerifyReferences(cwd, filePath, raw) {
     const resolved = cleanRef.startsWith('~/')
       ? path.join(process.env.HOME || '', cleanRef.slice(2))
       : path.join(cwd, cleanRef);
+    seen.add(cleanRef);
     if (fs.existsSync(resolved)) {
       found.push(cleanRef);
     } else {
-      missing.push(cleanRef);
+      missing.push({ ref: cleanRef, kind: 'at' });
     }
   }
 
@@ -240,21 +404,51 @@ function cmdVerifyReferences(cwd, filePath, raw) {
   for (const ref of backtickRefs) {
     const cleanRef = ref.slice(1, -1); // remove backticks
     if (cleanRef.startsWith('http') || cleanRef.includes('${') || cleanRef.includes('{{')) continue;
-    if (found.includes(cleanRef) || missing.includes(cleanRef)) continue; // dedup
+    if (seen.has(cleanRef)) continue; // dedup
+    seen.add(cleanRef);
     const resolved = path.join(cwd, cleanRef);
     if (fs.existsSync(resolved)) {
       found.push(cleanRef);
     } else {
-      missing.push(cleanRef);
+      missing.push({ ref: cleanRef, kind: 'backtick' });
     }
   }
 
-  output({
+  // Find [cite:N] citations, resolved offline against research/citations.json
+  const citeIds = findCitations(content);
+  const citations = [];
+  if (citeIds.length > 0) {
+    const registry = loadCitations(cwd);
+    for (const id of citeIds) {
+      const citation = registry.find(c => c.id === id);
+      if (citation) {
+        found.push(`cite:${id}`);
+        citations.push({ id, url: citation.url, title: citation.title || null, cached: !!getCachedPage(cwd, citation.url) });
+      } else {
+        missing.push({ ref: `cite:${id}`, kind: 'cite' });
+      }
+    }
+  }
+
+  return { found, missing, citations };
+}
+
+function cmdVerifyReferences(cwd, filePath, raw) {
+  if (!filePath) { error('file path required'); }
+  const fullPath = path.isAbsolute(filePath) ? filePath : path.join(cwd, filePath);
+  const content = safeReadFile(fullPath);
+  if (!content) { output({ error: 'File not found', path: filePath }, raw); return; }
+
+  const { found, missing, citations } = checkReferences(cwd, content);
+
+  const result = {
     valid: missing.length === 0,
     found: found.length,
-    missing,
+    missing: missing.map(m => m.ref),
     total: found.length + missing.length,
-  }, raw, missing.length === 0 ? 'valid' : 'invalid');
+  };
+  if (citations.length > 0 || missing.some(m => m.kind === 'cite')) result.citations = citations;
+  output(result, raw, missing.length === 0 ? 'valid' : 'invalid');
 }
 
 function cmdVerifyCommits(cwd, hashes, raw) {
@@ -279,15 +473,21 @@ function cmdVerifyCommits(cwd, hashes, raw) {
   }, raw, invalid.length === 0 ? 'valid' : 'invalid');
 }
 
-function cmdVerifyArtifacts(cwd, planFilePath, raw) {
+function cmdVerifyArtifacts(cwd, planFilePath, raw, format) {
   if (!planFilePath) { error('plan file path required'); }
   const fullPath = path.isAbsolute(planFilePath) ? planFilePath : path.join(cwd, planFilePath);
   const content = safeReadFile(fullPath);
-  if (!content) { output({ error: 'File not found', path: planFilePath }, raw); return; }
+  if (!content) {
+    outputReport(format, 'verify artifacts', [planProblemCheck('plan-not-found', 'File not found', planFilePath)],
+      { error: 'File not found', path: planFilePath }, raw);
+    return;
+  }
 
-  const artifacts = parseMustHavesBlock(content, 'artifacts');
+  const artifacts = parseMustHavesBlock(content, 'artifacts', planFilePath);
   if (artifacts.length === 0) {
-    output({ error: 'No must_haves.artifacts found in frontmatter', path: planFilePath }, raw);
+    const message = 'No must_haves.artifacts found in frontmatter';
+    outputReport(format, 'verify artifacts', [planProblemCheck('no-must-haves', message, planFilePath)],
+      { error: message, path: planFilePath }, raw);
     return;
   }
 
@@ -313,9 +513,9 @@ function cmdVerifyArtifacts(cwd, planFilePath, raw) {
       }
       if (artifact.exports) {
         const exports = Array.isArray(artifact.exports) ? artifact.exports : [artifact.exports];
-        for (const exp of exports) {
-          if (!fileContent.includes(exp)) check.issues.push(`Missing export: ${exp}`);
-        }
+        const exportCheck = checkExports(artFullPath, fileContent, exports.map(String));
+        check.export_checker = exportCheck.checker;
+        check.issues.push(...exportCheck.issues);
       }
       check.passed = check.issues.length === 0;
     } else {
@@ -326,7 +526,13 @@ function cmdVerifyArtifacts(cwd, planFilePath, raw) {
   }
 
   const passed = results.filter(r => r.passed).length;
-  output({
+  const reportChecks = results.map(r => ({
+    id: 'artifact', name: r.path, passed: r.passed, level: 'error',
+    message: `${r.path}: ${r.issues.join('; ')}`,
+    // A missing artifact is reported against the plan that promised it
+    file: r.exists ? r.path : planFilePath,
+  }));
+  outputReport(format, 'verify artifacts', reportChecks, {
     all_passed: passed === results.length,
     passed,
     total: results.length,
@@ -334,15 +540,48 @@ function cmdVerifyArtifacts(cwd, planFilePath, raw) {
   }, raw, passed === results.length ? 'valid' : 'invalid');
 }
 
-function cmdVerifyKeyLinks(cwd, planFilePath, raw) {
+/**
+ * Import-graph check for a key link between JS/TS modules. Returns null when
+ * it does not apply: `from` is not JS/TS or `to` is not a project file (an
+ * endpoint, a symbol, another language).
+ */
+function checkImportLink(cwd, link, options) {
+  const sourcePath = path.join(cwd, link.from);
+  if (!link.to || !isJsFile(sourcePath)) return null;
+  const targetPath = resolveFile(path.resolve(cwd, link.to)) || resolveImport(sourcePath, link.to);
+  if (!targetPath) return null;
+
+  const maxDepth = options.transitive ? options.depth || DEFAULT_MAX_DEPTH : DEFAULT_MAX_DEPTH;
+  const found = findImportChain(sourcePath, targetPath, maxDepth);
+  const chain = found && found.map(p => toPosixPath(path.relative(cwd, p)));
+  if (chain && chain.length === 2) {
+    return { verified: true, detail: 'Source imports target', chain };
+  }
+  if (chain && options.transitive) {
+    return { verified: true, detail: `Source imports target via ${chain.join(' → ')}`, chain };
+  }
+  if (chain) {
+    return { verified: false, detail: `Source does not import target directly (reachable via ${chain.join(' → ')}; use --transitive)` };
+  }
+  return { verified: false, detail: `Source does not import target${options.transitive ? ` within ${maxDepth} import${maxDepth === 1 ? '' : 's'}` : ''}` };
+}
+
+function cmdVerifyKeyLinks(cwd, planFilePath, raw, options = {}) {
+  const format = options.format;
   if (!planFilePath) { error('plan file path required'); }
   const fullPath = path.isAbsolute(planFilePath) ? planFilePath : path.join(cwd, planFilePath);
   const content = safeReadFile(fullPath);
-  if (!content) { output({ error: 'File not found', path: planFilePath }, raw); return; }
+  if (!content) {
+    outputReport(format, 'verify key-links', [planProblemCheck('plan-not-found', 'File not found', planFilePath)],
+      { error: 'File not found', path: planFilePath }, raw);
+    return;
+  }
 
-  const keyLinks = parseMustHavesBlock(content, 'key_links');
+  const keyLinks = parseMustHavesBlock(content, 'key_links', planFilePath);
   if (keyLinks.length === 0) {
-    output({ error: 'No must_haves.key_links found in frontmatter', path: planFilePath }, raw);
+    const message = 'No must_haves.key_links found in frontmatter';
+    outputReport(format, 'verify key-links', [planProblemCheck('no-must-haves', message, planFilePath)],
+      { error: message, path: planFilePath }, raw);
     return;
   }
 
@@ -350,10 +589,29 @@ function cmdVerifyKeyLinks(cwd, planFilePath, raw) {
   for (const link of keyLinks) {
     if (typeof link === 'string') continue;
     const check = { from: link.from, to: link.to, via: link.via || '', verified: false, detail: '' };
+    let importCheck;
 
     const sourceContent = safeReadFile(path.join(cwd, link.from || ''));
     if (!sourceContent) {
       check.detail = 'Source file not found';
+    } else if ((importCheck = checkImportLink(cwd, link, options))) {
+      // Modules must really import the target; a pattern must also match the source
+      Object.assign(check, importCheck);
+      if (check.verified && link.pattern) {
+        let regex = null;
+        try {
+          regex = new RegExp(link.pattern);
+        } catch {
+          check.verified = false;
+          check.detail = `Invalid regex pattern: ${link.pattern}`;
+        }
+        if (regex && !regex.test(sourceContent)) {
+          check.verified = false;
+          check.detail = `${importCheck.detail}, but pattern "${link.pattern}" not found in source`;
+        } else if (regex) {
+          check.detail = `${importCheck.detail}; pattern found in source`;
+        }
+      }
     } else if (link.pattern) {
       try {
         const regex = new RegExp(link.pattern);
@@ -373,7 +631,7 @@ function cmdVerifyKeyLinks(cwd, planFilePath, raw) {
         check.detail = `Invalid regex pattern: ${link.pattern}`;
       }
     } else {
-      // No pattern: just check source references target
+      // No pattern and not a module: just check source references target
       if (sourceContent.includes(link.to || '')) {
         check.verified = true;
         check.detail = 'Target referenced in source';
@@ -386,7 +644,11 @@ function cmdVerifyKeyLinks(cwd, planFilePath, raw) {
   }
 
   const verified = results.filter(r => r.verified).length;
-  output({
+  const reportChecks = results.map(r => ({
+    id: 'key-link', name: `${r.from} → ${r.to}`, passed: r.verified, level: 'error',
+    message: `${r.from} → ${r.to}: ${r.detail}`, file: r.from || planFilePath,
+  }));
+  outputReport(format, 'verify key-links', reportChecks, {
     all_verified: verified === results.length,
     verified,
     total: results.length,
@@ -394,7 +656,220 @@ function cmdVerifyKeyLinks(cwd, planFilePath, raw) {
   }, raw, verified === results.length ? 'valid' : 'invalid');
 }
 
-function cmdValidateConsistency(cwd, raw) {
+// ─── verify scope ─────────────────────────────────────────────────────────────
+
+/** Declared entries cover a file exactly, or everything under a declared directory. */
+function isDeclared(file, declared) {
+  return declared.some(entry => file === entry || file.startsWith(entry.replace(/\/$/, '') + '/'));
+}
+
+/**
+ * Compare files changed since a git ref (committed, staged, unstaged and
+ * untracked) with the plan's files_modified. Planning docs are ignored.
+ */
+function cmdVerifyScope(cwd, planFilePath, raw, options = {}) {
+  const { format } = options;
+  const since = options.since || 'HEAD';
+  if (!planFilePath) { error('plan file path required'); }
+  const fullPath = path.isAbsolute(planFilePath) ? planFilePath : path.join(cwd, planFilePath);
+  const content = safeReadFile(fullPath);
+  if (!content) {
+    outputReport(format, 'verify scope', [planProblemCheck('plan-not-found', 'File not found', planFilePath)],
+      { error: 'File not found', path: planFilePath }, raw);
+    return;
+  }
+
+  const fm = extractFrontmatter(content, planFilePath);
+  const declared = (Array.isArray(fm.files_modified) ? fm.files_modified : [])
+    .map(normalizeListedPath).filter(Boolean);
+  if (declared.length === 0) {
+    const message = 'No files_modified found in frontmatter';
+    outputReport(format, 'verify scope', [planProblemCheck('no-files-modified', message, planFilePath)],
+      { error: message, path: planFilePath }, raw);
+    return;
+  }
+
+  const ref = execGit(cwd, ['rev-parse', '--verify', '--quiet', since + '^{commit}']);
+  if (ref.exitCode !== 0) {
+    const message = `Unknown git ref: ${since}`;
+    outputReport(format, 'verify scope', [planProblemCheck('scope-ref', message, planFilePath)],
+      { error: message, since }, raw);
+    return;
+  }
+
+  const diff = execGit(cwd, ['diff', '--name-only', ref.stdout]);
+  const untracked = execGit(cwd, ['ls-files', '--others', '--exclude-standard', '--full-name']);
+  const lines = text => (text ? text.split('\n').filter(Boolean) : []);
+  const changed = [...new Set(repoPathsToCwd(cwd, [...lines(diff.stdout), ...lines(untracked.stdout)]))]
+    .filter(f => f !== '.planning' && !f.startsWith('.planning/'))
+    .sort();
+
+  const outOfScope = changed.filter(f => !isDeclared(f, declared));
+  const untouched = declared.filter(entry => !changed.some(f => isDeclared(f, [entry])));
+  const reportChecks = [
+    ...changed.map(file => ({
+      id: 'scope-out-of-scope', name: file, passed: !outOfScope.includes(file),
+      level: 'error', message: `${file} changed but is not in files_modified`, file: planFilePath,
+    })),
+    ...untouched.map(file => ({
+      id: 'scope-untouched', name: `${file} changed`, passed: false,
+      level: 'warning', message: `${file} is in files_modified but unchanged since ${since}`, file: planFilePath,
+    })),
+  ];
+
+  outputReport(format, 'verify scope', reportChecks, {
+    passed: outOfScope.length === 0,
+    since,
+    base: ref.stdout,
+    declared,
+    changed,
+    out_of_scope: outOfScope,
+    untouched,
+  }, raw, outOfScope.length === 0 ? 'passed' : 'failed');
+}
+
+// ─── verify truths ────────────────────────────────────────────────────────────
+
+const EVIDENCE_CHARS = 2000;
+
+/**
+ * A must_haves.truths entry as { truth, check, error }. Truths are plain
+ * strings or { truth, check } where check is a command string or
+ * { run, exit_code, stdout, timeout, cwd, env }.
+ */
+function normalizeTruth(cwd, item) {
+  if (typeof item === 'string') return { truth: item, check: null, error: null };
+  const truth = item && typeof item.truth === 'string' ? item.truth : JSON.stringify(item);
+  const raw = item && item.check;
+  if (raw === undefined || raw === null) return { truth, check: null, error: null };
+
+  const spec = typeof raw === 'string' ? { run: raw } : raw;
+  if (!spec || typeof spec.run !== 'string' || !spec.run.trim()) {
+    return { truth, check: null, error: 'check.run is required' };
+  }
+  const check = {
+    run: spec.run,
+    exit_code: spec.exit_code === undefined ? 0 : Number(spec.exit_code),
+    stdout: spec.stdout === undefined ? null : String(spec.stdout),
+    timeout: spec.timeout === undefined ? DEFAULT_TIMEOUT_SECONDS : Number(spec.timeout),
+    cwd: spec.cwd ? String(spec.cwd) : '.',
+    env: spec.env && typeof spec.env === 'object' ? spec.env : {},
+  };
+
+  if (!Number.isInteger(check.exit_code)) return { truth, check, error: 'check.exit_code must be an integer' };
+  if (!(check.timeout > 0 && check.timeout <= MAX_TIMEOUT_SECONDS)) {
+    return { truth, check, error: `check.timeout must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds` };
+  }
+  if (check.stdout !== null) {
+    try { new RegExp(check.stdout); } catch { return { truth, check, error: `Invalid stdout pattern: ${check.stdout}` }; }
+  }
+  const runDir = path.resolve(cwd, check.cwd);
+  if (runDir !== path.resolve(cwd) && !runDir.startsWith(path.resolve(cwd) + path.sep)) {
+    return { truth, check, error: 'check.cwd must stay inside the project' };
+  }
+  return { truth, check, error: null };
+}
+
+function tail(text) {
+  return text.length > EVIDENCE_CHARS ? '…' + text.slice(-EVIDENCE_CHARS) : text;
+}
+
+/** Run one truth's check and judge the outcome. */
+async function runTruthCheck(cwd, check) {
+  const run = await runSandboxed(check.run, {
+    cwd: path.resolve(cwd, check.cwd),
+    env: sandboxEnv({ ...check.env, GSD_TRUTH_CHECK: '1' }),
+    timeoutSeconds: check.timeout,
+  });
+  const evidence = {
+    exit_code: run.exitCode,
+    duration_ms: run.durationMs,
+    stdout: tail(run.stdout),
+    stderr: tail(run.stderr),
+  };
+
+  const issues = [];
+  let status = 'passed';
+  if (run.error) {
+    status = 'error';
+    issues.push(run.error);
+  } else if (run.timedOut) {
+    status = 'timeout';
+    issues.push(`Timed out after ${check.timeout}s`);
+  } else {
+    if (run.exitCode !== check.exit_code) {
+      issues.push(run.exitCode === null ? `Killed by ${run.signal}` : `Exit code ${run.exitCode}, expected ${check.exit_code}`);
+    }
+    if (check.stdout !== null && !new RegExp(check.stdout).test(run.stdout)) {
+      issues.push(`stdout does not match /${check.stdout}/`);
+    }
+    if (issues.length > 0) status = 'failed';
+  }
+  return { status, ...evidence, issues };
+}
+
+async function cmdVerifyTruths(cwd, planFilePath, raw, options = {}) {
+  const format = options.format;
+  if (!planFilePath) { error('plan file path required'); }
+  const fullPath = path.isAbsolute(planFilePath) ? planFilePath : path.join(cwd, planFilePath);
+  const content = safeReadFile(fullPath);
+  if (!content) {
+    outputReport(format, 'verify truths', [planProblemCheck('plan-not-found', 'File not found', planFilePath)],
+      { error: 'File not found', path: planFilePath }, raw);
+    return;
+  }
+
+  const truths = parseMustHavesBlock(content, 'truths', planFilePath);
+  if (truths.length === 0) {
+    const message = 'No must_haves.truths found in frontmatter';
+    outputReport(format, 'verify truths', [planProblemCheck('no-must-haves', message, planFilePath)],
+      { error: message, path: planFilePath }, raw);
+    return;
+  }
+
+  // Checks run one at a time: they often share ports, databases or build output
+  const results = [];
+  for (const item of truths) {
+    const { truth, check, error: specError } = normalizeTruth(cwd, item);
+    const entry = { truth, command: check ? check.run : null };
+    if (specError) {
+      Object.assign(entry, { status: 'error', issues: [specError] });
+    } else if (!check) {
+      Object.assign(entry, { status: 'unchecked', issues: [] });
+    } else if (isDryRun()) {
+      Object.assign(entry, { status: 'skipped', issues: ['Not run (--dry-run)'] });
+    } else {
+      Object.assign(entry, await runTruthCheck(cwd, check));
+    }
+    results.push(entry);
+  }
+
+  const count = status => results.filter(r => r.status === status).length;
+  const passed = count('passed');
+  const failed = results.length - passed - count('unchecked') - count('skipped');
+  const reportChecks = results.map(r => ({
+    id: r.status === 'unchecked' ? 'truth-unchecked' : 'truth',
+    name: r.truth,
+    passed: r.status === 'passed',
+    level: r.status === 'unchecked' || r.status === 'skipped' ? 'note' : 'error',
+    message: r.status === 'unchecked' ? `${r.truth}: no check, verify manually` : `${r.truth}: ${r.issues.join('; ')}`,
+    file: planFilePath,
+  }));
+  outputReport(format, 'verify truths', reportChecks, {
+    all_passed: failed === 0,
+    passed,
+    failed,
+    unchecked: count('unchecked'),
+    total: results.length,
+    truths: results,
+  }, raw, failed === 0 ? 'passed' : 'failed');
+}
+
+/**
+ * Roadmap/disk consistency checks shared by `validate consistency` and
+ * `validate all`. Issues carry `validate all` codes.
+ */
+function checkConsistency(cwd) {
   const roadmapPath = path.join(cwd, '.planning', 'ROADMAP.md');
   const phasesDir = path.join(cwd, '.planning', 'phases');
   const errors = [];
@@ -402,9 +877,8 @@ function cmdValidateConsistency(cwd, raw) {
 
   // Check for ROADMAP
   if (!fs.existsSync(roadmapPath)) {
-    errors.push('ROADMAP.md not found');
-    output({ passed: false, errors, warnings }, raw, 'failed');
-    return;
+    errors.push({ code: 'E131', message: 'ROADMAP.md not found' });
+    return { errors, warnings };
   }
 
   const roadmapContent = fs.readFileSync(roadmapPath, 'utf-8');
@@ -431,7 +905,7 @@ function cmdValidateConsistency(cwd, raw) {
   // Check: phases in ROADMAP but not on disk
   for (const p of roadmapPhases) {
     if (!diskPhases.has(p) && !diskPhases.has(normalizePhaseName(p))) {
-      warnings.push(`Phase ${p} in ROADMAP.md but no directory on disk`);
+      warnings.push({ code: 'W131', message: `Phase ${p} in ROADMAP.md but no directory on disk` });
     }
   }
 
@@ -439,7 +913,7 @@ function cmdValidateConsistency(cwd, raw) {
   for (const p of diskPhases) {
     const unpadded = String(parseInt(p, 10));
     if (!roadmapPhases.has(p) && !roadmapPhases.has(unpadded)) {
-      warnings.push(`Phase ${p} exists on disk but not in ROADMAP.md`);
+      warnings.push({ code: 'W132', message: `Phase ${p} exists on disk but not in ROADMAP.md` });
     }
   }
 
@@ -451,7 +925,7 @@ function cmdValidateConsistency(cwd, raw) {
 
   for (let i = 1; i < integerPhases.length; i++) {
     if (integerPhases[i] !== integerPhases[i - 1] + 1) {
-      warnings.push(`Gap in phase numbering: ${integerPhases[i - 1]} → ${integerPhases[i]}`);
+      warnings.push({ code: 'W133', message: `Gap in phase numbering: ${integerPhases[i - 1]} → ${integerPhases[i]}` });
     }
   }
 
@@ -472,7 +946,7 @@ function cmdValidateConsistency(cwd, raw) {
 
       for (let i = 1; i < planNums.length; i++) {
         if (planNums[i] !== planNums[i - 1] + 1) {
-          warnings.push(`Gap in plan numbering in ${dir}: plan ${planNums[i - 1]} → ${planNums[i]}`);
+          warnings.push({ code: 'W134', message: `Gap in plan numbering in ${dir}: plan ${planNums[i - 1]} → ${planNums[i]}` });
         }
       }
 
@@ -484,7 +958,7 @@ function cmdValidateConsistency(cwd, raw) {
       // Summary without matching plan is suspicious
       for (const sid of summaryIds) {
         if (!planIds.has(sid)) {
-          warnings.push(`Summary ${sid}-SUMMARY.md in ${dir} has no matching PLAN.md`);
+          warnings.push({ code: 'W135', message: `Summary ${sid}-SUMMARY.md in ${dir} has no matching PLAN.md` });
         }
       }
     }
@@ -501,17 +975,80 @@ function cmdValidateConsistency(cwd, raw) {
 
       for (const plan of plans) {
         const content = fs.readFileSync(path.join(phasesDir, dir, plan), 'utf-8');
-        const fm = extractFrontmatter(content);
+        const fm = extractFrontmatter(content, path.join('.planning', 'phases', dir, plan));
 
         if (!fm.wave) {
-          warnings.push(`${dir}/${plan}: missing 'wave' in frontmatter`);
+          warnings.push({ code: 'W136', message: `${dir}/${plan}: missing 'wave' in frontmatter` });
         }
       }
     }
   } catch {}
 
+  return { errors, warnings };
+}
+
+/** File a consistency issue is reported against. */
+function consistencyIssueFile(code) {
+  return ['E131', 'W131', 'W132'].includes(code) ? '.planning/ROADMAP.md' : '.planning/phases';
+}
+
+function cmdValidateConsistency(cwd, raw, format) {
+  const result = checkConsistency(cwd);
+  const errors = result.errors.map(e => e.message);
+  const warnings = result.warnings.map(w => w.message);
+
+  const reportChecks = [
+    ...result.errors.map(e => ({ ...e, level: 'error' })),
+    ...result.warnings.map(w => ({ ...w, level: 'warning' })),
+  ].map(issue => ({
+    id: issue.code, rule: VALIDATE_ALL_CODES[issue.code], name: issue.message, passed: false,
+    level: issue.level, message: issue.message, file: consistencyIssueFile(issue.code),
+  }));
+  if (reportChecks.length === 0) {
+    reportChecks.push({ id: 'consistency', name: 'Roadmap and phase directories are consistent', passed: true });
+  }
+
+  if (errors.includes('ROADMAP.md not found')) {
+    outputReport(format, 'validate consistency', reportChecks, { passed: false, errors, warnings }, raw, 'failed');
+    return;
+  }
+
   const passed = errors.length === 0;
-  output({ passed, errors, warnings, warning_count: warnings.length }, raw, passed ? 'passed' : 'failed');
+  outputReport(format, 'validate consistency', reportChecks,
+    { passed, errors, warnings, warning_count: warnings.length }, raw, passed ? 'passed' : 'failed');
+}
+
+/** File a `validate health` issue is about, derived from its code and message. */
+function healthIssueFile(issue) {
+  const fixed = {
+    E002: 'PROJECT.md', W001: 'PROJECT.md',
+    E003: 'ROADMAP.md', W006: 'ROADMAP.md', W007: 'ROADMAP.md',
+    E004: 'STATE.md', W002: 'STATE.md',
+    E005: 'config.json', W003: 'config.json', W004: 'config.json', W008: 'config.json',
+  };
+  if (fixed[issue.code]) return `.planning/${fixed[issue.code]}`;
+  if (issue.code === 'W005') {
+    const m = issue.message.match(/"([^"]+)"/);
+    if (m) return `.planning/phases/${m[1]}`;
+  }
+  if (issue.code === 'I001') return `.planning/phases/${issue.message.split(' ')[0]}`;
+  return '.planning';
+}
+
+function healthReportChecks(errors, warnings, info) {
+  const checks = [
+    ...errors.map(i => ({ ...i, level: 'error' })),
+    ...warnings.map(i => ({ ...i, level: 'warning' })),
+    ...info.map(i => ({ ...i, level: 'note' })),
+  ].map(issue => ({
+    id: issue.code, name: issue.message, passed: false, level: issue.level,
+    message: issue.fix ? `${issue.message} (fix: ${issue.fix})` : issue.message,
+    file: healthIssueFile(issue),
+  }));
+  if (checks.length === 0) {
+    checks.push({ id: 'health', name: '.planning/ is healthy', passed: true });
+  }
+  return checks;
 }
 
 function cmdValidateHealth(cwd, options, raw) {
@@ -538,7 +1075,7 @@ function cmdValidateHealth(cwd, options, raw) {
   // ─── Check 1: .planning/ exists ───────────────────────────────────────────
   if (!fs.existsSync(planningDir)) {
     addIssue('error', 'E001', '.planning/ directory not found', 'Run /gsd:new-project to initialize');
-    output({
+    outputReport(options.format, 'validate health', healthReportChecks(errors, warnings, info), {
       status: 'broken',
       errors,
       warnings,
@@ -607,10 +1144,13 @@ function cmdValidateHealth(cwd, options, raw) {
       const raw = fs.readFileSync(configPath, 'utf-8');
       const parsed = JSON.parse(raw);
       // Validate known fields
-      const validProfiles = ['quality', 'balanced', 'budget'];
+      const validProfiles = listModelProfiles(cwd);
       if (parsed.model_profile && !validProfiles.includes(parsed.model_profile)) {
         addIssue('warning', 'W004', `config.json: invalid model_profile "${parsed.model_profile}"`, `Valid values: ${validProfiles.join(', ')}`);
       }
+      for (const issue of modelProfileIssues(cwd).filter(i => !i.startsWith('model_profile:'))) {
+        addIssue('warning', 'W008', `Model profiles: ${issue}`, 'Fix model_profiles / model_overrides (see references/model-profiles.md)');
+      }
     } catch (err) {
       addIssue('error', 'E005', `config.json: JSON parse error - ${err.message}`, 'Run /gsd:health --repair to reset to defaults', true);
       repairs.push('resetConfig');
@@ -688,6 +1228,8 @@ function cmdValidateHealth(cwd, options, raw) {
   // ─── Perform repairs if requested ─────────────────────────────────────────
   const repairActions = [];
   if (options.repair && repairs.length > 0) {
+    // Repairs are staged and committed together so a failure leaves no partial fix
+    const tx = createTransaction();
     for (const repair of repairs) {
       try {
         switch (repair) {
@@ -703,7 +1245,7 @@ function cmdValidateHealth(cwd, options, raw) {
               verifier: true,
               parallelization: true,
             };
-            fs.writeFileSync(configPath, JSON.stringify(defaults, null, 2), 'utf-8');
+            tx.write(configPath, JSON.stringify(defaults, null, 2));
             repairActions.push({ action: repair, success: true, path: 'config.json' });
             break;
           }
@@ -712,7 +1254,7 @@ function cmdValidateHealth(cwd, options, raw) {
             if (fs.existsSync(statePath)) {
               const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
               const backupPath = `${statePath}.bak-${timestamp}`;
-              fs.copyFileSync(statePath, backupPath);
+              tx.write(backupPath, fs.readFileSync(statePath, 'utf-8'));
               repairActions.push({ action: 'backupState', success: true, path: backupPath });
             }
             // Generate minimal STATE.md from ROADMAP.md structure
@@ -726,7 +1268,7 @@ function cmdValidateHealth(cwd, options, raw) {
             stateContent += `**Status:** Resuming\n\n`;
             stateContent += `## Session Log\n\n`;
             stateContent += `- ${new Date().toISOString().split('T')[0]}: STATE.md regenerated by /gsd:health --repair\n`;
-            writeStateMd(statePath, stateContent, cwd);
+            writeStateMd(statePath, stateContent, cwd, tx);
             repairActions.push({ action: repair, success: true, path: 'STATE.md' });
             break;
           }
@@ -735,6 +1277,16 @@ function cmdValidateHealth(cwd, options, raw) {
         repairActions.push({ action: repair, success: false, error: err.message });
       }
     }
+    try {
+      tx.commit();
+    } catch (err) {
+      for (const action of repairActions) {
+        if (action.success) {
+          action.success = false;
+          action.error = err.message;
+        }
+      }
+    }
   }
 
   // ─── Determine overall status ─────────────────────────────────────────────
@@ -750,7 +1302,7 @@ function cmdValidateHealth(cwd, options, raw) {
   const repairableCount = errors.filter(e => e.repairable).length +
                          warnings.filter(w => w.repairable).length;
 
-  output({
+  outputReport(options.format, 'validate health', healthReportChecks(errors, warnings, info), {
     status,
     errors,
     warnings,
@@ -760,6 +1312,146 @@ function cmdValidateHealth(cwd, options, raw) {
   }, raw);
 }
 
+// ─── validate all ─────────────────────────────────────────────────────────────
+
+/**
+ * Stable issue codes reported by `validate all`. Codes are never reused;
+ * retired checks keep their number.
+ */
+const VALIDATE_ALL_CODES = {
+  E101: 'Frontmatter is not valid YAML',
+  E102: 'Missing required frontmatter field',
+  E103: 'Frontmatter value does not match the artifact schema',
+  E111: 'Plan task missing <name>',
+  E112: 'Plan task missing <action>',
+  E113: 'Plan has checkpoint tasks but autonomous is not false',
+  W111: 'Plan task missing <verify>',
+  W112: 'Plan task missing <done>',
+  W113: 'Plan task missing <files>',
+  W114: 'Plan has no <task> elements',
+  W115: 'Plan wave > 1 but depends_on is empty',
+  W121: '@-reference points to a missing file',
+  I121: 'Backtick path points to a missing file (may be created by the plan)',
+  W122: '[cite:N] citation not in the citations registry',
+  E131: 'ROADMAP.md not found',
+  W131: 'Phase in ROADMAP.md but no directory on disk',
+  W132: 'Phase directory not in ROADMAP.md',
+  W133: 'Gap in phase numbering',
+  W134: 'Gap in plan numbering',
+  W135: 'SUMMARY.md without matching PLAN.md',
+  W136: 'PLAN.md missing wave',
+};
+
+const ARTIFACT_SUFFIXES = [
+  ['PLAN', 'plan'],
+  ['SUMMARY', 'summary'],
+  ['VERIFICATION', 'verification'],
+  ['UAT', 'uat'],
+  ['CONTEXT', 'context'],
+  ['RESEARCH', 'research'],
+];
+
+/** Planning files to lint, with the artifact type that decides their checks. */
+function collectPlanningFiles(planningDir) {
+  const files = [];
+  const walk = (dir, visit) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full, visit);
+      else if (entry.name.endsWith('.md')) visit(full, entry.name);
+    }
+  };
+
+  walk(path.join(planningDir, 'phases'), (full, name) => {
+    for (const [suffix, type] of ARTIFACT_SUFFIXES) {
+      if (name.endsWith(`-${suffix}.md`) || name === `${suffix}.md`) {
+        files.push({ path: full, type });
+        return;
+      }
+    }
+  });
+  walk(path.join(planningDir, 'debug'), full => files.push({ path: full, type: 'debug' }));
+  for (const sub of ['pending', 'done']) {
+    walk(path.join(planningDir, 'todos', sub), full => files.push({ path: full, type: 'todo' }));
+  }
+  return files;
+}
+
+function cmdValidateAll(cwd, options, raw) {
+  const planningDir = path.join(cwd, '.planning');
+  if (!fs.existsSync(planningDir)) { error('.planning/ directory not found'); }
+
+  const issues = [];
+  const add = (code, file, message) => {
+    const severity = code[0] === 'E' ? 'error' : code[0] === 'W' ? 'warning' : 'info';
+    issues.push({ code, severity, file, message });
+  };
+
+  const files = collectPlanningFiles(planningDir);
+  for (const { path: full, type } of files) {
+    const rel = toPosixPath(path.relative(cwd, full));
+    const content = fs.readFileSync(full, 'utf-8');
+
+    const fmCheck = checkFrontmatter(content, FRONTMATTER_SCHEMAS[type]);
+    if (fmCheck.parseError) {
+      add('E101', rel, `frontmatter does not parse: ${fmCheck.parseError}`);
+    } else {
+      for (const field of fmCheck.missing) add('E102', rel, `missing required frontmatter field: ${field}`);
+      for (const e of fmCheck.errors) add('E103', rel, `${e.path} ${e.message}`);
+    }
+
+    if (type === 'plan') {
+      const structure = checkPlanStructure(content, fmCheck.fm);
+      for (const issue of [...structure.errors, ...structure.warnings]) add(issue.code, rel, issue.message);
+    }
+
+    for (const m of checkReferences(cwd, content).missing) {
+      if (m.kind === 'cite') add('W122', rel, `[${m.ref}] not in .planning/research/citations.json`);
+      else add(m.kind === 'at' ? 'W121' : 'I121', rel, `${m.kind === 'at' ? '@' : ''}${m.ref} not found`);
+    }
+  }
+
+  const consistency = checkConsistency(cwd);
+  for (const issue of [...consistency.errors, ...consistency.warnings]) {
+    // Plans without a wave are already reported per file as E102
+    if (issue.code === 'W136') continue;
+    add(issue.code, consistencyIssueFile(issue.code), issue.message);
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) counts[issue.severity]++;
+  const passed = counts.error === 0 && !(options.strict && counts.warning > 0);
+
+  const lines = issues.map(i => `${i.file}: ${i.code} ${i.message}`);
+  lines.push(`${files.length} files checked: ${counts.error} errors, ${counts.warning} warnings, ${counts.info} info`);
+
+  // --strict turns warnings into failures, so reports mark them as errors too
+  const level = { error: 'error', warning: options.strict ? 'error' : 'warning', info: 'note' };
+  const reportChecks = issues.map(issue => ({
+    id: issue.code, rule: VALIDATE_ALL_CODES[issue.code], name: `${issue.file}: ${issue.message}`, passed: false,
+    level: level[issue.severity], message: issue.message, file: issue.file,
+  }));
+  if (reportChecks.length === 0) {
+    reportChecks.push({ id: 'validate-all', name: `${files.length} planning files are valid`, passed: true });
+  }
+
+  outputReport(options.format, 'validate all', reportChecks, {
+    passed,
+    files_checked: files.length,
+    error_count: counts.error,
+    warning_count: counts.warning,
+    info_count: counts.info,
+    issues,
+  }, raw, lines.join('\n') + '\n', passed ? 0 : 1);
+}
+
 module.exports = {
   cmdVerifySummary,
   cmdVerifyPlanStructure,
@@ -768,6 +1460,10 @@ module.exports = {
   cmdVerifyCommits,
   cmdVerifyArtifacts,
   cmdVerifyKeyLinks,
+  cmdVerifyTruths,
+  cmdVerifyScope,
   cmdValidateConsistency,
   cmdValidateHealth,
+  cmdValidateAll,
+  VALIDATE_ALL_CODES,
 };
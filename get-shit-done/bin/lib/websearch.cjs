@@ -0,0 +1,282 @@
+/**
+ * Websearch — Search providers, result normalization and the result cache
+ *
+ * The provider comes from config.json `websearch`:
+ *
+ *   "websearch": {
+ *     "provider": "searxng",
+ *     "locale": "de-DE",
+ *     "cache_ttl_hours": 24,
+ *     "searxng": { "url": "https://search.example.org" }
+ *   }
+ *
+ * Every provider returns results as { title, url, description, age }.
+ * Results are cached in .planning/research/.cache/websearch/ keyed by
+ * provider, provider settings, query and search options.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { isDryRun } = require('./transaction.cjs');
+const { SEARCH_CACHE_DIR, cacheIgnorePath } = require('./research.cjs');
+
+const DEFAULT_PROVIDER = 'brave';
+const DEFAULT_LOCALE = { country: 'us', language: 'en' };
+const DEFAULT_CACHE_TTL_HOURS = 24;
+const DEFAULT_FIXTURE_PATH = '.planning/research/fixtures/websearch.json';
+
+// --freshness accepts words or Brave's codes
+const FRESHNESS = {
+  day: 'day', pd: 'day',
+  week: 'week', pw: 'week',
+  month: 'month', pm: 'month',
+  year: 'year', py: 'year',
+};
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+/** "en-US", "de" or { country, language } as { country, language }. */
+function parseLocale(value) {
+  if (!value) return { ...DEFAULT_LOCALE };
+  if (typeof value === 'string') {
+    const [language, country] = value.split(/[-_]/);
+    return { language: language.toLowerCase(), country: (country || DEFAULT_LOCALE.country).toLowerCase() };
+  }
+  return {
+    country: String(value.country || DEFAULT_LOCALE.country).toLowerCase(),
+    language: String(value.language || DEFAULT_LOCALE.language).toLowerCase(),
+  };
+}
+
+function readKeyFile(name) {
+  try {
+    return fs.readFileSync(path.join(os.homedir(), '.gsd', name), 'utf-8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Expand $VAR and ${VAR} from the environment. */
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}|\$(\w+)/g, (_, a, b) => process.env[a || b] || '');
+}
+
+function getPath(obj, dotted) {
+  if (!dotted) return obj;
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/** Map provider items onto { title, url, description, age }. */
+function normalizeResults(items, fields = {}) {
+  const pick = (item, key, fallback) => getPath(item, fields[key] || fallback);
+  return (Array.isArray(items) ? items : [])
+    .map(item => ({
+      title: String(pick(item, 'title', 'title') ?? ''),
+      url: String(pick(item, 'url', 'url') ?? ''),
+      description: String(pick(item, 'description', 'description') ?? ''),
+      age: pick(item, 'age', 'age') ?? null,
+    }))
+    .filter(r => r.url);
+}
+
+async function fetchJson(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) throw new Error(`API error: ${response.status}`);
+  return response.json();
+}
+
+// ─── Providers ────────────────────────────────────────────────────────────────
+//
+// unavailable(settings) returns a reason when the provider cannot run;
+// search(query, options, settings) resolves to normalized results.
+
+const PROVIDERS = {
+  brave: {
+    unavailable: () => (process.env.BRAVE_API_KEY || readKeyFile('brave_api_key') ? null : 'BRAVE_API_KEY not set'),
+    async search(query, options) {
+      const params = new URLSearchParams({
+        q: query,
+        count: String(options.limit),
+        country: options.locale.country,
+        search_lang: options.locale.language,
+        text_decorations: 'false',
+      });
+      if (options.freshness) params.set('freshness', 'p' + options.freshness[0]);
+      const data = await fetchJson(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-Subscription-Token': process.env.BRAVE_API_KEY || readKeyFile('brave_api_key'),
+        },
+      });
+      return normalizeResults(data.web?.results);
+    },
+  },
+
+  searxng: {
+    unavailable: settings => (settings.url ? null : 'websearch.searxng.url not set'),
+    async search(query, options, settings) {
+      const params = new URLSearchParams({
+        q: query,
+        format: 'json',
+        language: `${options.locale.language}-${options.locale.country.toUpperCase()}`,
+      });
+      if (options.freshness) params.set('time_range', options.freshness);
+      const data = await fetchJson(`${settings.url.replace(/\/+$/, '')}/search?${params}`, {
+        headers: { 'Accept': 'application/json' },
+      });
+      return normalizeResults(data.results, { description: 'content', age: 'publishedDate' }).slice(0, options.limit);
+    },
+  },
+
+  tavily: {
+    unavailable: () => (process.env.TAVILY_API_KEY || readKeyFile('tavily_api_key') ? null : 'TAVILY_API_KEY not set'),
+    async search(query, options) {
+      const body = { query, max_results: options.limit };
+      if (options.freshness) body.time_range = options.freshness;
+      const data = await fetchJson('https://api.tavily.com/search', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.TAVILY_API_KEY || readKeyFile('tavily_api_key')}`,
+        },
+        body: JSON.stringify(body),
+      });
+      return normalizeResults(data.results, { description: 'content', age: 'published_date' });
+    },
+  },
+
+  // Any JSON API: url takes {query}, {limit}, {language}, {country} and
+  // {freshness}; header values expand $ENV_VARS; `results` is the dot path
+  // to the result array and `fields` maps result keys.
+  json: {
+    unavailable: settings => (settings.url ? null : 'websearch.json.url not set'),
+    async search(query, options, settings) {
+      const values = {
+        query, limit: options.limit, freshness: options.freshness || '',
+        language: options.locale.language, country: options.locale.country,
+      };
+      const url = settings.url.replace(/\{(\w+)\}/g, (m, key) => (key in values ? encodeURIComponent(values[key]) : m));
+      const headers = { 'Accept': 'application/json' };
+      for (const [name, value] of Object.entries(settings.headers || {})) headers[name] = expandEnv(value);
+      const data = await fetchJson(url, { method: settings.method || 'GET', headers });
+      return normalizeResults(getPath(data, settings.results || 'results'), settings.fields).slice(0, options.limit);
+    },
+  },
+
+  // Offline results from a JSON file: { "<query>": [results], "*": [fallback] }
+  fixture: {
+    unavailable: () => null,
+    async search(query, options, settings, cwd) {
+      const file = path.resolve(cwd, settings.path || DEFAULT_FIXTURE_PATH);
+      let fixtures;
+      try {
+        fixtures = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (err) {
+        throw new Error(`Cannot read search fixture ${settings.path || DEFAULT_FIXTURE_PATH}: ${err.message}`);
+      }
+      const items = fixtures[query] || fixtures['*'] || [];
+      return normalizeResults(items, settings.fields).slice(0, options.limit);
+    },
+  },
+};
+
+// ─── Cache ────────────────────────────────────────────────────────────────────
+
+/** JSON with sorted object keys, so equal settings always hash alike. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// Provider settings (endpoint url, fields, headers) are part of the key, so
+// changing them never serves results fetched from the old configuration
+function cacheKey(provider, providerSettings, query, options) {
+  const key = canonicalJson([provider, providerSettings, query, options.limit, options.freshness || null, options.locale]);
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function readCache(cwd, key, ttlHours) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(path.join(cwd, SEARCH_CACHE_DIR, key + '.json'), 'utf-8'));
+    if (Date.now() - Date.parse(entry.fetched_at) > ttlHours * 3600 * 1000) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/** Cache writes are best-effort and only happen inside a GSD project. */
+function writeCache(cwd, key, entry) {
+  if (isDryRun() || !fs.existsSync(path.join(cwd, '.planning'))) return;
+  try {
+    fs.mkdirSync(path.join(cwd, SEARCH_CACHE_DIR), { recursive: true });
+    if (!fs.existsSync(cacheIgnorePath(cwd))) fs.writeFileSync(cacheIgnorePath(cwd), '*\n', 'utf-8');
+    fs.writeFileSync(path.join(cwd, SEARCH_CACHE_DIR, key + '.json'), JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+  } catch {}
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+/** Provider, locale and cache settings from a loaded config. */
+function resolveSearchSettings(config, overrides = {}) {
+  const ws = (config && typeof config.websearch === 'object' && config.websearch) || {};
+  const provider = overrides.provider || ws.provider || DEFAULT_PROVIDER;
+  return {
+    provider,
+    locale: parseLocale(overrides.locale || ws.locale),
+    cacheTtlHours: ws.cache_ttl_hours ?? DEFAULT_CACHE_TTL_HOURS,
+    providerSettings: ws[provider] && typeof ws[provider] === 'object' ? ws[provider] : {},
+  };
+}
+
+/**
+ * Run a search through the configured provider, serving fresh cache hits.
+ * @returns {Promise<{ available: boolean, provider: string, reason?: string, error?: string,
+ *   results?: object[], cached?: boolean, fetched_at?: string }>}
+ */
+async function search(cwd, query, options, settings) {
+  const { provider, locale, cacheTtlHours, providerSettings } = settings;
+  const impl = PROVIDERS[provider];
+  if (!impl) {
+    return { available: false, provider, error: `Unknown websearch provider: ${provider}. Available: ${Object.keys(PROVIDERS).join(', ')}` };
+  }
+  const reason = impl.unavailable(providerSettings);
+  if (reason) return { available: false, provider, reason };
+
+  let freshness = null;
+  if (options.freshness) {
+    freshness = FRESHNESS[options.freshness];
+    if (!freshness) return { available: false, provider, error: `Invalid freshness: ${options.freshness}. Use day, week, month or year` };
+  }
+  const searchOptions = { limit: options.limit || 10, freshness, locale };
+
+  const useCache = provider !== 'fixture' && cacheTtlHours > 0;
+  const key = cacheKey(provider, providerSettings, query, searchOptions);
+  if (useCache && !options.noCache) {
+    const hit = readCache(cwd, key, cacheTtlHours);
+    if (hit) return { available: true, provider, results: hit.results, cached: true, fetched_at: hit.fetched_at };
+  }
+
+  try {
+    const results = await impl.search(query, searchOptions, providerSettings, cwd);
+    const fetchedAt = new Date().toISOString();
+    if (useCache) writeCache(cwd, key, { provider, query, options: searchOptions, fetched_at: fetchedAt, results });
+    return { available: true, provider, results, cached: false, fetched_at: fetchedAt };
+  } catch (err) {
+    return { available: false, provider, error: err.message };
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  parseLocale,
+  normalizeResults,
+  resolveSearchSettings,
+  search,
+};
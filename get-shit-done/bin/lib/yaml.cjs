@@ -0,0 +1,701 @@
+/**
+ * YAML — Zero-dependency YAML 1.2 subset parser and serializer
+ *
+ * Supported: block mappings and sequences at any depth (including sequences of
+ * mappings), flow collections ([a, b] / {a: 1}) spanning lines, plain, single-
+ * and double-quoted scalars (multi-line folding, escapes), literal and folded
+ * block scalars (|, >, chomping and indentation indicators) and comments.
+ * Not supported: anchors/aliases, tags, complex keys, multiple documents.
+ *
+ * Scalars resolve with the YAML 1.2 core schema (null, booleans, numbers) with
+ * three deliberate GSD deviations so planning files keep their meaning:
+ *   - Numbers resolve only when they are canonical (`1`, `-2`, `0.5`).
+ *     Identifiers such as `01`, `02.10` or `1.0` stay strings, so phase and plan
+ *     numbers survive a round-trip unchanged.
+ *   - Plain (unquoted) mapping keys may not contain whitespace, so prose list
+ *     items like `- Use Prisma: better DX` stay strings as GSD has always
+ *     written them.
+ *   - Unknown escapes in double-quoted scalars (`"src\.ts"`) are kept verbatim
+ *     instead of rejected, since plans routinely quote regex patterns.
+ *
+ * parseYamlDocument() also returns the comments and blank lines around each
+ * node, keyed by path, so stringifyYaml() can re-emit them after an edit.
+ */
+
+// ─── Scalar resolution ────────────────────────────────────────────────────────
+
+function resolvePlainScalar(text) {
+  if (text === '' || text === '~' || /^(?:null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?$/.test(text)) {
+    const num = Number(text);
+    if (String(num) === text) return num;
+  }
+  return text;
+}
+
+function unescapeDoubleQuoted(raw, lineNo) {
+  const escapes = { '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: ' ', P: ' ' };
+  let result = '';
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch !== '\\') { result += ch; continue; }
+    const next = raw[++i];
+    if (next in escapes) { result += escapes[next]; continue; }
+    const width = next === 'x' ? 2 : next === 'u' ? 4 : next === 'U' ? 8 : 0;
+    const hex = raw.slice(i + 1, i + 1 + width);
+    if (!width || hex.length !== width || !/^[0-9a-fA-F]+$/.test(hex)) {
+      // Unknown escape (e.g. a regex `\.` in a key_links pattern): keep it verbatim
+      if (next === undefined) throw yamlError('Dangling backslash in double-quoted scalar', lineNo);
+      result += '\\' + next;
+      continue;
+    }
+    result += String.fromCodePoint(parseInt(hex, 16));
+    i += width;
+  }
+  return result;
+}
+
+/** Fold line breaks inside a multi-line quoted scalar: one break -> space, N breaks -> N-1 newlines. */
+function foldQuotedLines(raw, isDouble) {
+  let text = raw;
+  if (isDouble) {
+    // An escaped line break joins the lines without any separator
+    text = text.replace(/(^|[^\\])((?:\\\\)*)\\\n[ \t]*/g, '$1$2');
+  }
+  return text.replace(/[ \t]*((?:\n[ \t]*)+)/g, (match, breaks) => {
+    const count = (breaks.match(/\n/g) || []).length;
+    return count === 1 ? ' ' : '\n'.repeat(count - 1);
+  });
+}
+
+function yamlError(message, lineNo) {
+  return new Error(lineNo ? `YAML line ${lineNo}: ${message}` : `YAML: ${message}`);
+}
+
+// ─── Inline scanning helpers ──────────────────────────────────────────────────
+
+/** Index of the closing quote for a quoted scalar starting at `start`, or -1. */
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') { i++; continue; }
+    if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") { i++; continue; }
+      return i;
+    }
+  }
+  return -1;
+}
+
+/** Split a plain scalar line into value and trailing ` # comment`. */
+function splitPlainComment(text) {
+  const match = text.match(/(^|[ \t])#/);
+  if (!match) return { value: text.trim(), comment: null };
+  const idx = match.index + match[1].length;
+  return { value: text.slice(0, idx).trim(), comment: text.slice(idx).trim() };
+}
+
+/**
+ * Recognise `key: rest` at the start of a block line.
+ * Returns { key, rest } or null when the line is not a mapping entry.
+ */
+function splitMappingKey(text) {
+  if (text[0] === '"' || text[0] === "'") {
+    const end = findClosingQuote(text, 0);
+    if (end === -1) return null;
+    const after = text.slice(end + 1).match(/^[ \t]*:(?:[ \t]+|$)/);
+    if (!after) return null;
+    const raw = text.slice(1, end);
+    const key = text[0] === '"' ? unescapeDoubleQuoted(raw) : raw.replace(/''/g, "'");
+    return { key, rest: text.slice(end + 1 + after[0].length) };
+  }
+  if (/^[[\]{}#,&*!|>%@`]/.test(text) || /^-(?:[ \t]|$)/.test(text)) return null;
+  const match = text.match(/^([^\s]+?):(?:[ \t]+|$)/);
+  if (!match) return null;
+  return { key: match[1], rest: text.slice(match[0].length) };
+}
+
+function isSequenceEntry(text) {
+  return text === '-' || /^-[ \t]/.test(text);
+}
+
+// ─── Flow collections ─────────────────────────────────────────────────────────
+
+function parseFlow(text, lineNo) {
+  const state = { text, i: 0, lineNo };
+  const value = parseFlowNode(state, 'seq');
+  skipFlowSpace(state);
+  const rest = text.slice(state.i).trim();
+  if (rest && !rest.startsWith('#')) {
+    throw yamlError(`Unexpected content after flow collection: ${rest}`, lineNo);
+  }
+  return { value, comment: rest || null };
+}
+
+/** Skip whitespace and, inside a multi-line collection, `# comment` lines. */
+function skipFlowSpace(state) {
+  const { text } = state;
+  while (state.i < text.length) {
+    if (/\s/.test(text[state.i])) {
+      state.i++;
+    } else if (text[state.i] === '#' && /\s/.test(text[state.i - 1] || '') && text.indexOf('\n', state.i) !== -1) {
+      state.i = text.indexOf('\n', state.i);
+    } else {
+      break;
+    }
+  }
+}
+
+function parseFlowNode(state, context) {
+  skipFlowSpace(state);
+  const { text } = state;
+  const ch = text[state.i];
+
+  if (ch === '[') {
+    state.i++;
+    const items = [];
+    for (;;) {
+      skipFlowSpace(state);
+      if (state.i >= text.length) throw yamlError('Unterminated flow sequence', state.lineNo);
+      if (text[state.i] === ']') { state.i++; return items; }
+      items.push(parseFlowNode(state, 'seq'));
+      skipFlowSpace(state);
+      if (text[state.i] === ',') state.i++;
+      else if (text[state.i] !== ']') throw yamlError(`Expected , or ] in flow sequence`, state.lineNo);
+    }
+  }
+
+  if (ch === '{') {
+    state.i++;
+    const obj = {};
+    for (;;) {
+      skipFlowSpace(state);
+      if (state.i >= text.length) throw yamlError('Unterminated flow mapping', state.lineNo);
+      if (text[state.i] === '}') { state.i++; return obj; }
+      const key = parseFlowNode(state, 'key');
+      skipFlowSpace(state);
+      let value = null;
+      if (text[state.i] === ':') {
+        state.i++;
+        value = parseFlowNode(state, 'map');
+        skipFlowSpace(state);
+      }
+      obj[String(key)] = value;
+      if (text[state.i] === ',') state.i++;
+      else if (text[state.i] !== '}') throw yamlError(`Expected , or } in flow mapping`, state.lineNo);
+    }
+  }
+
+  if (ch === '"' || ch === "'") {
+    const end = findClosingQuote(text, state.i);
+    if (end === -1) throw yamlError('Unterminated quoted scalar', state.lineNo);
+    const raw = text.slice(state.i + 1, end);
+    state.i = end + 1;
+    return ch === '"' ? unescapeDoubleQuoted(raw, state.lineNo) : raw.replace(/''/g, "'");
+  }
+
+  // Plain scalar: ends at a flow indicator, a comment, or (for keys) `: `
+  const start = state.i;
+  while (state.i < text.length) {
+    const c = text[state.i];
+    if (c === ',' || c === ']' || c === '}') break;
+    if (c === '#' && /\s/.test(text[state.i - 1] || ' ')) break;
+    if (context === 'key' && c === ':' && /[\s,\]}]/.test(text[state.i + 1] || ' ')) break;
+    state.i++;
+  }
+  const raw = text.slice(start, state.i).trim();
+  return context === 'key' ? raw : resolvePlainScalar(raw);
+}
+
+// ─── Block parser ─────────────────────────────────────────────────────────────
+
+function lineAt(state) {
+  const line = state.lines[state.pos];
+  const indent = line.match(/^ */)[0].length;
+  return { indent, text: line.slice(indent).replace(/[ \t]+$/, '') };
+}
+
+/** Skip blank and comment-only lines, remembering them for the next node. */
+function skipIgnorable(state) {
+  while (state.pos < state.lines.length) {
+    const trimmed = state.lines[state.pos].trim();
+    if (trimmed === '') {
+      if (state.seenContent) state.pending.push('');
+    } else if (trimmed.startsWith('#')) {
+      state.pending.push(trimmed);
+    } else {
+      return;
+    }
+    state.pos++;
+  }
+}
+
+function commentEntry(state, path) {
+  const key = commentKey(path);
+  if (!state.comments.has(key)) state.comments.set(key, { before: [], inline: null });
+  return state.comments.get(key);
+}
+
+function attachPending(state, path) {
+  state.seenContent = true;
+  if (state.pending.length === 0) return;
+  commentEntry(state, path).before.push(...state.pending);
+  state.pending = [];
+}
+
+function setInlineComment(state, path, comment) {
+  if (comment) commentEntry(state, path).inline = comment;
+}
+
+/** Remember whether a non-empty sequence was written in block or flow style. */
+function setSequenceStyle(state, path, value, style) {
+  if (Array.isArray(value) && value.length > 0) commentEntry(state, path).style = style;
+}
+
+function parseBlockNode(state, parentIndent, path) {
+  skipIgnorable(state);
+  if (state.pos >= state.lines.length) return null;
+  const { indent, text } = lineAt(state);
+  if (indent <= parentIndent) return null;
+
+  if (isSequenceEntry(text)) return parseBlockSequence(state, indent, path);
+  if (splitMappingKey(text)) return parseBlockMapping(state, indent, path);
+
+  state.pos++;
+  return parseInlineValue(state, text, parentIndent, path);
+}
+
+function parseBlockMapping(state, indent, path) {
+  const obj = {};
+  while (state.pos < state.lines.length) {
+    skipIgnorable(state);
+    if (state.pos >= state.lines.length) break;
+    const line = lineAt(state);
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw yamlError('Unexpected indentation', state.pos + 1);
+    if (isSequenceEntry(line.text)) break;
+
+    const entry = splitMappingKey(line.text);
+    if (!entry) throw yamlError(`Expected a mapping key, got: ${line.text}`, state.pos + 1);
+    const childPath = [...path, entry.key];
+    attachPending(state, childPath);
+    state.pos++;
+    obj[entry.key] = parseEntryValue(state, entry.rest, indent, childPath, true);
+  }
+  return obj;
+}
+
+function parseBlockSequence(state, indent, path) {
+  const items = [];
+  setSequenceStyle(state, path, [null], 'block');
+  while (state.pos < state.lines.length) {
+    skipIgnorable(state);
+    if (state.pos >= state.lines.length) break;
+    const line = lineAt(state);
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw yamlError('Unexpected indentation', state.pos + 1);
+    if (!isSequenceEntry(line.text)) break;
+
+    const childPath = [...path, items.length];
+    attachPending(state, childPath);
+    const rest = line.text.slice(1).replace(/^[ \t]+/, '');
+
+    if (isSequenceEntry(rest) || splitMappingKey(rest)) {
+      // Compact nested collection: blank out the dash and re-read the line
+      // as the first line of a block node indented past it.
+      const raw = state.lines[state.pos];
+      state.lines[state.pos] = raw.slice(0, indent) + ' ' + raw.slice(indent + 1);
+      items.push(parseBlockNode(state, indent, childPath));
+    } else {
+      state.pos++;
+      items.push(parseEntryValue(state, rest, indent, childPath, false));
+    }
+  }
+  return items;
+}
+
+/**
+ * Parse the value following `key:` or `- `. An empty rest means the value
+ * is a nested block (or null); mapping values may hold a sequence at the
+ * key's own indentation.
+ */
+function parseEntryValue(state, rest, indent, path, isMappingValue) {
+  const trimmed = rest.trim();
+  if (trimmed === '' || trimmed.startsWith('#')) {
+    setInlineComment(state, path, trimmed || null);
+    skipIgnorable(state);
+    if (state.pos >= state.lines.length) return null;
+    const next = lineAt(state);
+    if (next.indent > indent) return parseBlockNode(state, indent, path);
+    if (isMappingValue && next.indent === indent && isSequenceEntry(next.text)) {
+      return parseBlockSequence(state, indent, path);
+    }
+    return null;
+  }
+  return parseInlineValue(state, trimmed, indent, path);
+}
+
+/** Parse a scalar or flow collection that starts on the current line. */
+function parseInlineValue(state, text, parentIndent, path) {
+  const lineNo = state.pos;
+
+  if (text[0] === '|' || text[0] === '>') {
+    const header = text.match(/^([|>])([+-]?)([1-9]?)([+-]?)(?:\s+(#.*))?$/);
+    if (!header) throw yamlError(`Invalid block scalar header: ${text}`, lineNo);
+    setInlineComment(state, path, header[5] || null);
+    return parseBlockScalar(state, parentIndent, {
+      folded: header[1] === '>',
+      chomp: header[2] || header[4],
+      explicitIndent: header[3] ? parseInt(header[3], 10) : 0,
+    });
+  }
+
+  if (text[0] === '[' || text[0] === '{') {
+    let joined = text;
+    while (!flowIsBalanced(joined)) {
+      if (state.pos >= state.lines.length) throw yamlError('Unterminated flow collection', lineNo);
+      joined += '\n' + state.lines[state.pos++];
+    }
+    const { value, comment } = parseFlow(joined, lineNo);
+    setInlineComment(state, path, comment);
+    setSequenceStyle(state, path, value, 'flow');
+    return value;
+  }
+
+  if (text[0] === '"' || text[0] === "'") {
+    let joined = text;
+    let end = findClosingQuote(joined, 0);
+    while (end === -1 && state.pos < state.lines.length) {
+      joined += '\n' + state.lines[state.pos++];
+      end = findClosingQuote(joined, 0);
+    }
+    if (end === -1) throw yamlError('Unterminated quoted scalar', lineNo);
+    const after = joined.slice(end + 1).trim();
+    if (after === '' || after.startsWith('#')) {
+      setInlineComment(state, path, after || null);
+      const isDouble = text[0] === '"';
+      const folded = foldQuotedLines(joined.slice(1, end), isDouble);
+      return isDouble ? unescapeDoubleQuoted(folded, lineNo) : folded.replace(/''/g, "'");
+    }
+    // Not a well-formed quoted scalar (e.g. `"a" b`): keep the text as written
+    if (joined.includes('\n')) throw yamlError('Unexpected content after quoted scalar', lineNo);
+  }
+
+  const first = splitPlainComment(text);
+  setInlineComment(state, path, first.comment);
+  return resolvePlainScalar(first.comment ? first.value : readPlainContinuation(state, first.value, parentIndent));
+}
+
+function flowIsBalanced(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      const end = findClosingQuote(text, i);
+      if (end === -1) return false;
+      i = end;
+    } else if (ch === '#' && /\s/.test(text[i - 1] || '')) {
+      const nl = text.indexOf('\n', i);
+      if (nl === -1) break;
+      i = nl;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+/** Multi-line plain scalars continue on lines indented past their parent. */
+function readPlainContinuation(state, value, parentIndent) {
+  let result = value;
+  let blankRun = 0;
+  let probe = state.pos;
+  while (probe < state.lines.length) {
+    const line = state.lines[probe];
+    const trimmed = line.trim();
+    if (trimmed === '') { blankRun++; probe++; continue; }
+    const indent = line.match(/^ */)[0].length;
+    if (indent <= parentIndent || trimmed.startsWith('#')) break;
+    const part = splitPlainComment(trimmed);
+    result += blankRun > 0 ? '\n'.repeat(blankRun) + part.value : ' ' + part.value;
+    blankRun = 0;
+    probe++;
+    state.pos = probe;
+    if (part.comment) break;
+  }
+  return result;
+}
+
+function parseBlockScalar(state, parentIndent, { folded, chomp, explicitIndent }) {
+  const raw = [];
+  let contentIndent = explicitIndent ? Math.max(parentIndent, 0) + explicitIndent : 0;
+
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (line.trim() === '') { raw.push(''); state.pos++; continue; }
+    const indent = line.match(/^ */)[0].length;
+    if (!contentIndent) {
+      if (indent <= parentIndent) break;
+      contentIndent = indent;
+    }
+    if (indent < contentIndent) break;
+    raw.push(line.slice(contentIndent));
+    state.pos++;
+  }
+
+  // Trailing blank lines belong to the scalar only for chomping purposes
+  let end = raw.length;
+  while (end > 0 && raw[end - 1] === '') end--;
+  const trailingBlank = raw.length - end;
+  const body = raw.slice(0, end);
+
+  let text;
+  if (!folded) {
+    text = body.join('\n');
+  } else {
+    text = '';
+    for (let i = 0; i < body.length; i++) {
+      const line = body[i];
+      if (i === 0) { text = line; continue; }
+      const prev = body[i - 1];
+      const moreIndented = /^[ \t]/.test(line) || /^[ \t]/.test(prev);
+      if (line === '') { text += '\n'; continue; }
+      if (prev === '') { text += (moreIndented ? '\n' : '') + line; continue; }
+      text += (moreIndented ? '\n' : ' ') + line;
+    }
+  }
+
+  // Unless kept, trailing blank lines are layout and go back to the caller
+  if (chomp !== '+') state.pos -= trailingBlank;
+
+  if (body.length === 0) return chomp === '+' ? '\n'.repeat(trailingBlank) : '';
+  if (chomp === '-') return text;
+  if (chomp === '+') return text + '\n' + '\n'.repeat(trailingBlank);
+  return text + '\n';
+}
+
+// ─── Public parse API ─────────────────────────────────────────────────────────
+
+function commentKey(path) {
+  return JSON.stringify(path);
+}
+
+/**
+ * Parse YAML text and return { value, comments }.
+ * `comments` maps commentKey(path) -> { before: string[], inline: string|null, style? };
+ * `before` holds comment lines ('# ...') and blank lines ('') preceding the node,
+ * `style` records whether a sequence was written in 'block' or 'flow' form.
+ * Comments after the last node are stored under the root path as `after`.
+ */
+function parseYamlDocument(text) {
+  const state = {
+    lines: String(text).replace(/\r\n?/g, '\n').split('\n'),
+    pos: 0,
+    comments: new Map(),
+    pending: [],
+    seenContent: false,
+  };
+
+  const value = parseBlockNode(state, -1, []);
+  skipIgnorable(state);
+  if (state.pos < state.lines.length) {
+    throw yamlError(`Unexpected content: ${state.lines[state.pos].trim()}`, state.pos + 1);
+  }
+
+  while (state.pending.length && state.pending[state.pending.length - 1] === '') state.pending.pop();
+  if (state.pending.length) {
+    commentEntry(state, []).after = state.pending;
+  }
+  return { value, comments: state.comments };
+}
+
+function parseYaml(text) {
+  return parseYamlDocument(text).value;
+}
+
+// ─── Serializer ───────────────────────────────────────────────────────────────
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function needsQuotes(str, inFlow) {
+  if (str === '') return true;
+  if (resolvePlainScalar(str) !== str) return true;
+  if (/^\s|\s$/.test(str)) return true;
+  if (/[\x00-\x1f\x7f]/.test(str)) return true;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return true;
+  if (str.includes(':') || str.includes('#')) return true;
+  if (inFlow && /[,[\]{}]/.test(str)) return true;
+  return false;
+}
+
+function quoteDouble(str) {
+  const named = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\t': '\\t', '\r': '\\r', '\0': '\\0' };
+  return '"' + str.replace(/[\\"\x00-\x1f\x7f]/g, ch =>
+    named[ch] || '\\x' + ch.charCodeAt(0).toString(16).padStart(2, '0')
+  ) + '"';
+}
+
+function formatScalar(value, inFlow) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return needsQuotes(str, inFlow) ? quoteDouble(str) : str;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z0-9_][A-Za-z0-9_.\-/]*$/.test(key) ? key : quoteDouble(key);
+}
+
+/** Multi-line strings become literal block scalars when they can be represented exactly. */
+function canUseBlockLiteral(value) {
+  return typeof value === 'string' && value.includes('\n') && value.trim() !== '' &&
+    !/^[ \t]/.test(value) && !/[\x00-\x08\x0b-\x1f\x7f]/.test(value) && !/[ \t]\n/.test(value);
+}
+
+function blockLiteral(value, indent) {
+  const lines = value.split('\n');
+  let chomp = '-';
+  if (value.endsWith('\n')) {
+    lines.pop();
+    chomp = value.endsWith('\n\n') ? '+' : '';
+  }
+  const pad = ' '.repeat(indent);
+  return { header: '|' + chomp, lines: lines.map(l => (l === '' ? '' : pad + l)) };
+}
+
+function isScalar(value) {
+  return value === null || value === undefined || value instanceof Date || typeof value !== 'object';
+}
+
+/**
+ * Flow form `[a, b, c]` for arrays of simple scalars: always when the source
+ * used it, never when the source used block form, otherwise for short arrays.
+ */
+function inlineArray(value, style) {
+  if (style === 'block') return null;
+  if (!value.every(v => isScalar(v) && !(typeof v === 'string' && v.includes('\n')))) return null;
+  const items = value.map(v => formatScalar(v, true));
+  const joined = items.join(', ');
+  return style === 'flow' || (value.length <= 3 && joined.length < 60) ? `[${joined}]` : null;
+}
+
+function sequenceStyle(comments, path) {
+  const entry = comments && comments.get(commentKey(path));
+  return entry ? entry.style : undefined;
+}
+
+function emitComments(lines, comments, path, indent) {
+  const entry = comments && comments.get(commentKey(path));
+  if (!entry) return;
+  for (const line of entry.before) lines.push(line === '' ? '' : ' '.repeat(indent) + line);
+}
+
+function inlineSuffix(comments, path) {
+  const entry = comments && comments.get(commentKey(path));
+  return entry && entry.inline ? ' ' + entry.inline : '';
+}
+
+/** Render `value` after a `key:` or `-` prefix; nested lines go into `lines`. */
+function emitValue(lines, prefix, value, indent, path, comments) {
+  const suffix = inlineSuffix(comments, path);
+  const childIndent = indent + 2;
+
+  if (Array.isArray(value)) {
+    const inline = value.length === 0 ? '[]' : inlineArray(value, sequenceStyle(comments, path));
+    if (inline) { lines.push(`${prefix} ${inline}${suffix}`); return; }
+    lines.push(`${prefix}${suffix}`);
+    emitSequence(lines, value, childIndent, path, comments);
+    return;
+  }
+
+  if (isPlainObject(value)) {
+    const hasEntries = Object.keys(value).some(k => value[k] !== undefined && value[k] !== null);
+    if (!hasEntries) { lines.push(`${prefix} {}${suffix}`); return; }
+    lines.push(`${prefix}${suffix}`);
+    emitMapping(lines, value, childIndent, path, comments);
+    return;
+  }
+
+  if (canUseBlockLiteral(value)) {
+    const block = blockLiteral(value, childIndent);
+    lines.push(`${prefix} ${block.header}${suffix}`);
+    lines.push(...block.lines);
+    return;
+  }
+
+  lines.push(`${prefix} ${formatScalar(value, false)}${suffix}`);
+}
+
+function emitMapping(lines, obj, indent, path, comments) {
+  const pad = ' '.repeat(indent);
+  for (const [key, value] of Object.entries(obj)) {
+    // null/undefined mapping values are omitted: setting a key to null removes it
+    if (value === null || value === undefined) continue;
+    const childPath = [...path, key];
+    emitComments(lines, comments, childPath, indent);
+    emitValue(lines, `${pad}${formatKey(key)}:`, value, indent, childPath, comments);
+  }
+}
+
+function emitSequence(lines, items, indent, path, comments) {
+  const pad = ' '.repeat(indent);
+  items.forEach((item, i) => {
+    const childPath = [...path, i];
+    emitComments(lines, comments, childPath, indent);
+
+    const nested = [];
+    if (isPlainObject(item) && Object.keys(item).some(k => item[k] !== undefined && item[k] !== null)) {
+      emitMapping(nested, item, indent + 2, childPath, comments);
+    } else if (Array.isArray(item) && item.length > 0 && !inlineArray(item, sequenceStyle(comments, childPath))) {
+      emitSequence(nested, item, indent + 2, childPath, comments);
+    }
+
+    // Compact form `- key: value` when the nested block starts with content
+    const innerPad = ' '.repeat(indent + 2);
+    if (nested.length && nested[0].startsWith(innerPad) && !nested[0].slice(indent + 2).startsWith('#')) {
+      lines.push(`${pad}- ${nested[0].slice(indent + 2)}`);
+      lines.push(...nested.slice(1));
+    } else if (nested.length) {
+      lines.push(`${pad}-`);
+      lines.push(...nested);
+    } else {
+      emitValue(lines, `${pad}-`, item, indent, childPath, comments);
+    }
+  });
+}
+
+/**
+ * Serialize a value to block-style YAML.
+ * Pass `options.comments` from parseYamlDocument() to carry comments and
+ * blank-line layout over to the output for keys that still exist.
+ */
+function stringifyYaml(value, options = {}) {
+  const comments = options.comments || null;
+  const lines = [];
+  if (isPlainObject(value)) {
+    emitMapping(lines, value, 0, [], comments);
+  } else if (Array.isArray(value)) {
+    if (value.length === 0) lines.push('[]');
+    else emitSequence(lines, value, 0, [], comments);
+  } else {
+    lines.push(formatScalar(value, false));
+  }
+
+  const root = comments && comments.get(commentKey([]));
+  if (root && root.after) lines.push(...root.after);
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseYaml,
+  parseYamlDocument,
+  stringifyYaml,
+  resolvePlainScalar,
+};
@@ -7,24 +7,126 @@
 // How it works:
 // 1. The statusline hook writes metrics to /tmp/claude-ctx-{session_id}.json
 // 2. This hook reads those metrics after each tool use
-// 3. When remaining context drops below thresholds, it injects a warning
-//    as additionalContext, which the agent sees in its conversation
+// 3. When remaining context drops below thresholds, it runs the actions
+//    configured for that level (by default: inject a warning as
+//    additionalContext, which the agent sees in its conversation)
 //
-// Thresholds:
+// Thresholds (defaults):
 //   WARNING  (remaining <= 35%): Agent should wrap up current task
 //   CRITICAL (remaining <= 25%): Agent should stop immediately and save state
 //
 // Debounce: 5 tool uses between warnings to avoid spam
 // Severity escalation bypasses debounce (WARNING -> CRITICAL fires immediately)
+//
+// Configuration: `context_monitor` in ~/.gsd/defaults.json, overridden per
+// project by `context_monitor` in .planning/config.json:
+//
+//   "context_monitor": {
+//     "warning": 35, "critical": 25, "stale_seconds": 60, "debounce_calls": 5,
+//     "actions": { "warning": ["inject"], "critical": ["inject", "snapshot", "record-session", "continue-here"] }
+//   }
+//
+// Actions: "inject" (warning message), "snapshot" (gsd-tools pause snapshot:
+// position, incomplete plans, uncommitted files and the active todo, picked up
+// by `init resume`), "record-session" (gsd-tools state record-session with the
+// current position), "continue-here" (write a .continue-here.md handoff into
+// the current phase directory). Actions other than "inject" run once per
+// level per session. CRITICAL defaults to inject + snapshot.
 
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULTS = {
+  warning: 35,          // remaining_percentage <= 35%
+  critical: 25,         // remaining_percentage <= 25%
+  stale_seconds: 60,    // ignore metrics older than 60s
+  debounce_calls: 5,    // min tool uses between warnings
+  actions: { warning: ['inject'], critical: ['inject', 'snapshot'] },
+};
+const ACTIONS = ['inject', 'snapshot', 'record-session', 'continue-here'];
+const GSD_TOOLS = path.join(__dirname, '..', 'get-shit-done', 'bin', 'gsd-tools.cjs');
+const { readJson, findProjectRoot, readPosition } = require(path.join(__dirname, '..', 'get-shit-done', 'bin', 'lib', 'position.cjs'));
+
+// Defaults < ~/.gsd/defaults.json < .planning/config.json; invalid values are ignored
+function loadMonitorConfig(projectRoot) {
+  const config = { ...DEFAULTS, actions: { ...DEFAULTS.actions } };
+  const layers = [(readJson(path.join(os.homedir(), '.gsd', 'defaults.json')) || {}).context_monitor];
+  if (projectRoot) layers.push((readJson(path.join(projectRoot, '.planning', 'config.json')) || {}).context_monitor);
+
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+    for (const key of ['warning', 'critical', 'stale_seconds', 'debounce_calls']) {
+      if (typeof layer[key] === 'number' && layer[key] >= 0) config[key] = layer[key];
+    }
+    for (const level of ['warning', 'critical']) {
+      const actions = layer.actions && layer.actions[level];
+      if (Array.isArray(actions)) config.actions[level] = actions.filter(a => ACTIONS.includes(a));
+    }
+  }
+  if (config.critical > config.warning) config.critical = config.warning;
+  return config;
+}
+
+// --wait=0: a held .planning/ lock skips the action instead of blocking the tool call
+function gsdTools(projectRoot, args) {
+  return execFileSync(process.execPath, [GSD_TOOLS, ...args, '--wait=0', '--cwd', projectRoot], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 10000,
+  });
+}
+
+// Run snapshot / record-session / continue-here for a level; returns notes for the agent
+function runActions(projectRoot, actions, level, usedPct, sessionId) {
+  const notes = [];
+  if (!projectRoot || !fs.existsSync(GSD_TOOLS)) return notes;
+
+  const position = readPosition(projectRoot) || {};
+  if (actions.includes('snapshot')) {
+    try {
+      const result = JSON.parse(gsdTools(projectRoot, ['pause', 'snapshot', '--session', sessionId,
+        '--reason', `Context ${level} (${usedPct}% used)`]));
+      if (result.written) notes.push(`Snapshot written to ${result.path}`);
+    } catch (e) {}
+  }
+  const { phase, plan } = position;
+  const where = phase ? `Phase ${phase}${plan ? `, plan ${plan}` : ''}` : 'unknown position';
+  const reason = `Context ${level} (${usedPct}% used) at ${where}`;
+
+  if (actions.includes('continue-here') && phase) {
+    try {
+      const args = ['template', 'fill', 'continue-here', '--phase', String(phase), '--note',
+        `${reason}. Written automatically by the context monitor; fill in the remaining sections before stopping.`];
+      if (plan) args.push('--plan', String(plan));
+      const result = JSON.parse(gsdTools(projectRoot, args));
+      if (result.created) notes.push(`Handoff written to ${result.path}`);
+      else if (result.path) notes.push(`Handoff already exists at ${result.path}`);
+    } catch (e) {}
+  }
 
-const WARNING_THRESHOLD = 35;  // remaining_percentage <= 35%
-const CRITICAL_THRESHOLD = 25; // remaining_percentage <= 25%
-const STALE_SECONDS = 60;      // ignore metrics older than 60s
-const DEBOUNCE_CALLS = 5;      // min tool uses between warnings
+  if (actions.includes('record-session')) {
+    try {
+      const resumeFile = phase ? findHandoff(projectRoot, phase) : null;
+      const args = ['state', 'record-session', '--stopped-at', reason];
+      if (resumeFile) args.push('--resume-file', resumeFile);
+      const result = JSON.parse(gsdTools(projectRoot, args));
+      if (result.recorded) notes.push('Session position recorded in STATE.md');
+    } catch (e) {}
+  }
+  return notes;
+}
+
+function findHandoff(projectRoot, phase) {
+  try {
+    const found = JSON.parse(gsdTools(projectRoot, ['find-phase', String(phase)]));
+    const file = found.directory && path.join(found.directory, '.continue-here.md');
+    return file && fs.existsSync(path.join(projectRoot, file)) ? file : null;
+  } catch (e) {
+    return null;
+  }
+}
 
 let input = '';
 process.stdin.setEncoding('utf8');
@@ -48,9 +150,11 @@ process.stdin.on('end', () => {
 
     const metrics = JSON.parse(fs.readFileSync(metricsPath, 'utf8'));
     const now = Math.floor(Date.now() / 1000);
+    const projectRoot = findProjectRoot(data.cwd || process.cwd());
+    const config = loadMonitorConfig(projectRoot);
 
     // Ignore stale metrics
-    if (metrics.timestamp && (now - metrics.timestamp) > STALE_SECONDS) {
+    if (metrics.timestamp && (now - metrics.timestamp) > config.stale_seconds) {
       process.exit(0);
     }
 
@@ -58,13 +162,13 @@ process.stdin.on('end', () => {
     const usedPct = metrics.used_pct;
 
     // No warning needed
-    if (remaining > WARNING_THRESHOLD) {
+    if (remaining > config.warning) {
       process.exit(0);
     }
 
     // Debounce: check if we warned recently
     const warnPath = path.join(tmpDir, `claude-ctx-${sessionId}-warned.json`);
-    let warnData = { callsSinceWarn: 0, lastLevel: null };
+    let warnData = { callsSinceWarn: 0, lastLevel: null, actionsRun: {} };
     let firstWarn = true;
 
     if (fs.existsSync(warnPath)) {
@@ -77,14 +181,17 @@ process.stdin.on('end', () => {
     }
 
     warnData.callsSinceWarn = (warnData.callsSinceWarn || 0) + 1;
+    warnData.actionsRun = warnData.actionsRun || {};
 
-    const isCritical = remaining <= CRITICAL_THRESHOLD;
+    const isCritical = remaining <= config.critical;
     const currentLevel = isCritical ? 'critical' : 'warning';
+    const actions = config.actions[currentLevel];
+    const pendingActions = !warnData.actionsRun[currentLevel] && actions.some(a => a !== 'inject');
 
     // Emit immediately on first warning, then debounce subsequent ones
-    // Severity escalation (WARNING -> CRITICAL) bypasses debounce
+    // Severity escalation (WARNING -> CRITICAL) and pending actions bypass debounce
     const severityEscalated = currentLevel === 'critical' && warnData.lastLevel === 'warning';
-    if (!firstWarn && warnData.callsSinceWarn < DEBOUNCE_CALLS && !severityEscalated) {
+    if (!firstWarn && warnData.callsSinceWarn < config.debounce_calls && !severityEscalated && !pendingActions) {
       // Update counter and exit without warning
       fs.writeFileSync(warnPath, JSON.stringify(warnData));
       process.exit(0);
@@ -93,7 +200,19 @@ process.stdin.on('end', () => {
     // Reset debounce counter
     warnData.callsSinceWarn = 0;
     warnData.lastLevel = currentLevel;
-    fs.writeFileSync(warnPath, JSON.stringify(warnData));
+
+    let notes = [];
+    if (pendingActions) {
+      warnData.actionsRun[currentLevel] = true;
+      fs.writeFileSync(warnPath, JSON.stringify(warnData));
+      notes = runActions(projectRoot, actions, currentLevel, usedPct, sessionId);
+    } else {
+      fs.writeFileSync(warnPath, JSON.stringify(warnData));
+    }
+
+    if (!actions.includes('inject')) {
+      process.exit(0);
+    }
 
     // Build warning message
     let message;
@@ -106,6 +225,9 @@ process.stdin.on('end', () => {
         'Begin wrapping up current task. Do not start new complex work. ' +
         'If using GSD, consider /gsd:pause-work to save state.';
     }
+    if (notes.length > 0) {
+      message += ` Already done: ${notes.join('; ')}.`;
+    }
 
     const output = {
       hookSpecificOutput: {
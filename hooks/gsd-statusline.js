@@ -1,12 +1,165 @@
 #!/usr/bin/env node
 // Claude Code Statusline - GSD Edition
-// Shows: model | current task | directory | context usage
+// Shows: model | GSD position | current task | directory | context usage
+//
+// The GSD segment (milestone, phase, plan X/Y, open blockers) appears inside
+// projects with .planning/STATE.md. Layout, separators, glyphs, colors and
+// context scaling are configured in ~/.gsd/statusline.json (docs/statusline.md):
+//
+//   { "layout": ["model", "gsd", "task", ["dir", "context"]], "ascii": false,
+//     "context": { "scale": 80, "bar_width": 10 },
+//     "gsd": { "segments": ["milestone", "phase", "plan", "blockers"], "colors": { "phase": "cyan" } } }
+//
+// NO_COLOR (any value) or "color": false prints plain text.
+//
+// Context history (opt-in): with `"context_history": { "enabled": true }` in
+// .planning/config.json or ~/.gsd/defaults.json, every change in context usage
+// is appended to .planning/.context/history.jsonl with the session and the
+// current phase/plan, for `gsd-tools context report`. The directory carries a
+// `*` .gitignore, so the log never lands in planning commits.
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { readJson, findProjectRoot, readCachedPosition } = require(path.join(__dirname, '..', 'get-shit-done', 'bin', 'lib', 'position.cjs'));
+
+const SEGMENTS = ['update', 'model', 'gsd', 'task', 'dir', 'context'];
+const DEFAULT_LAYOUT = ['update', 'model', 'gsd', 'task', ['dir', 'context']];
+const GSD_SEGMENTS = ['milestone', 'phase', 'plan', 'blockers'];
+const GSD_COLORS = { milestone: 'dim', phase: 'cyan', plan: 'dim', blockers: 'yellow' };
+const COLORS = { update: 'yellow', model: 'dim', task: 'bold', dir: 'dim' };
+const CONTEXT_COLORS = { ok: 'green', warn: 'yellow', high: 'orange', critical: '5;31' };
+const ANSI = {
+  bold: '1', dim: '2', red: '31', green: '32', yellow: '33', blue: '34',
+  magenta: '35', cyan: '36', white: '37', gray: '90', orange: '38;5;208',
+};
+const GLYPHS = {
+  unicode: { separator: ' │ ', filled: '█', empty: '░', blocker: '⚠', ellipsis: '…', update: '⬆', critical: '💀' },
+  ascii: { separator: ' | ', filled: '#', empty: '-', blocker: '!', ellipsis: '...', update: '^', critical: '!!' },
+};
+const PHASE_NAME_MAX = 24;
+const HISTORY_DIR = path.join('.planning', '.context');
+const HISTORY_FILE = path.join(HISTORY_DIR, 'history.jsonl');
+const HISTORY_DEFAULTS = { enabled: false, max_kb: 512 };
+
+let useColor = true;
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// ~/.gsd/statusline.json merged over the defaults; invalid values are ignored
+function loadStatuslineConfig() {
+  const config = readJson(path.join(os.homedir(), '.gsd', 'statusline.json')) || {};
+  const gsd = isObject(config.gsd) ? config.gsd : {};
+  const context = isObject(config.context) ? config.context : {};
+  const thresholds = isObject(context.thresholds) ? context.thresholds : {};
+  const ascii = config.ascii === true;
+
+  const layout = (Array.isArray(config.layout) ? config.layout : DEFAULT_LAYOUT)
+    .map(item => (Array.isArray(item) ? item : [item]).filter(name => SEGMENTS.includes(name)))
+    .filter(group => group.length > 0);
+
+  return {
+    layout,
+    color: config.color !== false && !process.env.NO_COLOR,
+    glyphs: { ...GLYPHS[ascii ? 'ascii' : 'unicode'], ...(isObject(config.glyphs) ? config.glyphs : {}) },
+    separator: typeof config.separator === 'string' ? config.separator : null,
+    colors: { ...COLORS, ...(isObject(config.colors) ? config.colors : {}) },
+    context: {
+      // Claude Code compacts at ~80% real usage, so 80% displays as 100%
+      scale: inRange(context.scale, 1, 100) ? context.scale : 80,
+      barWidth: inRange(context.bar_width, 0, 50) ? Math.round(context.bar_width) : 10,
+      thresholds: {
+        warn: inRange(thresholds.warn, 0, 100) ? thresholds.warn : 63,       // ~50% real
+        high: inRange(thresholds.high, 0, 100) ? thresholds.high : 81,       // ~65% real
+        critical: inRange(thresholds.critical, 0, 100) ? thresholds.critical : 95, // ~76% real
+      },
+      colors: { ...CONTEXT_COLORS, ...(isObject(context.colors) ? context.colors : {}) },
+    },
+    gsd: {
+      enabled: gsd.enabled !== false,
+      segments: Array.isArray(gsd.segments) ? gsd.segments.filter(s => GSD_SEGMENTS.includes(s)) : GSD_SEGMENTS,
+      colors: { ...GSD_COLORS, ...(isObject(gsd.colors) ? gsd.colors : {}) },
+    },
+  };
+}
+
+// Color name ("cyan") or raw SGR parameters ("38;5;208"); plain text without color
+function paint(text, color) {
+  const code = ANSI[color] || (/^[\d;]+$/.test(String(color)) ? color : null);
+  return code && useColor ? `\x1b[${code}m${text}\x1b[0m` : text;
+}
+
+function gsdSegment(info, config) {
+  const { gsd, glyphs } = config;
+  if (!gsd.enabled || !info) return '';
+
+  const parts = {
+    milestone: info.milestone,
+    phase: info.phase ? `P${info.phase}${info.phase_name ? ' ' + truncate(info.phase_name, PHASE_NAME_MAX, glyphs.ellipsis) : ''}` : null,
+    plan: info.plan ? `${info.plan}/${info.total_plans || '?'}` : null,
+    blockers: info.blockers > 0 ? `${glyphs.blocker} ${info.blockers}` : null,
+  };
+  return gsd.segments
+    .filter(name => parts[name])
+    .map(name => paint(parts[name], gsd.colors[name]))
+    .join(' ');
+}
+
+function truncate(text, max, ellipsis) {
+  return text.length > max ? text.slice(0, max - ellipsis.length) + ellipsis : text;
+}
+
+// Defaults < ~/.gsd/defaults.json < .planning/config.json `context_history`
+function loadHistoryConfig(projectRoot) {
+  const config = { ...HISTORY_DEFAULTS };
+  const layers = [
+    (readJson(path.join(os.homedir(), '.gsd', 'defaults.json')) || {}).context_history,
+    (readJson(path.join(projectRoot, '.planning', 'config.json')) || {}).context_history,
+  ];
+  for (const layer of layers) {
+    if (!isObject(layer)) continue;
+    if (typeof layer.enabled === 'boolean') config.enabled = layer.enabled;
+    if (typeof layer.max_kb === 'number' && layer.max_kb > 0) config.max_kb = layer.max_kb;
+  }
+  return config;
+}
+
+// Append a sample when usage or position changed since the previous render
+function recordContextHistory(projectRoot, previous, sample) {
+  if (previous && previous.remaining_percentage === sample.remaining &&
+      previous.phase === sample.phase && previous.plan === sample.plan) return;
+  const config = loadHistoryConfig(projectRoot);
+  if (!config.enabled) return;
+
+  const dir = path.join(projectRoot, HISTORY_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const ignorePath = path.join(dir, '.gitignore');
+  if (!fs.existsSync(ignorePath)) fs.writeFileSync(ignorePath, '*\n');
+
+  const file = path.join(projectRoot, HISTORY_FILE);
+  fs.appendFileSync(file, JSON.stringify(sample) + '\n');
+  // Rolling log: once over max_kb, keep the newest half
+  if (fs.statSync(file).size > config.max_kb * 1024) {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    fs.writeFileSync(file, lines.slice(Math.floor(lines.length / 2)).join('\n') + '\n');
+  }
+}
+
+// Scaled usage, bar and color for the context window
+function contextSegment(used, config) {
+  const { barWidth, thresholds, colors } = config.context;
+  const { filled, empty, critical } = config.glyphs;
+  const count = Math.min(barWidth, Math.floor(used / 100 * barWidth));
+  const bar = filled.repeat(count) + empty.repeat(barWidth - count);
+  const text = barWidth > 0 ? `${bar} ${used}%` : `${used}%`;
+
+  if (used < thresholds.warn) return paint(text, colors.ok);
+  if (used < thresholds.high) return paint(text, colors.warn);
+  if (used < thresholds.critical) return paint(text, colors.high);
+  return paint(`${critical} ${text}`, colors.critical);
+}
 
-// Read JSON from stdin
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => input += chunk);
@@ -18,46 +171,69 @@ process.stdin.on('end', () => {
     const session = data.session_id || '';
     const remaining = data.context_window?.remaining_percentage;
 
-    // Context window display (shows USED percentage scaled to 80% limit)
-    // Claude Code enforces an 80% context limit, so we scale to show 100% at that point
+    const config = loadStatuslineConfig();
+    useColor = config.color;
+
+    // GSD project position
+    const projectRoot = findProjectRoot(dir);
+    let position = null;
+    try {
+      position = projectRoot ? readCachedPosition(projectRoot) : null;
+    } catch (e) {
+      // Unreadable planning files - no position
+    }
+
+    // Context window display (shows USED percentage scaled to the compaction limit)
     let ctx = '';
     if (remaining != null) {
       const rem = Math.round(remaining);
       const rawUsed = Math.max(0, Math.min(100, 100 - rem));
-      // Scale: 80% real usage = 100% displayed
-      const used = Math.min(100, Math.round((rawUsed / 80) * 100));
+      // Scale: `context.scale`% real usage (default 80) = 100% displayed
+      const used = Math.min(100, Math.round((rawUsed / config.context.scale) * 100));
 
       // Write context metrics to bridge file for the context-monitor PostToolUse hook.
-      // The monitor reads this file to inject agent-facing warnings when context is low.
+      // The monitor reads this file to inject agent-facing warnings when context is low;
+      // `gsd-tools metrics record --session` reads the cumulative token/cost totals.
       if (session) {
+        const bridgePath = path.join(os.tmpdir(), `claude-ctx-${session}.json`);
+        const previous = readJson(bridgePath);
         try {
-          const bridgePath = path.join(os.tmpdir(), `claude-ctx-${session}.json`);
           const bridgeData = JSON.stringify({
             session_id: session,
+            cwd: dir,
             remaining_percentage: remaining,
             used_pct: used,
+            model_id: data.model?.id,
+            input_tokens: data.context_window?.total_input_tokens,
+            output_tokens: data.context_window?.total_output_tokens,
+            cost_usd: data.cost?.total_cost_usd,
+            phase: position?.phase || null,
+            plan: position?.plan || null,
             timestamp: Math.floor(Date.now() / 1000)
           });
           fs.writeFileSync(bridgePath, bridgeData);
         } catch (e) {
           // Silent fail -- bridge is best-effort, don't break statusline
         }
-      }
 
-      // Build progress bar (10 segments)
-      const filled = Math.floor(used / 10);
-      const bar = '█'.repeat(filled) + '░'.repeat(10 - filled);
-
-      // Color based on scaled usage (thresholds adjusted for new scale)
-      if (used < 63) {        // ~50% real
-        ctx = ` \x1b[32m${bar} ${used}%\x1b[0m`;
-      } else if (used < 81) { // ~65% real
-        ctx = ` \x1b[33m${bar} ${used}%\x1b[0m`;
-      } else if (used < 95) { // ~76% real
-        ctx = ` \x1b[38;5;208m${bar} ${used}%\x1b[0m`;
-      } else {
-        ctx = ` \x1b[5;31m💀 ${bar} ${used}%\x1b[0m`;
+        if (position) {
+          try {
+            recordContextHistory(projectRoot, previous, {
+              ts: new Date().toISOString(),
+              session,
+              phase: position.phase || null,
+              plan: position.plan || null,
+              status: position.status || null,
+              used: rawUsed,
+              remaining,
+            });
+          } catch (e) {
+            // History is best-effort too
+          }
+        }
       }
+
+      ctx = contextSegment(used, config);
     }
 
     // Current task from todos
@@ -90,18 +266,26 @@ process.stdin.on('end', () => {
       try {
         const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
         if (cache.update_available) {
-          gsdUpdate = '\x1b[33m⬆ /gsd:update\x1b[0m │ ';
+          gsdUpdate = paint(`${config.glyphs.update} /gsd:update`, config.colors.update);
         }
       } catch (e) {}
     }
 
-    // Output
-    const dirname = path.basename(dir);
-    if (task) {
-      process.stdout.write(`${gsdUpdate}\x1b[2m${model}\x1b[0m │ \x1b[1m${task}\x1b[0m │ \x1b[2m${dirname}\x1b[0m${ctx}`);
-    } else {
-      process.stdout.write(`${gsdUpdate}\x1b[2m${model}\x1b[0m │ \x1b[2m${dirname}\x1b[0m${ctx}`);
-    }
+    // Output: layout groups joined by the separator, segments in a group by a space
+    const segments = {
+      update: gsdUpdate,
+      model: paint(model, config.colors.model),
+      gsd: gsdSegment(position, config),
+      task: task ? paint(task, config.colors.task) : '',
+      dir: paint(path.basename(dir), config.colors.dir),
+      context: ctx,
+    };
+    const separator = config.separator ?? config.glyphs.separator;
+    const line = config.layout
+      .map(group => group.map(name => segments[name]).filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join(separator);
+    process.stdout.write(line);
   } catch (e) {
     // Silent fail - don't break statusline on parse errors
   }
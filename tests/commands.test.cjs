@@ -966,6 +966,31 @@ describe('resolve-model command', () => {
     assert.ok(!result.success, 'should fail without agent-type');
     assert.ok(result.error.includes('agent-type required'), 'error should mention agent-type required');
   });
+
+  test('--explain reports the layer and chain that chose the model', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({
+      model_profile: 'nightly',
+      model_profiles: { nightly: { extends: 'budget', 'gsd-executor': 'haiku' } },
+    }));
+    const result = runGsdTools('resolve-model gsd-executor --explain', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const output = JSON.parse(result.output);
+    assert.deepStrictEqual([output.model, output.tier, output.profile], ['haiku', 'haiku', 'nightly']);
+    assert.deepStrictEqual(output.chosen_by, { layer: 'project', profile: 'nightly', source: '.planning/config.json' });
+    assert.deepStrictEqual(output.issues, []);
+
+    const raw = runGsdTools('resolve-model gsd-planner --explain --raw', tmpDir);
+    assert.strictEqual(raw.output, 'gsd-planner: sonnet via builtin profile budget\nchain: project:nightly → builtin:budget');
+  });
+
+  test('--profile resolves under another profile', () => {
+    const output = JSON.parse(runGsdTools('resolve-model gsd-planner --profile quality --explain', tmpDir).output);
+    assert.deepStrictEqual([output.model, output.tier, output.profile], ['inherit', 'opus', 'quality']);
+
+    const unknown = JSON.parse(runGsdTools('resolve-model gsd-planner --profile nope --explain', tmpDir).output);
+    assert.deepStrictEqual(unknown.issues, ['Unknown model profile: nope']);
+    assert.ok(runGsdTools('resolve-model gsd-planner --profile', tmpDir).error.includes('Missing value for --profile'));
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1014,6 +1039,21 @@ describe('commit command', () => {
     assert.strictEqual(output.reason, 'skipped_gitignored');
   });
 
+  test('skips a tracked .planning once an ignore rule matches it', () => {
+    // .planning/ was committed by createTempGitProject; check-ignore alone never reports tracked paths
+    assert.ok(execSync('git ls-files .planning', { cwd: tmpDir, encoding: 'utf-8' }).includes('PROJECT.md'));
+    fs.appendFileSync(path.join(tmpDir, '.git', 'info', 'exclude'), '.planning/\n');
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), '# State\n');
+
+    const skipped = JSON.parse(runGsdTools('commit "docs: state"', tmpDir).output);
+    assert.strictEqual(skipped.reason, 'skipped_gitignored');
+
+    // An unrelated rule leaves the tracked .planning committable
+    fs.writeFileSync(path.join(tmpDir, '.git', 'info', 'exclude'), 'node_modules/\n');
+    const committed = JSON.parse(runGsdTools('commit "docs: state"', tmpDir).output);
+    assert.strictEqual(committed.reason, 'committed');
+  });
+
   test('handles nothing to commit', () => {
     // Don't modify any files after initial commit
     const result = runGsdTools('commit "test message"', tmpDir);
@@ -1069,17 +1109,23 @@ describe('commit command', () => {
 
 describe('websearch command', () => {
   const { cmdWebsearch } = require('../get-shit-done/bin/lib/commands.cjs');
+  let tmpDir;
   let origFetch;
   let origApiKey;
   let origStdoutWrite;
+  let origExit;
   let captured;
 
   beforeEach(() => {
+    tmpDir = createTempProject();
     origFetch = global.fetch;
     origApiKey = process.env.BRAVE_API_KEY;
     origStdoutWrite = process.stdout.write;
+    origExit = process.exit;
     captured = '';
     process.stdout.write = (chunk) => { captured += chunk; return true; };
+    // output() exits the process; keep the test runner alive
+    process.exit = () => {};
   });
 
   afterEach(() => {
@@ -1090,12 +1136,14 @@ describe('websearch command', () => {
       delete process.env.BRAVE_API_KEY;
     }
     process.stdout.write = origStdoutWrite;
+    process.exit = origExit;
+    cleanup(tmpDir);
   });
 
   test('returns available=false when BRAVE_API_KEY is unset', async () => {
     delete process.env.BRAVE_API_KEY;
 
-    await cmdWebsearch('test query', {}, false);
+    await cmdWebsearch(tmpDir, 'test query', {}, false);
 
     const output = JSON.parse(captured);
     assert.strictEqual(output.available, false);
@@ -1105,7 +1153,7 @@ describe('websearch command', () => {
   test('returns error when no query provided', async () => {
     process.env.BRAVE_API_KEY = 'test-key';
 
-    await cmdWebsearch(null, {}, false);
+    await cmdWebsearch(tmpDir, null, {}, false);
 
     const output = JSON.parse(captured);
     assert.strictEqual(output.available, false);
@@ -1126,7 +1174,7 @@ describe('websearch command', () => {
       }),
     });
 
-    await cmdWebsearch('test query', { limit: 5, freshness: 'pd' }, false);
+    await cmdWebsearch(tmpDir, 'test query', { limit: 5, freshness: 'pd' }, false);
 
     const output = JSON.parse(captured);
     assert.strictEqual(output.available, true);
@@ -1149,7 +1197,7 @@ describe('websearch command', () => {
       };
     };
 
-    await cmdWebsearch('node.js testing', { limit: 5, freshness: 'pd' }, false);
+    await cmdWebsearch(tmpDir, 'node.js testing', { limit: 5, freshness: 'pd' }, false);
 
     const parsed = new URL(capturedUrl);
     assert.strictEqual(parsed.searchParams.get('q'), 'node.js testing', 'query param should decode to original string');
@@ -1165,7 +1213,7 @@ describe('websearch command', () => {
       status: 429,
     });
 
-    await cmdWebsearch('test query', {}, false);
+    await cmdWebsearch(tmpDir, 'test query', {}, false);
 
     const output = JSON.parse(captured);
     assert.strictEqual(output.available, false);
@@ -1179,10 +1227,50 @@ describe('websearch command', () => {
       throw new Error('Network timeout');
     };
 
-    await cmdWebsearch('test query', {}, false);
+    await cmdWebsearch(tmpDir, 'test query', {}, false);
 
     const output = JSON.parse(captured);
     assert.strictEqual(output.available, false);
     assert.strictEqual(output.error, 'Network timeout');
   });
+  test('caches results per query under .planning/research/.cache', async () => {
+    process.env.BRAVE_API_KEY = 'test-key';
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return { ok: true, json: async () => ({ web: { results: [{ title: 'T', url: 'https://example.com', description: 'D' }] } }) };
+    };
+
+    await cmdWebsearch(tmpDir, 'cached query', {}, false);
+    captured = '';
+    await cmdWebsearch(tmpDir, 'cached query', {}, false);
+
+    const output = JSON.parse(captured);
+    assert.strictEqual(calls, 1, 'second search should be served from cache');
+    assert.strictEqual(output.cached, true);
+    assert.strictEqual(output.results[0].url, 'https://example.com');
+    assert.strictEqual(fs.readdirSync(path.join(tmpDir, '.planning', 'research', '.cache', 'websearch')).length, 1);
+
+    captured = '';
+    await cmdWebsearch(tmpDir, 'cached query', { noCache: true }, false);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(JSON.parse(captured).cached, false);
+  });
+
+  test('uses the configured locale for Brave', async () => {
+    process.env.BRAVE_API_KEY = 'test-key';
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({ websearch: { locale: 'de-AT' } }));
+    let capturedUrl = '';
+    global.fetch = async (url) => {
+      capturedUrl = url;
+      return { ok: true, json: async () => ({ web: { results: [] } }) };
+    };
+
+    await cmdWebsearch(tmpDir, 'query', { freshness: 'week' }, false);
+
+    const parsed = new URL(capturedUrl);
+    assert.strictEqual(parsed.searchParams.get('country'), 'at');
+    assert.strictEqual(parsed.searchParams.get('search_lang'), 'de');
+    assert.strictEqual(parsed.searchParams.get('freshness'), 'pw');
+  });
 });
@@ -0,0 +1,134 @@
+/**
+ * GSD Tools Tests - hooks/gsd-context-monitor.js
+ *
+ * Runs the context monitor hook against a statusline bridge file in tmp,
+ * with a temp HOME and a project config, and checks the injected message,
+ * debounce and the once-per-level actions.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTempProject, cleanup } = require('./helpers.cjs');
+
+const HOOK_PATH = path.join(__dirname, '..', 'hooks', 'gsd-context-monitor.js');
+
+let sessionCount = 0;
+
+describe('context monitor hook', () => {
+  let tmpDir;
+  let home;
+  let session;
+
+  const bridgePath = () => path.join(os.tmpdir(), `claude-ctx-${session}.json`);
+  const warnedPath = () => path.join(os.tmpdir(), `claude-ctx-${session}-warned.json`);
+  const planning = (...parts) => path.join(tmpDir, '.planning', ...parts);
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    home = path.join(tmpDir, 'home');
+    fs.mkdirSync(path.join(home, '.gsd'), { recursive: true });
+    session = `gsd-monitor-test-${process.pid}-${++sessionCount}`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(bridgePath(), { force: true });
+    fs.rmSync(warnedPath(), { force: true });
+    cleanup(tmpDir);
+  });
+
+  function configure({ defaults, project }) {
+    if (defaults) fs.writeFileSync(path.join(home, '.gsd', 'defaults.json'), JSON.stringify({ context_monitor: defaults }));
+    if (project) fs.writeFileSync(planning('config.json'), JSON.stringify({ context_monitor: project }));
+  }
+
+  /** Run one PostToolUse call with `remaining`% context left; returns the injected message or null. */
+  function callHook(remaining) {
+    fs.writeFileSync(bridgePath(), JSON.stringify({
+      session_id: session, remaining_percentage: remaining, used_pct: 100 - remaining, timestamp: Math.floor(Date.now() / 1000),
+    }));
+    const result = spawnSync(process.execPath, [HOOK_PATH], {
+      input: JSON.stringify({ session_id: session, cwd: tmpDir }),
+      env: { ...process.env, HOME: home, USERPROFILE: home },
+      encoding: 'utf-8',
+      timeout: 30000,
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout ? JSON.parse(result.stdout).hookSpecificOutput.additionalContext : null;
+  }
+
+  test('warns and escalates at the default thresholds', () => {
+    configure({ defaults: { actions: { critical: ['inject'] } } });
+    assert.strictEqual(callHook(40), null);
+    assert.match(callHook(30), /^CONTEXT MONITOR WARNING: Usage at 70%\. Remaining: 30%\./);
+    assert.match(callHook(20), /^CONTEXT MONITOR CRITICAL: Usage at 80%\. Remaining: 20%\./);
+  });
+
+  test('project config overrides ~/.gsd/defaults.json and critical is clamped to warning', () => {
+    configure({
+      defaults: { warning: 50, critical: 10, actions: { critical: ['inject'] } },
+      project: { critical: 60, stale_seconds: 'soon' },
+    });
+    assert.strictEqual(callHook(55), null);
+    // critical 60 > warning 50, so anything at or below 50 is critical
+    assert.match(callHook(50), /^CONTEXT MONITOR CRITICAL/);
+  });
+
+  test('debounces repeated warnings until debounce_calls tool uses have passed', () => {
+    configure({ project: { debounce_calls: 3, actions: { warning: ['inject'], critical: ['inject'] } } });
+    const messages = [30, 30, 30, 30].map(callHook);
+    assert.deepStrictEqual(messages.map(Boolean), [true, false, false, true]);
+    assert.match(callHook(20), /^CONTEXT MONITOR CRITICAL/, 'escalation bypasses the debounce');
+  });
+
+  test('runs each configured action once per level', () => {
+    fs.mkdirSync(planning('phases', '01-setup'), { recursive: true });
+    fs.writeFileSync(planning('STATE.md'), [
+      '# Project State',
+      '',
+      '**Current Phase:** 1',
+      '**Current Plan:** 2',
+      '',
+      '## Session Continuity',
+      '',
+      'Last session: 2026-01-01',
+      'Stopped At: Planning',
+      'Resume File: None',
+      '',
+    ].join('\n'));
+    configure({ project: { debounce_calls: 0, actions: { critical: ['inject', 'snapshot', 'continue-here', 'record-session'] } } });
+
+    const first = callHook(20);
+    assert.match(first, /Already done: Snapshot written to \.planning\/phases\/01-setup\/\.pause-snapshot\.json; Handoff written to .*01-setup\/\.continue-here\.md; Session position recorded in STATE\.md\.$/);
+    assert.ok(fs.existsSync(planning('phases', '01-setup', '.pause-snapshot.json')));
+    assert.ok(fs.existsSync(planning('phases', '01-setup', '.continue-here.md')));
+    const state = fs.readFileSync(planning('STATE.md'), 'utf-8');
+    assert.ok(state.includes('Stopped At: Context critical (80% used) at Phase 1, plan 2'), state);
+    assert.ok(state.includes('Resume File: .planning/phases/01-setup/.continue-here.md'), state);
+
+    // Same level again: the warning repeats, the actions do not
+    fs.rmSync(planning('phases', '01-setup', '.pause-snapshot.json'));
+    const second = callHook(18);
+    assert.match(second, /^CONTEXT MONITOR CRITICAL/);
+    assert.ok(!second.includes('Already done'));
+    assert.ok(!fs.existsSync(planning('phases', '01-setup', '.pause-snapshot.json')));
+  });
+
+  test('actions fail fast instead of waiting for a held planning lock', () => {
+    fs.writeFileSync(planning('STATE.md'), '# Project State\n\n**Current Phase:** 1\n\nLast session: 2026-01-01\n');
+    fs.writeFileSync(planning('.lock'), JSON.stringify({
+      pid: process.pid, host: os.hostname(), command: 'test', acquired: new Date().toISOString(),
+    }));
+    configure({ project: { actions: { critical: ['inject', 'record-session'] } } });
+
+    const started = Date.now();
+    const message = callHook(20);
+    assert.ok(Date.now() - started < 8000, `hook took ${Date.now() - started}ms`);
+    assert.match(message, /^CONTEXT MONITOR CRITICAL/);
+    assert.ok(!message.includes('Session position recorded'));
+    assert.ok(fs.readFileSync(planning('STATE.md'), 'utf-8').includes('Last session: 2026-01-01'));
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * GSD Tools Tests - context.cjs
+ *
+ * Tests for `context report` over the statusline context history log.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools, runGsdToolsJson, createTempProject, cleanup } = require('./helpers.cjs');
+
+function writeHistory(cwd, samples) {
+  const lines = samples.map(([session, phase, plan, used, status]) =>
+    JSON.stringify({ ts: '2026-01-01T00:00:00.000Z', session, phase, plan, status: status || 'In progress', used }));
+  fs.mkdirSync(path.join(cwd, '.planning', '.context'), { recursive: true });
+  fs.writeFileSync(path.join(cwd, '.planning', '.context', 'history.jsonl'), lines.join('\n') + '\nnot json\n');
+}
+
+describe('context report', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('attributes usage rises to the active plan and counts compactions', () => {
+    writeHistory(tmpDir, [
+      ['s1', '2', '1', 12, 'Planning'],
+      ['s1', '2', '1', 30],
+      ['s1', '2', '2', 45],
+      ['s1', '2', '2', 70],
+      ['s1', '2', '2', 15],
+      ['s1', '2', '2', 40],
+      ['s2', '3', '1', 10],
+      ['s2', '3', '1', 25],
+    ]);
+
+    const byPlan = runGsdToolsJson(['context', 'report'], tmpDir);
+    assert.strictEqual(byPlan.sessions, 2);
+    assert.deepStrictEqual(byPlan.groups.map(g => [g.key, g.sessions, g.consumed_pct, g.peak_pct, g.compactions]),
+      [['2-2', 1, 65, 70, 1], ['2-1', 1, 18, 30, 0], ['3-1', 1, 15, 25, 0]]);
+
+    const byStatus = runGsdToolsJson(['context', 'report', '--by', 'status'], tmpDir);
+    assert.deepStrictEqual(byStatus.groups.map(g => [g.key, g.consumed_pct]), [['In progress', 98], ['Planning', 0]]);
+
+    const phase2 = runGsdToolsJson(['context', 'report', '--phase', '2', '--limit', '1'], tmpDir);
+    assert.deepStrictEqual(phase2.groups.map(g => g.key), ['2-2']);
+
+    const table = runGsdTools(['context', 'report', '--raw'], tmpDir).output.split('\n');
+    assert.match(table[0], /^plan\s+sessions\s+consumed_pct\s+peak_pct\s+compactions$/);
+    assert.match(table[1], /^2-2\s+1\s+65\s+70\s+1$/);
+  });
+
+  test('reports nothing without history and rejects unknown groupings', () => {
+    assert.deepStrictEqual(runGsdToolsJson(['context', 'report'], tmpDir).groups, []);
+    assert.ok(runGsdTools(['context', 'report', '--by', 'weekday'], tmpDir).error.includes('Invalid --by: weekday'));
+  });
+});
@@ -14,6 +14,8 @@ const os = require('os');
 const {
   loadConfig,
   resolveModelInternal,
+  explainModelInternal,
+  modelProfileIssues,
   MODEL_PROFILES,
   escapeRegex,
   generateSlugInternal,
@@ -199,6 +201,91 @@ describe('resolveModelInternal', () => {
       assert.strictEqual(resolveModelInternal(tmpDir, 'gsd-planner'), 'inherit');
     });
   });
+
+  describe('custom profiles', () => {
+    let homeDir;
+    let origHome;
+
+    beforeEach(() => {
+      homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-home-'));
+      origHome = process.env.HOME;
+      process.env.HOME = homeDir;
+    });
+
+    afterEach(() => {
+      process.env.HOME = origHome;
+      fs.rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    function writeUserDefaults(obj) {
+      fs.mkdirSync(path.join(homeDir, '.gsd'), { recursive: true });
+      fs.writeFileSync(path.join(homeDir, '.gsd', 'defaults.json'), JSON.stringify(obj));
+    }
+
+    test('project profile extends a built-in profile', () => {
+      writeConfig({
+        model_profile: 'nightly',
+        model_profiles: { nightly: { extends: 'budget', 'gsd-executor': 'haiku' } },
+      });
+      const executor = explainModelInternal(tmpDir, 'gsd-executor');
+      assert.strictEqual(executor.model, 'haiku');
+      assert.deepStrictEqual(executor.chosen_by, { layer: 'project', profile: 'nightly', source: '.planning/config.json' });
+
+      const planner = explainModelInternal(tmpDir, 'gsd-planner');
+      assert.strictEqual(planner.model, 'sonnet');
+      assert.deepStrictEqual(planner.chosen_by, { layer: 'builtin', profile: 'budget', source: 'MODEL_PROFILES' });
+      assert.deepStrictEqual(planner.chain.map(c => `${c.layer}:${c.profile}`), ['project:nightly', 'builtin:budget']);
+    });
+
+    test('user defaults define profiles and project definitions layer over them', () => {
+      writeUserDefaults({ model_profiles: { nightly: { extends: 'quality', 'gsd-verifier': 'haiku', 'gsd-debugger': 'haiku' } } });
+      writeConfig({ model_profile: 'nightly', model_profiles: { nightly: { 'gsd-debugger': 'sonnet' } } });
+
+      assert.strictEqual(explainModelInternal(tmpDir, 'gsd-debugger').chosen_by.layer, 'project');
+      assert.strictEqual(resolveModelInternal(tmpDir, 'gsd-debugger'), 'sonnet');
+      assert.strictEqual(explainModelInternal(tmpDir, 'gsd-verifier').chosen_by.layer, 'user');
+      assert.strictEqual(resolveModelInternal(tmpDir, 'gsd-verifier'), 'haiku');
+      assert.strictEqual(resolveModelInternal(tmpDir, 'gsd-planner'), 'inherit', 'quality planner is opus');
+    });
+
+    test('model_overrides still win over custom profiles', () => {
+      writeConfig({
+        model_profile: 'nightly',
+        model_profiles: { nightly: { extends: 'budget', 'gsd-executor': 'haiku' } },
+        model_overrides: { 'gsd-executor': 'opus' },
+      });
+      const explained = explainModelInternal(tmpDir, 'gsd-executor');
+      assert.strictEqual(explained.model, 'inherit');
+      assert.strictEqual(explained.chosen_by.layer, 'model_overrides');
+    });
+
+    test('unknown profiles fall back to balanced and cycles stop', () => {
+      writeConfig({ model_profile: 'missing' });
+      const missing = explainModelInternal(tmpDir, 'gsd-executor');
+      assert.strictEqual(missing.model, 'sonnet');
+      assert.deepStrictEqual(missing.issues, ['Unknown model profile: missing']);
+
+      writeConfig({ model_profile: 'a', model_profiles: { a: { extends: 'b' }, b: { extends: 'a' } } });
+      const cyclic = explainModelInternal(tmpDir, 'gsd-planner');
+      assert.strictEqual(cyclic.chosen_by.layer, 'default');
+      assert.deepStrictEqual(cyclic.issues, ['Model profile cycle: a → b → a']);
+    });
+
+    test('modelProfileIssues flags unknown agents, models and parents', () => {
+      writeUserDefaults({ model_profiles: { mine: { extends: 'cheap' } } });
+      writeConfig({
+        model_profile: 'nightly',
+        model_profiles: { nightly: { extends: 'budget', description: 'Overnight', 'gsd-exector': 'haiku', 'gsd-planner': 'gpt' } },
+        model_overrides: { 'gsd-foo': 'haiku' },
+      });
+      assert.deepStrictEqual(modelProfileIssues(tmpDir), [
+        'model_overrides: unknown agent "gsd-foo"',
+        '.planning/config.json model_profiles.nightly: unknown agent "gsd-exector"',
+        '.planning/config.json model_profiles.nightly: invalid model "gpt" for gsd-planner',
+        '~/.gsd/defaults.json model_profiles.mine: Profile mine extends unknown profile cheap',
+      ]);
+    });
+  });
 });
 
 // ─── escapeRegex ───────────────────────────────────────────────────────────────
@@ -0,0 +1,91 @@
+/**
+ * GSD Tools Tests - diff.cjs
+ *
+ * Tests for the line diff and unified diff rendering used by --dry-run.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { diffLines, unifiedDiff } = require('../get-shit-done/bin/lib/diff.cjs');
+
+describe('diffLines', () => {
+  test('returns only context for identical input', () => {
+    assert.deepStrictEqual(diffLines(['a', 'b'], ['a', 'b']).map(e => e.type), [' ', ' ']);
+  });
+
+  test('finds a minimal edit script', () => {
+    const edits = diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']);
+    assert.deepStrictEqual(edits, [
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'x' },
+      { type: ' ', line: 'c' },
+      { type: '+', line: 'd' },
+    ]);
+  });
+
+  test('replaces the changed block wholesale past the edit-distance cap', () => {
+    const before = ['keep', ...Array.from({ length: 3000 }, (_, i) => `old ${i}`), 'tail'];
+    const after = ['keep', ...Array.from({ length: 3000 }, (_, i) => `new ${i}`), 'tail'];
+    const types = diffLines(before, after).map(e => e.type).join('');
+    assert.strictEqual(types, ' ' + '-'.repeat(3000) + '+'.repeat(3000) + ' ');
+  });
+
+  test('handles empty sides', () => {
+    assert.deepStrictEqual(diffLines([], ['a']), [{ type: '+', line: 'a' }]);
+    assert.deepStrictEqual(diffLines(['a'], []), [{ type: '-', line: 'a' }]);
+  });
+});
+
+describe('unifiedDiff', () => {
+  const numbered = n => Array.from({ length: n }, (_, i) => String(i + 1)).join('\n') + '\n';
+
+  test('returns empty string when texts match', () => {
+    assert.strictEqual(unifiedDiff('a\n', 'a\n'), '');
+  });
+
+  test('renders headers and hunks with three lines of context', () => {
+    const before = numbered(12);
+    const after = before.replace('3\n', 'three\n') + '13\n';
+    assert.strictEqual(unifiedDiff(before, after, { fromFile: 'a/f', toFile: 'b/f' }), [
+      '--- a/f',
+      '+++ b/f',
+      '@@ -1,6 +1,6 @@',
+      ' 1',
+      ' 2',
+      '-3',
+      '+three',
+      ' 4',
+      ' 5',
+      ' 6',
+      '@@ -10,3 +10,4 @@',
+      ' 10',
+      ' 11',
+      ' 12',
+      '+13',
+      '',
+    ].join('\n'));
+  });
+
+  test('merges nearby changes into one hunk', () => {
+    const before = numbered(10);
+    const after = before.replace('2\n', 'two\n').replace('8\n', 'eight\n');
+    const hunks = unifiedDiff(before, after).split('\n').filter(l => l.startsWith('@@'));
+    assert.deepStrictEqual(hunks, ['@@ -1,10 +1,10 @@']);
+  });
+
+  test('marks a missing newline at end of file', () => {
+    assert.strictEqual(unifiedDiff('a\nb\n', 'a\nb'), [
+      '--- a', '+++ b', '@@ -1,2 +1,2 @@', ' a', '-b', '+b', '\\ No newline at end of file', '',
+    ].join('\n'));
+    assert.strictEqual(unifiedDiff('a\nb', 'x\nb'), [
+      '--- a', '+++ b', '@@ -1,2 +1,2 @@', '-a', '+x', ' b', '\\ No newline at end of file', '',
+    ].join('\n'));
+  });
+
+  test('uses zero ranges for file creation and deletion', () => {
+    assert.ok(unifiedDiff('', 'new\n').includes('@@ -0,0 +1,1 @@\n+new\n'));
+    assert.ok(unifiedDiff('old\n', '').includes('@@ -1,1 +0,0 @@\n-old\n'));
+  });
+});
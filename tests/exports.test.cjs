@@ -0,0 +1,187 @@
+/**
+ * GSD Tools Tests - exports.cjs
+ *
+ * Tests for the JS/TS export scanner and the regex fallback used by
+ * verify artifacts.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  scanJsExports,
+  parseExpectation,
+  checkExports,
+  registerExportChecker,
+} = require('../get-shit-done/bin/lib/exports.cjs');
+
+function summarize(mod) {
+  return Object.fromEntries([...mod.named].map(([name, info]) => [name, info.params || info.kind]));
+}
+
+describe('scanJsExports', () => {
+  test('collects ESM declarations with parameters', () => {
+    const mod = scanJsExports([
+      'export function GET(req: Request, { params }: Ctx): Response {}',
+      'export async function POST(req, ...rest) {}',
+      'export const a = 1, b = (x, y) => x',
+      'export const c: Map<string, number> = new Map();',
+      'export const handler = async event => {}',
+      'export type Foo = { a: string }',
+      'export interface Bar { x: number }',
+      'export enum Color { Red }',
+    ].join('\n'));
+    assert.deepStrictEqual(summarize(mod), {
+      GET: ['req', '{}'],
+      POST: ['req', '...rest'],
+      a: 'value',
+      b: ['x', 'y'],
+      c: 'value',
+      handler: ['event'],
+      Foo: 'type',
+      Bar: 'type',
+      Color: 'enum',
+    });
+    assert.strictEqual(mod.default, null);
+  });
+
+  test('collects class members, skipping initializers and method bodies', () => {
+    const mod = scanJsExports([
+      'export default class Store<T> extends Base {',
+      "  static VERSION = '1';",
+      '  #secret = 3;',
+      '  private cache: Map<string, T> = new Map();',
+      '  constructor(private db: Db, opts = {}) { super(); helper(); }',
+      '  get size() { return 1 }',
+      '  async load(key: string, fallback?: T): Promise<T> { return fallback }',
+      '  @log() save(x) {}',
+      '}',
+    ].join('\n'));
+    assert.strictEqual(mod.default.kind, 'class');
+    assert.deepStrictEqual([...mod.default.members.keys()], ['VERSION', '#secret', 'cache', 'constructor', 'size', 'load', 'save']);
+    assert.deepStrictEqual(mod.default.members.get('constructor').params, ['db', 'opts']);
+    assert.deepStrictEqual(mod.default.members.get('load').params, ['key', 'fallback']);
+  });
+
+  test('resolves export lists and re-exports', () => {
+    const mod = scanJsExports([
+      'function run(a) {}',
+      'export { run, run as default, run as alias }',
+      "export { thing as other } from './other'",
+      "export * from './all'",
+      "export * as ns from './ns'",
+    ].join('\n'));
+    assert.deepStrictEqual(mod.named.get('run').params, ['a']);
+    assert.deepStrictEqual(mod.default.params, ['a']);
+    assert.deepStrictEqual(mod.named.get('other'), { from: './other', imported: 'thing' });
+    assert.strictEqual(mod.named.get('ns').kind, 'namespace');
+    assert.deepStrictEqual(mod.stars, ['./all']);
+  });
+
+  test('collects CommonJS exports', () => {
+    const mod = scanJsExports([
+      'function cmdA(cwd, raw) {}',
+      'class Svc { run(a) {} }',
+      'module.exports = { cmdA, Svc, inline(a, b) {}, val: 3 };',
+      'module.exports.extra = function (x) {};',
+      'exports.arrow = y => y;',
+    ].join('\n'));
+    assert.deepStrictEqual(summarize(mod), {
+      cmdA: ['cwd', 'raw'],
+      Svc: 'class',
+      inline: ['a', 'b'],
+      val: 'value',
+      extra: ['x'],
+      arrow: ['y'],
+    });
+    assert.strictEqual(mod.default.kind, 'object');
+  });
+
+  test('module.exports of a local object exports its keys', () => {
+    const mod = scanJsExports('const api = { go(a) {} }\nmodule.exports = api\n');
+    assert.deepStrictEqual(mod.named.get('go').params, ['a']);
+  });
+});
+
+describe('parseExpectation', () => {
+  test('parses names, members and parameter lists', () => {
+    assert.deepStrictEqual(parseExpectation('GET'), { raw: 'GET', name: 'GET', member: null, params: null });
+    assert.deepStrictEqual(parseExpectation('Store.get(key: string, opts = {}, ...rest)'), {
+      raw: 'Store.get(key: string, opts = {}, ...rest)', name: 'Store', member: 'get', params: ['key', 'opts', '...rest'],
+    });
+    assert.deepStrictEqual(parseExpectation('init()').params, []);
+  });
+});
+
+describe('checkExports', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-exports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reports missing exports, members and signature mismatches', () => {
+    const file = path.join(tmpDir, 'store.ts');
+    const content = [
+      '// export function ghost() {}',
+      'export class Store { constructor(db) {} get(key) {} }',
+      'export function init(a, b) {}',
+    ].join('\n');
+    const result = checkExports(file, content, ['ghost', 'Store(db)', 'Store.get(key)', 'Store.put', 'init(a)', 'Store.get.x']);
+    assert.strictEqual(result.checker, 'js');
+    assert.deepStrictEqual(result.issues, [
+      'Missing export: ghost',
+      'Missing member: Store.put',
+      'Signature mismatch: expected init(a), found init(a, b)',
+      'Missing export: Store.get.x',
+    ]);
+  });
+
+  test('keeps exports after single-line JSX in .jsx and .tsx files', () => {
+    const content = [
+      'export function App() { return <div className="x">hi</div>; }',
+      'export const Item = ({ label }: Props) => <li><b>{label}</b></li>;',
+      'export function after(a) {}',
+    ].join('\n');
+    for (const file of ['App.tsx', 'App.jsx', 'App.js']) {
+      const result = checkExports(file, content, ['App', 'Item', 'after(a)']);
+      assert.deepStrictEqual(result, { checker: 'js', issues: [] }, file);
+    }
+  });
+
+  test('follows re-exports into relative modules', () => {
+    fs.writeFileSync(path.join(tmpDir, 'impl.ts'), 'export function thing(a, b) {}\nexport class K { m(x) {} }\n');
+    const index = path.join(tmpDir, 'index.ts');
+    const content = "export * from './impl.js'\nexport { thing as other } from './impl'\nexport { x } from 'some-package'\n";
+    const result = checkExports(index, content, ['thing(a, b)', 'other(a)', 'K.m(x)', 'x', 'missing']);
+    assert.deepStrictEqual(result.issues, [
+      'Signature mismatch: expected other(a), found other(a, b)',
+      'Missing export: missing',
+    ]);
+  });
+
+  test('falls back to regex definitions for other languages', () => {
+    const py = checkExports('app.py', '# def ghost():\ndef real(a):\n    pass\nclass Model:\n    pass\n', ['real', 'Model', 'ghost']);
+    assert.deepStrictEqual(py, { checker: 'regex', issues: ['Missing export: ghost'] });
+
+    const go = checkExports('main.go', '// func Ghost()\nfunc (s *Server) Serve() {}\ntype Config struct{}\n', ['Serve', 'Config', 'Ghost']);
+    assert.deepStrictEqual(go.issues, ['Missing export: Ghost']);
+
+    const other = checkExports('query.sql', '-- create_user\nCREATE FUNCTION list_users()', ['list_users', 'create_user']);
+    assert.deepStrictEqual(other.issues, ['Missing export: create_user']);
+  });
+
+  test('uses registered checkers for their extensions', () => {
+    registerExportChecker('test-lang', ['.testlang'], (content, expected) =>
+      expected.filter(name => !content.split(/\s+/).includes(`def:${name}`)).map(name => `Missing export: ${name}`));
+    const result = checkExports('mod.testlang', 'def:a def:b', ['a', 'c']);
+    assert.deepStrictEqual(result, { checker: 'test-lang', issues: ['Missing export: c'] });
+  });
+});
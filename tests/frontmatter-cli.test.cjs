@@ -170,6 +170,53 @@ describe('frontmatter merge', () => {
     assert.ok(parsed.error, 'Should have error field');
   });
 
+  test('round-trips must_haves, block scalars and comments untouched', () => {
+    const original = [
+      '---',
+      'phase: 01',
+      'wave: 2',
+      'autonomous: false',
+      '# Goal-backward checks',
+      'must_haves:',
+      '  truths:',
+      '    - "User can log in: with email"',
+      '  artifacts:',
+      '    - path: src/auth.ts',
+      '      min_lines: 40',
+      '      exports: [login, "a, b"]',
+      'notes: |',
+      '  first line',
+      '  second line',
+      '---',
+      'body',
+    ].join('\n');
+    const file = writeTempFile(original);
+    const result = runGsdTools(['frontmatter', 'merge', file, '--data', '{"type":"execute"}']);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    const content = fs.readFileSync(file, 'utf-8');
+    assert.ok(content.includes('# Goal-backward checks\nmust_haves:'), 'comment should be preserved');
+    const { extractFrontmatter } = require('../get-shit-done/bin/lib/frontmatter.cjs');
+    const fm = extractFrontmatter(content);
+    assert.strictEqual(fm.wave, 2);
+    assert.strictEqual(fm.autonomous, false);
+    assert.strictEqual(fm.notes, 'first line\nsecond line\n');
+    assert.deepStrictEqual(fm.must_haves, {
+      truths: ['User can log in: with email'],
+      artifacts: [{ path: 'src/auth.ts', min_lines: 40, exports: ['login', 'a, b'] }],
+    });
+    assert.strictEqual(fm.type, 'execute');
+  });
+
+  test('refuses to rewrite unparseable frontmatter', () => {
+    const original = '---\nphase: 01\ntags: [open\n---\nbody';
+    const file = writeTempFile(original);
+    const result = runGsdTools(['frontmatter', 'merge', file, '--data', '{"plan":"02"}']);
+    assert.ok(!result.success, 'Command should fail');
+    assert.ok(result.error.includes('Cannot parse frontmatter'), result.error);
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), original, 'file should be untouched');
+  });
+
   test('returns error for invalid JSON data', () => {
     const file = writeTempFile('---\nphase: 01\n---\nbody');
     const result = runGsdTools(`frontmatter merge ${file} --data 'not json'`);
@@ -254,6 +301,42 @@ body`;
     assert.strictEqual(parsed.schema, 'verification');
   });
 
+  test('reports type and nested shape errors', () => {
+    const content = `---
+phase: 01
+plan: 01
+type: execute
+wave: two
+depends_on: []
+files_modified: [src/auth.ts]
+autonomous: true
+must_haves:
+  artifacts:
+    - provides: "Auth"
+---
+body`;
+    const file = writeTempFile(content);
+    const result = runGsdTools(`frontmatter validate ${file} --schema plan`);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const parsed = JSON.parse(result.output);
+    assert.strictEqual(parsed.valid, false);
+    assert.deepStrictEqual(parsed.missing, []);
+    assert.deepStrictEqual(parsed.errors, [
+      { path: 'wave', message: 'expected integer, got string' },
+      { path: 'must_haves.artifacts[0].path', message: 'is required' },
+    ]);
+  });
+
+  test('validates todo and debug files', () => {
+    const todo = writeTempFile('---\ncreated: 2026-02-25T10:00\ntitle: Fix login\narea: auth\n---\n');
+    assert.strictEqual(JSON.parse(runGsdTools(`frontmatter validate ${todo} --schema todo`).output).valid, true);
+
+    const debug = writeTempFile('---\nstatus: stuck\ntrigger: "login fails"\ncreated: 2026-02-25\nupdated: 2026-02-25\n---\n');
+    const parsed = JSON.parse(runGsdTools(`frontmatter validate ${debug} --schema debug`).output);
+    assert.strictEqual(parsed.valid, false);
+    assert.strictEqual(parsed.errors[0].path, 'status');
+  });
+
   test('returns error for unknown schema', () => {
     const file = writeTempFile('---\nphase: 01\n---\n');
     const result = runGsdTools(`frontmatter validate ${file} --schema unknown`);
@@ -1,7 +1,7 @@
 /**
  * GSD Tools Tests - frontmatter.cjs
  *
- * Tests for the hand-rolled YAML parser's pure function exports:
+ * Tests for the frontmatter pure function exports built on yaml.cjs:
  * extractFrontmatter, reconstructFrontmatter, spliceFrontmatter,
  * parseMustHavesBlock, and FRONTMATTER_SCHEMAS.
  *
@@ -54,21 +54,37 @@ describe('extractFrontmatter', () => {
     assert.deepStrictEqual(result.key, ['a', 'b', 'c']);
   });
 
-  test('handles quoted commas in inline arrays — REG-04 known limitation', () => {
-    // REG-04: The split(',') on line 53 does NOT respect quotes.
-    // The parser WILL split on commas inside quotes, producing wrong results.
-    // This test documents the CURRENT (buggy) behavior.
+  test('handles quoted commas in inline arrays — REG-04', () => {
     const content = '---\nkey: ["a, b", c]\n---\n';
     const result = extractFrontmatter(content);
-    // Current behavior: splits on ALL commas, producing 3 items instead of 2
-    // Expected correct behavior would be: ["a, b", "c"]
-    // Actual current behavior: ["a", "b", "c"] (split ignores quotes)
-    assert.ok(Array.isArray(result.key), 'should produce an array');
-    assert.ok(result.key.length >= 2, 'should produce at least 2 items from comma split');
-    // The bug produces ["a", "b\"", "c"] or similar — the exact output depends on
-    // how the regex strips quotes after the split.
-    // We verify the key insight: the result has MORE items than intended (known limitation).
-    assert.ok(result.key.length > 2, 'REG-04: split produces more items than intended due to quoted comma bug');
+    assert.deepStrictEqual(result.key, ['a, b', 'c']);
+  });
+
+  test('preserves booleans, numbers and null', () => {
+    const content = '---\nwave: 2\nautonomous: false\nratio: 0.5\nowner: null\n---\n';
+    const result = extractFrontmatter(content);
+    assert.strictEqual(result.wave, 2);
+    assert.strictEqual(result.autonomous, false);
+    assert.strictEqual(result.ratio, 0.5);
+    assert.strictEqual(result.owner, null);
+  });
+
+  test('keeps zero-padded phase and plan numbers as strings', () => {
+    const result = extractFrontmatter('---\nphase: 01\nplan: 02.1\n---\n');
+    assert.strictEqual(result.phase, '01');
+    assert.strictEqual(result.plan, '02.1');
+  });
+
+  test('parses block scalars', () => {
+    const content = '---\nnotes: |\n  line one\n  line two\nsummary: >-\n  folded\n  text\n---\n';
+    const result = extractFrontmatter(content);
+    assert.strictEqual(result.notes, 'line one\nline two\n');
+    assert.strictEqual(result.summary, 'folded text');
+  });
+
+  test('returns empty object for malformed YAML', () => {
+    const result = extractFrontmatter('---\nkey: [unterminated\n---\n');
+    assert.deepStrictEqual(result, {});
   });
 
   test('returns empty object for no frontmatter', () => {
@@ -248,6 +264,19 @@ describe('spliceFrontmatter', () => {
   });
 });
 
+describe('spliceFrontmatter comment preservation', () => {
+  test('keeps comments, blank lines and key order of the replaced block', () => {
+    const content = '---\n# Identity\nphase: 01\nplan: 01 # first plan\n\n# Metrics\nduration: 5min\n---\nBody';
+    const fm = extractFrontmatter(content);
+    fm.duration = '7min';
+    const result = spliceFrontmatter(content, fm);
+    assert.strictEqual(
+      result,
+      '---\n# Identity\nphase: 01\nplan: 01 # first plan\n\n# Metrics\nduration: 7min\n---\nBody'
+    );
+  });
+});
+
 // ─── parseMustHavesBlock ────────────────────────────────────────────────────
 
 describe('parseMustHavesBlock', () => {
@@ -348,6 +377,23 @@ must_haves:
     assert.strictEqual(result[0].path, 'src/api.ts');
     // The nested array should be captured
     assert.ok(result[0].exports !== undefined, 'should have exports field');
+    assert.deepStrictEqual(result[0].exports, ['GET', 'POST']);
+  });
+
+  test('handles standard 2-space indentation and deeper nesting', () => {
+    const content = `---
+must_haves:
+  artifacts:
+    - path: src/api.ts
+      checks:
+        - name: lint
+          args: [--fix, "a, b"]
+---
+`;
+    const result = parseMustHavesBlock(content, 'artifacts');
+    assert.deepStrictEqual(result, [
+      { path: 'src/api.ts', checks: [{ name: 'lint', args: ['--fix', 'a, b'] }] },
+    ]);
   });
 });
 
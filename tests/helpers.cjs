@@ -2,6 +2,7 @@
  * GSD Tools Test Helpers
  */
 
+const assert = require('node:assert');
 const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -41,6 +42,15 @@ function runGsdTools(args, cwd = process.cwd()) {
   }
 }
 
+/**
+ * Run a gsd-tools command that must succeed and return its parsed JSON output.
+ */
+function runGsdToolsJson(args, cwd) {
+  const result = runGsdTools(args, cwd);
+  assert.ok(result.success, `Command failed: ${result.error}`);
+  return JSON.parse(result.output);
+}
+
 // Create temp directory structure
 function createTempProject() {
   const tmpDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'gsd-test-'));
@@ -72,4 +82,4 @@ function cleanup(tmpDir) {
   fs.rmSync(tmpDir, { recursive: true, force: true });
 }
 
-module.exports = { runGsdTools, createTempProject, createTempGitProject, cleanup, TOOLS_PATH };
+module.exports = { runGsdTools, runGsdToolsJson, createTempProject, createTempGitProject, cleanup, TOOLS_PATH };
@@ -0,0 +1,123 @@
+/**
+ * GSD Tools Tests - imports.cjs
+ *
+ * Tests for import scanning, module resolution (relative, index files,
+ * tsconfig paths) and import-chain search used by verify key-links.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  scanImports,
+  resolveImport,
+  parseJsonc,
+  findImportChain,
+} = require('../get-shit-done/bin/lib/imports.cjs');
+
+function write(root, rel, content = '') {
+  const file = path.join(root, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('scanImports', () => {
+  test('finds static, side-effect, re-export, require and dynamic imports', () => {
+    const specs = scanImports([
+      "import a from './a';",
+      "import './side-effect.css';",
+      "import type { T } from '@/types';",
+      "export { b } from '../b';",
+      "const c = require('./c');",
+      "const d = await import('./d');",
+      "import e = require('./e');",
+    ].join('\n'));
+    assert.deepStrictEqual(specs, ['./a', './side-effect.css', '@/types', '../b', './c', './d', './e']);
+  });
+
+  test('ignores imports in comments and strings and member calls', () => {
+    const specs = scanImports([
+      "// import x from './commented'",
+      "const s = \"import y from './in-string'\";",
+      "loader.require('./member');",
+    ].join('\n'));
+    assert.deepStrictEqual(specs, []);
+  });
+});
+
+describe('parseJsonc', () => {
+  test('accepts comments and trailing commas but keeps them in strings', () => {
+    const parsed = parseJsonc('{\n  // comment\n  "a": "http://x/*y*/", /* block */\n  "b": [1, 2,],\n}');
+    assert.deepStrictEqual(parsed, { a: 'http://x/*y*/', b: [1, 2] });
+  });
+});
+
+describe('resolveImport', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-imports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('resolves relative paths with implied extensions and index files', () => {
+    const from = write(root, 'src/app.ts');
+    const util = write(root, 'src/util.ts');
+    const index = write(root, 'src/lib/index.tsx');
+    assert.strictEqual(resolveImport(from, './util'), util);
+    assert.strictEqual(resolveImport(from, './util.js'), util);
+    assert.strictEqual(resolveImport(from, './lib'), index);
+    assert.strictEqual(resolveImport(from, './missing'), null);
+    assert.strictEqual(resolveImport(from, 'react'), null);
+  });
+
+  test('resolves tsconfig paths aliases, following extends', () => {
+    write(root, 'tsconfig.base.json', '{\n  // shared\n  "compilerOptions": { "paths": { "@/*": ["./src/*"], "@db": ["./src/db/client.ts"], }, },\n}');
+    write(root, 'tsconfig.json', '{ "extends": "./tsconfig.base" }');
+    const from = write(root, 'src/app/page.tsx');
+    const button = write(root, 'src/components/Button.tsx');
+    const db = write(root, 'src/db/client.ts');
+    assert.strictEqual(resolveImport(from, '@/components/Button'), button);
+    assert.strictEqual(resolveImport(from, '@db'), db);
+  });
+
+  test('resolves bare specifiers against baseUrl', () => {
+    write(root, 'jsconfig.json', '{ "compilerOptions": { "baseUrl": "src" } }');
+    const from = write(root, 'src/app.js');
+    const helper = write(root, 'src/utils/helper.js');
+    assert.strictEqual(resolveImport(from, 'utils/helper'), helper);
+  });
+});
+
+describe('findImportChain', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-imports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('finds the shortest chain within the depth bound', () => {
+    const a = write(root, 'a.js', "import './b';\nimport './c';\n");
+    const b = write(root, 'b.js', "import './d';\n");
+    const c = write(root, 'c.js', "import './e';\n");
+    const d = write(root, 'd.js', "import './e';\n");
+    const e = write(root, 'e.js', "require('./a');\n");
+    assert.deepStrictEqual(findImportChain(a, b), [a, b]);
+    assert.deepStrictEqual(findImportChain(a, e), [a, c, e]);
+    assert.deepStrictEqual(findImportChain(a, d, 2), [a, b, d]);
+    assert.strictEqual(findImportChain(a, e, 1), null);
+    assert.deepStrictEqual(findImportChain(b, c), [b, d, e, a, c]);
+    assert.strictEqual(findImportChain(b, c, 3), null);
+  });
+});
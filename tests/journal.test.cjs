@@ -0,0 +1,195 @@
+/**
+ * GSD Tools Tests - journal.cjs
+ *
+ * Tests for the operation journal: entries recorded by mutating commands,
+ * `journal list`, and `undo` with conflict detection.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+
+const TOOLS_PATH = path.join(__dirname, '..', 'get-shit-done', 'bin', 'gsd-tools.cjs');
+
+const ROADMAP = [
+  '# Roadmap',
+  '',
+  '### Phase 1: One',
+  '**Goal:** first',
+  '',
+  '### Phase 2: Two',
+  '**Goal:** second',
+  '',
+  '### Phase 3: Three',
+  '**Goal:** third',
+  '',
+].join('\n');
+
+const STATE = '# Project State\n\n**Status:** Executing\n**Total Phases:** 3\n';
+
+function snapshotTree(dir) {
+  const out = {};
+  const walk = (d, rel) => {
+    for (const entry of fs.readdirSync(d, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name === '.journal') continue;
+      const r = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        out[r + '/'] = true;
+        walk(path.join(d, entry.name), r);
+      } else {
+        out[r] = fs.readFileSync(path.join(d, entry.name), 'utf-8');
+      }
+    }
+  };
+  walk(dir, '');
+  return out;
+}
+
+describe('operation journal', () => {
+  let tmpDir;
+  let planning;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    planning = path.join(tmpDir, '.planning');
+    fs.writeFileSync(path.join(planning, 'ROADMAP.md'), ROADMAP);
+    fs.writeFileSync(path.join(planning, 'STATE.md'), STATE);
+    for (const dir of ['01-one', '02-two', '03-three']) {
+      fs.mkdirSync(path.join(planning, 'phases', dir));
+    }
+    fs.writeFileSync(path.join(planning, 'phases', '02-two', '02-01-PLAN.md'), '# Plan 2');
+    fs.writeFileSync(path.join(planning, 'phases', '03-three', '03-01-PLAN.md'), '# Plan 3');
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('records mutating commands and lists them newest first', () => {
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    assert.ok(runGsdTools('phase add Four', tmpDir).success);
+
+    const result = runGsdTools('journal list', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const listed = JSON.parse(result.output);
+    assert.strictEqual(listed.count, 2);
+    assert.deepStrictEqual(listed.entries.map(e => e.command), ['phase add Four', 'state update Status Done']);
+    assert.ok(listed.entries[1].files.includes('.planning/STATE.md'));
+    assert.strictEqual(fs.readFileSync(path.join(planning, '.journal', '.gitignore'), 'utf-8'), '*\n');
+  });
+
+  test('parallel commands outside the planning lock get distinct entries', async () => {
+    const files = ['a', 'b', 'c', 'd'];
+    for (const name of files) fs.writeFileSync(path.join(planning, `${name}.md`), '---\nstatus: draft\n---\n');
+    const codes = await Promise.all(files.map(name => new Promise(resolve => {
+      const child = spawn(process.execPath,
+        [TOOLS_PATH, 'frontmatter', 'set', `.planning/${name}.md`, '--field', 'status', '--value', 'done'],
+        { cwd: tmpDir, stdio: 'ignore' });
+      child.on('close', resolve);
+    })));
+    assert.deepStrictEqual(codes, [0, 0, 0, 0]);
+
+    const listed = JSON.parse(runGsdTools('journal list', tmpDir).output);
+    assert.deepStrictEqual(listed.entries.map(e => e.id).sort(), [1, 2, 3, 4]);
+    assert.deepStrictEqual(listed.entries.flatMap(e => e.files).sort(), files.map(name => `.planning/${name}.md`));
+  });
+
+  test('read-only commands leave no entry', () => {
+    assert.ok(runGsdTools('roadmap analyze', tmpDir).success);
+    assert.ok(runGsdTools('state-snapshot', tmpDir).success);
+    const listed = JSON.parse(runGsdTools('journal list', tmpDir).output);
+    assert.strictEqual(listed.count, 0);
+  });
+
+  test('undo restores a STATE.md edit and drops the entry', () => {
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    assert.notStrictEqual(fs.readFileSync(path.join(planning, 'STATE.md'), 'utf-8'), STATE);
+
+    const result = runGsdTools('undo', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const out = JSON.parse(result.output);
+    assert.deepStrictEqual(out.undone.map(e => e.command), ['state update Status Done']);
+    assert.strictEqual(out.remaining, 0);
+    assert.strictEqual(fs.readFileSync(path.join(planning, 'STATE.md'), 'utf-8'), STATE);
+    assert.strictEqual(JSON.parse(runGsdTools('journal list', tmpDir).output).count, 0);
+  });
+
+  test('undo reverts phase remove: directory, renumbering and docs', () => {
+    const before = snapshotTree(planning);
+    const removed = runGsdTools('phase remove 1', tmpDir);
+    assert.ok(removed.success, `Command failed: ${removed.error}`);
+    assert.ok(fs.existsSync(path.join(planning, 'phases', '02-three', '02-01-PLAN.md')));
+
+    const result = runGsdTools('undo', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.deepStrictEqual(snapshotTree(planning), before);
+  });
+
+  test('undo restores removed binary files byte for byte', () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe, 0xc3, 0x28]);
+    const image = path.join(planning, 'phases', '01-one', 'mockup.png');
+    fs.writeFileSync(image, bytes);
+
+    const removed = runGsdTools('phase remove 1 --force', tmpDir);
+    assert.ok(removed.success, `Command failed: ${removed.error}`);
+    assert.ok(!fs.existsSync(image));
+
+    const result = runGsdTools('undo', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(fs.readFileSync(image).equals(bytes));
+  });
+
+  test('undo --steps N reverts several operations newest first', () => {
+    const before = snapshotTree(planning);
+    assert.ok(runGsdTools('phase add Four', tmpDir).success);
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    assert.ok(runGsdTools('state update Status Verifying', tmpDir).success);
+
+    const result = runGsdTools('undo --steps 3', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.deepStrictEqual(JSON.parse(result.output).undone.map(e => e.id), [3, 2, 1]);
+    assert.deepStrictEqual(snapshotTree(planning), before);
+  });
+
+  test('undo restores a completed todo to pending', () => {
+    fs.mkdirSync(path.join(planning, 'todos', 'pending'), { recursive: true });
+    fs.writeFileSync(path.join(planning, 'todos', 'pending', 'fix.md'), 'title: Fix\n');
+    const before = snapshotTree(planning);
+
+    assert.ok(runGsdTools('todo complete fix.md', tmpDir).success);
+    assert.ok(runGsdTools('undo', tmpDir).success);
+    assert.deepStrictEqual(snapshotTree(planning), before);
+  });
+
+  test('refuses to undo over later edits unless --force', () => {
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    fs.appendFileSync(path.join(planning, 'STATE.md'), '\nmanual edit\n');
+
+    const refused = runGsdTools('undo', tmpDir);
+    assert.ok(!refused.success);
+    assert.match(refused.error, /STATE\.md changed since #1 \(state update Status Done\)/);
+    assert.match(refused.error, /--force/);
+    assert.ok(fs.readFileSync(path.join(planning, 'STATE.md'), 'utf-8').includes('manual edit'));
+
+    const forced = runGsdTools('undo --force', tmpDir);
+    assert.ok(forced.success, `Command failed: ${forced.error}`);
+    assert.strictEqual(JSON.parse(forced.output).forced, true);
+    assert.strictEqual(fs.readFileSync(path.join(planning, 'STATE.md'), 'utf-8'), STATE);
+  });
+
+  test('errors when there is nothing to undo', () => {
+    const result = runGsdTools('undo', tmpDir);
+    assert.ok(!result.success);
+    assert.match(result.error, /journal is empty/);
+  });
+
+  test('rejects a non-positive --steps', () => {
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    const result = runGsdTools('undo --steps 0', tmpDir);
+    assert.ok(!result.success);
+    assert.match(result.error, /--steps must be a positive integer/);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * GSD Tools Tests - js-tokens.cjs
+ *
+ * Tests for the JS/TS tokenizer shared by the export and import scanners.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { tokenize, skipGroup, skipExpression } = require('../get-shit-done/bin/lib/js-tokens.cjs');
+
+describe('tokenize', () => {
+  test('skips comments, strings, templates and regex literals', () => {
+    const tokens = tokenize([
+      '// export const a = 1',
+      '/* export const b = 2 */',
+      'const s = "export const c", r = /export const d/g;',
+      'const t = `export ${ {e: 1}.e } const f`;',
+    ].join('\n'));
+    const idents = tokens.filter(t => t.type === 'ident').map(t => t.value);
+    assert.deepStrictEqual(idents, ['const', 's', 'r', 'const', 't', 'e', 'e']);
+  });
+
+  test('treats </ as a JSX closing tag, not a regex', () => {
+    const tokens = tokenize('function App() { return <div>hi</div>; }\nexport const after = 1;');
+    assert.ok(!tokens.some(t => t.type === 'regex'));
+    assert.deepStrictEqual(tokens.filter(t => t.value === '{' || t.value === '}').map(t => t.value), ['{', '}']);
+    assert.strictEqual(tokens[tokens.length - 4].value, 'after');
+  });
+
+  test('marks tokens that follow a line break', () => {
+    const tokens = tokenize('a\nb c');
+    assert.deepStrictEqual(tokens.map(t => t.nl), [false, true, false]);
+  });
+});
+
+describe('token walking', () => {
+  test('skipGroup jumps past balanced brackets', () => {
+    const tokens = tokenize('f(a, [b, { c }]) + 1');
+    assert.strictEqual(tokens[skipGroup(tokens, 1)].value, '+');
+  });
+
+  test('skipExpression stops at commas and new statements', () => {
+    const tokens = tokenize('a = g(1, 2), b\nnext()');
+    const comma = skipExpression(tokens, 2);
+    assert.strictEqual(tokens[comma].value, ',');
+    assert.strictEqual(tokens[skipExpression(tokens, comma + 1)].value, 'next');
+  });
+});
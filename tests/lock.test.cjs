@@ -0,0 +1,157 @@
+/**
+ * GSD Tools Tests - lock.cjs
+ *
+ * Tests for the .planning/ advisory lock: held locks, stale takeover,
+ * waiting by default and --wait, and concurrent writers not losing updates.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+
+const TOOLS_PATH = path.join(__dirname, '..', 'get-shit-done', 'bin', 'gsd-tools.cjs');
+
+const STATE_FIXTURE = [
+  '# Project State',
+  '',
+  '**Status:** Executing',
+  '',
+  '## Performance Metrics',
+  '',
+  '| Plan | Duration | Tasks | Files |',
+  '|------|----------|-------|-------|',
+  '',
+].join('\n');
+
+function writeLock(tmpDir, info) {
+  fs.writeFileSync(path.join(tmpDir, '.planning', '.lock'), JSON.stringify({
+    host: os.hostname(),
+    command: 'state patch',
+    acquired: new Date().toISOString(),
+    ...info,
+  }));
+}
+
+function runAsync(args, cwd) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [TOOLS_PATH, ...args], { cwd, stdio: 'pipe' });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+describe('planning lock', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), STATE_FIXTURE);
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('releases the lock when the command exits', () => {
+    const result = runGsdTools('state update Status Done', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(!fs.existsSync(path.join(tmpDir, '.planning', '.lock')));
+  });
+
+  test('--wait=0 fails fast with the holder when the lock is held', () => {
+    writeLock(tmpDir, { pid: process.pid });
+
+    const result = runGsdTools('state update Status Done --wait=0', tmpDir);
+    assert.ok(!result.success, 'command should fail while locked');
+    assert.match(result.error, new RegExp(`locked by PID ${process.pid} \\(state patch\\)`));
+    assert.match(result.error, /--wait/);
+    assert.ok(fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8').includes('**Status:** Executing'));
+  });
+
+  test('takes over a lock whose process is gone', () => {
+    const dead = spawnSync(process.execPath, ['-e', '']);
+    writeLock(tmpDir, { pid: dead.pid });
+
+    const result = runGsdTools('state update Status Done', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(!fs.existsSync(path.join(tmpDir, '.planning', '.lock')));
+  });
+
+  test('takes over a lock older than the stale age', () => {
+    writeLock(tmpDir, { pid: process.pid, acquired: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+
+    const result = runGsdTools('state update Status Done', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+  });
+
+  test('--wait times out with a clear error', () => {
+    writeLock(tmpDir, { pid: process.pid });
+
+    const result = runGsdTools('state update Status Done --wait=0.2', tmpDir);
+    assert.ok(!result.success);
+    assert.match(result.error, /Timed out after 0\.2s waiting for \.planning\/ lock/);
+  });
+
+  test('waits for a held lock by default', async () => {
+    writeLock(tmpDir, { pid: process.pid });
+
+    const pending = runAsync(['state', 'update', 'Status', 'Done'], tmpDir);
+    setTimeout(() => fs.unlinkSync(path.join(tmpDir, '.planning', '.lock')), 300);
+    const result = await pending;
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.ok(fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8').includes('**Status:** Done'));
+  });
+
+  test('--wait proceeds once the holder releases the lock', async () => {
+    writeLock(tmpDir, { pid: process.pid });
+
+    const pending = runAsync(['state', 'update', 'Status', 'Done', '--wait=10'], tmpDir);
+    setTimeout(() => fs.unlinkSync(path.join(tmpDir, '.planning', '.lock')), 300);
+    const result = await pending;
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.ok(fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8').includes('**Status:** Done'));
+  });
+
+  test('rejects a non-numeric --wait value', () => {
+    const result = runGsdTools('state update Status Done --wait=soon', tmpDir);
+    assert.ok(!result.success);
+    assert.match(result.error, /Invalid --wait=soon/);
+  });
+
+  test('concurrent record-metric calls with --wait keep every row', async () => {
+    const runs = [1, 2, 3, 4].map(plan => runAsync(
+      ['state', 'record-metric', '--phase', '1', '--plan', String(plan), '--duration', '1min', '--wait'],
+      tmpDir
+    ));
+    const results = await Promise.all(runs);
+    for (const r of results) assert.strictEqual(r.code, 0, r.stderr);
+
+    const updated = fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8');
+    for (const plan of [1, 2, 3, 4]) {
+      assert.ok(updated.includes(`| Phase 1 P${plan} | 1min |`), `row for plan ${plan} missing`);
+    }
+  });
+
+  test('concurrent record-metric calls without --wait keep every row', async () => {
+    const plans = [1, 2, 3, 4, 5, 6];
+    const results = await Promise.all(plans.map(plan => runAsync(
+      ['state', 'record-metric', '--phase', '1', '--plan', String(plan), '--duration', '1min'],
+      tmpDir
+    )));
+    for (const r of results) assert.strictEqual(r.code, 0, r.stderr);
+
+    const updated = fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8');
+    for (const plan of plans) {
+      assert.ok(updated.includes(`| Phase 1 P${plan} | 1min |`), `row for plan ${plan} missing`);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * GSD Tools Tests - metrics.cjs
+ *
+ * Tests for the token/cost ledger (state record-metric, metrics record)
+ * and its aggregation (metrics report).
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runGsdTools, runGsdToolsJson, createTempProject, cleanup } = require('./helpers.cjs');
+
+const { parseDurationMinutes } = require('../get-shit-done/bin/lib/metrics.cjs');
+
+function ledger(cwd) {
+  return JSON.parse(fs.readFileSync(path.join(cwd, '.planning', 'metrics.json'), 'utf-8')).records;
+}
+
+describe('parseDurationMinutes', () => {
+  test('reads minutes, seconds, hours and bare numbers', () => {
+    assert.strictEqual(parseDurationMinutes('12min'), 12);
+    assert.strictEqual(parseDurationMinutes('90s'), 1.5);
+    assert.strictEqual(parseDurationMinutes('1.5h'), 90);
+    assert.strictEqual(parseDurationMinutes('7'), 7);
+    assert.strictEqual(parseDurationMinutes('soon'), null);
+  });
+});
+
+describe('metrics ledger', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), [
+      '# Project State',
+      '',
+      '## Performance Metrics',
+      '',
+      '| Plan | Duration | Tasks | Files |',
+      '|------|----------|-------|-------|',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n## v1.2: Billing\n');
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('record-metric keeps the STATE.md row and adds usage to the ledger', () => {
+    const out = runGsdToolsJson(['state', 'record-metric', '--phase', '2', '--plan', '1', '--duration', '5min', '--tasks', '3',
+      '--agent', 'gsd-executor', '--input-tokens', '1200', '--output-tokens', '300', '--cost', '0.05'], tmpDir);
+    assert.deepStrictEqual([out.recorded, out.tokens, out.cost_usd], [true, { input: 1200, output: 300 }, 0.05]);
+    assert.ok(fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8').includes('| Phase 2 P1 | 5min | 3 tasks | - files |'));
+
+    const [record] = ledger(tmpDir);
+    assert.strictEqual(record.milestone, 'v1.2');
+    assert.strictEqual(record.profile, 'balanced');
+    assert.strictEqual(record.model, 'sonnet', 'model defaults to the agent\'s resolved tier');
+    assert.deepStrictEqual([record.duration_min, record.input_tokens, record.cost_source], [5, 1200, 'reported']);
+  });
+
+  test('estimates cost from metrics.prices when none is reported', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({
+      metrics: { prices: { haiku: { input: 1, output: 5 } } },
+    }));
+    const out = runGsdToolsJson(['metrics', 'record', '--phase', '1', '--agent', 'gsd-phase-researcher', '--model', 'claude-haiku-4-5',
+      '--input-tokens', '2000000', '--output-tokens', '100000'], tmpDir);
+    assert.deepStrictEqual([out.record.cost_usd, out.record.cost_source], [2.5, 'estimated']);
+  });
+
+  test('--session records the delta of statusline totals', () => {
+    const session = `gsd-metrics-test-${process.pid}`;
+    const bridge = path.join(os.tmpdir(), `claude-ctx-${session}.json`);
+    const writeBridge = (input, output, cost) => fs.writeFileSync(bridge, JSON.stringify({
+      session_id: session, model_id: 'claude-sonnet-4-5', input_tokens: input, output_tokens: output, cost_usd: cost,
+    }));
+    try {
+      writeBridge(1000, 100, 0.01);
+      const first = runGsdToolsJson(['metrics', 'record', '--phase', '1', '--plan', '1', '--session', session], tmpDir).record;
+      assert.deepStrictEqual([first.input_tokens, first.cost_usd], [null, null],
+        'usage from before the first plan is not charged to it');
+      writeBridge(4000, 600, 0.04);
+      const second = runGsdToolsJson(['metrics', 'record', '--phase', '1', '--plan', '2', '--session', session], tmpDir).record;
+      assert.deepStrictEqual([second.input_tokens, second.output_tokens, second.cost_usd, second.model],
+        [3000, 500, 0.03, 'claude-sonnet-4-5']);
+    } finally {
+      fs.rmSync(bridge, { force: true });
+    }
+    assert.ok(runGsdTools(['metrics', 'record', '--phase', '1', '--session', 'gsd-no-such-session'], tmpDir)
+      .error.includes('No statusline data for session'));
+  });
+
+  test('metrics start baselines the session and latest only reads this project', () => {
+    const session = `gsd-metrics-start-${process.pid}`;
+    const other = `gsd-metrics-other-${process.pid}`;
+    const bridgePath = id => path.join(os.tmpdir(), `claude-ctx-${id}.json`);
+    const writeBridge = (id, cwd, input) => fs.writeFileSync(bridgePath(id), JSON.stringify({
+      session_id: id, cwd, input_tokens: input, output_tokens: input / 10, cost_usd: input / 100000,
+    }));
+    try {
+      writeBridge(session, path.join(tmpDir, 'src'), 5000);
+      const start = runGsdToolsJson(['metrics', 'start', '--session', 'latest'], tmpDir);
+      assert.deepStrictEqual([start.started, start.baseline.id, start.baseline.input_tokens], [true, session, 5000]);
+
+      writeBridge(session, path.join(tmpDir, 'src'), 8000);
+      // A newer session in another project must not be picked up as "latest"
+      writeBridge(other, os.tmpdir(), 90000);
+      const record = runGsdToolsJson(['metrics', 'record', '--phase', '1', '--plan', '1', '--session', 'latest'], tmpDir).record;
+      assert.deepStrictEqual([record.session.id, record.input_tokens, record.output_tokens, record.cost_usd],
+        [session, 3000, 300, 0.03]);
+    } finally {
+      fs.rmSync(bridgePath(session), { force: true });
+      fs.rmSync(bridgePath(other), { force: true });
+    }
+    assert.deepStrictEqual(runGsdToolsJson(['metrics', 'start'], tmpDir), { started: false, reason: 'No statusline data for this project' });
+  });
+
+  test('report aggregates by phase, agent and profile', () => {
+    runGsdToolsJson(['state', 'record-metric', '--phase', '1', '--plan', '1', '--duration', '4min', '--agent', 'gsd-executor',
+      '--input-tokens', '100', '--output-tokens', '10', '--cost', '0.5'], tmpDir);
+    runGsdToolsJson(['state', 'record-metric', '--phase', '1', '--plan', '2', '--duration', '6min', '--agent', 'gsd-executor',
+      '--input-tokens', '200', '--output-tokens', '20', '--cost', '0.25'], tmpDir);
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({ model_profile: 'budget' }));
+    runGsdToolsJson(['metrics', 'record', '--phase', '2', '--agent', 'gsd-phase-researcher', '--input-tokens', '50', '--cost', '0.1'], tmpDir);
+
+    const byPhase = runGsdToolsJson(['metrics', 'report'], tmpDir);
+    assert.deepStrictEqual(byPhase.groups.map(g => [g.key, g.plans, g.duration_min, g.input_tokens, g.cost_usd]),
+      [['1', 2, 10, 300, 0.75], ['2', 0, 0, 50, 0.1]]);
+    assert.deepStrictEqual([byPhase.totals.records, byPhase.totals.cost_usd], [3, 0.85]);
+
+    const byProfile = runGsdToolsJson(['metrics', 'report', '--by', 'profile'], tmpDir);
+    assert.deepStrictEqual(byProfile.groups.map(g => [g.key, g.cost_usd]), [['balanced', 0.75], ['budget', 0.1]]);
+
+    const phase1 = runGsdToolsJson(['metrics', 'report', '--by', 'agent', '--phase', '1', '--milestone', '1.2'], tmpDir);
+    assert.deepStrictEqual(phase1.groups.map(g => g.key), ['gsd-executor']);
+
+    const table = runGsdTools(['metrics', 'report', '--raw'], tmpDir).output.split('\n');
+    assert.match(table[0], /^phase\s+plans\s+minutes\s+input\s+output\s+cost_usd$/);
+    assert.match(table[3], /^total\s+2\s+10\s+350\s+30\s+0\.8500$/);
+  });
+
+  test('rejects invalid numbers and groupings', () => {
+    assert.ok(runGsdTools(['metrics', 'record', '--phase', '1', '--input-tokens', 'lots'], tmpDir).error.includes('Invalid --input-tokens: lots'));
+    assert.ok(runGsdTools(['metrics', 'record', '--phase', '1'], tmpDir).error.includes('Nothing to record'));
+    assert.ok(runGsdTools(['metrics', 'report', '--by', 'weekday'], tmpDir).error.includes('Invalid --by: weekday'));
+  });
+});
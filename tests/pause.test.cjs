@@ -0,0 +1,88 @@
+/**
+ * GSD Tools Tests - pause.cjs
+ *
+ * Tests for `pause snapshot` and how `init resume` surfaces it.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { runGsdToolsJson, createTempGitProject, cleanup } = require('./helpers.cjs');
+
+describe('pause snapshot', () => {
+  let tmpDir;
+  let homeDir;
+  let origHome;
+
+  beforeEach(() => {
+    tmpDir = createTempGitProject();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-home-'));
+    origHome = process.env.HOME;
+    process.env.HOME = homeDir;
+
+    const phaseDir = path.join(tmpDir, '.planning', 'phases', '03-api');
+    fs.mkdirSync(phaseDir, { recursive: true });
+    fs.writeFileSync(path.join(phaseDir, '03-01-PLAN.md'), '---\nwave: 1\n---\n<task>a</task>\n');
+    fs.writeFileSync(path.join(phaseDir, '03-01-SUMMARY.md'), '# Summary\n');
+    fs.writeFileSync(path.join(phaseDir, '03-02-PLAN.md'), '---\nwave: 2\n---\n<task>a</task>\n<task>b</task>\n');
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'),
+      '# Project State\n\n## Current Position\n\nPhase: 3 of 5 (API)\nPlan: 2 of 2 in current phase\nStatus: In progress\n');
+    execSync('git add -A && git commit -m plans', { cwd: tmpDir, stdio: 'pipe' });
+  });
+
+  afterEach(() => {
+    process.env.HOME = origHome;
+    fs.rmSync(homeDir, { recursive: true, force: true });
+    cleanup(tmpDir);
+  });
+
+  test('captures position, incomplete plans and uncommitted files in the phase directory', () => {
+    fs.writeFileSync(path.join(tmpDir, 'src.js'), 'wip\n');
+    fs.appendFileSync(path.join(tmpDir, '.planning', 'PROJECT.md'), 'edit\n');
+
+    const out = runGsdToolsJson(['pause', 'snapshot', '--reason', 'context critical'], tmpDir);
+    assert.strictEqual(out.path, '.planning/phases/03-api/.pause-snapshot.json');
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(tmpDir, out.path), 'utf-8'));
+    assert.strictEqual(snapshot.reason, 'context critical');
+    assert.deepStrictEqual(
+      [snapshot.position.phase, snapshot.position.phase_name, snapshot.position.plan, snapshot.position.total_plans],
+      ['3', 'API', '2', '2']);
+    assert.deepStrictEqual(snapshot.incomplete_plans, [{ id: '03-02', wave: 2, objective: null, task_count: 2 }]);
+    assert.deepStrictEqual(snapshot.git.uncommitted, [
+      { status: 'M', path: '.planning/PROJECT.md' },
+      { status: '??', path: 'src.js' },
+    ]);
+    assert.strictEqual(snapshot.todo, null);
+  });
+
+  test('records the in-progress todo of the session', () => {
+    const todosDir = path.join(homeDir, '.claude', 'todos');
+    fs.mkdirSync(todosDir, { recursive: true });
+    fs.writeFileSync(path.join(todosDir, 'abc-agent-abc.json'), JSON.stringify([
+      { content: 'Write tests', status: 'completed', activeForm: 'Writing tests' },
+      { content: 'Wire router', status: 'in_progress', activeForm: 'Wiring router' },
+    ]));
+    fs.writeFileSync(path.join(todosDir, 'other-agent-other.json'), JSON.stringify([
+      { content: 'Elsewhere', status: 'in_progress', activeForm: 'Elsewhere' },
+    ]));
+
+    const { snapshot } = runGsdToolsJson(['pause', 'snapshot', '--session', 'abc'], tmpDir);
+    assert.deepStrictEqual(snapshot.todo, { content: 'Wire router', active_form: 'Wiring router', file: 'abc-agent-abc.json' });
+  });
+
+  test('falls back to .planning without a current phase and init resume returns the newest', () => {
+    assert.strictEqual(runGsdToolsJson(['init', 'resume'], tmpDir).pause_snapshot, null);
+
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), '# Project State\n');
+    const first = runGsdToolsJson(['pause', 'snapshot'], tmpDir);
+    assert.strictEqual(first.path, '.planning/.pause-snapshot.json');
+
+    const resume = runGsdToolsJson(['init', 'resume'], tmpDir);
+    assert.strictEqual(resume.pause_snapshot.path, '.planning/.pause-snapshot.json');
+    assert.strictEqual(resume.pause_snapshot.snapshot.created_at, first.snapshot.created_at);
+  });
+});
@@ -6,7 +6,8 @@ const { test, describe, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
-const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+const { spawnSync } = require('child_process');
+const { runGsdTools, createTempProject, cleanup, TOOLS_PATH } = require('./helpers.cjs');
 
 describe('phases list command', () => {
   let tmpDir;
@@ -224,6 +225,17 @@ describe('phase-plan-index command', () => {
     assert.strictEqual(output.has_checkpoints, false, 'no checkpoints');
   });
 
+  test('warns when a plan\'s frontmatter does not parse', () => {
+    const phaseDir = path.join(tmpDir, '.planning', 'phases', '03-api');
+    fs.mkdirSync(phaseDir, { recursive: true });
+    fs.writeFileSync(path.join(phaseDir, '03-01-PLAN.md'), '---\nwave: 2\ndepends on: [03-00]\n---\n\n## Task 1: Build\n');
+
+    const result = spawnSync(process.execPath, [TOOLS_PATH, 'phase-plan-index', '03'], { cwd: tmpDir, encoding: 'utf-8' });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(JSON.parse(result.stdout).plans[0].wave, 1, 'unparsed frontmatter falls back to defaults');
+    assert.match(result.stderr, /^Warning: Cannot parse frontmatter in 03-01-PLAN\.md: .+; its fields are ignored$/m);
+  });
+
   test('extracts single plan with frontmatter', () => {
     const phaseDir = path.join(tmpDir, '.planning', 'phases', '03-api');
     fs.mkdirSync(phaseDir, { recursive: true });
@@ -580,6 +592,98 @@ Output: Chat component, API endpoints.
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// phase-plan-index wave validation
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('phase-plan-index wave validation', () => {
+  let tmpDir;
+  let phaseDir;
+
+  const writePlan = (id, fm) => {
+    fs.writeFileSync(path.join(phaseDir, `${id}-PLAN.md`), `---\n${fm}\n---\n\n<objective>\nPlan ${id}\n</objective>\n`);
+  };
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    phaseDir = path.join(tmpDir, '.planning', 'phases', '03-api');
+    fs.mkdirSync(phaseDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('valid plans report no issues and expose depends_on', () => {
+    writePlan('03-01', 'wave: 1\ndepends_on: []\nfiles_modified: [src/a.ts]');
+    writePlan('03-02', 'wave: 1\ndepends_on: []\nfiles_modified: [src/b.ts]');
+    writePlan('03-03', 'wave: 2\ndepends_on: ["01", "03-02"]\nfiles_modified: [src/a.ts]');
+
+    const output = JSON.parse(runGsdTools('phase-plan-index 03', tmpDir).output);
+    assert.strictEqual(output.valid, true);
+    assert.deepStrictEqual(output.issues, []);
+    assert.deepStrictEqual(output.plans[2].depends_on, ['01', '03-02']);
+  });
+
+  test('flags dependencies that are not in an earlier wave', () => {
+    writePlan('03-01', 'wave: 2\ndepends_on: []');
+    writePlan('03-02', 'wave: 2\ndepends_on: ["01"]');
+
+    const output = JSON.parse(runGsdTools('phase-plan-index 03', tmpDir).output);
+    assert.strictEqual(output.valid, false);
+    assert.deepStrictEqual(output.issues.map(i => [i.type, i.plans]), [['dependency_wave', ['03-02', '03-01']]]);
+    assert.match(output.issues[0].message, /03-02 \(wave 2\) depends on 03-01 \(wave 2\)/);
+  });
+
+  test('flags same-wave plans modifying the same file', () => {
+    writePlan('03-01', 'wave: 1\nfiles_modified: [src/db.ts, src/a.ts]');
+    writePlan('03-02', 'wave: 1\nfiles_modified: [./src/db.ts]');
+    writePlan('03-03', 'wave: 2\ndepends_on: ["01"]\nfiles_modified: [src/a.ts]');
+
+    const output = JSON.parse(runGsdTools('phase-plan-index 03', tmpDir).output);
+    assert.deepStrictEqual(output.issues, [{
+      type: 'file_conflict',
+      wave: 1,
+      file: 'src/db.ts',
+      plans: ['03-01', '03-02'],
+      message: 'src/db.ts is modified by 03-01 and 03-02 in wave 1',
+    }]);
+  });
+
+  test('flags unknown dependencies and cycles, ignores other phases', () => {
+    writePlan('03-01', 'wave: 1\ndepends_on: ["02-04", "07"]');
+    writePlan('03-02', 'wave: 2\ndepends_on: ["03"]');
+    writePlan('03-03', 'wave: 3\ndepends_on: ["02"]');
+
+    const output = JSON.parse(runGsdTools('phase-plan-index 03', tmpDir).output);
+    assert.deepStrictEqual(output.issues.map(i => i.type), ['unknown_dependency', 'dependency_cycle']);
+    assert.match(output.issues[0].message, /03-01 depends on unknown plan "07"/);
+    assert.deepStrictEqual(output.issues[1].plans, ['03-02', '03-03']);
+  });
+
+  test('--auto-waves derives waves from depends_on', () => {
+    writePlan('03-01', 'wave: 1\ndepends_on: []');
+    writePlan('03-02', 'wave: 1\ndepends_on: ["01"]');
+    writePlan('03-03', 'wave: 1\ndepends_on: []');
+    writePlan('03-04', 'wave: 1\ndepends_on: ["02", "03"]');
+
+    const output = JSON.parse(runGsdTools('phase-plan-index 03 --auto-waves', tmpDir).output);
+    assert.strictEqual(output.valid, true);
+    assert.deepStrictEqual(output.waves, { 1: ['03-01', '03-03'], 2: ['03-02'], 3: ['03-04'] });
+    assert.deepStrictEqual(output.plans.map(p => p.declared_wave), [1, 1, 1, 1]);
+  });
+
+  test('--auto-waves still reports file conflicts in the computed waves', () => {
+    writePlan('03-01', 'wave: 1\nfiles_modified: [src/a.ts]');
+    writePlan('03-02', 'wave: 2\nfiles_modified: [src/a.ts]');
+
+    const declared = JSON.parse(runGsdTools('phase-plan-index 03', tmpDir).output);
+    assert.strictEqual(declared.valid, true);
+    const auto = JSON.parse(runGsdTools('phase-plan-index 03 --auto-waves', tmpDir).output);
+    assert.deepStrictEqual(auto.issues.map(i => i.type), ['file_conflict']);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // state-snapshot command
 // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,104 @@
+/**
+ * GSD Tools Tests - position.cjs
+ *
+ * Tests for the STATE.md position parser shared by gsd-tools and the hooks,
+ * and its mtime-keyed cache.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempProject, cleanup } = require('./helpers.cjs');
+
+const {
+  findProjectRoot, parsePosition, readPosition, positionCachePath, readCachedPosition,
+} = require('../get-shit-done/bin/lib/position.cjs');
+
+describe('parsePosition', () => {
+  test('reads bold current-position fields', () => {
+    const position = parsePosition([
+      '# Project State',
+      '',
+      '**Current Phase:** 03',
+      '**Current Phase Name:** Billing API',
+      '**Current Plan:** 2',
+      '**Total Plans in Phase:** 4',
+      '**Status:** In progress',
+    ].join('\n'), '# Roadmap\n\n## v1.2: Billing\n');
+    assert.deepStrictEqual(position, {
+      milestone: 'v1.2', phase: '03', phase_name: 'Billing API', plan: '2', total_plans: '4', status: 'In progress', blockers: 0,
+    });
+  });
+
+  test('reads template-style fields and frontmatter', () => {
+    const template = [
+      '# Project State',
+      '',
+      '## Current Position',
+      '',
+      'Phase: 3 of 5 (Billing API)',
+      'Plan: 2 of 4 in current phase',
+      'Status: Ready to execute',
+    ].join('\n');
+    assert.deepStrictEqual(
+      (({ phase, phase_name, plan, total_plans, status }) => ({ phase, phase_name, plan, total_plans, status }))(parsePosition(template, null)),
+      { phase: '3', phase_name: 'Billing API', plan: '2', total_plans: '4', status: 'Ready to execute' });
+
+    const withFrontmatter = parsePosition('---\nmilestone: v2.0\ncurrent_phase: "7"\n---\n' + template, '## v1.2: Billing\n');
+    assert.deepStrictEqual([withFrontmatter.milestone, withFrontmatter.phase, withFrontmatter.plan], ['v2.0', '7', '2']);
+  });
+
+  test('counts open blockers but not placeholders or struck-out items', () => {
+    const state = blockers => parsePosition(`# Project State\n\n### Blockers/Concerns\n\n${blockers}\n\n## Session Continuity\n\n- Not a blocker\n`, null);
+    assert.strictEqual(state('[Issues that affect future work]\n\nNone yet.').blockers, 0);
+    assert.strictEqual(state('- None yet\n- [Issue]').blockers, 0);
+    assert.strictEqual(state('- Stripe keys missing\n- ~~Schema drift~~ fixed\n- Rate limits unclear').blockers, 2);
+  });
+});
+
+describe('project position on disk', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    fs.rmSync(positionCachePath(tmpDir), { force: true });
+    cleanup(tmpDir);
+  });
+
+  test('finds the project root from a subdirectory', () => {
+    const nested = path.join(tmpDir, 'src', 'api');
+    fs.mkdirSync(nested, { recursive: true });
+    assert.strictEqual(findProjectRoot(nested), path.resolve(tmpDir));
+  });
+
+  test('is null without STATE.md', () => {
+    assert.strictEqual(readPosition(tmpDir), null);
+    assert.strictEqual(readCachedPosition(tmpDir), null);
+  });
+
+  test('cache is reused until STATE.md or ROADMAP.md changes', () => {
+    const statePath = path.join(tmpDir, '.planning', 'STATE.md');
+    const roadmapPath = path.join(tmpDir, '.planning', 'ROADMAP.md');
+    const writeAt = (file, content, seconds) => {
+      fs.writeFileSync(file, content);
+      fs.utimesSync(file, seconds, seconds);
+    };
+    writeAt(statePath, '**Current Phase:** 1\n', 1000);
+    writeAt(roadmapPath, '## v1.0: MVP\n', 1000);
+    assert.deepStrictEqual([readCachedPosition(tmpDir).phase, readCachedPosition(tmpDir).milestone], ['1', 'v1.0']);
+
+    // Same mtimes: the cached position is returned without reparsing
+    writeAt(statePath, '**Current Phase:** 2\n', 1000);
+    assert.strictEqual(readCachedPosition(tmpDir).phase, '1');
+
+    writeAt(statePath, '**Current Phase:** 2\n', 2000);
+    assert.strictEqual(readCachedPosition(tmpDir).phase, '2');
+
+    writeAt(roadmapPath, '## v1.1: Polish\n', 2000);
+    assert.strictEqual(readCachedPosition(tmpDir).milestone, 'v1.1');
+  });
+});
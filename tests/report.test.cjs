@@ -0,0 +1,180 @@
+/**
+ * GSD Tools Tests - report.cjs
+ *
+ * Tests for the SARIF, JUnit and TAP renderings of verify/validate results
+ * and the --format flag on those commands.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+
+const { renderReport, escapeXml } = require('../get-shit-done/bin/lib/report.cjs');
+
+const CHECKS = [
+  { id: 'artifact', name: 'src/a.js', passed: true, file: 'src/a.js' },
+  { id: 'artifact', name: 'src/<b>.js', passed: false, level: 'error', message: 'src/<b>.js: File not found', file: 'plan.md' },
+  { id: 'W131', rule: 'Phase in ROADMAP.md but no directory on disk', name: 'Phase 2 missing', passed: false, level: 'warning', message: 'Phase 2 missing' },
+];
+
+describe('renderReport', () => {
+  test('sarif lists failed checks as results with rules and locations', () => {
+    const log = JSON.parse(renderReport('sarif', 'verify artifacts', CHECKS));
+    assert.strictEqual(log.version, '2.1.0');
+    const run = log.runs[0];
+    assert.strictEqual(run.tool.driver.name, 'gsd-tools');
+    assert.deepStrictEqual(run.tool.driver.rules, [
+      { id: 'artifact' },
+      { id: 'W131', shortDescription: { text: 'Phase in ROADMAP.md but no directory on disk' } },
+    ]);
+    assert.strictEqual(run.results.length, 2);
+    assert.deepStrictEqual(run.results[0], {
+      ruleId: 'artifact',
+      level: 'error',
+      message: { text: 'src/<b>.js: File not found' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'plan.md' } } }],
+    });
+    assert.strictEqual(run.results[1].level, 'warning');
+    assert.strictEqual(run.results[1].locations, undefined);
+  });
+
+  test('junit counts only error-level checks as failures and escapes XML', () => {
+    const xml = renderReport('junit', 'verify artifacts', CHECKS);
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(xml.includes('<testsuite name="verify artifacts" tests="3" failures="1"'));
+    assert.ok(xml.includes('<testcase classname="verify artifacts" name="src/a.js" file="src/a.js"/>'));
+    assert.ok(xml.includes('<failure type="artifact" message="src/&lt;b&gt;.js: File not found"/>'));
+    assert.ok(xml.includes('<system-out>warning W131: Phase 2 missing</system-out>'));
+  });
+
+  test('tap emits a plan line and YAML diagnostics for problems', () => {
+    const tap = renderReport('tap', 'verify artifacts', CHECKS).split('\n');
+    assert.deepStrictEqual(tap.slice(0, 5), [
+      'TAP version 13',
+      '# verify artifacts',
+      '1..3',
+      'ok 1 - src/a.js',
+      'not ok 2 - src/<b>.js',
+    ]);
+    assert.ok(tap.includes('  severity: error'));
+    assert.ok(tap.includes('ok 3 - Phase 2 missing'));
+    assert.ok(tap.includes('  severity: warning'));
+  });
+
+  test('tap escapes # in descriptions', () => {
+    const tap = renderReport('tap', 's', [{ id: 'x', name: 'issue #4', passed: true }]);
+    assert.ok(tap.includes('ok 1 - issue \\#4'));
+  });
+
+  test('escapeXml handles all special characters', () => {
+    assert.strictEqual(escapeXml(`a & <b> "c" 'd'`), 'a &amp; &lt;b&gt; &quot;c&quot; &apos;d&apos;');
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => renderReport('xml', 's', []), /Unknown report format/);
+  });
+});
+
+describe('--format on verify/validate commands', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  function writePlan() {
+    const planDir = path.join(tmpDir, '.planning', 'phases', '01-setup');
+    fs.mkdirSync(planDir, { recursive: true });
+    fs.writeFileSync(path.join(planDir, '01-01-PLAN.md'), [
+      '---',
+      'phase: 01-setup',
+      'plan: 01',
+      'must_haves:',
+      '  artifacts:',
+      '    - path: src/app.js',
+      '    - path: src/missing.js',
+      '  key_links:',
+      '    - from: src/app.js',
+      '      to: src/db.js',
+      '---',
+      '',
+    ].join('\n'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), "require('./db.js');\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'db.js'), 'module.exports = {};\n');
+    return '.planning/phases/01-setup/01-01-PLAN.md';
+  }
+
+  test('verify artifacts --format junit reports missing artifacts against the plan', () => {
+    const plan = writePlan();
+    const result = runGsdTools(['verify', 'artifacts', plan, '--format', 'junit'], tmpDir);
+    assert.ok(result.success, result.error);
+    assert.ok(result.output.includes('tests="2" failures="1"'));
+    assert.ok(result.output.includes(`name="src/missing.js" file="${plan}"`));
+  });
+
+  test('verify key-links --format tap', () => {
+    const plan = writePlan();
+    const result = runGsdTools(['verify', 'key-links', plan, '--format', 'tap'], tmpDir);
+    assert.ok(result.success, result.error);
+    assert.ok(result.output.includes('1..1'));
+    assert.ok(result.output.split('\n').includes('ok 1 - src/app.js → src/db.js'), result.output);
+  });
+
+  test('verify-summary --format sarif reports a missing summary', () => {
+    const result = runGsdTools(['verify-summary', 'nope/SUMMARY.md', '--format', 'sarif'], tmpDir);
+    assert.ok(result.success, result.error);
+    const [run] = JSON.parse(result.output).runs;
+    assert.strictEqual(run.results[0].ruleId, 'summary-exists');
+    assert.strictEqual(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'nope/SUMMARY.md');
+  });
+
+  test('validate health --format sarif locates issues in .planning files', () => {
+    const result = runGsdTools(['validate', 'health', '--format', 'sarif'], tmpDir);
+    assert.ok(result.success, result.error);
+    const [run] = JSON.parse(result.output).runs;
+    const project = run.results.find(r => r.ruleId === 'E002');
+    assert.strictEqual(project.level, 'error');
+    assert.strictEqual(project.locations[0].physicalLocation.artifactLocation.uri, '.planning/PROJECT.md');
+  });
+
+  test('validate consistency --format tap passes a consistent project', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n');
+    const result = runGsdTools(['validate', 'consistency', '--format', 'tap'], tmpDir);
+    assert.ok(result.success, result.error);
+    assert.ok(result.output.includes('ok 1 - Roadmap and phase directories are consistent'));
+  });
+
+  test('validate all --format junit fails on errors and keeps the exit code', () => {
+    const phaseDir = path.join(tmpDir, '.planning', 'phases', '01-setup');
+    fs.mkdirSync(phaseDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n### Phase 1: Setup\n### Phase 2: Next\n');
+    fs.writeFileSync(path.join(phaseDir, '01-01-SUMMARY.md'), '---\nphase: 01-setup\nplan: 01\nsubsystem: x\ntags: []\nduration: 1min\n---\n');
+
+    const result = runGsdTools(['validate', 'all', '--format', 'junit'], tmpDir);
+    assert.ok(!result.success, 'should exit non-zero');
+    assert.ok(result.output.includes('<testsuite name="validate all" tests="3" failures="1"'), result.output);
+    assert.ok(result.output.includes('<failure type="E102" message="missing required frontmatter field: completed"/>'));
+
+    const strict = runGsdTools(['validate', 'all', '--strict', '--format', 'tap'], tmpDir);
+    assert.strictEqual(strict.output.split('\n').filter(line => line.startsWith('not ok')).length, 3);
+  });
+
+  test('json stays the default', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n');
+    const result = runGsdTools(['validate', 'consistency', '--format', 'json'], tmpDir);
+    assert.strictEqual(JSON.parse(result.output).passed, true);
+  });
+
+  test('rejects an unknown format', () => {
+    const result = runGsdTools(['validate', 'health', '--format', 'xml'], tmpDir);
+    assert.ok(!result.success);
+    assert.ok(result.error.includes('Unknown format: xml'));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * GSD Tools Tests - research.cjs
+ *
+ * Tests for the offline research cache (research cache put/get/list) and
+ * the citations registry (research cite add/list).
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools, runGsdToolsJson, createTempProject, cleanup } = require('./helpers.cjs');
+
+describe('research cache', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.writeFileSync(path.join(tmpDir, 'extract.md'), '# Server Components\n\nThey render on the server.\n');
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('put stores a page extract with url, timestamp and content hash', () => {
+    const put = runGsdToolsJson(['research', 'cache', 'put', 'https://react.dev/rsc', '--file', 'extract.md', '--title', 'RSC', '--query', 'react rsc'], tmpDir);
+    assert.strictEqual(put.stored, true);
+    assert.match(put.id, /^[0-9a-f]{16}$/);
+    assert.match(put.hash, /^sha256:[0-9a-f]{64}$/);
+
+    const entry = JSON.parse(fs.readFileSync(path.join(tmpDir, '.planning', 'research', '.cache', 'pages', put.id + '.json'), 'utf-8'));
+    assert.strictEqual(entry.url, 'https://react.dev/rsc');
+    assert.strictEqual(entry.title, 'RSC');
+    assert.strictEqual(entry.query, 'react rsc');
+    assert.ok(!Number.isNaN(Date.parse(entry.fetched_at)));
+    assert.strictEqual(entry.content, '# Server Components\n\nThey render on the server.\n');
+  });
+
+  test('put keeps the cache out of planning commits', () => {
+    runGsdToolsJson(['research', 'cache', 'put', 'https://a.example', '--content', 'v1'], tmpDir);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, '.planning', 'research', '.cache', '.gitignore'), 'utf-8'), '*\n');
+  });
+
+  test('put skips unchanged content and replaces changed content', () => {
+    const first = runGsdToolsJson(['research', 'cache', 'put', 'https://a.example', '--content', 'v1', '--title', 'A'], tmpDir);
+    const same = runGsdToolsJson(['research', 'cache', 'put', 'https://a.example', '--content', 'v1'], tmpDir);
+    assert.deepStrictEqual([same.stored, same.reason], [false, 'unchanged']);
+
+    const changed = runGsdToolsJson(['research', 'cache', 'put', 'https://a.example', '--content', 'v2'], tmpDir);
+    assert.strictEqual(changed.replaced, true);
+    assert.notStrictEqual(changed.hash, first.hash);
+    const got = runGsdToolsJson(['research', 'cache', 'get', first.id], tmpDir);
+    assert.strictEqual(got.content, 'v2');
+    assert.strictEqual(got.title, 'A', 'title is kept from the earlier put');
+  });
+
+  test('get prints the content with --raw and reports misses', () => {
+    runGsdToolsJson(['research', 'cache', 'put', 'https://a.example', '--content', 'hello'], tmpDir);
+    assert.strictEqual(runGsdTools(['research', 'cache', 'get', 'https://a.example', '--raw'], tmpDir).output, 'hello');
+    assert.deepStrictEqual(runGsdToolsJson(['research', 'cache', 'get', 'https://b.example'], tmpDir), { found: false, key: 'https://b.example' });
+  });
+
+  test('list shows pages and cached websearch results, filtered by --query', () => {
+    runGsdToolsJson(['research', 'cache', 'put', 'https://react.dev/rsc', '--file', 'extract.md', '--query', 'react rsc'], tmpDir);
+    runGsdToolsJson(['research', 'cache', 'put', 'https://vuejs.org', '--content', 'vue'], tmpDir);
+    const searchDir = path.join(tmpDir, '.planning', 'research', '.cache', 'websearch');
+    fs.mkdirSync(searchDir, { recursive: true });
+    fs.writeFileSync(path.join(searchDir, 'abc.json'), JSON.stringify({
+      provider: 'brave', query: 'react 19', fetched_at: '2026-01-01T00:00:00.000Z', results: [{}, {}],
+    }));
+
+    const all = runGsdToolsJson(['research', 'cache', 'list'], tmpDir);
+    assert.strictEqual(all.count, 3);
+    assert.deepStrictEqual(all.entries[2], {
+      kind: 'search', id: 'abc', provider: 'brave', query: 'react 19', fetched_at: '2026-01-01T00:00:00.000Z', count: 2,
+    });
+
+    const react = runGsdToolsJson(['research', 'cache', 'list', '--query', 'REACT'], tmpDir);
+    assert.deepStrictEqual(react.entries.map(e => e.kind), ['page', 'search']);
+  });
+
+  test('put rejects non-http urls and missing content', () => {
+    assert.ok(runGsdTools(['research', 'cache', 'put', 'file:///etc/passwd', '--content', 'x'], tmpDir).error.includes('Not an http(s) URL'));
+    assert.ok(runGsdTools(['research', 'cache', 'put', 'https://a.example'], tmpDir).error.includes('--file or --content required'));
+  });
+});
+
+describe('research cite', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('add numbers sources once and records the cached hash', () => {
+    const put = runGsdToolsJson(['research', 'cache', 'put', 'https://react.dev/rsc', '--content', 'rsc', '--title', 'RSC docs'], tmpDir);
+    const first = runGsdToolsJson(['research', 'cite', 'add', 'https://react.dev/rsc'], tmpDir);
+    assert.deepStrictEqual([first.added, first.id, first.title, first.hash, first.cite], [true, 1, 'RSC docs', put.hash, '[cite:1]']);
+
+    assert.strictEqual(runGsdTools(['research', 'cite', 'add', 'https://example.com', '--title', 'Ex', '--raw'], tmpDir).output, '[cite:2]');
+    const again = runGsdToolsJson(['research', 'cite', 'add', 'https://react.dev/rsc'], tmpDir);
+    assert.deepStrictEqual([again.added, again.id], [false, 1]);
+
+    const registry = JSON.parse(fs.readFileSync(path.join(tmpDir, '.planning', 'research', 'citations.json'), 'utf-8'));
+    assert.deepStrictEqual(registry.citations.map(c => [c.id, c.url]), [[1, 'https://react.dev/rsc'], [2, 'https://example.com']]);
+  });
+
+  test('list reports whether each source is cached', () => {
+    runGsdToolsJson(['research', 'cache', 'put', 'https://react.dev/rsc', '--content', 'rsc'], tmpDir);
+    runGsdToolsJson(['research', 'cite', 'add', 'https://react.dev/rsc'], tmpDir);
+    runGsdToolsJson(['research', 'cite', 'add', 'https://example.com', '--title', 'Ex'], tmpDir);
+
+    const list = runGsdToolsJson(['research', 'cite', 'list'], tmpDir);
+    assert.deepStrictEqual(list.citations.map(c => [c.id, c.cached]), [[1, true], [2, false]]);
+    assert.strictEqual(runGsdTools(['research', 'cite', 'list', '--raw'], tmpDir).output,
+      '[cite:1] https://react.dev/rsc\n[cite:2] Ex — https://example.com');
+  });
+});
@@ -257,6 +257,16 @@ describe('roadmap analyze command', () => {
     assert.strictEqual(output.phases[1].goal, 'Build features');
     assert.strictEqual(output.phases[1].depends_on, 'Phase 1');
   });
+
+  test('extracts dependencies written in template style', () => {
+    fs.writeFileSync(
+      path.join(tmpDir, '.planning', 'ROADMAP.md'),
+      '# Roadmap\n\n### Phase 1: Setup\n**Depends on**: Nothing (first phase)\n'
+    );
+
+    const output = JSON.parse(runGsdTools('roadmap analyze', tmpDir).output);
+    assert.strictEqual(output.phases[0].depends_on, 'Nothing (first phase)');
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -664,6 +674,187 @@ describe('roadmap update-plan-progress command', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// roadmap graph command
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('roadmap graph command', () => {
+  let tmpDir;
+
+  const writeRoadmap = body => fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), `# Roadmap v1.0\n\n${body}`);
+  const completePhase = dir => {
+    const p = path.join(tmpDir, '.planning', 'phases', dir);
+    fs.mkdirSync(p, { recursive: true });
+    fs.writeFileSync(path.join(p, `${dir.slice(0, 2)}-01-PLAN.md`), '# Plan');
+    fs.writeFileSync(path.join(p, `${dir.slice(0, 2)}-01-SUMMARY.md`), '# Summary');
+  };
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('builds edges, topological order and parallel layers', () => {
+    writeRoadmap(`### Phase 1: Foundation
+**Depends on**: Nothing (first phase)
+
+### Phase 2: API
+**Depends on:** Phase 1
+
+### Phase 3: UI
+**Depends on:** Phase 1
+
+### Phase 4: Launch
+**Depends on:** Phases 2 and 3
+`);
+    completePhase('01-foundation');
+
+    const result = runGsdTools('roadmap graph', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const graph = JSON.parse(result.output);
+
+    assert.deepStrictEqual(graph.edges, [
+      { from: '1', to: '2' },
+      { from: '1', to: '3' },
+      { from: '2', to: '4' },
+      { from: '3', to: '4' },
+    ]);
+    assert.deepStrictEqual(graph.order, ['1', '2', '3', '4']);
+    assert.deepStrictEqual(graph.layers, [['1'], ['2', '3'], ['4']]);
+    assert.deepStrictEqual(graph.unblocked, ['2', '3']);
+    assert.strictEqual(graph.valid, true);
+
+    const launch = graph.phases.find(p => p.number === '4');
+    assert.deepStrictEqual(launch.blocked_by, ['2', '3']);
+    assert.strictEqual(graph.phases[0].status, 'complete');
+    assert.deepStrictEqual(graph.phases[0].dependents, ['2', '3']);
+  });
+
+  test('reports cycles and keeps their members out of the order', () => {
+    writeRoadmap(`### Phase 1: A
+**Depends on:** Nothing
+
+### Phase 2: B
+**Depends on:** Phase 3
+
+### Phase 3: C
+**Depends on:** Phase 2
+
+### Phase 4: D
+**Depends on:** Phase 3
+`);
+
+    const graph = JSON.parse(runGsdTools('roadmap graph', tmpDir).output);
+    assert.deepStrictEqual(graph.cycles, [['2', '3', '2']]);
+    assert.deepStrictEqual(graph.order, ['1']);
+    assert.deepStrictEqual(graph.unordered, ['2', '3', '4']);
+    assert.deepStrictEqual(graph.unblocked, ['1']);
+    assert.strictEqual(graph.valid, false);
+    assert.strictEqual(graph.phases.find(p => p.number === '2').in_cycle, true);
+  });
+
+  test('reports self-dependencies as cycles', () => {
+    writeRoadmap('### Phase 1: A\n**Depends on:** Phase 1\n');
+    const graph = JSON.parse(runGsdTools('roadmap graph', tmpDir).output);
+    assert.deepStrictEqual(graph.cycles, [['1', '1']]);
+    assert.deepStrictEqual(graph.unblocked, []);
+  });
+
+  test('reports dangling references and blocks the dependent phase', () => {
+    writeRoadmap(`### Phase 1: A
+**Depends on:** Nothing
+
+### Phase 2: B
+**Depends on:** Phase 1, Phase 7
+`);
+    completePhase('01-a');
+
+    const graph = JSON.parse(runGsdTools('roadmap graph', tmpDir).output);
+    assert.deepStrictEqual(graph.dangling, [{ phase: '2', reference: '7' }]);
+    assert.deepStrictEqual(graph.phases[1].missing_dependencies, ['7']);
+    assert.deepStrictEqual(graph.unblocked, []);
+    assert.strictEqual(graph.valid, false);
+  });
+
+  test('treats checked roadmap phases as complete and resolves decimal phases', () => {
+    writeRoadmap(`- [x] **Phase 1: A**
+- [ ] **Phase 1.1: Hotfix**
+
+### Phase 1: A
+**Depends on:** Nothing
+
+### Phase 1.1: Hotfix (INSERTED)
+**Depends on:** Phase 01
+`);
+
+    const graph = JSON.parse(runGsdTools('roadmap graph', tmpDir).output);
+    assert.deepStrictEqual(graph.edges, [{ from: '1', to: '1.1' }]);
+    assert.deepStrictEqual(graph.unblocked, ['1.1']);
+  });
+
+  test('exports Mermaid with state classes and highlighted cycle links', () => {
+    writeRoadmap(`### Phase 1: Core "v2"
+**Depends on:** Nothing
+
+### Phase 2: B
+**Depends on:** Phase 3
+
+### Phase 3: C
+**Depends on:** Phase 2, Phase 9
+`);
+    completePhase('01-core');
+
+    const result = runGsdTools('roadmap graph --format mermaid --raw', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const lines = result.output.split('\n');
+    assert.strictEqual(lines[0], 'graph LR');
+    assert.ok(lines.includes('  P1["1: Core #quot;v2#quot;"]:::complete'));
+    assert.ok(lines.includes('  P2["2: B"]:::blocked'));
+    assert.ok(lines.includes('  P3 --> P2'));
+    assert.ok(lines.includes('  missing_P9 -.-> P3'));
+    assert.ok(lines.includes('  linkStyle 0,1 stroke:#dc3545,stroke-width:2px'));
+  });
+
+  test('exports DOT', () => {
+    writeRoadmap('### Phase 1: A\n**Depends on:** Nothing\n\n### Phase 2: B\n**Depends on:** Phase 1\n');
+
+    const result = runGsdTools('roadmap graph --format dot --raw', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(result.output.startsWith('digraph roadmap {\n'));
+    assert.ok(result.output.includes('  "1" [label="1: A", fillcolor="#fff3cd"];'));
+    assert.ok(result.output.includes('  "2" [label="2: B", fillcolor="#e2e3e5"];'));
+    assert.ok(result.output.includes('  "1" -> "2";'));
+  });
+
+  test('rejects unknown formats and a missing ROADMAP.md', () => {
+    const missing = runGsdTools('roadmap graph', tmpDir);
+    assert.ok(!missing.success);
+    assert.match(missing.error, /ROADMAP\.md not found/);
+
+    writeRoadmap('### Phase 1: A\n');
+    const bad = runGsdTools('roadmap graph --format svg', tmpDir);
+    assert.ok(!bad.success);
+    assert.match(bad.error, /Unknown graph format: svg/);
+  });
+});
+
+describe('parseDependsOn', () => {
+  const { parseDependsOn } = require('../get-shit-done/bin/lib/roadmap.cjs');
+
+  test('parses lists, ranges and empty markers', () => {
+    assert.deepStrictEqual(parseDependsOn('Nothing (first phase)'), []);
+    assert.deepStrictEqual(parseDependsOn('None'), []);
+    assert.deepStrictEqual(parseDependsOn(null), []);
+    assert.deepStrictEqual(parseDependsOn('Phase 1'), ['1']);
+    assert.deepStrictEqual(parseDependsOn('Phases 1, 2 and 3'), ['1', '2', '3']);
+    assert.deepStrictEqual(parseDependsOn('Phases 2-4'), ['2', '3', '4']);
+    assert.deepStrictEqual(parseDependsOn('Phase 2.1 (auth, 3 plans), Phase 12A'), ['2.1', '12A']);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // phase add command
 // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,59 @@
+/**
+ * GSD Tools Tests - sandbox.cjs
+ *
+ * Tests for running truth checks in an isolated child process: scrubbed
+ * environment, timeouts, output caps and exit codes.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+
+const { sandboxEnv, runSandboxed } = require('../get-shit-done/bin/lib/sandbox.cjs');
+
+describe('sandboxEnv', () => {
+  test('keeps PATH, drops everything else and adds extras', () => {
+    process.env.GSD_SANDBOX_TOKEN = 'secret';
+    try {
+      const env = sandboxEnv({ PORT: 3000 });
+      assert.strictEqual(env.PATH, process.env.PATH);
+      assert.strictEqual(env.GSD_SANDBOX_TOKEN, undefined);
+      assert.strictEqual(env.CI, 'true');
+      assert.strictEqual(env.PORT, '3000');
+    } finally {
+      delete process.env.GSD_SANDBOX_TOKEN;
+    }
+  });
+});
+
+describe('runSandboxed', () => {
+  const cwd = os.tmpdir();
+
+  test('captures exit code, stdout and stderr', async () => {
+    const result = await runSandboxed('echo out; echo err >&2; exit 4', { cwd });
+    assert.strictEqual(result.exitCode, 4);
+    assert.strictEqual(result.stdout, 'out\n');
+    assert.strictEqual(result.stderr, 'err\n');
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  test('gets no stdin', async () => {
+    const result = await runSandboxed('cat', { cwd, timeoutSeconds: 5 });
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  test('kills the command and its children on timeout', { skip: process.platform === 'win32' }, async () => {
+    const started = Date.now();
+    const result = await runSandboxed('sleep 20 & sleep 20', { cwd, timeoutSeconds: 1 });
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.exitCode, null);
+    assert.ok(Date.now() - started < 10000);
+  });
+
+  test('caps output', async () => {
+    const result = await runSandboxed(`node -e "process.stdout.write('x'.repeat(5000))"`, { cwd, maxOutputBytes: 1000 });
+    assert.strictEqual(result.stdout.length, 1000);
+    assert.strictEqual(result.truncated, true);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * GSD Tools Tests - schema.cjs
+ *
+ * Tests for the shipped artifact JSON Schemas, the validator and
+ * `schema export`.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools } = require('./helpers.cjs');
+const { SCHEMA_DIR, SCHEMA_TYPES, loadSchema, validateSchema } = require('../get-shit-done/bin/lib/schema.cjs');
+
+// ─── Shipped schemas ────────────────────────────────────────────────────────
+
+describe('shipped schemas', () => {
+  test('every artifact type has a draft 2020-12 schema file', () => {
+    const files = fs.readdirSync(SCHEMA_DIR).filter(f => f.endsWith('.schema.json')).sort();
+    assert.deepStrictEqual(files, SCHEMA_TYPES.map(t => `${t}.schema.json`).sort());
+    for (const type of SCHEMA_TYPES) {
+      const schema = loadSchema(type);
+      assert.strictEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+      assert.strictEqual(schema.$id, `${type}.schema.json`);
+      assert.strictEqual(schema.type, 'object');
+    }
+  });
+
+  test('accepts the documented plan frontmatter', () => {
+    const plan = {
+      phase: '03-api',
+      plan: '01',
+      type: 'execute',
+      wave: 2,
+      depends_on: ['01'],
+      files_modified: ['src/app/api/chat/route.ts'],
+      autonomous: false,
+      requirements: ['CHAT-01'],
+      user_setup: [{ service: 'stripe', env_vars: [{ name: 'STRIPE_SECRET_KEY', source: 'Dashboard' }] }],
+      must_haves: {
+        truths: ['User can send a message'],
+        artifacts: [{ path: 'src/app/api/chat/route.ts', provides: 'CRUD', exports: ['GET', 'POST'], min_lines: 30 }],
+        key_links: [{ from: 'src/components/Chat.tsx', to: '/api/chat', via: 'fetch', pattern: 'fetch.*api/chat' }],
+      },
+    };
+    assert.deepStrictEqual(validateSchema(plan, loadSchema('plan')), []);
+  });
+
+  test('accepts nested dependency-graph and tech-stack in summaries', () => {
+    const summary = {
+      phase: '03-api',
+      plan: '01',
+      subsystem: 'api',
+      tags: ['prisma'],
+      'dependency-graph': { requires: [{ phase: '02-auth', provides: 'sessions' }], provides: ['chat API'], affects: ['ui'] },
+      'tech-stack': { added: ['zod'], patterns: ['route handlers'] },
+      'key-files': { created: ['a.ts'], modified: [] },
+      duration: '12min',
+      completed: '2026-02-25',
+    };
+    assert.deepStrictEqual(validateSchema(summary, loadSchema('summary')), []);
+
+    const broken = { ...summary, 'tech-stack': { added: 'zod' } };
+    assert.deepStrictEqual(validateSchema(broken, loadSchema('summary')), [
+      { path: 'tech-stack.added', message: 'expected array, got string' },
+    ]);
+  });
+
+  test('checks verification gaps and status enums', () => {
+    const errors = validateSchema({
+      phase: '03',
+      verified: '2026-02-25T10:00:00Z',
+      status: 'done',
+      score: '3/5',
+      gaps: [{ truth: 'x', status: 'failed', artifacts: [{ issue: 'stub' }] }],
+    }, loadSchema('verification'));
+    assert.deepStrictEqual(errors, [
+      { path: 'status', message: 'must be one of: passed, gaps_found, human_needed' },
+      { path: 'gaps[0].artifacts[0].path', message: 'is required' },
+    ]);
+  });
+});
+
+// ─── validateSchema ─────────────────────────────────────────────────────────
+
+describe('validateSchema', () => {
+  test('integer satisfies number but not the other way round', () => {
+    assert.deepStrictEqual(validateSchema(3, { type: 'number' }), []);
+    assert.deepStrictEqual(validateSchema(1.5, { type: 'integer' }), [
+      { path: '(root)', message: 'expected integer, got number' },
+    ]);
+  });
+
+  test('supports anyOf, oneOf, const, pattern and additionalProperties', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { type: 'string', pattern: '^[A-Z]+-\\d+$' },
+        kind: { const: 'todo' },
+        value: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+        pick: { oneOf: [{ type: 'integer' }, { type: 'number' }] },
+      },
+      additionalProperties: false,
+    };
+    const errors = validateSchema({ id: 'req-1', kind: 'plan', value: 3, pick: 2, extra: true }, schema);
+    assert.deepStrictEqual(errors.map(e => e.path), ['id', 'kind', 'value', 'pick', 'extra']);
+    assert.match(errors[3].message, /matched 2/);
+  });
+
+  test('resolves local $ref', () => {
+    const schema = { $defs: { item: { type: 'object', required: ['name'] } }, type: 'array', items: { $ref: '#/$defs/item' } };
+    assert.deepStrictEqual(validateSchema([{ name: 'a' }, {}], schema), [{ path: '[1].name', message: 'is required' }]);
+  });
+});
+
+// ─── schema export ──────────────────────────────────────────────────────────
+
+describe('schema export', () => {
+  test('prints the schema file content', () => {
+    const result = runGsdTools('schema export plan --raw');
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.deepStrictEqual(JSON.parse(result.output), JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, 'plan.schema.json'), 'utf-8')));
+  });
+
+  test('rejects unknown types', () => {
+    const result = runGsdTools('schema export roadmap');
+    assert.ok(!result.success);
+    assert.match(result.error, /Unknown schema: roadmap\. Available: plan, summary/);
+  });
+});
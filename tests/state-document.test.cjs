@@ -0,0 +1,223 @@
+/**
+ * GSD Tools Tests - state-document.cjs
+ *
+ * Tests for the parsed STATE.md model: round-trip fidelity, field lookup,
+ * section aliases, list and table mutations.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseStateDocument,
+  serializeStateDocument,
+  sectionText,
+  getField,
+  setField,
+  findSection,
+  findStateSection,
+  getListItems,
+  getTable,
+  appendListItem,
+  removeListItems,
+  appendTableRow,
+} = require('../get-shit-done/bin/lib/state-document.cjs');
+
+const SAMPLE = [
+  '---',
+  'gsd_state_version: 1.0',
+  '---',
+  '',
+  '# Project State',
+  '',
+  '## Current Position',
+  '',
+  '**Current Phase:** 03',
+  '**Status:** In progress',
+  'Plan: 2 of 4 in current phase',
+  '',
+  '## Performance Metrics',
+  '',
+  '| Plan | Duration | Tasks | Files |',
+  '|------|----------|-------|-------|',
+  '| Phase 1 P1 | 3min | 2 tasks | 4 files |',
+  '',
+  '## Accumulated Context',
+  '',
+  '### Decisions',
+  '',
+  '- [Phase 1]: Use Postgres',
+  '- [Phase 2]: Add cache',
+  '  continued on next line',
+  '',
+  '### Blockers/Concerns',
+  '',
+  'None yet.',
+  '',
+  '```',
+  '**Current Phase:** not a field',
+  '```',
+  '',
+  '## Session Continuity',
+  '',
+  'Last session: 2026-01-01',
+  'Stopped at: Plan 2',
+  '',
+].join('\n');
+
+// ─── Round-trip ─────────────────────────────────────────────────────────────
+
+describe('parseStateDocument / serializeStateDocument', () => {
+  test('round-trips unedited content byte for byte', () => {
+    assert.strictEqual(serializeStateDocument(parseStateDocument(SAMPLE)), SAMPLE);
+  });
+
+  test('round-trips content without frontmatter', () => {
+    const content = '# State\n\n**Status:** Ready\n\nfree prose\n';
+    assert.strictEqual(serializeStateDocument(parseStateDocument(content)), content);
+  });
+
+  test('builds a heading tree', () => {
+    const doc = parseStateDocument(SAMPLE);
+    const context = findSection(doc, 'Accumulated Context');
+    assert.deepStrictEqual(context.sections.map(s => s.title), ['Decisions', 'Blockers/Concerns']);
+  });
+
+  test('keeps fenced code opaque', () => {
+    const doc = parseStateDocument(SAMPLE);
+    assert.strictEqual(getField(doc, 'Current Phase'), '03');
+    const blockers = findStateSection(doc, 'blockers');
+    assert.ok(sectionText(blockers).includes('not a field'));
+  });
+});
+
+// ─── Fields ─────────────────────────────────────────────────────────────────
+
+describe('getField / setField', () => {
+  test('reads bold and plain fields case-insensitively', () => {
+    const doc = parseStateDocument(SAMPLE);
+    assert.strictEqual(getField(doc, 'status'), 'In progress');
+    assert.strictEqual(getField(doc, 'Plan'), '2 of 4 in current phase');
+    assert.strictEqual(getField(doc, 'Missing'), null);
+  });
+
+  test('prefers bold fields over plain ones', () => {
+    const doc = parseStateDocument('Status: plain\n**Status:** bold\n');
+    assert.strictEqual(getField(doc, 'Status'), 'bold');
+  });
+
+  test('limits lookup to a section scope', () => {
+    const doc = parseStateDocument(SAMPLE);
+    const session = findStateSection(doc, 'session');
+    assert.strictEqual(getField(doc, 'Stopped at', session), 'Plan 2');
+    assert.strictEqual(getField(doc, 'Status', session), null);
+  });
+
+  test('updates a field in place and leaves other lines alone', () => {
+    const doc = parseStateDocument(SAMPLE);
+    assert.strictEqual(setField(doc, 'Status', 'Complete'), true);
+    assert.strictEqual(setField(doc, 'Nope', 'x'), false);
+    const out = serializeStateDocument(doc);
+    assert.strictEqual(out, SAMPLE.replace('**Status:** In progress', '**Status:** Complete'));
+  });
+
+  test('fills an empty bold field', () => {
+    const doc = parseStateDocument('**Resume File:**\n');
+    setField(doc, 'Resume File', 'plan.md');
+    assert.strictEqual(serializeStateDocument(doc), '**Resume File:** plan.md\n');
+  });
+});
+
+// ─── Sections ───────────────────────────────────────────────────────────────
+
+describe('findSection / findStateSection', () => {
+  test('matches exact titles before prefixes', () => {
+    const doc = parseStateDocument('## Session Notes\n\n## Session\n');
+    assert.strictEqual(findSection(doc, 'Session').title, 'Session');
+  });
+
+  test('resolves well-known section aliases', () => {
+    const doc = parseStateDocument(SAMPLE);
+    assert.strictEqual(findStateSection(doc, 'decisions').title, 'Decisions');
+    assert.strictEqual(findStateSection(doc, 'blockers').title, 'Blockers/Concerns');
+    assert.strictEqual(findStateSection(doc, 'metrics').title, 'Performance Metrics');
+    assert.strictEqual(findStateSection(doc, 'session').title, 'Session Continuity');
+  });
+
+  test('returns null for absent sections', () => {
+    const doc = parseStateDocument('# State\n');
+    assert.strictEqual(findStateSection(doc, 'decisions'), null);
+  });
+});
+
+// ─── Lists ──────────────────────────────────────────────────────────────────
+
+describe('list items', () => {
+  test('lists items without placeholders', () => {
+    const doc = parseStateDocument(SAMPLE);
+    assert.deepStrictEqual(getListItems(findStateSection(doc, 'decisions')), [
+      '[Phase 1]: Use Postgres',
+      '[Phase 2]: Add cache',
+    ]);
+    assert.deepStrictEqual(getListItems(findStateSection(doc, 'blockers')), []);
+  });
+
+  test('appends after the last item, keeping continuation lines', () => {
+    const doc = parseStateDocument(SAMPLE);
+    appendListItem(findStateSection(doc, 'decisions'), '[Phase 3]: Ship it');
+    const out = serializeStateDocument(doc);
+    assert.ok(out.includes('  continued on next line\n- [Phase 3]: Ship it\n\n### Blockers/Concerns'));
+  });
+
+  test('replaces a placeholder with the first item', () => {
+    const doc = parseStateDocument(SAMPLE);
+    appendListItem(findStateSection(doc, 'blockers'), 'Waiting on API keys');
+    const text = sectionText(findStateSection(doc, 'blockers'));
+    assert.ok(text.startsWith('- Waiting on API keys'));
+    assert.ok(!text.includes('None yet'));
+  });
+
+  test('removes matching items and leaves a placeholder when empty', () => {
+    const doc = parseStateDocument('## Blockers\n\n- API keys\n- Design review\n');
+    const blockers = findStateSection(doc, 'blockers');
+    assert.strictEqual(removeListItems(blockers, t => t.includes('API'), 'None'), 1);
+    assert.deepStrictEqual(getListItems(blockers), ['Design review']);
+    assert.strictEqual(removeListItems(blockers, () => true, 'None'), 1);
+    assert.strictEqual(sectionText(blockers), 'None');
+  });
+});
+
+// ─── Tables ─────────────────────────────────────────────────────────────────
+
+describe('tables', () => {
+  test('parses header and rows', () => {
+    const doc = parseStateDocument(SAMPLE);
+    const table = getTable(findStateSection(doc, 'metrics'));
+    assert.deepStrictEqual(table.header, ['Plan', 'Duration', 'Tasks', 'Files']);
+    assert.deepStrictEqual(table.rows[0].cells, ['Phase 1 P1', '3min', '2 tasks', '4 files']);
+  });
+
+  test('appends rendered rows without touching existing ones', () => {
+    const doc = parseStateDocument(SAMPLE);
+    appendTableRow(getTable(findStateSection(doc, 'metrics')), ['Phase 2 P1', '5min', '1 tasks', '2 files']);
+    const out = serializeStateDocument(doc);
+    assert.ok(out.includes('| Phase 1 P1 | 3min | 2 tasks | 4 files |\n| Phase 2 P1 | 5min | 1 tasks | 2 files |\n'));
+  });
+
+  test('replaces a bare placeholder row under an empty table', () => {
+    const doc = parseStateDocument('## Performance Metrics\n\n| A | B |\n|---|---|\nNone yet\n');
+    appendTableRow(getTable(findStateSection(doc, 'metrics')), ['1', '2']);
+    assert.strictEqual(serializeStateDocument(doc), '## Performance Metrics\n\n| A | B |\n|---|---|\n| 1 | 2 |\n');
+  });
+
+  test('keeps real rows with a "None" cell and drops placeholder rows', () => {
+    const doc = parseStateDocument([
+      '## Performance Metrics', '', '| Plan | Duration | Files |', '|------|----------|-------|',
+      '| None yet | - | - |', '| Phase 1 P1 | 3min | None |', '',
+    ].join('\n'));
+    const table = getTable(findStateSection(doc, 'metrics'));
+    appendTableRow(table, ['Phase 1 P2', '4min', '2 files']);
+    appendTableRow(table, ['Phase 1 P3', '1min', 'None']);
+    assert.deepStrictEqual(table.rows.map(r => r.cells[0]), ['Phase 1 P1', 'Phase 1 P2', 'Phase 1 P3']);
+  });
+});
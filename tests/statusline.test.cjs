@@ -0,0 +1,128 @@
+/**
+ * GSD Tools Tests - hooks/gsd-statusline.js
+ *
+ * Runs the statusline hook with a fixed stdin payload and a temp HOME
+ * holding ~/.gsd/statusline.json, and checks the rendered line and the
+ * opt-in context history log.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTempProject, cleanup } = require('./helpers.cjs');
+const { positionCachePath } = require('../get-shit-done/bin/lib/position.cjs');
+
+const HOOK_PATH = path.join(__dirname, '..', 'hooks', 'gsd-statusline.js');
+
+const sgr = (code, text) => `\x1b[${code}m${text}\x1b[0m`;
+
+let sessionCount = 0;
+
+describe('statusline hook', () => {
+  let tmpDir;
+  let home;
+  let session;
+
+  const bridgePath = () => path.join(os.tmpdir(), `claude-ctx-${session}.json`);
+
+  beforeEach(() => {
+    session = `gsd-statusline-test-${process.pid}-${++sessionCount}`;
+    tmpDir = createTempProject();
+    home = path.join(tmpDir, 'home');
+    fs.mkdirSync(path.join(home, '.gsd'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), [
+      '# Project State',
+      '',
+      '## Current Position',
+      '',
+      'Phase: 3 of 5 (Billing API)',
+      'Plan: 2 of 4 in current phase',
+      '',
+      '### Blockers/Concerns',
+      '',
+      '- Stripe keys missing',
+      '',
+    ].join('\n'));
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n## v1.2: Billing\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(positionCachePath(tmpDir), { force: true });
+    fs.rmSync(bridgePath(), { force: true });
+    cleanup(tmpDir);
+  });
+
+  /** Render with `remaining`% context left; bridge and history files are only written `withSession`. */
+  function render(remaining, { config, noColor = false, withSession = false } = {}) {
+    if (config) fs.writeFileSync(path.join(home, '.gsd', 'statusline.json'), JSON.stringify(config));
+    const env = { ...process.env, HOME: home, USERPROFILE: home };
+    delete env.NO_COLOR;
+    if (noColor) env.NO_COLOR = '1';
+    const result = spawnSync(process.execPath, [HOOK_PATH], {
+      input: JSON.stringify({
+        ...(withSession && { session_id: session }),
+        model: { display_name: 'Opus' },
+        workspace: { current_dir: tmpDir },
+        context_window: { remaining_percentage: remaining },
+      }),
+      env,
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout;
+  }
+
+  test('renders the default layout in color', () => {
+    const dir = path.basename(tmpDir);
+    assert.strictEqual(render(60), [
+      sgr(2, 'Opus'),
+      `${sgr(2, 'v1.2')} ${sgr(36, 'P3 Billing API')} ${sgr(2, '2/4')} ${sgr(33, '⚠ 1')}`,
+      `${sgr(2, dir)} ${sgr(32, '█████░░░░░ 50%')}`,
+    ].join(' │ '));
+  });
+
+  test('NO_COLOR prints plain text', () => {
+    assert.strictEqual(render(60, { noColor: true }),
+      `Opus │ v1.2 P3 Billing API 2/4 ⚠ 1 │ ${path.basename(tmpDir)} █████░░░░░ 50%`);
+  });
+
+  test('ascii swaps glyphs and separators', () => {
+    assert.strictEqual(render(15, { config: { ascii: true, color: false } }),
+      `Opus | v1.2 P3 Billing API 2/4 ! 1 | ${path.basename(tmpDir)} !! ########## 100%`);
+  });
+
+  test('custom scale, bar width and thresholds', () => {
+    const config = {
+      layout: ['gsd', 'context'],
+      context: { scale: 100, bar_width: 4, thresholds: { warn: 30 } },
+      gsd: { segments: ['phase', 'plan'] },
+    };
+    assert.strictEqual(render(60, { config }), `${sgr(36, 'P3 Billing API')} ${sgr(2, '2/4')} │ ${sgr(33, '█░░░ 40%')}`);
+    assert.strictEqual(render(60, { config, noColor: true }), 'P3 Billing API 2/4 │ █░░░ 40%');
+  });
+
+  test('context history records changed samples and keeps the newest half past max_kb', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({ context_history: { enabled: true, max_kb: 1 } }));
+    const historyDir = path.join(tmpDir, '.planning', '.context');
+    const samples = () => fs.readFileSync(path.join(historyDir, 'history.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    render(60, { withSession: true });
+    render(60, { withSession: true });
+    render(55, { withSession: true });
+    assert.deepStrictEqual(samples().map(({ ts, ...sample }) => sample), [
+      { session, phase: '3', plan: '2', status: null, used: 40, remaining: 60 },
+      { session, phase: '3', plan: '2', status: null, used: 45, remaining: 55 },
+    ], 'an unchanged render adds no sample');
+    assert.strictEqual(fs.readFileSync(path.join(historyDir, '.gitignore'), 'utf-8'), '*\n');
+
+    for (let remaining = 54; remaining >= 40; remaining--) render(remaining, { withSession: true });
+    const kept = samples().map(sample => sample.remaining);
+    assert.ok(fs.statSync(path.join(historyDir, 'history.jsonl')).size <= 1024);
+    assert.ok(kept.length < 17, `trimmed to ${kept.length} samples`);
+    assert.deepStrictEqual(kept, Array.from({ length: kept.length }, (_, i) => 40 + kept.length - 1 - i), 'the newest samples are kept');
+  });
+});
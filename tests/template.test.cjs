@@ -0,0 +1,46 @@
+/**
+ * GSD Tools Tests - template.cjs
+ *
+ * Tests for `template fill continue-here`, the handoff written by
+ * pause-work and the context monitor.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+
+describe('template fill continue-here', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'phases', '03-api'), { recursive: true });
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('writes .continue-here.md into the phase directory with the note', () => {
+    const result = runGsdTools(['template', 'fill', 'continue-here', '--phase', '3', '--plan', '2', '--note', 'Halfway through task 2'], tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.path, path.join('.planning', 'phases', '03-api', '.continue-here.md'));
+
+    const content = fs.readFileSync(path.join(tmpDir, output.path), 'utf-8');
+    assert.match(content, /^---\nphase: 03-api\nplan: 02\n/);
+    assert.match(content, /status: in_progress/);
+    assert.match(content, /<current_state>\nHalfway through task 2\n<\/current_state>/);
+    assert.match(content, /<next_action>/);
+  });
+
+  test('never overwrites an existing handoff', () => {
+    const handoff = path.join(tmpDir, '.planning', 'phases', '03-api', '.continue-here.md');
+    fs.writeFileSync(handoff, 'written by the agent\n');
+    const output = JSON.parse(runGsdTools(['template', 'fill', 'continue-here', '--phase', '3'], tmpDir).output);
+    assert.strictEqual(output.error, 'File already exists');
+    assert.strictEqual(fs.readFileSync(handoff, 'utf-8'), 'written by the agent\n');
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * GSD Tools Tests - transaction.cjs
+ *
+ * Tests for staged multi-file updates: ordering, staged reads, atomic
+ * writes and rollback when a step fails.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+const { createTransaction } = require('../get-shit-done/bin/lib/transaction.cjs');
+
+// ─── createTransaction ──────────────────────────────────────────────────────
+
+describe('createTransaction', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('stages changes without touching disk until commit', () => {
+    const file = path.join(tmpDir, 'a.md');
+    fs.writeFileSync(file, 'old');
+    const tx = createTransaction();
+    tx.write(file, 'new');
+    tx.mkdir(path.join(tmpDir, 'dir'));
+
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'old');
+    assert.strictEqual(tx.read(file), 'new');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'dir')));
+
+    tx.commit();
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'new');
+    assert.ok(fs.existsSync(path.join(tmpDir, 'dir')));
+  });
+
+  test('applies operations in order and leaves no temp or trash files', () => {
+    const phases = path.join(tmpDir, '.planning', 'phases');
+    fs.mkdirSync(path.join(phases, '01-old'));
+    fs.writeFileSync(path.join(phases, '01-old', '01-01-PLAN.md'), 'plan');
+    fs.mkdirSync(path.join(phases, '02-gone'));
+
+    const tx = createTransaction();
+    tx.remove(path.join(phases, '02-gone'));
+    tx.rename(path.join(phases, '01-old'), path.join(phases, '01-new'));
+    tx.rename(path.join(phases, '01-new', '01-01-PLAN.md'), path.join(phases, '01-new', '01-02-PLAN.md'));
+    tx.commit();
+
+    assert.deepStrictEqual(fs.readdirSync(phases), ['01-new']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(phases, '01-new')), ['01-02-PLAN.md']);
+  });
+
+  test('evaluates function content after earlier operations are applied', () => {
+    const dir = path.join(tmpDir, 'made');
+    const out = path.join(tmpDir, 'out.txt');
+    const tx = createTransaction();
+    tx.mkdir(dir);
+    tx.write(out, () => String(fs.existsSync(dir)));
+    tx.commit();
+    assert.strictEqual(fs.readFileSync(out, 'utf-8'), 'true');
+  });
+
+  test('rolls back every applied step when a later step fails', () => {
+    const existing = path.join(tmpDir, 'existing.md');
+    const removed = path.join(tmpDir, 'removed');
+    const blocker = path.join(tmpDir, 'blocker');
+    fs.writeFileSync(existing, 'original');
+    fs.mkdirSync(removed);
+    fs.writeFileSync(path.join(removed, 'keep.md'), 'keep');
+    fs.writeFileSync(blocker, 'a file, not a directory');
+
+    const tx = createTransaction();
+    tx.write(existing, 'changed');
+    tx.write(path.join(tmpDir, 'created.md'), 'new file');
+    tx.mkdir(path.join(tmpDir, 'newdir', 'nested'));
+    tx.remove(removed);
+    tx.write(path.join(blocker, 'child.md'), 'cannot write under a file');
+
+    assert.throws(() => tx.commit(), /all changes rolled back/);
+
+    assert.strictEqual(fs.readFileSync(existing, 'utf-8'), 'original');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'created.md')));
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'newdir')));
+    assert.strictEqual(fs.readFileSync(path.join(removed, 'keep.md'), 'utf-8'), 'keep');
+    assert.deepStrictEqual(
+      fs.readdirSync(tmpDir).sort(),
+      ['.planning', 'blocker', 'existing.md', 'removed']
+    );
+  });
+
+  test('rmdir removes only directories without files', () => {
+    fs.mkdirSync(path.join(tmpDir, 'empty', 'nested'), { recursive: true });
+    fs.mkdirSync(path.join(tmpDir, 'full'));
+    fs.writeFileSync(path.join(tmpDir, 'full', 'keep.md'), 'keep');
+
+    createTransaction().rmdir(path.join(tmpDir, 'empty')).rmdir(path.join(tmpDir, 'full')).commit();
+
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'empty')));
+    assert.ok(fs.existsSync(path.join(tmpDir, 'full', 'keep.md')));
+  });
+
+  test('commit returns before-image records', () => {
+    const file = path.join(tmpDir, 'a.md');
+    fs.writeFileSync(file, 'old');
+    const records = createTransaction().write(file, 'new').write(path.join(tmpDir, 'sub', 'b.md'), 'b').commit();
+
+    assert.deepStrictEqual(records.map(r => r.op), ['write', 'mkdir', 'write']);
+    assert.strictEqual(records[0].before, 'old');
+    assert.strictEqual(records[1].path, path.join(tmpDir, 'sub'));
+    assert.strictEqual(records[2].before, null);
+  });
+
+  test('read returns null for staged removals and missing files', () => {
+    const file = path.join(tmpDir, 'a.md');
+    fs.writeFileSync(file, 'x');
+    const tx = createTransaction();
+    tx.remove(file);
+    assert.strictEqual(tx.read(file), null);
+    assert.strictEqual(tx.read(path.join(tmpDir, 'missing.md')), null);
+  });
+});
+
+// ─── Commands using transactions ────────────────────────────────────────────
+
+describe('transactional commands', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('phase remove leaves no staging artifacts behind', () => {
+    fs.writeFileSync(
+      path.join(tmpDir, '.planning', 'ROADMAP.md'),
+      '# Roadmap\n\n### Phase 1: One\n**Goal:** a\n\n### Phase 2: Two\n**Goal:** b\n'
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, '.planning', 'STATE.md'),
+      '# State\n\n**Total Phases:** 2\n'
+    );
+    const phases = path.join(tmpDir, '.planning', 'phases');
+    fs.mkdirSync(path.join(phases, '01-one'));
+    fs.mkdirSync(path.join(phases, '02-two'));
+    fs.writeFileSync(path.join(phases, '02-two', '02-01-PLAN.md'), '# Plan');
+
+    const result = runGsdTools('phase remove 1', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    assert.deepStrictEqual(fs.readdirSync(phases), ['01-two']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(phases, '01-two')), ['01-01-PLAN.md']);
+    const planningFiles = fs.readdirSync(path.join(tmpDir, '.planning'));
+    assert.ok(!planningFiles.some(f => f.includes('gsd-tmp') || f.includes('gsd-removed')), planningFiles.join(', '));
+
+    const state = fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8');
+    assert.ok(state.includes('**Total Phases:** 1'));
+  });
+
+  test('phase complete fails without partial writes when STATE.md cannot be replaced', () => {
+    const roadmap = '# Roadmap\n\n- [ ] Phase 1: One\n\n### Phase 1: One\n**Goal:** a\n**Plans:** 1 plans\n';
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), roadmap);
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'STATE.md'), '# State\n\n**Status:** Executing\n');
+    const phaseDir = path.join(tmpDir, '.planning', 'phases', '01-one');
+    fs.mkdirSync(phaseDir);
+    fs.writeFileSync(path.join(phaseDir, '01-01-PLAN.md'), '# Plan');
+    fs.writeFileSync(path.join(phaseDir, '01-01-SUMMARY.md'), '# Summary');
+
+    // A directory squatting on the temp path makes the STATE.md write fail
+    const { execFileSync } = require('child_process');
+    const toolsPath = path.join(__dirname, '..', 'get-shit-done', 'bin', 'gsd-tools.cjs');
+    const script = [
+      `const fs = require('fs');`,
+      `fs.mkdirSync(${JSON.stringify(path.join(tmpDir, '.planning', 'STATE.md'))} + '.gsd-tmp-' + process.pid);`,
+      `fs.writeFileSync(${JSON.stringify(path.join(tmpDir, '.planning', 'STATE.md'))} + '.gsd-tmp-' + process.pid + '/x', '');`,
+      `process.argv = [process.argv[0], ${JSON.stringify(toolsPath)}, 'phase', 'complete', '1'];`,
+      `require(${JSON.stringify(toolsPath)});`,
+    ].join('\n');
+
+    let failed = false;
+    try {
+      execFileSync(process.execPath, ['-e', script], { cwd: tmpDir, stdio: 'pipe' });
+    } catch (err) {
+      failed = true;
+      assert.match(err.stderr.toString(), /rolled back/);
+    }
+    assert.ok(failed, 'phase complete should fail');
+
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), 'utf-8'), roadmap);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, '.planning', 'STATE.md'), 'utf-8'), '# State\n\n**Status:** Executing\n');
+  });
+});
+
+// ─── --dry-run ──────────────────────────────────────────────────────────────
+
+describe('--dry-run', () => {
+  let tmpDir;
+  let planning;
+
+  const listTree = dir => {
+    const out = [];
+    const walk = (d, rel) => {
+      for (const name of fs.readdirSync(d).sort()) {
+        const r = rel ? `${rel}/${name}` : name;
+        out.push(r);
+        if (fs.statSync(path.join(d, name)).isDirectory()) walk(path.join(d, name), r);
+      }
+    };
+    walk(dir, '');
+    return out;
+  };
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    planning = path.join(tmpDir, '.planning');
+    fs.writeFileSync(
+      path.join(planning, 'ROADMAP.md'),
+      '# Roadmap\n\n### Phase 1: One\n**Goal:** a\n\n### Phase 2: Two\n**Goal:** b\n'
+    );
+    fs.writeFileSync(path.join(planning, 'STATE.md'), '# State\n\n**Status:** Executing\n**Total Phases:** 2\n');
+    fs.mkdirSync(path.join(planning, 'phases', '01-one'));
+    fs.mkdirSync(path.join(planning, 'phases', '02-two'));
+    fs.writeFileSync(path.join(planning, 'phases', '02-two', '02-01-PLAN.md'), '# Plan');
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('phase remove reports planned deletes, renames and edits without touching disk', () => {
+    const before = listTree(tmpDir);
+    const roadmap = fs.readFileSync(path.join(planning, 'ROADMAP.md'), 'utf-8');
+
+    const result = runGsdTools('phase remove 1 --dry-run', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const plan = JSON.parse(result.output);
+
+    assert.strictEqual(plan.dry_run, true);
+    assert.deepStrictEqual(plan.operations, [
+      { action: 'delete', path: '.planning/phases/01-one' },
+      { action: 'rename', from: '.planning/phases/02-two', to: '.planning/phases/01-two' },
+      { action: 'rename', from: '.planning/phases/01-two/02-01-PLAN.md', to: '.planning/phases/01-two/01-01-PLAN.md' },
+      { action: 'modify', path: '.planning/ROADMAP.md' },
+      { action: 'modify', path: '.planning/STATE.md' },
+    ]);
+    assert.ok(plan.diff.includes('--- a/.planning/ROADMAP.md\n+++ b/.planning/ROADMAP.md\n'));
+    assert.ok(plan.diff.includes('-### Phase 1: One\n'));
+    assert.ok(plan.diff.includes('-**Total Phases:** 2\n+**Total Phases:** 1\n'));
+
+    assert.deepStrictEqual(listTree(tmpDir), before);
+    assert.strictEqual(fs.readFileSync(path.join(planning, 'ROADMAP.md'), 'utf-8'), roadmap);
+  });
+
+  test('raw mode prints a readable plan and the diff', () => {
+    const result = runGsdTools('phase add Three --dry-run --raw', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.match(result.output, /^mkdir {3}\.planning\/phases\/03-three$/m);
+    assert.match(result.output, /^create {2}\.planning\/phases\/03-three\/\.gitkeep$/m);
+    assert.match(result.output, /^\+### Phase 3: Three$/m);
+    assert.ok(!fs.existsSync(path.join(planning, 'phases', '03-three')));
+  });
+
+  test('creates neither a lock nor a journal entry', () => {
+    const result = runGsdTools('state update Status Done --dry-run', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(JSON.parse(result.output).diff.includes('+**Status:** Done'));
+    assert.ok(!fs.existsSync(path.join(planning, '.lock')));
+    assert.ok(!fs.existsSync(path.join(planning, '.journal')));
+  });
+
+  test('previews an undo without reverting', () => {
+    assert.ok(runGsdTools('state update Status Done', tmpDir).success);
+    const result = runGsdTools('undo --dry-run', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.ok(JSON.parse(result.output).diff.includes('-**Status:** Done'));
+    assert.ok(fs.readFileSync(path.join(planning, 'STATE.md'), 'utf-8').includes('**Status:** Done'));
+    assert.strictEqual(JSON.parse(runGsdTools('journal list', tmpDir).output).count, 1);
+  });
+
+  test('plans every transaction a command commits', () => {
+    const bare = fs.mkdtempSync(path.join(os.tmpdir(), 'gsd-dry-'));
+    try {
+      const result = runGsdTools('config-ensure-section --dry-run', bare);
+      assert.ok(result.success, `Command failed: ${result.error}`);
+      const plan = JSON.parse(result.output);
+      assert.deepStrictEqual(plan.operations, [
+        { action: 'mkdir', path: '.planning' },
+        { action: 'create', path: '.planning/config.json' },
+      ]);
+      assert.deepStrictEqual(fs.readdirSync(bare), []);
+    } finally {
+      cleanup(bare);
+    }
+  });
+
+  test('commit refuses --dry-run', () => {
+    const result = runGsdTools('commit "msg" --dry-run', tmpDir);
+    assert.ok(!result.success);
+    assert.match(result.error, /commit does not support --dry-run/);
+  });
+});
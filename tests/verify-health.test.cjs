@@ -255,6 +255,23 @@ describe('validate health command', () => {
     );
   });
 
+  test('accepts custom model profiles and warns about invalid definitions', () => {
+    writeMinimalProjectMd(tmpDir);
+    writeMinimalRoadmap(tmpDir, ['1']);
+    writeMinimalStateMd(tmpDir);
+    fs.writeFileSync(
+      path.join(tmpDir, '.planning', 'config.json'),
+      JSON.stringify({ model_profile: 'nightly', model_profiles: { nightly: { extends: 'budget', 'gsd-exector': 'haiku' } } })
+    );
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'phases', '01-a'), { recursive: true });
+
+    const output = JSON.parse(runGsdTools('validate health', tmpDir).output);
+    assert.ok(!output.warnings.some(w => w.code === 'W004'), 'custom profile name is valid');
+    const w008 = output.warnings.find(w => w.code === 'W008');
+    assert.ok(w008, `Expected W008 in warnings: ${JSON.stringify(output.warnings)}`);
+    assert.ok(w008.message.includes('unknown agent "gsd-exector"'));
+  });
+
   // ─── Check 6: Phase directory naming (NN-name format) ─────────────────────
 
   test('warns about incorrectly named phase directories', () => {
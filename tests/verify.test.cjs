@@ -6,7 +6,7 @@ const { test, describe, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
-const { runGsdTools, createTempProject, createTempGitProject, cleanup } = require('./helpers.cjs');
+const { runGsdTools, runGsdToolsJson, createTempProject, createTempGitProject, cleanup } = require('./helpers.cjs');
 const { execSync } = require('child_process');
 
 // ─── helpers ──────────────────────────────────────────────────────────────────
@@ -543,6 +543,118 @@ describe('verify summary command', () => {
       `Expected checked <= 1, got ${output.checks.files_created.checked}`
     );
   });
+
+  test('spot-checks files in the body, not the template\'s flow-style key-files lists', () => {
+    fs.mkdirSync(path.join(tmpDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), 'console.log("hello");\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'db.js'), 'module.exports = {};\n');
+    const summaryPath = path.join(tmpDir, '.planning', 'phases', '01-test', '01-01-SUMMARY.md');
+    fs.writeFileSync(summaryPath, [
+      '---',
+      'key-files:',
+      '  created: [src/app.js, src/db.js]',
+      '  modified: []',
+      '---',
+      '',
+      '# Summary',
+      '',
+      'Created: `src/app.js`',
+      '',
+    ].join('\n'));
+
+    // "created: [src/app.js, src/db.js]" would otherwise be read as the path "[src/app.js,"
+    const output = JSON.parse(runGsdTools('verify-summary .planning/phases/01-test/01-01-SUMMARY.md', tmpDir).output);
+    assert.strictEqual(output.passed, true, JSON.stringify(output.errors));
+    assert.deepStrictEqual(output.checks.files_created.missing, []);
+
+    fs.appendFileSync(summaryPath, 'Modified: `src/gone.js`\n');
+    const missing = JSON.parse(runGsdTools('verify-summary .planning/phases/01-test/01-01-SUMMARY.md', tmpDir).output);
+    assert.deepStrictEqual(missing.checks.files_created.missing, ['src/gone.js']);
+  });
+
+  describe('--thorough commit trail', () => {
+    const summaryRel = '.planning/phases/01-test/01-01-SUMMARY.md';
+
+    function commitFiles(files, message) {
+      for (const file of files) {
+        fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, file), `// ${message}\n`);
+      }
+      execSync(`git add -A && git commit -m "${message}"`, { cwd: tmpDir, stdio: 'pipe' });
+      return execSync('git rev-parse --short HEAD', { cwd: tmpDir, encoding: 'utf-8' }).trim();
+    }
+
+    function writeSummary(commits, keyFiles) {
+      fs.writeFileSync(path.join(tmpDir, '.planning', 'phases', '01-test', '01-01-PLAN.md'),
+        '---\nphase: 01-test\nplan: 01\nfiles_modified: [src/app.js, src/db.js]\n---\n');
+      fs.writeFileSync(path.join(tmpDir, summaryRel), [
+        '---',
+        'phase: 01-test',
+        'plan: 01',
+        'key-files:',
+        `  created: [${keyFiles.join(', ')}]`,
+        ...(commits.length > 0 ? ['commits:', ...commits.map((c, i) => `  - hash: ${c}\n    task: ${i + 1}`)] : []),
+        '---',
+        '',
+        '# Summary',
+      ].join('\n'));
+    }
+
+    function verifyThorough() {
+      return runGsdToolsJson(['verify-summary', summaryRel, '--thorough'], tmpDir);
+    }
+
+    test('passes when commits are on the branch and touch exactly the declared files', () => {
+      const first = commitFiles(['src/app.js'], 'feat: app');
+      const second = commitFiles(['src/db.js', '.planning/STATE.md'], 'feat: db');
+      writeSummary([first, second], ['./src/app.js']);
+      const output = verifyThorough();
+      assert.strictEqual(output.passed, true, JSON.stringify(output.errors));
+      const trail = output.checks.commit_trail;
+      assert.deepStrictEqual(trail.commits.map(c => [c.task, c.on_branch]), [['1', true], ['2', true]]);
+      assert.deepStrictEqual(trail.files_touched, ['src/app.js', 'src/db.js']);
+      assert.deepStrictEqual(trail.unexplained, []);
+      assert.deepStrictEqual(trail.missing, []);
+    });
+
+    test('reports declared files no commit touched and undeclared changes', () => {
+      const hash = commitFiles(['src/app.js', 'src/extra.js'], 'feat: app');
+      writeSummary([hash], []);
+      const output = verifyThorough();
+      assert.strictEqual(output.passed, false);
+      assert.deepStrictEqual(output.checks.commit_trail.missing, ['src/db.js']);
+      assert.deepStrictEqual(output.checks.commit_trail.unexplained, ['src/extra.js']);
+      assert.ok(output.warnings[0].includes('src/extra.js'));
+    });
+
+    test('fails for unknown commits and commits off the current branch', () => {
+      execSync('git checkout -q -b side', { cwd: tmpDir, stdio: 'pipe' });
+      const side = commitFiles(['src/app.js', 'src/db.js'], 'feat: on side branch');
+      execSync('git checkout -q -', { cwd: tmpDir, stdio: 'pipe' });
+      writeSummary([side, 'deadbee'], []);
+      const output = verifyThorough();
+      assert.strictEqual(output.passed, false);
+      const [onSide, unknown] = output.checks.commit_trail.commits;
+      assert.deepStrictEqual([onSide.exists, onSide.on_branch], [true, false]);
+      assert.strictEqual(unknown.exists, false);
+      assert.ok(output.errors.some(e => e.includes(`Commits not on current branch: ${side}, deadbee`)));
+    });
+
+    test('treats refs and option-like entries as unknown commits', () => {
+      commitFiles(['src/app.js', 'src/db.js'], 'feat: app');
+      writeSummary(['HEAD', '--all'], []);
+      const output = verifyThorough();
+      assert.strictEqual(output.passed, false);
+      assert.deepStrictEqual(output.checks.commit_trail.commits.map(c => [c.hash, c.exists]), [['HEAD', false], ['--all', false]]);
+    });
+
+    test('requires a commits list', () => {
+      writeSummary([], []);
+      const output = verifyThorough();
+      assert.strictEqual(output.passed, false);
+      assert.ok(output.errors.includes('No commits list in SUMMARY frontmatter'));
+    });
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -623,6 +735,24 @@ describe('verify references command', () => {
     const output = JSON.parse(result.output);
     assert.ok(output.error, `Expected error field: ${JSON.stringify(output)}`);
   });
+
+  test('resolves [cite:N] against the citations registry offline', () => {
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'research'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'research', 'citations.json'), JSON.stringify({
+      citations: [{ id: 1, url: 'https://react.dev/rsc', title: 'RSC' }],
+    }));
+    const filePath = path.join(tmpDir, '.planning', 'phases', '01-test', 'doc.md');
+    fs.writeFileSync(filePath, 'Stable [cite:1], again [cite:1], unknown [cite:4].\n');
+
+    const result = runGsdTools('verify references .planning/phases/01-test/doc.md', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.valid, false);
+    assert.strictEqual(output.found, 1);
+    assert.deepStrictEqual(output.missing, ['cite:4']);
+    assert.deepStrictEqual(output.citations, [{ id: 1, url: 'https://react.dev/rsc', title: 'RSC', cached: false }]);
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -809,6 +939,41 @@ describe('verify artifacts command', () => {
     );
   });
 
+  test('does not count an export mentioned only in a comment', () => {
+    writePlanWithArtifacts(tmpDir, [
+      '- path: "src/app.js"',
+      '  exports: ["GET", "POST"]',
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), '// TODO: export GET\nexport async function POST(req) {}\n');
+
+    const result = runGsdTools('verify artifacts .planning/phases/01-test/01-01-PLAN.md', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    const artifact = JSON.parse(result.output).artifacts[0];
+    assert.deepStrictEqual(artifact.issues, ['Missing export: GET']);
+    assert.strictEqual(artifact.export_checker, 'js');
+  });
+
+  test('checks exported function signatures and class members', () => {
+    writePlanWithArtifacts(tmpDir, [
+      '- path: "src/app.js"',
+      '  exports: ["createUser(name, email)", "Store.get(key)", "Store.put"]',
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'app.js'), [
+      'function createUser(name) {}',
+      'class Store { get(key) {} }',
+      'module.exports = { createUser, Store };',
+    ].join('\n'));
+
+    const result = runGsdTools('verify artifacts .planning/phases/01-test/01-01-PLAN.md', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    assert.deepStrictEqual(JSON.parse(result.output).artifacts[0].issues, [
+      'Signature mismatch: expected createUser(name, email), found createUser(name)',
+      'Missing member: Store.put',
+    ]);
+  });
+
   test('returns error when no artifacts in frontmatter', () => {
     const content = [
       '---',
@@ -906,13 +1071,13 @@ describe('verify key-links command', () => {
 
   test('verifies link when pattern found in target', () => {
     writePlanWithKeyLinks(tmpDir, [
-      '- from: "src/a.js"',
-      '  to: "src/b.js"',
-      '  pattern: "exports\\.targetFunc"',
+      '- from: "src/a.py"',
+      '  to: "src/b.py"',
+      '  pattern: "def target_func"',
     ]);
-    // pattern NOT in source, but found in target
-    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), 'const x = 1;\n');
-    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'exports.targetFunc = () => {};\n');
+    // pattern NOT in source, but found in target (not a JS/TS module link)
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.py'), 'x = 1\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.py'), 'def target_func():\n    pass\n');
 
     const result = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md', tmpDir);
     assert.ok(result.success, `Command failed: ${result.error}`);
@@ -945,11 +1110,10 @@ describe('verify key-links command', () => {
   test('verifies link without pattern using string inclusion', () => {
     writePlanWithKeyLinks(tmpDir, [
       '- from: "src/a.js"',
-      '  to: "src/b.js"',
+      '  to: "/api/users"',
     ]);
-    // source file contains the 'to' value as a string
-    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), "const b = require('./src/b.js');\n");
-    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'module.exports = {};\n');
+    // 'to' is an endpoint, not a module, so the source only has to mention it
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), "fetch('/api/users');\n");
 
     const result = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md', tmpDir);
     assert.ok(result.success, `Command failed: ${result.error}`);
@@ -962,6 +1126,98 @@ describe('verify key-links command', () => {
     );
   });
 
+  test('verifies module links through real imports', () => {
+    writePlanWithKeyLinks(tmpDir, [
+      '- from: "src/a.js"',
+      '  to: "src/lib/db.js"',
+      '- from: "src/a.js"',
+      '  to: "src/b.js"',
+    ]);
+    fs.mkdirSync(path.join(tmpDir, 'src', 'lib'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), "// see src/b.js\nconst db = require('./lib/db');\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'module.exports = {};\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'lib', 'db.js'), 'module.exports = {};\n');
+
+    const result = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+
+    const [db, b] = JSON.parse(result.output).links;
+    assert.strictEqual(db.verified, true);
+    assert.strictEqual(db.detail, 'Source imports target');
+    assert.deepStrictEqual(db.chain, ['src/a.js', 'src/lib/db.js']);
+    // Mentioning the path in a comment is not an import
+    assert.strictEqual(b.verified, false);
+    assert.strictEqual(b.detail, 'Source does not import target');
+  });
+
+  test('module links need the import, and a pattern must also match the source', () => {
+    writePlanWithKeyLinks(tmpDir, [
+      '- from: "src/a.js"',
+      '  to: "src/b.js"',
+      '  pattern: "b\\.js"',
+      '- from: "src/c.js"',
+      '  to: "src/b.js"',
+      '  pattern: "useB\\("',
+      '- from: "src/d.js"',
+      '  to: "src/b.js"',
+      '  pattern: "useB\\("',
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), '// TODO wire up ./b.js later\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'export const useB = () => 1; // useB(\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'c.js'), "import './b.js';\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'd.js'), "import './e.js';\nuseB();\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'e.js'), "export * from './b.js';\n");
+
+    const plan = '.planning/phases/01-test/01-01-PLAN.md';
+    const [comment, noPattern, indirect] = JSON.parse(runGsdTools(`verify key-links ${plan}`, tmpDir).output).links;
+    assert.deepStrictEqual([comment.verified, comment.detail], [false, 'Source does not import target']);
+    assert.deepStrictEqual([noPattern.verified, noPattern.detail],
+      [false, 'Source imports target, but pattern "useB\\(" not found in source']);
+    assert.strictEqual(indirect.verified, false);
+
+    const transitive = JSON.parse(runGsdTools(`verify key-links ${plan} --transitive`, tmpDir).output).links[2];
+    assert.deepStrictEqual([transitive.verified, transitive.detail],
+      [true, 'Source imports target via src/d.js → src/e.js → src/b.js; pattern found in source']);
+  });
+
+  test('resolves tsconfig path aliases', () => {
+    writePlanWithKeyLinks(tmpDir, [
+      '- from: "src/page.tsx"',
+      '  to: "src/components/Button.tsx"',
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'tsconfig.json'), '{ "compilerOptions": { "paths": { "@/*": ["./src/*"] } } }');
+    fs.mkdirSync(path.join(tmpDir, 'src', 'components'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'page.tsx'), "import { Button } from '@/components/Button';\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'components', 'Button.tsx'), 'export const Button = () => null;\n');
+
+    const result = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    assert.strictEqual(JSON.parse(result.output).links[0].verified, true);
+  });
+
+  test('accepts indirect imports only with --transitive', () => {
+    writePlanWithKeyLinks(tmpDir, [
+      '- from: "src/a.js"',
+      '  to: "src/c.js"',
+    ]);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), "import './b.js';\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), "import './c.js';\n");
+    fs.writeFileSync(path.join(tmpDir, 'src', 'c.js'), 'export const c = 1;\n');
+
+    const direct = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md', tmpDir);
+    const directLink = JSON.parse(direct.output).links[0];
+    assert.strictEqual(directLink.verified, false);
+    assert.ok(directLink.detail.includes('use --transitive'), directLink.detail);
+
+    const transitive = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md --transitive', tmpDir);
+    const link = JSON.parse(transitive.output).links[0];
+    assert.strictEqual(link.verified, true);
+    assert.strictEqual(link.detail, 'Source imports target via src/a.js → src/b.js → src/c.js');
+
+    const bounded = runGsdTools('verify key-links .planning/phases/01-test/01-01-PLAN.md --transitive --depth 1', tmpDir);
+    assert.strictEqual(JSON.parse(bounded.output).links[0].detail, 'Source does not import target within 1 import');
+  });
+
   test('reports source file not found', () => {
     writePlanWithKeyLinks(tmpDir, [
       '- from: "src/nonexistent.js"',
@@ -1011,3 +1267,336 @@ describe('verify key-links command', () => {
     );
   });
 });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// verify scope command
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('verify scope command', () => {
+  let tmpDir;
+  let base;
+  const planPath = '.planning/phases/01-test/01-01-PLAN.md';
+
+  beforeEach(() => {
+    tmpDir = createTempGitProject();
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'phases', '01-test'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, planPath),
+      '---\nphase: 01-test\nplan: 01\nfiles_modified: [src/app.js, src/db.js, src/routes/]\n---\n');
+    execSync('git add -A && git commit -m plan', { cwd: tmpDir, stdio: 'pipe' });
+    base = execSync('git rev-parse HEAD', { cwd: tmpDir, encoding: 'utf-8' }).trim();
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  function write(file) {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), 'x\n');
+  }
+
+  function verifyScope(...extra) {
+    const result = runGsdTools(['verify', 'scope', planPath, ...extra], tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    return JSON.parse(result.output);
+  }
+
+  test('reports out-of-scope edits and untouched declared files since a ref', () => {
+    write('src/app.js');
+    write('src/routes/users.js');
+    write('src/other.js');
+    execSync('git add -A && git commit -m work', { cwd: tmpDir, stdio: 'pipe' });
+    write('README.md');
+    write('.planning/STATE.md');
+
+    const output = verifyScope('--since', base);
+    assert.strictEqual(output.passed, false);
+    assert.deepStrictEqual(output.changed, ['README.md', 'src/app.js', 'src/other.js', 'src/routes/users.js']);
+    assert.deepStrictEqual(output.out_of_scope, ['README.md', 'src/other.js']);
+    assert.deepStrictEqual(output.untouched, ['src/db.js']);
+  });
+
+  test('passes when every change is declared and defaults to HEAD', () => {
+    write('src/app.js');
+    write('src/db.js');
+    const output = verifyScope();
+    assert.strictEqual(output.passed, true);
+    assert.strictEqual(output.since, 'HEAD');
+    assert.deepStrictEqual(output.untouched, ['src/routes/']);
+  });
+
+  test('reports an unknown ref', () => {
+    const output = verifyScope('--since', 'no-such-branch');
+    assert.strictEqual(output.error, 'Unknown git ref: no-such-branch');
+  });
+
+  test('--format tap lists out-of-scope files as failures', () => {
+    write('src/other.js');
+    const result = runGsdTools(['verify', 'scope', planPath, '--since', base, '--format', 'tap'], tmpDir);
+    assert.ok(result.success, result.error);
+    const lines = result.output.split('\n');
+    assert.ok(lines.includes('not ok 1 - src/other.js'), result.output);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// verify truths command
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('verify truths command', () => {
+  let tmpDir;
+  const planPath = '.planning/phases/01-test/01-01-PLAN.md';
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'phases', '01-test'), { recursive: true });
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  function writePlan(truthLines) {
+    fs.writeFileSync(path.join(tmpDir, planPath), [
+      '---',
+      'phase: 01-test',
+      'plan: 01',
+      'must_haves:',
+      '  truths:',
+      ...truthLines,
+      '---',
+      '',
+    ].join('\n'));
+  }
+
+  function runTruths(...extra) {
+    return runGsdToolsJson(['verify', 'truths', planPath, ...extra], tmpDir);
+  }
+
+  test('passes checks that exit as expected and match stdout', () => {
+    writePlan([
+      '    - truth: "Exit code zero"',
+      '      check: "true"',
+      '    - truth: "Expected non-zero exit"',
+      '      check:',
+      '        run: "exit 3"',
+      '        exit_code: 3',
+      '    - truth: "Prints the count"',
+      '      check:',
+      '        run: "echo count=42"',
+      '        stdout: "count=\\\\d+"',
+    ]);
+    const output = runTruths();
+    assert.strictEqual(output.all_passed, true, JSON.stringify(output));
+    assert.strictEqual(output.passed, 3);
+    assert.strictEqual(output.truths[2].stdout, 'count=42\n');
+  });
+
+  test('fails on unexpected exit code or stdout mismatch with evidence', () => {
+    writePlan([
+      '    - truth: "Build succeeds"',
+      '      check: "echo broken >&2; exit 2"',
+      '    - truth: "Reports ready"',
+      '      check:',
+      '        run: "echo starting"',
+      '        stdout: "^ready"',
+    ]);
+    const output = runTruths();
+    assert.strictEqual(output.all_passed, false);
+    assert.strictEqual(output.failed, 2);
+    assert.strictEqual(output.truths[0].status, 'failed');
+    assert.deepStrictEqual(output.truths[0].issues, ['Exit code 2, expected 0']);
+    assert.strictEqual(output.truths[0].stderr, 'broken\n');
+    assert.deepStrictEqual(output.truths[1].issues, ['stdout does not match /^ready/']);
+  });
+
+  test('kills checks that exceed their timeout', () => {
+    writePlan([
+      '    - truth: "Hangs"',
+      '      check:',
+      '        run: "sleep 20"',
+      '        timeout: 1',
+    ]);
+    const started = Date.now();
+    const output = runTruths();
+    assert.ok(Date.now() - started < 10000, 'check was not killed at its timeout');
+    assert.strictEqual(output.truths[0].status, 'timeout');
+    assert.deepStrictEqual(output.truths[0].issues, ['Timed out after 1s']);
+  });
+
+  test('reports truths without a check as unchecked, not failed', () => {
+    writePlan([
+      '    - "User can see messages"',
+      '    - truth: "Works"',
+      '      check: "true"',
+    ]);
+    const output = runTruths();
+    assert.strictEqual(output.all_passed, true);
+    assert.strictEqual(output.unchecked, 1);
+    assert.strictEqual(output.truths[0].status, 'unchecked');
+  });
+
+  test('runs checks with a scrubbed environment inside the project', () => {
+    writePlan([
+      '    - truth: "Env is scrubbed"',
+      '      check:',
+      '        run: "echo ${GSD_TEST_SECRET:-unset} $CI $MODE"',
+      '        env:',
+      '          MODE: strict',
+      '    - truth: "Escapes the project"',
+      '      check:',
+      '        run: "true"',
+      '        cwd: "../.."',
+    ]);
+    process.env.GSD_TEST_SECRET = 'leaked';
+    let output;
+    try {
+      output = runTruths();
+    } finally {
+      delete process.env.GSD_TEST_SECRET;
+    }
+    assert.strictEqual(output.truths[0].stdout, 'unset true strict\n');
+    assert.strictEqual(output.truths[1].status, 'error');
+    assert.deepStrictEqual(output.truths[1].issues, ['check.cwd must stay inside the project']);
+  });
+
+  test('--dry-run skips running checks', () => {
+    writePlan([
+      '    - truth: "Would write a file"',
+      '      check: "touch ran.txt"',
+    ]);
+    const output = runTruths('--dry-run');
+    assert.strictEqual(output.truths[0].status, 'skipped');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'ran.txt')));
+  });
+
+  test('reports a plan without truths', () => {
+    fs.writeFileSync(path.join(tmpDir, planPath), '---\nphase: 01-test\nplan: 01\n---\n');
+    const output = runTruths();
+    assert.ok(output.error.includes('No must_haves.truths'), output.error);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// validate all command
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('validate all command', () => {
+  const { VALIDATE_ALL_CODES } = require('../get-shit-done/bin/lib/verify.cjs');
+  let tmpDir;
+  let phaseDir;
+
+  const VALID_PLAN = `---
+phase: 01-setup
+plan: 01
+type: execute
+wave: 1
+depends_on: []
+files_modified: [src/index.ts]
+autonomous: true
+must_haves:
+  truths: ["App starts"]
+---
+
+<tasks>
+<task type="auto">
+  <name>Task 1: Entry point</name>
+  <files>src/index.ts</files>
+  <action>Create it</action>
+  <verify>node src/index.ts</verify>
+  <done>Starts</done>
+</task>
+</tasks>
+`;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    phaseDir = path.join(tmpDir, '.planning', 'phases', '01-setup');
+    fs.mkdirSync(phaseDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n### Phase 1: Setup\n');
+    fs.writeFileSync(path.join(phaseDir, '01-01-PLAN.md'), VALID_PLAN);
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('passes and exits 0 for a clean project', () => {
+    const result = runGsdTools('validate all', tmpDir);
+    assert.ok(result.success, `Command failed: ${result.error}`);
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.passed, true);
+    assert.strictEqual(output.files_checked, 1);
+    assert.deepStrictEqual(output.issues, []);
+  });
+
+  test('aggregates coded issues across file types and exits 1 on errors', () => {
+    fs.writeFileSync(
+      path.join(phaseDir, '01-01-PLAN.md'),
+      VALID_PLAN.replace('wave: 1', 'wave: first').replace('<verify>node src/index.ts</verify>\n', '') + '\n@.planning/missing/CONTEXT.md\nSee [cite:9].\n'
+    );
+    fs.writeFileSync(path.join(phaseDir, '01-01-SUMMARY.md'), '---\nphase: 01-setup\nplan: 01\n---\n');
+    fs.writeFileSync(path.join(phaseDir, '01-VERIFICATION.md'), '---\nphase: 01\nverified: 2026-01-01\nstatus: ok\nscore: 1/1\n---\n');
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'todos', 'pending'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'todos', 'pending', 'fix.md'), '---\ntitle: [broken\n---\n');
+
+    const result = runGsdTools('validate all', tmpDir);
+    assert.ok(!result.success, 'should exit non-zero');
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.passed, false);
+    assert.strictEqual(output.files_checked, 4);
+
+    const byCode = code => output.issues.filter(i => i.code === code);
+    assert.deepStrictEqual(byCode('E103').map(i => [i.file, i.message]), [
+      ['.planning/phases/01-setup/01-01-PLAN.md', 'wave expected integer, got string'],
+      ['.planning/phases/01-setup/01-VERIFICATION.md', 'status must be one of: passed, gaps_found, human_needed'],
+    ]);
+    assert.strictEqual(byCode('E102').length, 4, 'summary misses subsystem, tags, duration, completed');
+    assert.strictEqual(byCode('E101')[0].file, '.planning/todos/pending/fix.md');
+    assert.strictEqual(byCode('W111')[0].message, "Task 'Task 1: Entry point' missing <verify>");
+    assert.strictEqual(byCode('W121')[0].message, '@.planning/missing/CONTEXT.md not found');
+    assert.strictEqual(byCode('W122')[0].message, '[cite:9] not in .planning/research/citations.json');
+
+    for (const issue of output.issues) {
+      assert.ok(VALIDATE_ALL_CODES[issue.code], `undocumented code ${issue.code}`);
+      assert.strictEqual(issue.severity, { E: 'error', W: 'warning', I: 'info' }[issue.code[0]]);
+    }
+  });
+
+  test('includes roadmap consistency issues', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n### Phase 1: Setup\n### Phase 2: Next\n');
+    const output = JSON.parse(runGsdTools('validate all', tmpDir).output);
+    assert.deepStrictEqual(output.issues, [{
+      code: 'W131',
+      severity: 'warning',
+      file: '.planning/ROADMAP.md',
+      message: 'Phase 2 in ROADMAP.md but no directory on disk',
+    }]);
+    assert.strictEqual(output.passed, true);
+  });
+
+  test('--strict fails on warnings', () => {
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n### Phase 1: Setup\n### Phase 2: Next\n');
+    const result = runGsdTools('validate all --strict', tmpDir);
+    assert.ok(!result.success);
+    assert.strictEqual(JSON.parse(result.output).passed, false);
+  });
+
+  test('raw output lists one issue per line with a summary', () => {
+    fs.writeFileSync(path.join(phaseDir, '01-01-SUMMARY.md'), '---\nphase: 01-setup\nplan: 01\nsubsystem: x\ntags: []\nduration: 1min\n---\n');
+    const result = runGsdTools('validate all --raw', tmpDir);
+    assert.ok(!result.success);
+    assert.strictEqual(result.output, [
+      '.planning/phases/01-setup/01-01-SUMMARY.md: E102 missing required frontmatter field: completed',
+      '2 files checked: 1 errors, 0 warnings, 0 info',
+    ].join('\n'));
+  });
+
+  test('skips context and research files without frontmatter', () => {
+    fs.writeFileSync(path.join(phaseDir, '01-CONTEXT.md'), '# Phase 1: Setup - Context\n');
+    fs.writeFileSync(path.join(phaseDir, '01-RESEARCH.md'), '# Phase 1: Setup - Research\n');
+    const output = JSON.parse(runGsdTools('validate all', tmpDir).output);
+    assert.strictEqual(output.files_checked, 3);
+    assert.strictEqual(output.passed, true);
+  });
+});
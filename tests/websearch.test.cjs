@@ -0,0 +1,169 @@
+/**
+ * GSD Tools Tests - websearch.cjs
+ *
+ * Tests for search providers (request shape and result normalization),
+ * locale settings and the offline fixture provider.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGsdTools, createTempProject, cleanup } = require('./helpers.cjs');
+
+const { parseLocale, resolveSearchSettings, search } = require('../get-shit-done/bin/lib/websearch.cjs');
+
+describe('parseLocale', () => {
+  test('accepts tags, language-only tags and objects', () => {
+    assert.deepStrictEqual(parseLocale('de-AT'), { language: 'de', country: 'at' });
+    assert.deepStrictEqual(parseLocale('fr'), { language: 'fr', country: 'us' });
+    assert.deepStrictEqual(parseLocale({ country: 'GB' }), { country: 'gb', language: 'en' });
+    assert.deepStrictEqual(parseLocale(null), { country: 'us', language: 'en' });
+  });
+});
+
+describe('search providers', () => {
+  let tmpDir;
+  let origFetch;
+  let origTavilyKey;
+  let requests;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    origFetch = global.fetch;
+    origTavilyKey = process.env.TAVILY_API_KEY;
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.fetch = origFetch;
+    if (origTavilyKey !== undefined) process.env.TAVILY_API_KEY = origTavilyKey;
+    else delete process.env.TAVILY_API_KEY;
+    cleanup(tmpDir);
+  });
+
+  function respondWith(data) {
+    global.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, json: async () => data };
+    };
+  }
+
+  function settings(websearch) {
+    return resolveSearchSettings({ websearch: { cache_ttl_hours: 0, ...websearch } });
+  }
+
+  test('searxng sends language and time range and normalizes content', async () => {
+    respondWith({ results: [
+      { title: 'A', url: 'https://a.example', content: 'About A', publishedDate: '2026-01-02' },
+      { title: 'B', url: 'https://b.example', content: 'About B' },
+    ] });
+    const found = await search(tmpDir, 'q', { limit: 1, freshness: 'month' },
+      settings({ provider: 'searxng', locale: 'de-DE', searxng: { url: 'https://searx.example/' } }));
+
+    const url = new URL(requests[0].url);
+    assert.strictEqual(url.pathname, '/search');
+    assert.strictEqual(url.searchParams.get('language'), 'de-DE');
+    assert.strictEqual(url.searchParams.get('time_range'), 'month');
+    assert.deepStrictEqual(found.results, [{ title: 'A', url: 'https://a.example', description: 'About A', age: '2026-01-02' }]);
+  });
+
+  test('searxng is unavailable without a url', async () => {
+    const found = await search(tmpDir, 'q', {}, settings({ provider: 'searxng' }));
+    assert.strictEqual(found.available, false);
+    assert.strictEqual(found.reason, 'websearch.searxng.url not set');
+  });
+
+  test('tavily posts the query with a bearer key', async () => {
+    process.env.TAVILY_API_KEY = 'tvly-test';
+    respondWith({ results: [{ title: 'T', url: 'https://t.example', content: 'Tavily', published_date: null }] });
+    const found = await search(tmpDir, 'q', { limit: 3, freshness: 'pd' }, settings({ provider: 'tavily' }));
+
+    assert.strictEqual(requests[0].init.method, 'POST');
+    assert.strictEqual(requests[0].init.headers.Authorization, 'Bearer tvly-test');
+    assert.deepStrictEqual(JSON.parse(requests[0].init.body), { query: 'q', max_results: 3, time_range: 'day' });
+    assert.strictEqual(found.results[0].description, 'Tavily');
+  });
+
+  test('json provider fills url placeholders, expands env headers and maps fields', async () => {
+    process.env.GSD_TEST_SEARCH_KEY = 'k1';
+    respondWith({ data: { items: [{ name: 'J', link: 'https://j.example', snippet: 'Json' }] } });
+    try {
+      const found = await search(tmpDir, 'a b', { limit: 5 }, settings({
+        provider: 'json',
+        locale: 'en-GB',
+        json: {
+          url: 'https://api.example/search?q={query}&n={limit}&hl={language}',
+          headers: { 'X-Key': '$GSD_TEST_SEARCH_KEY' },
+          results: 'data.items',
+          fields: { title: 'name', url: 'link', description: 'snippet' },
+        },
+      }));
+      assert.strictEqual(requests[0].url, 'https://api.example/search?q=a%20b&n=5&hl=en');
+      assert.strictEqual(requests[0].init.headers['X-Key'], 'k1');
+      assert.deepStrictEqual(found.results, [{ title: 'J', url: 'https://j.example', description: 'Json', age: null }]);
+    } finally {
+      delete process.env.GSD_TEST_SEARCH_KEY;
+    }
+  });
+
+  test('caches per provider settings, so a new endpoint is queried afresh', async () => {
+    respondWith({ results: [{ title: 'A', url: 'https://a.example', content: '' }] });
+    const withUrl = url => resolveSearchSettings({ websearch: { provider: 'searxng', searxng: { url } } });
+
+    assert.strictEqual((await search(tmpDir, 'q', {}, withUrl('https://old.example'))).cached, false);
+    assert.strictEqual((await search(tmpDir, 'q', {}, withUrl('https://old.example'))).cached, true);
+    assert.strictEqual((await search(tmpDir, 'q', {}, withUrl('https://new.example'))).cached, false);
+    assert.deepStrictEqual(requests.map(r => new URL(r.url).host), ['old.example', 'new.example']);
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, '.planning', 'research', '.cache', '.gitignore'), 'utf-8'), '*\n');
+  });
+
+  test('rejects unknown providers and freshness values', async () => {
+    const unknown = await search(tmpDir, 'q', {}, settings({ provider: 'altavista' }));
+    assert.ok(unknown.error.startsWith('Unknown websearch provider: altavista'));
+    const fresh = await search(tmpDir, 'q', { freshness: 'decade' }, settings({ provider: 'fixture' }));
+    assert.ok(fresh.error.startsWith('Invalid freshness: decade'));
+  });
+});
+
+describe('websearch command with the fixture provider', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempProject();
+    fs.mkdirSync(path.join(tmpDir, '.planning', 'research', 'fixtures'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'research', 'fixtures', 'websearch.json'), JSON.stringify({
+      'react server components': [
+        { title: 'RSC', url: 'https://react.dev/rsc', description: 'Server Components' },
+        { title: 'Next', url: 'https://nextjs.org', description: 'App Router' },
+      ],
+      '*': [{ title: 'Fallback', url: 'https://example.com', description: 'Any query' }],
+    }));
+    fs.writeFileSync(path.join(tmpDir, '.planning', 'config.json'), JSON.stringify({ websearch: { provider: 'fixture' } }));
+  });
+
+  afterEach(() => {
+    cleanup(tmpDir);
+  });
+
+  test('serves matching fixture results offline without caching', () => {
+    const result = runGsdTools(['websearch', 'react server components', '--limit', '1'], tmpDir);
+    assert.ok(result.success, result.error);
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.provider, 'fixture');
+    assert.deepStrictEqual(output.results, [{ title: 'RSC', url: 'https://react.dev/rsc', description: 'Server Components', age: null }]);
+    assert.ok(!fs.existsSync(path.join(tmpDir, '.planning', 'research', '.cache')));
+  });
+
+  test('falls back to the * entry', () => {
+    const result = runGsdTools(['websearch', 'anything else', '--raw'], tmpDir);
+    assert.strictEqual(result.output, 'Fallback\nhttps://example.com\nAny query');
+  });
+
+  test('--provider overrides the configured provider', () => {
+    const result = runGsdTools(['websearch', 'q', '--provider', 'searxng'], tmpDir);
+    const output = JSON.parse(result.output);
+    assert.strictEqual(output.available, false);
+    assert.strictEqual(output.provider, 'searxng');
+  });
+});
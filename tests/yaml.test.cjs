@@ -0,0 +1,172 @@
+/**
+ * GSD Tools Tests - yaml.cjs
+ *
+ * Tests for the YAML 1.2 subset engine: scalar resolution, block and flow
+ * collections, block scalars, comment preservation and serialization.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseYaml,
+  parseYamlDocument,
+  stringifyYaml,
+  resolvePlainScalar,
+} = require('../get-shit-done/bin/lib/yaml.cjs');
+
+// ─── resolvePlainScalar ─────────────────────────────────────────────────────
+
+describe('resolvePlainScalar', () => {
+  test('resolves core schema null, booleans and canonical numbers', () => {
+    assert.strictEqual(resolvePlainScalar('~'), null);
+    assert.strictEqual(resolvePlainScalar('null'), null);
+    assert.strictEqual(resolvePlainScalar('True'), true);
+    assert.strictEqual(resolvePlainScalar('false'), false);
+    assert.strictEqual(resolvePlainScalar('42'), 42);
+    assert.strictEqual(resolvePlainScalar('-3'), -3);
+    assert.strictEqual(resolvePlainScalar('0.25'), 0.25);
+  });
+
+  test('keeps non-canonical numbers as strings', () => {
+    assert.strictEqual(resolvePlainScalar('01'), '01');
+    assert.strictEqual(resolvePlainScalar('1.0'), '1.0');
+    assert.strictEqual(resolvePlainScalar('02.10'), '02.10');
+    assert.strictEqual(resolvePlainScalar('2025-01-15'), '2025-01-15');
+  });
+});
+
+// ─── parseYaml ──────────────────────────────────────────────────────────────
+
+describe('parseYaml', () => {
+  test('parses nested mappings and sequences of mappings', () => {
+    const yaml = [
+      'key_links:',
+      '  - from: src/a.ts',
+      '    to: src/b.ts',
+      '    meta:',
+      '      weight: 3',
+      '      tags:',
+      '        - x',
+      '        - y',
+    ].join('\n');
+    assert.deepStrictEqual(parseYaml(yaml), {
+      key_links: [{ from: 'src/a.ts', to: 'src/b.ts', meta: { weight: 3, tags: ['x', 'y'] } }],
+    });
+  });
+
+  test('accepts sequences at the same indentation as their key', () => {
+    assert.deepStrictEqual(parseYaml('items:\n- a\n- b\nnext: 1'), { items: ['a', 'b'], next: 1 });
+  });
+
+  test('parses compact nested sequences', () => {
+    assert.deepStrictEqual(parseYaml('- - a\n  - b\n- c'), [['a', 'b'], 'c']);
+  });
+
+  test('parses flow collections across lines', () => {
+    const yaml = 'deps: [\n  "01-01",\n  01-02, # second\n]\nmeta: {a: 1, b: [x, "y, z"]}';
+    assert.deepStrictEqual(parseYaml(yaml), {
+      deps: ['01-01', '01-02'],
+      meta: { a: 1, b: ['x', 'y, z'] },
+    });
+  });
+
+  test('keeps colons inside flow sequence items', () => {
+    assert.deepStrictEqual(parseYaml('subsystem: [primary category: auth, api]'), {
+      subsystem: ['primary category: auth', 'api'],
+    });
+  });
+
+  test('unescapes double-quoted and single-quoted scalars', () => {
+    const result = parseYaml('a: "tab\\there \\"q\\" \\u00e9"\nb: \'it\'\'s\'');
+    assert.strictEqual(result.a, 'tab\there "q" \u00e9');
+    assert.strictEqual(result.b, "it's");
+  });
+
+  test('keeps unknown escapes verbatim for regex patterns', () => {
+    assert.strictEqual(parseYaml('pattern: "exports\\.fn"').pattern, 'exports\\.fn');
+  });
+
+  test('folds multi-line plain and quoted scalars', () => {
+    const result = parseYaml('a: first\n  second\n\n  third\nb: "one\n  two"');
+    assert.strictEqual(result.a, 'first second\nthird');
+    assert.strictEqual(result.b, 'one two');
+  });
+
+  test('handles block scalar chomping indicators', () => {
+    const yaml = 'clip: |\n  a\n\nstrip: |-\n  a\nkeep: |+\n  a\n\nfold: >\n  a\n  b\n\n  c\n';
+    const result = parseYaml(yaml);
+    assert.strictEqual(result.clip, 'a\n');
+    assert.strictEqual(result.strip, 'a');
+    assert.strictEqual(result.keep, 'a\n\n');
+    assert.strictEqual(result.fold, 'a b\nc\n');
+  });
+
+  test('keeps prose list items with colons as strings', () => {
+    const result = parseYaml('key-decisions:\n  - Use Prisma: better DX\n  - path: src/a.ts');
+    assert.deepStrictEqual(result['key-decisions'], ['Use Prisma: better DX', { path: 'src/a.ts' }]);
+  });
+
+  test('strips inline comments from plain scalars only', () => {
+    const result = parseYaml('a: value # note\nb: "x # y"\nc: url#frag');
+    assert.strictEqual(result.a, 'value');
+    assert.strictEqual(result.b, 'x # y');
+    assert.strictEqual(result.c, 'url#frag');
+  });
+
+  test('reports the line of malformed input', () => {
+    assert.throws(() => parseYaml('a: 1\nb: [x, y\n'), /YAML line 2/);
+    assert.throws(() => parseYaml('a: 1\nnot a key\n'), /line 2/);
+  });
+});
+
+// ─── stringifyYaml ──────────────────────────────────────────────────────────
+
+describe('stringifyYaml', () => {
+  test('quotes strings that would otherwise change type', () => {
+    const result = stringifyYaml({ a: '1', b: 'true', c: 'null', d: '', e: 2, f: false });
+    assert.strictEqual(result, 'a: "1"\nb: "true"\nc: "null"\nd: ""\ne: 2\nf: false');
+  });
+
+  test('quotes flow items containing commas', () => {
+    assert.strictEqual(stringifyYaml({ k: ['a, b', 'c'] }), 'k: ["a, b", c]');
+  });
+
+  test('writes multi-line strings as literal block scalars', () => {
+    assert.strictEqual(stringifyYaml({ s: 'a\nb\n' }), 's: |\n  a\n  b');
+    assert.strictEqual(stringifyYaml({ s: 'a\nb' }), 's: |-\n  a\n  b');
+  });
+
+  test('writes sequences of mappings in compact form', () => {
+    const result = stringifyYaml({ artifacts: [{ path: 'src/a.ts', exports: ['x'] }, { path: 'src/b.ts' }] });
+    assert.strictEqual(result, 'artifacts:\n  - path: src/a.ts\n    exports: [x]\n  - path: src/b.ts');
+  });
+
+  test('round-trips arbitrary nesting', () => {
+    const value = {
+      phase: '01',
+      wave: 3,
+      ok: true,
+      list: [[1, 2, 3, 4], { a: { b: { c: ['deep value one', 'deep value two', 'deep value three', 'four'] } } }],
+      text: 'line 1\nline 2\n',
+      empty: {},
+      none: [],
+    };
+    assert.deepStrictEqual(parseYaml(stringifyYaml(value)), value);
+  });
+
+  test('re-emits comments, blank lines and sequence style from the source', () => {
+    const source = [
+      '# header',
+      'name: gsd # inline',
+      '',
+      '# list',
+      'items:',
+      '  - a',
+      'flow: [x, y, z, w, v]',
+      '# trailing',
+    ].join('\n');
+    const { value, comments } = parseYamlDocument(source);
+    assert.strictEqual(stringifyYaml(value, { comments }), source);
+  });
+});